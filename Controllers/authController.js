@@ -1,8 +1,14 @@
 import User from '../models/User.js'
 import bcrypt from 'bcryptjs'
-import jwt from 'jsonwebtoken'
 import crypto from 'crypto'
 import { sendRegistrationEmail, sendVerificationEmail, sendPasswordResetEmail } from '../utils/emailService.js'
+import { logActivity } from '../utils/activityLogger.js'
+import { sendLoginResponse } from '../utils/authTokens.js'
+import { revokeUserSessions } from '../utils/sessionService.js'
+import { createLoginChallenge } from '../utils/twoFactor.js'
+import { getIpLock, getAccountLock, registerFailedLogin, unlockAccount, getLockoutResponse } from '../utils/loginProtection.js'
+import { checkPasswordForRequest, getPasswordPolicy as loadPasswordPolicy, describePasswordPolicy, resolveLanguage } from '../utils/passwordPolicy.js'
+import SystemSettings from '../models/SystemSettings.js'
 
 // Utilidad para generar tokens aleatorios
 const generateToken = () => {
@@ -12,6 +18,17 @@ const generateToken = () => {
 //1) USER REGISTRATION
 export const register = async (req, res)=>{
     try{
+        // Comprobar la contraseña con la política de seguridad
+        const passwordCheck = await checkPasswordForRequest(req, req.body.password);
+        if (!passwordCheck.valid) {
+            return res.status(400).json({
+                status: "failed",
+                success: "false",
+                message: passwordCheck.message,
+                errors: passwordCheck.errors
+            });
+        }
+
         // Verificar si el correo ya existe
         const existingUser = await User.findOne({ email: req.body.email });
         if (existingUser) {
@@ -42,6 +59,16 @@ export const register = async (req, res)=>{
         })
 
         const registerUser = await newUser.save()
+
+        logActivity({
+            type: 'user-registration',
+            action: 'Nuevo usuario registrado',
+            user: registerUser,
+            details: `Registro de ${registerUser.email} con rol ${registerUser.role}`,
+            req,
+            targetType: 'user',
+            targetId: registerUser._id
+        });
         
         // Enviar correo de verificación
         try {
@@ -246,6 +273,17 @@ export const resetPassword = async (req, res) => {
             });
         }
         
+        // Comprobar la nueva contraseña con la política de seguridad
+        const passwordCheck = await checkPasswordForRequest(req, password);
+        if (!passwordCheck.valid) {
+            return res.status(400).json({
+                status: "failed",
+                success: "false",
+                message: passwordCheck.message,
+                errors: passwordCheck.errors
+            });
+        }
+        
         // Hashear la nueva contraseña
         const salt = bcrypt.genSaltSync(10);
         const hash = bcrypt.hashSync(password, salt);
@@ -254,8 +292,27 @@ export const resetPassword = async (req, res) => {
         user.password = hash;
         user.resetPasswordToken = undefined;
         user.resetPasswordExpires = undefined;
+        // Invalida los tokens emitidos con la contraseña anterior
+        user.passwordChangedAt = new Date();
+        // El enlace del correo de bloqueo usa este mismo token: restablecer la contraseña desbloquea la cuenta
+        const wasLocked = unlockAccount(user);
         await user.save();
         
+        // Cerrar todas las sesiones abiertas con la contraseña anterior
+        await revokeUserSessions(user._id, { reason: 'password-reset' });
+        
+        if (wasLocked) {
+            logActivity({
+                type: 'security',
+                action: 'Cuenta desbloqueada',
+                user,
+                details: `Cuenta ${user.email} desbloqueada al restablecer la contraseña`,
+                req,
+                targetType: 'user',
+                targetId: user._id
+            });
+        }
+        
         res.status(200).json({
             status: "success",
             success: "true",
@@ -272,14 +329,31 @@ export const resetPassword = async (req, res) => {
 };
 
 //6) USER LOGIN
+// Respuesta para un login rechazado por bloqueo de cuenta o de IP
+const sendLockedResponse = (res, lockUntil, scope) => {
+    const { statusCode, message, retryAfter } = getLockoutResponse(lockUntil, scope);
+    return res.set('Retry-After', String(retryAfter)).status(statusCode).json({
+        status: "failed",
+        success: "false",
+        message,
+        lockUntil
+    });
+};
+
 export const login = async (req, res)=>{
     const email = req.body.email;
 
     try{
+        const ipLockUntil = await getIpLock(req);
+        if (ipLockUntil) {
+            return sendLockedResponse(res, ipLockUntil, 'ip');
+        }
+
         //getting the user
         const user = await User.findOne({email: email});
         
         if(!user){
+            await registerFailedLogin({ req });
             return res.status(404).json({
                 status: "failed", 
                 success: "false", 
@@ -296,37 +370,44 @@ export const login = async (req, res)=>{
             });
         }
 
+        const accountLockUntil = getAccountLock(user);
+        if (accountLockUntil) {
+            return sendLockedResponse(res, accountLockUntil, 'account');
+        }
+
         const checkPassword = await bcrypt.compare(req.body.password, user.password);
         
         if(!checkPassword){
+            const failure = await registerFailedLogin({ req, user });
+            if (failure.accountLockUntil) {
+                return sendLockedResponse(res, failure.accountLockUntil, 'account');
+            }
+            if (failure.ipLockUntil) {
+                return sendLockedResponse(res, failure.ipLockUntil, 'ip');
+            }
             return res.status(401).json({
                 status: "failed", 
                 success: "false", 
-                message: "Correo electrónico o contraseña incorrectos"
+                message: "Correo electrónico o contraseña incorrectos",
+                remainingAttempts: failure.remainingAttempts
             });
         }
 
-        const{password, role, ...rest} = user._doc;
+        // Segundo paso: si el usuario tiene 2FA (o su rol lo exige) la sesión se emite en /auth/2fa/verify
+        const settings = await SystemSettings.getSettings();
+        const challenge = await createLoginChallenge(user, settings);
+        if (challenge) {
+            return res.status(200).json({
+                status: "success", 
+                success: "true", 
+                message: challenge.twoFactorRequired
+                    ? "Introduce el código de tu aplicación de autenticación"
+                    : "Debes configurar la verificación en dos pasos para continuar",
+                ...challenge
+            });
+        }
 
-        //creating jwt token
-        const token = jwt.sign(
-            {id: user._id, role: user.role}, 
-            process.env.JWT_SECRET_KEY, 
-            {expiresIn: "15d"}
-        );
-        
-        //setting token in cookies
-        res.cookie('accessToken', token, {
-            httpOnly: true,
-            expiresIn: token.expiresIn
-        }).status(200).json({
-            status: "success", 
-            success: "true", 
-            message: "Inicio de sesión exitoso", 
-            token, 
-            data: {...rest}, 
-            role
-        });
+        return await sendLoginResponse(req, res, user);
 
     }catch(err){
         console.error('Error en inicio de sesión:', err);
@@ -338,3 +419,29 @@ export const login = async (req, res)=>{
     }
 };
 
+
+//7) POLÍTICA DE CONTRASEÑAS
+// Reglas vigentes para que el frontend las muestre en los formularios
+export const getPasswordPolicy = async (req, res) => {
+    try {
+        const [policy, lang] = await Promise.all([loadPasswordPolicy(), resolveLanguage(req)]);
+
+        res.status(200).json({
+            status: "success",
+            success: "true",
+            message: "Política de contraseñas obtenida correctamente",
+            data: {
+                ...policy,
+                language: lang,
+                rules: describePasswordPolicy(policy, lang)
+            }
+        });
+    } catch (err) {
+        console.error('Error al obtener la política de contraseñas:', err);
+        res.status(500).json({
+            status: "failed",
+            success: "false",
+            message: "Error al obtener la política de contraseñas"
+        });
+    }
+};
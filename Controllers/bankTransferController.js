@@ -0,0 +1,487 @@
+import mongoose from 'mongoose';
+import Booking from '../models/Booking.js';
+import Event from '../models/Event.js';
+import User from '../models/User.js';
+import { sendBankTransferInstructionsEmail, sendBookingConfirmationEmail } from '../utils/emailService.js';
+import { logActivity } from '../utils/activityLogger.js';
+import { getCachedSettings } from '../utils/settingsCache.js';
+import { quoteOrder, assertQuotedTotals, toBookingPricing, PRICE_TOLERANCE } from '../utils/pricingService.js';
+import { toCapacityLines } from '../utils/ticketTypes.js';
+import { reservePromoCode, confirmPromoRedemption, releasePromoRedemption } from '../utils/promoCodes.js';
+import {
+    holdSeats,
+    sellSeats,
+    releaseHold,
+    releaseBookingSeats,
+    createHoldSessionId,
+    findUserHold,
+    TRANSFER_HOLD_PREFIX
+} from '../utils/seatInventory.js';
+import { canJoinWaitlist } from '../utils/waitlistService.js';
+import { recordBookingLedger } from '../utils/payoutLedger.js';
+import { issueBookingTickets, uploadTicketQRCodes } from '../utils/ticketCredentials.js';
+import {
+    generateTransferReference,
+    getBankTransferConfig,
+    getTransferDeadline
+} from '../utils/bankTransfers.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+
+// Plazo mínimo hasta el evento para aceptar un pago por transferencia
+const MIN_TRANSFER_WINDOW = 24 * 60 * 60 * 1000;
+
+// Intentos para generar una referencia que no exista ya
+const REFERENCE_ATTEMPTS = 5;
+
+/**
+ * Guarda la reserva pendiente generando una referencia única
+ * @param {Object} data - Campos de la reserva
+ * @returns {Promise<Object>} - Reserva guardada
+ */
+const saveWithUniqueReference = async (data) => {
+    for (let attempt = 1; ; attempt += 1) {
+        try {
+            return await new Booking({
+                ...data,
+                bankTransfer: { ...data.bankTransfer, reference: generateTransferReference() }
+            }).save();
+        } catch (error) {
+            const duplicateReference = error.code === 11000 && error.keyPattern?.['bankTransfer.reference'];
+            if (!duplicateReference || attempt >= REFERENCE_ATTEMPTS) throw error;
+        }
+    }
+};
+
+/**
+ * @desc    Reservar con pago por transferencia bancaria
+ * @route   POST /api/v1/booking/bank-transfer
+ * @access  Private
+ *
+ * Crea una reserva pendiente de pago con una referencia única y bloquea sus
+ * asientos durante `payment.bankTransferHoldDays` días. Las instrucciones de
+ * pago se envían por correo; un administrador confirma la transferencia al recibirla.
+ */
+export const createBankTransferBooking = asyncHandler(async (req, res) => {
+    const {
+        event_id,
+        bookingDate,
+        guestSize,
+        seatNumbers = [],
+        tickets, // Opcional: [{ ticketTypeId, quantity, seatNumbers }]
+        accessCode, // Código de acceso de las entradas de preventa
+        promoCode, // Código promocional
+        totalPrice,
+        amountCharged
+    } = req.body;
+
+    if (!event_id || !mongoose.Types.ObjectId.isValid(event_id)) {
+        throw new ApiError(400, 'ID de evento no válido');
+    }
+    if (!Array.isArray(seatNumbers) || (tickets !== undefined && !Array.isArray(tickets))) {
+        throw new ApiError(400, 'Faltan campos requeridos para crear la reserva');
+    }
+
+    try {
+        const settings = await getCachedSettings();
+        const config = getBankTransferConfig(settings);
+        if (!config.enabled) {
+            throw new ApiError(403, 'El pago por transferencia bancaria no está disponible');
+        }
+
+        const event = await Event.findById(event_id);
+        if (!event) {
+            throw new ApiError(404, 'Evento no encontrado');
+        }
+
+        const user = req.user;
+        const expiresAt = getTransferDeadline(event, config.holdDays);
+        if (expiresAt.getTime() - Date.now() < MIN_TRANSFER_WINDOW) {
+            throw new ApiError(400, 'El pago por transferencia solo se admite hasta 24 horas antes del evento');
+        }
+
+        // Bloqueo temporal previo del usuario en el evento (selección de asientos)
+        const userHold = await findUserHold(event._id, user._id);
+
+        // El precio se calcula en el servidor; el importe enviado solo se compara
+        const quote = await quoteOrder(event, {
+            seatNumbers,
+            quantity: guestSize,
+            tickets,
+            accessCode,
+            holdSessionId: userHold?.sessionId,
+            promoCode,
+            userId: user._id
+        });
+        assertQuotedTotals(quote, { totalPrice, amountCharged });
+        if (quote.total <= 0) {
+            throw new ApiError(400, quote.discount
+                ? 'El código promocional cubre todo el importe. Use la ruta de reservas gratuitas.'
+                : 'Este evento es gratuito. Use la ruta de eventos gratuitos.');
+        }
+
+        // Bloquear asientos y entradas hasta la fecha límite de la transferencia
+        const bookingId = new mongoose.Types.ObjectId();
+        const holdSessionId = createHoldSessionId(TRANSFER_HOLD_PREFIX);
+        const ticketLines = toCapacityLines(quote.items);
+        const hold = quote.seatNumbers.length > 0 || ticketLines.length > 0
+            ? await holdSeats(event, quote.seatNumbers, {
+                holdSessionId,
+                userId: user._id,
+                expiresAt,
+                tickets: ticketLines
+            })
+            : { success: true, invalidSeats: [] };
+
+        if (hold.invalidSeats.length > 0) {
+            throw new ApiError(400, `Asientos inválidos: ${hold.invalidSeats.join(', ')}`);
+        }
+
+        if (hold.soldOutTicketType) {
+            throw new ApiError(409, 'No quedan suficientes entradas del tipo seleccionado', {
+                ticketTypeId: hold.soldOutTicketType
+            });
+        }
+
+        if (!hold.success) {
+            throw new ApiError(400, 'Algunos de los asientos seleccionados ya están reservados', {
+                alreadyReservedSeats: hold.unavailable.map(item => item.seat),
+                waitlistAvailable: await canJoinWaitlist(event)
+            });
+        }
+
+        // El uso del código promocional queda pendiente hasta recibir la transferencia
+        let promoRedemption = null;
+        let booking;
+        try {
+            if (quote.discount) {
+                promoRedemption = await reservePromoCode(quote.discount, {
+                    eventId: event._id,
+                    userId: user._id,
+                    expiresAt
+                });
+            }
+
+            booking = await saveWithUniqueReference({
+                _id: bookingId,
+                user_id: user._id,
+                event_id: event._id,
+                bookingDate: bookingDate ? new Date(bookingDate) : new Date(),
+                guestSize: guestSize || quote.quantity,
+                seatNumbers: quote.seatNumbers,
+                ...toBookingPricing(quote),
+                status: 'pending_payment',
+                paymentStatus: 'Pending',
+                paymentDetails: { paymentMethod: 'bank_transfer' },
+                bankTransfer: {
+                    status: 'pending',
+                    expiresAt,
+                    holdSessionId,
+                    promoRedemptionId: promoRedemption?._id
+                }
+            });
+        } catch (error) {
+            // Sin reserva no hay pago que esperar: se sueltan el bloqueo y el código
+            await releaseHold(event._id, holdSessionId);
+            await releasePromoRedemption(promoRedemption?._id);
+            throw error;
+        }
+
+        // Los asientos ya están bloqueados para la transferencia: el bloqueo de la selección sobra
+        if (userHold) {
+            await releaseHold(event._id, userHold.sessionId);
+        }
+
+        const currency = quote.currency;
+        sendBankTransferInstructionsEmail({
+            email: user.email,
+            name: user.fullname || user.username,
+            eventName: event.name,
+            seats: booking.seatNumbers.join(', '),
+            amount: quote.total,
+            currency,
+            reference: booking.bankTransfer.reference,
+            instructions: config.instructions,
+            expiresAt
+        });
+
+        logActivity({
+            type: 'booking-completed',
+            action: 'Reserva pendiente de transferencia',
+            user,
+            details: `Reserva ${booking.bankTransfer.reference} para "${event.name}" pendiente de una transferencia de ${quote.total} ${currency}`,
+            req,
+            targetType: 'booking',
+            targetId: booking._id,
+            metadata: { reference: booking.bankTransfer.reference, amount: quote.total, expiresAt }
+        });
+
+        return res.status(201).json(new ApiResponse(
+            201,
+            {
+                booking,
+                bankTransfer: {
+                    reference: booking.bankTransfer.reference,
+                    amount: quote.total,
+                    currency,
+                    instructions: config.instructions,
+                    expiresAt
+                },
+                quote
+            },
+            'Reserva creada. Realiza la transferencia indicando la referencia para confirmarla.'
+        ));
+    } catch (error) {
+        console.error('Error al crear la reserva por transferencia:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Error al crear la reserva por transferencia');
+    }
+});
+
+/**
+ * @desc    Listar reservas por transferencia para conciliarlas con el extracto bancario
+ * @route   GET /api/v1/booking/bank-transfers
+ * @access  Private (Admin only)
+ *
+ * Filtros: status (pending, received, expired o all), reference, eventId.
+ */
+export const getBankTransfers = asyncHandler(async (req, res) => {
+    const { status = 'pending', reference, eventId } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    try {
+        const filter = { 'bankTransfer.reference': { $exists: true } };
+
+        if (status !== 'all') {
+            if (!['pending', 'received', 'expired'].includes(status)) {
+                throw new ApiError(400, 'Estado de transferencia no válido');
+            }
+            filter['bankTransfer.status'] = status;
+        }
+
+        if (reference) {
+            filter['bankTransfer.reference'] = String(reference).trim().toUpperCase();
+        }
+
+        if (eventId) {
+            if (!mongoose.Types.ObjectId.isValid(eventId)) {
+                throw new ApiError(400, 'ID de evento inválido');
+            }
+            filter.event_id = eventId;
+        }
+
+        const skip = (page - 1) * limit;
+
+        const [bookings, total, totals] = await Promise.all([
+            Booking.find(filter)
+                .sort({ 'bankTransfer.expiresAt': 1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('user_id', 'username fullname email')
+                .populate('event_id', 'name eventDate currency'),
+            Booking.countDocuments(filter),
+            Booking.aggregate([
+                { $match: { 'bankTransfer.reference': { $exists: true } } },
+                { $group: { _id: '$bankTransfer.status', count: { $sum: 1 }, amount: { $sum: '$amountCharged' } } }
+            ])
+        ]);
+
+        const now = new Date();
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            {
+                transfers: bookings.map(booking => ({
+                    _id: booking._id,
+                    reference: booking.bankTransfer.reference,
+                    status: booking.bankTransfer.status,
+                    amount: booking.amountCharged,
+                    currency: booking.event_id?.currency || 'EUR',
+                    expiresAt: booking.bankTransfer.expiresAt,
+                    overdue: booking.bankTransfer.status === 'pending' && booking.bankTransfer.expiresAt <= now,
+                    receivedAt: booking.bankTransfer.receivedAt || null,
+                    receivedAmount: booking.bankTransfer.receivedAmount ?? null,
+                    notes: booking.bankTransfer.notes || '',
+                    seatNumbers: booking.seatNumbers,
+                    event: booking.event_id,
+                    user: booking.user_id,
+                    createdAt: booking.createdAt
+                })),
+                totals: Object.fromEntries(totals.map(item => [item._id, { count: item.count, amount: item.amount }])),
+                pagination: {
+                    currentPage: page,
+                    totalPages: Math.ceil(total / limit),
+                    totalItems: total,
+                    itemsPerPage: limit
+                }
+            },
+            'Transferencias obtenidas correctamente'
+        ));
+    } catch (error) {
+        console.error('Error al obtener las transferencias:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Error al obtener las transferencias');
+    }
+});
+
+/**
+ * @desc    Marcar una transferencia como recibida: confirma la reserva y emite el QR
+ * @route   PATCH /api/v1/booking/:id/bank-transfer/confirm
+ * @access  Private (Admin only)
+ *
+ * También admite transferencias que llegan después de expirar la reserva,
+ * siempre que sus asientos sigan libres.
+ */
+export const confirmBankTransfer = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { receivedAmount, notes } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new ApiError(400, 'ID de reserva inválido');
+    }
+
+    try {
+        const booking = await Booking.findById(id);
+        if (!booking) {
+            throw new ApiError(404, 'Reserva no encontrada');
+        }
+
+        if (!booking.bankTransfer?.reference) {
+            throw new ApiError(400, 'La reserva no se paga por transferencia bancaria');
+        }
+
+        if (booking.bankTransfer.status === 'received') {
+            throw new ApiError(409, 'La transferencia ya se marcó como recibida');
+        }
+
+        if (booking.status === 'cancelled') {
+            throw new ApiError(409, 'La reserva está cancelada');
+        }
+
+        let amount = booking.amountCharged;
+        if (receivedAmount !== undefined && receivedAmount !== null && receivedAmount !== '') {
+            amount = Number(receivedAmount);
+            if (!Number.isFinite(amount) || amount < booking.amountCharged - PRICE_TOLERANCE) {
+                throw new ApiError(400, `El importe recibido no cubre el importe de la reserva (${booking.amountCharged})`, {
+                    expected: booking.amountCharged,
+                    received: receivedAmount
+                });
+            }
+        }
+
+        const event = await Event.findById(booking.event_id);
+        if (!event) {
+            throw new ApiError(404, 'Evento no encontrado');
+        }
+
+        // Marcar la transferencia antes de vender para que no se concilie dos veces ni expire a la vez
+        const claimed = await Booking.findOneAndUpdate(
+            { _id: booking._id, 'bankTransfer.status': { $in: ['pending', 'expired'] } },
+            { $set: { 'bankTransfer.status': 'received' } },
+            { new: false }
+        );
+        if (!claimed) {
+            throw new ApiError(409, 'La transferencia ya se marcó como recibida');
+        }
+
+        // Si algo falla tras reclamarla, la transferencia vuelve a su estado y se deshace la venta
+        // para que pueda conciliarse de nuevo
+        let sold = false;
+        try {
+            const ticketLines = toCapacityLines(booking.pricing?.items);
+            if (booking.seatNumbers.length > 0 || ticketLines.length > 0) {
+                const sale = await sellSeats(event, booking.seatNumbers, {
+                    bookingId: booking._id,
+                    holdSessionId: booking.bankTransfer.holdSessionId,
+                    userId: booking.user_id,
+                    tickets: ticketLines
+                });
+
+                if (!sale.success) {
+                    throw new ApiError(409, 'Los asientos o entradas de la reserva ya no están disponibles; hay que devolver la transferencia', {
+                        soldOutTicketType: sale.soldOutTicketType,
+                        unavailableSeats: [...sale.invalidSeats, ...sale.unavailable.map(item => item.seat)]
+                    });
+                }
+                sold = true;
+            }
+
+            // El uso del código promocional queda asociado a la reserva
+            await confirmPromoRedemption(booking.bankTransfer.promoRedemptionId, booking._id);
+
+            booking.status = 'confirmed';
+            booking.paymentStatus = 'paid';
+            booking.qrCodeScanStatus = false;
+
+            // Una entrada firmada por asiento, con su código QR (solo una vez pagada)
+            issueBookingTickets(booking, event);
+            await uploadTicketQRCodes(booking);
+
+            booking.bankTransfer.status = 'received';
+            booking.bankTransfer.receivedAt = new Date();
+            booking.bankTransfer.receivedAmount = amount;
+            booking.bankTransfer.reconciledBy = req.user._id;
+            if (notes !== undefined) {
+                booking.bankTransfer.notes = String(notes);
+            }
+            await booking.save();
+        } catch (error) {
+            try {
+                if (sold) {
+                    await releaseBookingSeats(booking);
+                }
+                await Booking.updateOne(
+                    { _id: booking._id },
+                    { $set: { 'bankTransfer.status': claimed.bankTransfer.status } }
+                );
+            } catch (restoreError) {
+                console.error('Error al deshacer la conciliación de la transferencia:', restoreError);
+            }
+            throw error;
+        }
+
+        await recordBookingLedger(booking, { event });
+
+        logActivity({
+            type: 'payment-processed',
+            action: 'Transferencia recibida',
+            user: req.user,
+            details: `Transferencia ${booking.bankTransfer.reference} de ${amount} ${event.currency || 'EUR'} conciliada para "${event.name}"`,
+            req,
+            targetType: 'booking',
+            targetId: booking._id,
+            metadata: { reference: booking.bankTransfer.reference, receivedAmount: amount }
+        });
+
+        // Enviar las entradas al asistente
+        const attendee = await User.findById(booking.user_id).select('email username fullname');
+        if (attendee?.email) {
+            sendBookingConfirmationEmail({
+                email: attendee.email,
+                name: attendee.fullname || attendee.username,
+                eventName: event.name,
+                eventDate: new Date(event.eventDate || new Date()).toLocaleDateString(),
+                eventTime: event.eventTime || '19:00',
+                venue: event.venue || event.location || 'Ubicación',
+                seats: booking.seatNumbers.join(', '),
+                totalPrice: booking.totalPrice,
+                currency: event.currency || 'EUR',
+                bookingId: booking._id,
+                qrCodeUrl: booking.qrCodeUrl,
+                tickets: booking.tickets
+            });
+        }
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            { booking },
+            'Transferencia conciliada y entradas emitidas correctamente'
+        ));
+    } catch (error) {
+        console.error('Error al conciliar la transferencia:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Error al conciliar la transferencia');
+    }
+});
@@ -1,7 +1,11 @@
 import Booking from '../models/Booking.js'
 import Event from '../models/Event.js'
 import { uploadOnCloudinary, deleteOnCloudinary } from "../utils/cloudinary.js";
- import QRCode from 'qrcode'; 
+import { quoteOrder, assertQuotedTotals, toBookingPricing } from '../utils/pricingService.js';
+import { ApiError } from '../utils/ApiError.js';
+import { sellSeats, releaseBookingSeats, findUserHold } from '../utils/seatInventory.js';
+import { toCapacityLines } from '../utils/ticketTypes.js';
+import { issueBookingTickets, uploadTicketQRCodes, formatBookingTickets } from '../utils/ticketCredentials.js';
 // //1) TO CREATE A BOOKING
 // // export const createBooking = async (req, res)=>{
 
@@ -593,10 +597,6 @@ import { uploadOnCloudinary, deleteOnCloudinary } from "../utils/cloudinary.js";
 //         });
 //     }
 // };
-import crypto from 'crypto';
-
-
-// Encryption Helper Functions
 // const encrypt = (data, secretKey) => {
 //     const iv = crypto.randomBytes(16); // Initialization vector for encryption
 
@@ -718,19 +718,12 @@ import crypto from 'crypto';
 //         });
 //     }
 // };
-// Encryption helper function
-const encrypt = (data, secretKey) => {
-    const keyBuffer = Buffer.from(secretKey, 'hex');
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv('aes-256-cbc', keyBuffer, iv);
-    let encrypted = cipher.update(data, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    return `${iv.toString('hex')}:${encrypted}`;
-};
-
-// Booking creation function
+// Box office booking: an organizer (or admin) records a sale paid at the venue.
+// Online buyers go through the Stripe, free-event or bank transfer routes.
 export const createBooking = async (req, res) => {
-    const { bookingDate, event_id, user_id, guestSize, seatNumbers, totalPrice } = req.body;
+    const { bookingDate, event_id, guestSize, totalPrice, amountCharged, tickets, accessCode } = req.body;
+    // The booking always belongs to the authenticated user
+    const user_id = req.user._id;
 
     try {
         // Fetch event details
@@ -743,22 +736,30 @@ export const createBooking = async (req, res) => {
             });
         }
 
-        // Check for conflicting seats
-        const conflictingSeats = await Booking.find({
-            event_id,
-            bookingDate,
-            seatNumbers: { $in: seatNumbers },
-        });
-
-        if (conflictingSeats.length > 0) {
-            return res.status(400).json({
+        // Organizers can only sell at the box office for their own events
+        if (req.user.role !== 'admin' && evento.user_id?.toString() !== req.user._id.toString()) {
+            return res.status(403).json({
                 status: "failed",
                 success: "false",
-                message: "Algunos de los asientos seleccionados ya están reservados",
-                conflictingSeats: conflictingSeats.map(booking => booking.seatNumbers).flat(),
+                message: "No tiene permisos para vender entradas de este evento",
             });
         }
 
+        // Resume the user's own active hold on this event, if any
+        const userHold = await findUserHold(evento._id, user_id);
+        const holdSessionId = userHold?.sessionId || null;
+
+        // Server-side price (tickets, fees and taxes); the submitted total must match it
+        const quote = await quoteOrder(evento, {
+            seatNumbers: req.body.seatNumbers,
+            quantity: guestSize,
+            tickets,
+            accessCode,
+            holdSessionId,
+        });
+        assertQuotedTotals(quote, { totalPrice, amountCharged });
+        const { seatNumbers } = quote;
+
         // Create a new booking
         const nuevaReserva = new Booking({
             user_id,
@@ -766,10 +767,49 @@ export const createBooking = async (req, res) => {
             bookingDate,
             guestSize,
             seatNumbers,
-            totalPrice,
+            ...toBookingPricing(quote),
+            // Paid at the box office when the sale is recorded
+            paymentStatus: 'paid',
+            paymentDetails: { paymentMethod: 'box_office' },
         });
 
-        const reservaGuardada = await nuevaReserva.save();
+        // Sell the seats in the inventory before saving; only one buyer can take each seat
+        const sale = await sellSeats(evento, seatNumbers, {
+            bookingId: nuevaReserva._id,
+            holdSessionId,
+            userId: user_id,
+            tickets: toCapacityLines(quote.items),
+        });
+
+        if (sale.soldOutTicketType) {
+            return res.status(409).json({
+                status: "failed",
+                success: "false",
+                message: "No quedan suficientes entradas del tipo seleccionado",
+                ticketTypeId: sale.soldOutTicketType,
+            });
+        }
+
+        if (!sale.success) {
+            return res.status(400).json({
+                status: "failed",
+                success: "false",
+                message: "Algunos de los asientos seleccionados ya están reservados",
+                conflictingSeats: [...sale.invalidSeats, ...sale.unavailable.map(item => item.seat)],
+            });
+        }
+
+        let reservaGuardada;
+        try {
+            // One signed ticket per seat, with its QR code
+            issueBookingTickets(nuevaReserva, evento);
+            await uploadTicketQRCodes(nuevaReserva);
+            reservaGuardada = await nuevaReserva.save();
+        } catch (saveError) {
+            // The booking was not created: give the seats back
+            await releaseBookingSeats(nuevaReserva);
+            throw saveError;
+        }
 
         // Update available seats
         evento.availableSeats = evento.availableSeats.filter(seat => !seatNumbers.includes(seat));
@@ -780,42 +820,25 @@ export const createBooking = async (req, res) => {
             .populate('user_id', 'username email')
             .populate('event_id', 'name desc venue');
 
-        // Generate encrypted QR code data
-        const secretKey = process.env.QR_SECRET_KEY;
-        const qrCodeData = JSON.stringify({
-            bookingId: reservaGuardada._id,
-            event: evento.name,
-            user: reservaPoblada.user_id.username,
-            date: bookingDate,
-            totalPrice,
-        });
-
-        const encryptedData = encrypt(qrCodeData, secretKey);
-
-        // Create a QR code payload with a custom message
-        const qrCodePayload = {
-            errorMessage: "Invalid QR Code. Please contact the event organizer.", // Custom message here
-            data: encryptedData, // Encrypted booking details
-        };
-
-        // Generate QR code as Base64
-        const qrCodeBase64 = await QRCode.toDataURL(JSON.stringify(qrCodePayload));
-
-        // Upload QR code to Cloudinary
-        const qrCodeUploadResponse = await uploadOnCloudinary(qrCodeBase64, {
-            folder: "event_bookings",
-            public_id: `booking_${reservaGuardada._id}`,
-        });
-
         // Send response with booking details and QR code URL
         res.status(200).json({
             status: "success",
             success: "true",
             message: "Tu reserva ha sido realizada",
             data: reservaPoblada,
-            qrCodeUrl: qrCodeUploadResponse.secure_url,
+            qrCodeUrl: reservaGuardada.qrCodeUrl,
+            tickets: formatBookingTickets(reservaGuardada, { includeToken: true }),
         });
     } catch (err) {
+        // Pricing errors (invalid seats, stale totals) carry their own status and details
+        if (err instanceof ApiError) {
+            return res.status(err.statusCode).json({
+                status: "failed",
+                success: "false",
+                message: err.message,
+                errors: err.errors,
+            });
+        }
         res.status(500).json({
             status: "failed",
             success: "false",
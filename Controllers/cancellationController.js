@@ -0,0 +1,431 @@
+import mongoose from 'mongoose';
+import Booking from '../models/Booking.js';
+import Event from '../models/Event.js';
+import User from '../models/User.js';
+import SystemSettings from '../models/SystemSettings.js';
+import { refundPayment } from '../utils/paymentProviders.js';
+import { sendBookingCancelledEmail } from '../utils/emailService.js';
+import { logActivity } from '../utils/activityLogger.js';
+import { offerFreedSeats } from '../utils/waitlistService.js';
+import { releaseBookingSeats } from '../utils/seatInventory.js';
+import { releaseBookingPromoCode } from '../utils/promoCodes.js';
+import { recordBookingLedger } from '../utils/payoutLedger.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Comprueba que el usuario es el organizador del evento o un administrador
+ * @param {Object} user - Usuario autenticado
+ * @param {Object} event - Evento de la reserva
+ * @returns {boolean}
+ */
+const canManageEvent = (user, event) => {
+    return user.role === 'admin' || event.user_id?.toString() === user._id.toString();
+};
+
+/**
+ * Busca la reserva y su evento, validando el ID recibido
+ * @param {string} bookingId - ID de la reserva
+ * @returns {Promise<{booking: Object, event: Object}>}
+ */
+const findBookingWithEvent = async (bookingId) => {
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+        throw new ApiError(400, 'ID de reserva inválido');
+    }
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+        throw new ApiError(404, 'Reserva no encontrada');
+    }
+
+    const event = await Event.findById(booking.event_id);
+    if (!event) {
+        throw new ApiError(404, 'Evento no encontrado');
+    }
+
+    return { booking, event };
+};
+
+/**
+ * @desc    Solicitar la cancelación de una reserva
+ * @route   POST /api/v1/booking/:id/cancel
+ * @access  Private (propietario de la reserva)
+ *
+ * Las solicitudes solo se aceptan hasta `events.refundPeriodDays` días antes
+ * del evento y, si la reserva es de pago, con `events.enableRefunds` activo.
+ */
+export const requestCancellation = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    try {
+        const { booking, event } = await findBookingWithEvent(id);
+
+        if (booking.user_id?.toString() !== req.user._id.toString()) {
+            throw new ApiError(403, 'No tiene permisos para cancelar esta reserva');
+        }
+
+        if (booking.status === 'cancelled') {
+            throw new ApiError(400, 'La reserva ya está cancelada');
+        }
+
+        if (booking.status === 'cancellation_requested' || booking.status === 'cancelling') {
+            throw new ApiError(400, 'Ya existe una solicitud de cancelación pendiente para esta reserva');
+        }
+
+        // Las reservas por transferencia sin pagar expiran solas al vencer el plazo
+        if (booking.status === 'pending_payment' || booking.status === 'expired') {
+            throw new ApiError(400, 'La reserva no está pagada; se cancelará automáticamente si no se recibe la transferencia');
+        }
+
+        if (booking.qrCodeScanStatus) {
+            throw new ApiError(400, 'No se puede cancelar una reserva cuya entrada ya ha sido utilizada');
+        }
+
+        const settings = await SystemSettings.getSettings();
+        const { enableRefunds, refundPeriodDays = 7 } = settings.events || {};
+
+        if (booking.totalPrice > 0 && !enableRefunds) {
+            throw new ApiError(403, 'Los reembolsos no están habilitados en este momento');
+        }
+
+        // Comprobar el plazo de cancelación respecto a la fecha del evento
+        if (event.eventDate) {
+            const deadline = new Date(new Date(event.eventDate).getTime() - refundPeriodDays * DAY_MS);
+            if (Date.now() > deadline.getTime()) {
+                throw new ApiError(400, `Las cancelaciones solo se admiten hasta ${refundPeriodDays} días antes del evento`, [
+                    { field: 'eventDate', deadline }
+                ]);
+            }
+        }
+
+        booking.status = 'cancellation_requested';
+        booking.cancellation = {
+            status: 'pending',
+            reason: reason || '',
+            requestedAt: new Date(),
+            requestedBy: req.user._id
+        };
+        await booking.save();
+
+        logActivity({
+            type: 'booking-cancelled',
+            action: 'Cancelación solicitada',
+            user: req.user,
+            details: `Solicitud de cancelación para "${event.name}" (${booking.seatNumbers.join(', ')})`,
+            req,
+            targetType: 'booking',
+            targetId: booking._id
+        });
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            { booking },
+            'Solicitud de cancelación registrada correctamente'
+        ));
+    } catch (error) {
+        console.error('Error al solicitar la cancelación:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Error al solicitar la cancelación de la reserva');
+    }
+});
+
+/**
+ * @desc    Listar solicitudes de cancelación de los eventos del organizador
+ * @route   GET /api/v1/booking/cancellations
+ * @access  Private (Organizer/Admin only)
+ */
+export const getCancellationRequests = asyncHandler(async (req, res) => {
+    const { status = 'pending', eventId } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    try {
+        const filter = { 'cancellation.status': status };
+
+        // Los organizadores solo ven las reservas de sus propios eventos
+        if (req.user.role !== 'admin') {
+            const events = await Event.find({ user_id: req.user._id }).select('_id');
+            filter.event_id = { $in: events.map(event => event._id) };
+        }
+
+        if (eventId) {
+            if (!mongoose.Types.ObjectId.isValid(eventId)) {
+                throw new ApiError(400, 'ID de evento inválido');
+            }
+            if (filter.event_id && !filter.event_id.$in.some(id => id.toString() === eventId)) {
+                throw new ApiError(403, 'No tiene permisos para ver las cancelaciones de este evento');
+            }
+            filter.event_id = eventId;
+        }
+
+        const skip = (page - 1) * limit;
+
+        const [bookings, total] = await Promise.all([
+            Booking.find(filter)
+                .sort({ 'cancellation.requestedAt': -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('user_id', 'username fullname email')
+                .populate('event_id', 'name eventDate currency'),
+            Booking.countDocuments(filter)
+        ]);
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            {
+                requests: bookings,
+                pagination: {
+                    currentPage: page,
+                    totalPages: Math.ceil(total / limit),
+                    totalItems: total,
+                    itemsPerPage: limit
+                }
+            },
+            'Solicitudes de cancelación obtenidas correctamente'
+        ));
+    } catch (error) {
+        console.error('Error al obtener solicitudes de cancelación:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Error al obtener las solicitudes de cancelación');
+    }
+});
+
+/**
+ * @desc    Aprobar una cancelación: reembolsa, libera asientos e invalida el QR
+ * @route   PATCH /api/v1/booking/:id/cancel/approve
+ * @access  Private (Organizer/Admin only)
+ *
+ * Sin `refundAmount` se reembolsa el importe total. Un importe menor solo se
+ * acepta si `events.enablePartialRefunds` está activo. Si una aprobación falló
+ * después de emitir el reembolso, repetirla completa la cancelación sin reembolsar otra vez.
+ */
+export const approveCancellation = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { refundAmount } = req.body;
+
+    try {
+        let { booking, event } = await findBookingWithEvent(id);
+
+        if (!canManageEvent(req.user, event)) {
+            throw new ApiError(403, 'No tiene permisos para gestionar las reservas de este evento');
+        }
+
+        // Una aprobación anterior emitió el reembolso pero no llegó a cerrar la reserva:
+        // se retoma desde el reembolso registrado sin volver a emitirlo
+        const resuming = booking.status === 'cancelling' && Boolean(booking.cancellation?.refundedAt);
+
+        if (booking.status === 'cancelling' && !resuming) {
+            throw new ApiError(409, 'La cancelación de esta reserva ya se está procesando');
+        }
+
+        if (!resuming && booking.status !== 'cancellation_requested') {
+            throw new ApiError(400, 'La reserva no tiene una solicitud de cancelación pendiente');
+        }
+
+        // Calcular el importe a reembolsar sobre lo cobrado (incluye la comisión pagada por el comprador)
+        const totalPaid = booking.paymentStatus === 'paid' ? (booking.amountCharged ?? booking.totalPrice ?? 0) : 0;
+        let amountToRefund = totalPaid;
+        let refund = null;
+
+        if (resuming) {
+            amountToRefund = booking.cancellation.refundAmount || 0;
+            refund = booking.cancellation.refundId
+                ? { id: booking.cancellation.refundId, status: booking.cancellation.refundStatus }
+                : null;
+        } else {
+            const settings = await SystemSettings.getSettings();
+            const { enableRefunds, enablePartialRefunds } = settings.events || {};
+
+            if (refundAmount !== undefined && refundAmount !== null && refundAmount !== '') {
+                const requested = Number(refundAmount);
+                if (Number.isNaN(requested) || requested < 0 || requested > totalPaid) {
+                    throw new ApiError(400, `El importe a reembolsar debe estar entre 0 y ${totalPaid}`);
+                }
+                if (requested !== totalPaid && !enablePartialRefunds) {
+                    throw new ApiError(400, 'Los reembolsos parciales no están habilitados');
+                }
+                amountToRefund = requested;
+            }
+
+            if (amountToRefund > 0 && !enableRefunds) {
+                throw new ApiError(403, 'Los reembolsos no están habilitados en este momento');
+            }
+
+            const paymentIntentId = booking.paymentDetails?.paymentIntentId;
+            if (amountToRefund > 0 && !paymentIntentId) {
+                throw new ApiError(400, 'La reserva no tiene un pago con tarjeta o PayPal asociado que reembolsar');
+            }
+
+            // Reclamar la solicitud antes de reembolsar: con dos aprobaciones simultáneas
+            // solo una llega a la pasarela de pago
+            const claimed = await Booking.findOneAndUpdate(
+                { _id: booking._id, status: 'cancellation_requested' },
+                { $set: { status: 'cancelling' } },
+                { new: true }
+            );
+            if (!claimed) {
+                throw new ApiError(409, 'La cancelación de esta reserva ya se está procesando o ha cambiado de estado');
+            }
+            booking = claimed;
+
+            // Emitir el reembolso en la pasarela del pago antes de modificar la reserva
+            if (amountToRefund > 0) {
+                try {
+                    refund = await refundPayment({
+                        provider: booking.paymentDetails.provider || 'stripe',
+                        paymentId: paymentIntentId,
+                        amount: amountToRefund === totalPaid ? undefined : amountToRefund,
+                        currency: event.currency || 'EUR',
+                        metadata: { bookingId: booking._id.toString() }
+                    });
+                } catch (providerError) {
+                    console.error('Error al emitir el reembolso en la pasarela de pago:', providerError);
+                    // Devolver la solicitud a pendiente para poder reintentarla
+                    await Booking.updateOne(
+                        { _id: booking._id, status: 'cancelling' },
+                        { $set: { status: 'cancellation_requested' } }
+                    );
+                    throw new ApiError(502, `No se pudo emitir el reembolso: ${providerError.message}`);
+                }
+            }
+
+            // Registrar el reembolso antes de tocar el inventario: si algo falla después,
+            // la aprobación puede repetirse sin reembolsar dos veces
+            booking = await Booking.findOneAndUpdate(
+                { _id: booking._id, status: 'cancelling' },
+                {
+                    $set: {
+                        'cancellation.refundAmount': amountToRefund,
+                        'cancellation.refundId': refund?.id,
+                        'cancellation.refundStatus': refund?.status,
+                        'cancellation.refundedAt': new Date()
+                    }
+                },
+                { new: true }
+            );
+            if (!booking) {
+                throw new ApiError(409, 'La reserva ha cambiado de estado durante la cancelación');
+            }
+        }
+
+        // Devolver los asientos al inventario y el uso del código promocional
+        await releaseBookingSeats(booking);
+        await releaseBookingPromoCode(booking);
+
+        // Invalidar el QR y cerrar la solicitud
+        booking.status = 'cancelled';
+        booking.qrCodeToken = undefined;
+        if (amountToRefund > 0) {
+            booking.paymentStatus = amountToRefund < totalPaid ? 'partially_refunded' : 'refunded';
+        }
+        booking.cancellation.status = 'approved';
+        booking.cancellation.reviewedAt = new Date();
+        booking.cancellation.reviewedBy = req.user._id;
+        await booking.save();
+        await recordBookingLedger(booking, { event });
+
+        // Ofrecer los asientos liberados a la lista de espera
+        offerFreedSeats(event._id);
+
+        logActivity({
+            type: 'booking-cancelled',
+            action: 'Cancelación aprobada',
+            user: req.user,
+            details: `Reserva de "${event.name}" cancelada con reembolso de ${amountToRefund} ${event.currency || 'EUR'}`,
+            req,
+            targetType: 'booking',
+            targetId: booking._id,
+            metadata: { refundAmount: amountToRefund, refundId: refund?.id }
+        });
+
+        // Notificar al asistente
+        const attendee = await User.findById(booking.user_id).select('email username fullname');
+        if (attendee?.email) {
+            sendBookingCancelledEmail({
+                email: attendee.email,
+                name: attendee.fullname || attendee.username,
+                eventName: event.name,
+                eventDate: event.eventDate ? new Date(event.eventDate).toLocaleDateString() : undefined,
+                seats: booking.seatNumbers.join(', '),
+                bookingId: booking._id,
+                refundAmount: amountToRefund,
+                currency: event.currency || 'EUR'
+            });
+        }
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            { booking, refund },
+            'Cancelación aprobada correctamente'
+        ));
+    } catch (error) {
+        console.error('Error al aprobar la cancelación:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Error al aprobar la cancelación de la reserva');
+    }
+});
+
+/**
+ * @desc    Rechazar una solicitud de cancelación
+ * @route   PATCH /api/v1/booking/:id/cancel/reject
+ * @access  Private (Organizer/Admin only)
+ */
+export const rejectCancellation = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    try {
+        let { booking, event } = await findBookingWithEvent(id);
+
+        if (!canManageEvent(req.user, event)) {
+            throw new ApiError(403, 'No tiene permisos para gestionar las reservas de este evento');
+        }
+
+        if (booking.status !== 'cancellation_requested') {
+            throw new ApiError(400, 'La reserva no tiene una solicitud de cancelación pendiente');
+        }
+
+        // Solo si nadie la ha aprobado entretanto (ver approveCancellation)
+        const rejected = await Booking.findOneAndUpdate(
+            { _id: booking._id, status: 'cancellation_requested' },
+            {
+                $set: {
+                    status: 'confirmed',
+                    'cancellation.status': 'rejected',
+                    'cancellation.reviewedAt': new Date(),
+                    'cancellation.reviewedBy': req.user._id,
+                    'cancellation.rejectionReason': reason || ''
+                }
+            },
+            { new: true }
+        );
+        if (!rejected) {
+            throw new ApiError(409, 'La cancelación de esta reserva ya se está procesando o ha cambiado de estado');
+        }
+        booking = rejected;
+
+        logActivity({
+            type: 'booking-cancelled',
+            action: 'Cancelación rechazada',
+            user: req.user,
+            details: `Solicitud de cancelación rechazada para "${event.name}"`,
+            req,
+            targetType: 'booking',
+            targetId: booking._id
+        });
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            { booking },
+            'Solicitud de cancelación rechazada'
+        ));
+    } catch (error) {
+        console.error('Error al rechazar la cancelación:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Error al rechazar la cancelación de la reserva');
+    }
+});
@@ -0,0 +1,357 @@
+import mongoose from 'mongoose';
+import Booking from '../models/Booking.js';
+import Event from '../models/Event.js';
+import User from '../models/User.js';
+import { extractTicketToken, verifyTicketCredential } from '../utils/ticketCredentials.js';
+import { buildScanManifest, recordTicketScan, processOfflineScans, isBookingAdmissible, getScanInputError, getEntryPolicy } from '../utils/checkIn.js';
+import { hasEventCapability } from '../utils/eventStaff.js';
+import { logActivity } from '../utils/activityLogger.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+
+/**
+ * Comprueba que el usuario puede escanear entradas del evento: organizador,
+ * administrador o personal del evento con el permiso scanner
+ * @param {Object} user - Usuario autenticado
+ * @param {Object} event - Evento
+ * @returns {Promise<Object>} - Acceso del usuario (ver getEventAccess)
+ */
+const assertCanScan = async (user, event) => {
+    const access = await hasEventCapability(user, event, 'scanner');
+    if (!access) {
+        throw new ApiError(403, 'No tiene permisos para escanear entradas de este evento');
+    }
+    return access;
+};
+
+/**
+ * Busca el evento validando el ID y los permisos de escaneo
+ * @param {string} eventId - ID del evento
+ * @param {Object} user - Usuario autenticado
+ * @returns {Promise<{ event: Object, access: Object }>}
+ */
+const findScannableEvent = async (eventId, user) => {
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+        throw new ApiError(400, 'ID de evento inválido');
+    }
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+        throw new ApiError(404, 'Evento no encontrado');
+    }
+
+    const access = await assertCanScan(user, event);
+    return { event, access };
+};
+
+/**
+ * @desc    Verificar y escanear un código QR de entrada
+ * @route   POST /api/v1/booking/scan-qr
+ * @access  Private (Organizer/Admin o personal del evento con permiso scanner)
+ *
+ * Body: { token, deviceId?, gate?, direction? }. `direction: 'out'` registra una
+ * salida en los eventos con política in_out (Event.entryPolicy).
+ */
+export const scanQRCode = asyncHandler(async (req, res) => {
+    const token = extractTicketToken(req.body.token);
+    const deviceId = req.body.deviceId ? String(req.body.deviceId) : undefined;
+    const gate = req.body.gate ? String(req.body.gate) : undefined;
+    const direction = req.body.direction || 'in';
+
+    if (!token) {
+        throw new ApiError(400, 'Token QR requerido');
+    }
+
+    try {
+        // Verificar la firma y la caducidad de la entrada
+        const credential = verifyTicketCredential(token);
+
+        const event = await Event.findById(credential.eventId);
+        if (!event) {
+            throw new ApiError(404, 'Evento no encontrado');
+        }
+
+        const access = await assertCanScan(req.user, event);
+
+        const inputError = getScanInputError(event, { gate, direction });
+        if (inputError) {
+            throw new ApiError(400, inputError);
+        }
+
+        // Buscar la reserva y la entrada
+        const booking = await Booking.findOne({
+            _id: credential.bookingId,
+            event_id: event._id,
+            'tickets.ticketId': credential.ticketId
+        });
+        const ticket = booking?.tickets.find(item => item.ticketId === credential.ticketId);
+
+        if (!booking || !ticket) {
+            throw new ApiError(404, 'Reserva no encontrada. El código QR puede ser inválido.');
+        }
+
+        // La entrada se ha reemitido: solo vale el código más reciente
+        if (ticket.jti !== credential.jti) {
+            throw new ApiError(401, 'Este código QR ha sido sustituido por uno nuevo. El asistente debe mostrar su entrada actualizada');
+        }
+
+        // Las canceladas o reembolsadas se registran como intento de acceso (revoked)
+        const revoked = booking.status === 'cancelled' || booking.paymentStatus === 'refunded';
+        if (!revoked && !isBookingAdmissible(booking)) {
+            throw new ApiError(400, 'La reserva no está confirmada. El código QR no es válido.');
+        }
+
+        const { result, scan, ticket: scannedTicket, booking: updated } = await recordTicketScan({
+            booking,
+            ticket,
+            event,
+            operator: req.user,
+            operatorRole: access.role,
+            deviceId,
+            gate,
+            direction
+        });
+
+        if (result === 'revoked') {
+            throw new ApiError(400, 'La reserva ha sido cancelada. El código QR ya no es válido.');
+        }
+
+        const ticketInfo = {
+            ticketId: scannedTicket.ticketId,
+            seat: scannedTicket.seat || null,
+            ticketTypeName: scannedTicket.ticketTypeName || null,
+            scannedAt: scannedTicket.scannedAt,
+            inside: Boolean(scannedTicket.inside),
+            entries: scannedTicket.entries || 0
+        };
+        const scanInfo = {
+            result,
+            message: scan.message || null,
+            direction,
+            gate: gate || null,
+            entryPolicy: getEntryPolicy(event)
+        };
+
+        // Verificar si ya ha sido escaneada (o si el asistente ya consta dentro o fuera)
+        if (result !== 'admitted' && result !== 'exited') {
+            return res.status(200).json(new ApiResponse(
+                200,
+                {
+                    valid: false,
+                    scan: scanInfo,
+                    ticket: ticketInfo,
+                    booking: {
+                        id: booking._id,
+                        event_id: booking.event_id,
+                        user_id: booking.user_id,
+                        seatNumbers: booking.seatNumbers,
+                        scanned: true,
+                        scannedAt: scannedTicket.scannedAt
+                    }
+                },
+                scan.message || 'Código QR ya escaneado previamente'
+            ));
+        }
+
+        // Buscar más datos para la respuesta
+        const user = await User.findById(updated.user_id).select('username email fullname');
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            {
+                valid: true,
+                scan: scanInfo,
+                ticket: ticketInfo,
+                booking: {
+                    id: updated._id,
+                    event_id: updated.event_id,
+                    seatNumbers: updated.seatNumbers,
+                    ticketType: scannedTicket.ticketTypeName || updated.ticketType || 'standard',
+                    user: user ? {
+                        id: user._id,
+                        name: user.fullname || user.username,
+                        email: user.email
+                    } : null,
+                    ticketsScanned: updated.tickets.filter(item => item.scanStatus).length,
+                    ticketsTotal: updated.tickets.length,
+                    scanned: true,
+                    scannedAt: scannedTicket.scannedAt
+                }
+            },
+            result === 'exited' ? 'Salida registrada correctamente' : 'Código QR válido y escaneado exitosamente'
+        ));
+
+    } catch (error) {
+        console.error('Error al escanear código QR:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Error al procesar el código QR');
+    }
+});
+
+/**
+ * @desc    Manifiesto firmado de las entradas del evento para escanear sin conexión
+ * @route   GET /api/v1/booking/scan-manifest/:eventId
+ * @access  Private (Organizer/Admin o personal del evento con permiso scanner)
+ *
+ * El lector guarda el manifiesto y comprueba cada código comparando el SHA-256
+ * del token con `tokenHash`. La firma (Ed25519, sobre JSON.stringify(manifest))
+ * se verifica con `publicKey`; conviene descargarlo de nuevo justo antes de abrir puertas.
+ * `syncToken` se devuelve al subir las lecturas hechas con este manifiesto.
+ */
+export const getScanManifest = asyncHandler(async (req, res) => {
+    const { event } = await findScannableEvent(req.params.eventId, req.user);
+
+    try {
+        const manifest = await buildScanManifest(event);
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            manifest,
+            'Manifiesto de entradas generado correctamente'
+        ));
+    } catch (error) {
+        console.error('Error al generar el manifiesto de entradas:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Error al generar el manifiesto de entradas');
+    }
+});
+
+/**
+ * @desc    Subir las lecturas hechas sin conexión
+ * @route   POST /api/v1/booking/scan-manifest/:eventId/scans
+ * @access  Private (Organizer/Admin o personal del evento con permiso scanner)
+ *
+ * Body: { deviceId, syncToken, gate?, scans: [{ token, scannedAt, clientScanId?, gate?, direction? }] }
+ * syncToken es el del manifiesto con el que se leyeron las entradas; las lecturas
+ * con hora anterior a su descarga se rechazan.
+ * Se puede reenviar el mismo lote: las lecturas ya registradas no se duplican.
+ */
+export const uploadOfflineScans = asyncHandler(async (req, res) => {
+    const { event, access } = await findScannableEvent(req.params.eventId, req.user);
+    const { deviceId, gate, syncToken, scans } = req.body;
+
+    try {
+        const results = await processOfflineScans({
+            event,
+            operator: req.user,
+            operatorRole: access.role,
+            deviceId,
+            gate: gate ? String(gate) : undefined,
+            syncToken,
+            scans
+        });
+
+        const summary = results.reduce((acc, item) => {
+            acc[item.result] = (acc[item.result] || 0) + 1;
+            return acc;
+        }, {});
+
+        // Los conflictos indican que una entrada pudo usarse dos veces
+        if (summary.conflict) {
+            await logActivity({
+                type: 'security',
+                action: 'Lecturas de entradas en conflicto',
+                user: req.user._id,
+                details: `${summary.conflict} entradas admitidas por más de un lector en el evento ${event.name}`,
+                req,
+                targetType: 'event',
+                targetId: event._id,
+                metadata: { deviceId, summary }
+            });
+        }
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            { results, summary },
+            'Lecturas sincronizadas correctamente'
+        ));
+    } catch (error) {
+        console.error('Error al sincronizar lecturas sin conexión:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Error al sincronizar las lecturas');
+    }
+});
+
+/**
+ * @desc    Buscar asistentes del evento (nombre, correo, asiento o ticketId) sin datos económicos
+ * @route   GET /api/v1/booking/check-in/:eventId/attendees
+ * @access  Private (Organizer/Admin o personal del evento con permiso scanner)
+ */
+export const searchEventAttendees = asyncHandler(async (req, res) => {
+    const { event } = await findScannableEvent(req.params.eventId, req.user);
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    try {
+        const filter = {
+            event_id: event._id,
+            status: { $in: ['confirmed', 'cancellation_requested', 'cancelled'] }
+        };
+
+        if (search) {
+            const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            const users = await User.find({
+                $or: [{ username: pattern }, { fullname: pattern }, { email: pattern }]
+            }).select('_id').limit(200);
+
+            filter.$or = [
+                { user_id: { $in: users.map(user => user._id) } },
+                { 'tickets.ticketId': search },
+                { 'tickets.seat': search }
+            ];
+        }
+
+        const skip = (page - 1) * limit;
+        const [bookings, totalBookings] = await Promise.all([
+            Booking.find(filter)
+                .select('user_id status paymentStatus tickets')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('user_id', 'username fullname email'),
+            Booking.countDocuments(filter)
+        ]);
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            {
+                eventId: event._id,
+                entryPolicy: getEntryPolicy(event),
+                attendees: bookings.map(booking => ({
+                    bookingId: booking._id,
+                    name: booking.user_id ? (booking.user_id.fullname || booking.user_id.username) : null,
+                    email: booking.user_id?.email || null,
+                    admissible: isBookingAdmissible(booking),
+                    tickets: booking.tickets.map(ticket => ({
+                        ticketId: ticket.ticketId,
+                        seat: ticket.seat || null,
+                        ticketTypeName: ticket.ticketTypeName || null,
+                        scanned: Boolean(ticket.scanStatus),
+                        scannedAt: ticket.scannedAt || null,
+                        inside: Boolean(ticket.inside)
+                    }))
+                })),
+                pagination: {
+                    currentPage: page,
+                    totalPages: Math.ceil(totalBookings / limit),
+                    totalItems: totalBookings,
+                    itemsPerPage: limit
+                }
+            },
+            'Asistentes obtenidos correctamente'
+        ));
+    } catch (error) {
+        console.error('Error al buscar asistentes:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Error al buscar asistentes');
+    }
+});
+
+export default {
+    scanQRCode,
+    getScanManifest,
+    uploadOfflineScans,
+    searchEventAttendees
+};
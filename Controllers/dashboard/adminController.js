@@ -4,7 +4,39 @@ import User from '../../models/User.js';
 import { ApiError } from '../../utils/ApiError.js';
 import { ApiResponse } from '../../utils/ApiResponse.js';
 import { asyncHandler } from '../../utils/asyncHandler.js';
+import ActivityLog from '../../models/ActivityLog.js';
+import Communication, { COMMUNICATION_TYPES } from '../../models/Communication.js';
+import { createCommunication, formatCommunication, markCommunicationRead } from '../../utils/communicationService.js';
+import { logActivity } from '../../utils/activityLogger.js';
+import { TWO_FACTOR_SECRET_FIELDS, clearTwoFactor } from '../../utils/twoFactor.js';
+import { getAccountLock, unlockAccount, unlockIp, getActiveLockouts } from '../../utils/loginProtection.js';
 import mongoose from 'mongoose';
+import os from 'os';
+import fs from 'fs';
+import { getMetricsSnapshot } from '../../utils/metrics.js';
+import { normalizeCommissionOverride } from '../../utils/commissionService.js';
+import { deleteEventInventory } from '../../utils/seatInventory.js';
+import WebhookEvent, { WEBHOOK_EVENT_STATUSES } from '../../models/WebhookEvent.js';
+import { replayPaymentWebhookEvent } from '../stripControllers.js';
+import PayoutBatch, { PAYOUT_BATCH_STATUSES } from '../../models/PayoutBatch.js';
+import {
+    syncLedger,
+    generatePayoutBatches,
+    approvePayoutBatch,
+    markPayoutBatchPaid,
+    cancelPayoutBatch
+} from '../../utils/payoutLedger.js';
+import {
+    normalizeIban,
+    normalizeBic,
+    isValidIban,
+    isValidBic,
+    normalizeBankAccount,
+    formatBankAccount,
+    getBatchPayments,
+    buildSepaCreditTransferXml,
+    buildPayoutCsv
+} from '../../utils/sepa.js';
 
 // Metadatos para la interfaz de usuario - estos datos serán usados por el frontend
 const UI_METADATA = {
@@ -248,7 +280,10 @@ export const getUserManagementData = asyncHandler(async (req, res) => {
             createdAt: user.createdAt,
             lastLogin: user.lastLoginDate || null,
             verified: user.isVerified || false,
-            company: user.companyName || ''
+            company: user.companyName || '',
+            twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+            locked: Boolean(getAccountLock(user)),
+            lockUntil: getAccountLock(user)
         }));
         
         // Prepare pagination data
@@ -286,7 +321,12 @@ export const getUserManagementData = asyncHandler(async (req, res) => {
  */
 export const updateUser = asyncHandler(async (req, res) => {
     const { userId } = req.params;
-    const { role, status, fullname, phoneNumber, companyName } = req.body;
+    const { role, status, fullname, phoneNumber, companyName, unlock, commission, bankAccount } = req.body;
+    
+    // Individual commission agreement for an organizer (null removes it)
+    const commissionOverride = commission !== undefined ? normalizeCommissionOverride(commission) : undefined;
+    // Organizer payout account (null removes it)
+    const payoutAccount = bankAccount !== undefined ? normalizeBankAccount(bankAccount) : undefined;
     
     try {
         // Find the user
@@ -302,13 +342,41 @@ export const updateUser = asyncHandler(async (req, res) => {
         if (fullname) user.fullname = fullname;
         if (phoneNumber) user.phoneNumber = phoneNumber;
         if (companyName) user.companyName = companyName;
+        if (commissionOverride !== undefined) user.set('commission', commissionOverride || undefined);
+        if (payoutAccount !== undefined) user.set('bankAccount', payoutAccount || undefined);
+        
+        // Clear a login lockout (failed attempts and backoff)
+        const unlocked = unlock === true && unlockAccount(user);
         
         // Save the updated user
         await user.save();
         
+        if (unlocked) {
+            logActivity({
+                type: 'security',
+                action: 'Cuenta desbloqueada',
+                user: req.user,
+                details: `Cuenta ${user.email} desbloqueada por un administrador`,
+                req,
+                targetType: 'user',
+                targetId: user._id
+            });
+        }
+        
+        logActivity({
+            type: 'admin-action',
+            action: 'Usuario modificado',
+            user: req.user,
+            details: `Usuario ${user.email} modificado (${Object.keys(req.body).join(', ')})`,
+            req,
+            targetType: 'user',
+            targetId: user._id,
+            metadata: { role, status, commission: commissionOverride }
+        });
+        
         return res.status(200).json(new ApiResponse(
             200,
-            { user: { ...user.toObject(), password: undefined } },
+            { user: { ...user.toObject(), password: undefined, bankAccount: formatBankAccount(user.bankAccount) }, unlocked },
             'User updated successfully'
         ));
     } catch (error) {
@@ -318,6 +386,138 @@ export const updateUser = asyncHandler(async (req, res) => {
     }
 });
 
+/**
+ * @desc    Reset a user's two-factor authentication (lost device)
+ * @route   DELETE /api/v1/admin/users/:userId/2fa
+ * @access  Private (Admin only)
+ */
+export const resetUserTwoFactor = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+        throw new ApiError(400, 'Invalid user ID');
+    }
+    
+    try {
+        const user = await User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+        
+        if (!user) {
+            throw new ApiError(404, 'User not found');
+        }
+        
+        if (!user.twoFactor?.enabled && !user.twoFactor?.pendingSecret) {
+            throw new ApiError(400, 'Two-factor authentication is not enabled for this user');
+        }
+        
+        clearTwoFactor(user);
+        await user.save();
+        
+        logActivity({
+            type: 'security',
+            action: 'Verificación en dos pasos restablecida',
+            user: req.user,
+            details: `Verificación en dos pasos de ${user.email} restablecida por un administrador`,
+            req,
+            targetType: 'user',
+            targetId: user._id
+        });
+        
+        return res.status(200).json(new ApiResponse(
+            200,
+            null,
+            'Two-factor authentication reset successfully'
+        ));
+    } catch (error) {
+        console.error('Error resetting two-factor authentication:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to reset two-factor authentication');
+    }
+});
+
+/**
+ * @desc    Get active login lockouts (accounts and IP addresses) and recent lockout events
+ * @route   GET /api/v1/admin/security/lockouts
+ * @access  Private (Admin only)
+ */
+export const getLoginLockouts = asyncHandler(async (req, res) => {
+    try {
+        const [{ accounts, ips }, recentEvents] = await Promise.all([
+            getActiveLockouts(),
+            ActivityLog.find({
+                type: 'security',
+                action: { $in: ['Cuenta bloqueada', 'Dirección IP bloqueada', 'Cuenta desbloqueada', 'Dirección IP desbloqueada'] }
+            })
+                .sort({ createdAt: -1 })
+                .limit(50)
+                .lean()
+        ]);
+        
+        return res.status(200).json(new ApiResponse(
+            200,
+            {
+                accounts: accounts.map(user => ({
+                    id: user._id,
+                    username: user.username,
+                    email: user.email,
+                    fullname: user.fullname || '',
+                    role: user.role,
+                    lockUntil: user.lockUntil,
+                    lockoutCount: user.lockoutCount,
+                    lastFailedLogin: user.lastFailedLoginAt
+                })),
+                ips: ips.map(record => ({
+                    ip: record.ip,
+                    lockUntil: record.lockUntil,
+                    lockoutCount: record.lockoutCount,
+                    lastFailedLogin: record.lastFailedAt
+                })),
+                recentEvents
+            },
+            'Login lockouts retrieved successfully'
+        ));
+    } catch (error) {
+        console.error('Error fetching login lockouts:', error);
+        throw new ApiError(500, 'Failed to retrieve login lockouts');
+    }
+});
+
+/**
+ * @desc    Remove the login lockout of an IP address
+ * @route   DELETE /api/v1/admin/security/lockouts/ip/:ip
+ * @access  Private (Admin only)
+ */
+export const unlockLoginIp = asyncHandler(async (req, res) => {
+    const { ip } = req.params;
+    
+    try {
+        const removed = await unlockIp(ip);
+        
+        if (!removed) {
+            throw new ApiError(404, 'No lockout found for this IP address');
+        }
+        
+        logActivity({
+            type: 'security',
+            action: 'Dirección IP desbloqueada',
+            user: req.user,
+            details: `IP ${ip} desbloqueada por un administrador`,
+            req,
+            targetType: 'ip',
+            targetId: ip
+        });
+        
+        return res.status(200).json(new ApiResponse(
+            200,
+            null,
+            'IP address unlocked successfully'
+        ));
+    } catch (error) {
+        console.error('Error unlocking IP address:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to unlock IP address');
+    }
+});
+
 /**
  * @desc    Delete user
  * @route   DELETE /api/v1/admin/users/:userId
@@ -342,6 +542,16 @@ export const deleteUser = asyncHandler(async (req, res) => {
         // Delete the user
         await User.findByIdAndDelete(userId);
         
+        logActivity({
+            type: 'admin-action',
+            action: 'Usuario eliminado',
+            user: req.user,
+            details: `Usuario ${user.email} eliminado`,
+            req,
+            targetType: 'user',
+            targetId: userId
+        });
+        
         return res.status(200).json(new ApiResponse(
             200,
             null,
@@ -484,6 +694,16 @@ export const updateEventStatus = asyncHandler(async (req, res) => {
         event.published = status === 'published';
         await event.save();
         
+        logActivity({
+            type: 'admin-action',
+            action: event.published ? 'Evento publicado' : 'Evento despublicado',
+            user: req.user,
+            details: `Evento "${event.name}" ${event.published ? 'publicado' : 'despublicado'}`,
+            req,
+            targetType: 'event',
+            targetId: event._id
+        });
+        
         return res.status(200).json(new ApiResponse(
             200,
             { event },
@@ -517,6 +737,16 @@ export const toggleEventFeatured = asyncHandler(async (req, res) => {
         event.featured = featured;
         await event.save();
         
+        logActivity({
+            type: 'admin-action',
+            action: 'Evento modificado',
+            user: req.user,
+            details: `Evento "${event.name}" ${featured ? 'marcado como destacado' : 'quitado de destacados'}`,
+            req,
+            targetType: 'event',
+            targetId: event._id
+        });
+        
         return res.status(200).json(new ApiResponse(
             200,
             { event },
@@ -529,6 +759,54 @@ export const toggleEventFeatured = asyncHandler(async (req, res) => {
     }
 });
 
+/**
+ * @desc    Set or remove the commission override of an event
+ * @route   PATCH /api/v1/admin/events/:eventId/commission
+ * @access  Private (Admin only)
+ */
+export const updateEventCommission = asyncHandler(async (req, res) => {
+    const { eventId } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+        throw new ApiError(400, 'Invalid event ID');
+    }
+    
+    // Only new bookings use the new terms: existing bookings keep the commission they were charged
+    const override = normalizeCommissionOverride(req.body.commission ?? null);
+    
+    try {
+        const event = await Event.findById(eventId);
+        
+        if (!event) {
+            throw new ApiError(404, 'Event not found');
+        }
+        
+        event.set('commission', override || undefined);
+        await event.save();
+        
+        logActivity({
+            type: 'admin-action',
+            action: override ? 'Comisión del evento modificada' : 'Comisión del evento restablecida',
+            user: req.user,
+            details: `Comisión del evento "${event.name}" ${override ? `fijada en ${JSON.stringify(override)}` : 'restablecida a la del organizador'}`,
+            req,
+            targetType: 'event',
+            targetId: event._id,
+            metadata: { commission: override }
+        });
+        
+        return res.status(200).json(new ApiResponse(
+            200,
+            { eventId: event._id, commission: override },
+            override ? 'Event commission updated successfully' : 'Event commission override removed'
+        ));
+    } catch (error) {
+        console.error('Error updating event commission:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to update event commission');
+    }
+});
+
 /**
  * @desc    Delete event
  * @route   DELETE /api/v1/admin/events/:eventId
@@ -552,8 +830,19 @@ export const deleteEvent = asyncHandler(async (req, res) => {
             throw new ApiError(400, 'Cannot delete event with active bookings');
         }
         
-        // Delete the event
+        // Delete the event and its seat inventory
         await Event.findByIdAndDelete(eventId);
+        await deleteEventInventory(eventId);
+        
+        logActivity({
+            type: 'admin-action',
+            action: 'Evento eliminado',
+            user: req.user,
+            details: `Evento "${event.name}" eliminado`,
+            req,
+            targetType: 'event',
+            targetId: eventId
+        });
         
         return res.status(200).json(new ApiResponse(
             200,
@@ -936,6 +1225,7 @@ export const getCategoryManagementData = asyncHandler(async (req, res) => {
 
 import SystemSettings from '../../models/SystemSettings.js';
 import emailService from '../../utils/emailService.js';
+import { invalidateSettingsCache } from '../../utils/settingsCache.js';
 
 /**
  * @desc    Get system settings
@@ -974,11 +1264,22 @@ export const getSystemSettings = asyncHandler(async (req, res) => {
                 paypalEnabled: settings.payment?.paypalEnabled || false,
                 paypalClientId: settings.payment?.paypalClientId || '',
                 paypalClientSecret: settings.payment?.paypalClientSecret ? '********************************' : '',
-                bankTransferEnabled: settings.payment?.bankTransferEnabled || true,
+                paypalMode: settings.payment?.paypalMode || 'sandbox',
+                paypalWebhookId: settings.payment?.paypalWebhookId || '',
+                bankTransferEnabled: settings.payment?.bankTransferEnabled !== undefined ? settings.payment.bankTransferEnabled : true,
                 bankTransferInstructions: settings.payment?.bankTransferInstructions || 'Realiza la transferencia a la siguiente cuenta bancaria...',
+                bankTransferHoldDays: settings.payment?.bankTransferHoldDays || 3,
                 commissionRate: settings.payment?.commissionRate || 5,
                 commissionType: settings.payment?.commissionType || 'percentage',
-                commissionFixed: settings.payment?.commissionFixed || 0
+                commissionFixed: settings.payment?.commissionFixed || 0,
+                commissionPayer: settings.payment?.commissionPayer || 'buyer',
+                payoutHoldDays: settings.payment?.payoutHoldDays !== undefined ? settings.payment.payoutHoldDays : 3,
+                payoutAccountName: settings.payment?.payoutAccountName || '',
+                payoutAccountIban: settings.payment?.payoutAccountIban || '',
+                payoutAccountBic: settings.payment?.payoutAccountBic || '',
+                taxName: settings.payment?.taxName || 'IVA',
+                taxRate: settings.payment?.taxRate || 0,
+                taxIncluded: settings.payment?.taxIncluded !== undefined ? settings.payment.taxIncluded : true
             },
             events: {
                 maxTicketsPerPurchase: settings.events?.maxTicketsPerPurchase || 10,
@@ -992,8 +1293,8 @@ export const getSystemSettings = asyncHandler(async (req, res) => {
                 enablePartialRefunds: settings.events?.enablePartialRefunds !== undefined ? settings.events.enablePartialRefunds : false,
                 defaultEventDuration: settings.events?.defaultEventDuration || 120,
                 defaultTicketTypes: settings.events?.defaultTicketTypes || [
-                    { id: 'standard', name: 'Estándar', color: '#2196F3' },
-                    { id: 'vip', name: 'VIP', color: '#F44336' }
+                    { id: 'standard', name: 'Estándar', color: '#2196F3', seatType: 'economy' },
+                    { id: 'vip', name: 'VIP', color: '#F44336', seatType: 'vip' }
                 ]
             },
             security: {
@@ -1052,6 +1353,20 @@ export const getSystemSettings = asyncHandler(async (req, res) => {
 export const updateSystemSettings = asyncHandler(async (req, res) => {
     const updatedSettings = req.body;
     
+    // The payout account is the debtor of the SEPA payout files
+    if (updatedSettings?.payment?.payoutAccountIban) {
+        updatedSettings.payment.payoutAccountIban = normalizeIban(updatedSettings.payment.payoutAccountIban);
+        if (!isValidIban(updatedSettings.payment.payoutAccountIban)) {
+            throw new ApiError(400, 'payoutAccountIban is not a valid IBAN from a SEPA country');
+        }
+    }
+    if (updatedSettings?.payment?.payoutAccountBic) {
+        updatedSettings.payment.payoutAccountBic = normalizeBic(updatedSettings.payment.payoutAccountBic);
+        if (!isValidBic(updatedSettings.payment.payoutAccountBic)) {
+            throw new ApiError(400, 'payoutAccountBic must be a valid 8 or 11 character BIC');
+        }
+    }
+    
     try {
         // Validate the data
         if (!updatedSettings) {
@@ -1100,6 +1415,19 @@ export const updateSystemSettings = asyncHandler(async (req, res) => {
         // Save to database
         await currentSettings.save();
         
+        // Make the new values (e.g. maintenance mode) effective immediately
+        invalidateSettingsCache();
+        
+        logActivity({
+            type: 'admin-action',
+            action: 'Configuración del sistema modificada',
+            user: req.user,
+            details: `Secciones modificadas: ${Object.keys(updatedSettings).join(', ')}`,
+            req,
+            targetType: 'settings',
+            targetId: currentSettings._id
+        });
+        
         // Mask sensitive values for response
         const maskedSettings = JSON.parse(JSON.stringify(currentSettings));
         
@@ -1299,6 +1627,7 @@ export const updateEmailSettings = asyncHandler(async (req, res) => {
         
         // Save to database
         await settings.save();
+        invalidateSettingsCache();
         
         // Update environment variables for immediate effect
         if (settings.email.useApi && settings.email.apiSettings.apiKey) {
@@ -1458,112 +1787,100 @@ export const sendTestEmail = asyncHandler(async (req, res) => {
  * @access  Private (Admin only)
  */
 export const getCommunicationHistory = asyncHandler(async (req, res) => {
-    const { organizerId, startDate, endDate, type } = req.query;
+    const { organizerId, startDate, endDate, type, status } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
     
     try {
-        // In a real app, you'd have a Message or Communication model
-        // For this example, we'll return mock data
+        // Build the filter (only thread starters; replies are counted per thread)
+        const filter = { thread: null };
         
-        // Get organizer info if organizerId is provided
-        let organizer = null;
         if (organizerId) {
-            organizer = await User.findById(organizerId);
+            if (!mongoose.Types.ObjectId.isValid(organizerId)) {
+                throw new ApiError(400, 'Invalid organizer ID');
+            }
+            const organizer = await User.findById(organizerId);
             if (!organizer || organizer.role !== 'organizer') {
                 throw new ApiError(404, 'Organizer not found');
             }
+            filter.organizer = organizer._id;
         }
         
-        // Generate mock communications data
-        const generateMockCommunications = (count) => {
-            const types = ['email', 'notification', 'system-message', 'support-ticket'];
-            const subjects = [
-                'Verificación de evento',
-                'Actualización de comisiones',
-                'Problema con el sistema de reservas',
-                'Cambios en los términos de servicio',
-                'Recordatorio de pago pendiente',
-                'Nueva característica disponible',
-                'Respuesta a su consulta'
-            ];
-            const statuses = ['sent', 'delivered', 'read', 'replied'];
-            
-            const communications = [];
-            
-            // Get all organizers if no specific organizerId
-            const organizers = [
-                { id: "5f8d0e3542f2c71d1c9b0e1a", name: "María López", email: "maria@example.com" },
-                { id: "5f8d0e3542f2c71d1c9b0e1b", name: "Carlos Rodríguez", email: "carlos@ejemplo.com" },
-                { id: "5f8d0e3542f2c71d1c9b0e1c", name: "Ana Martínez", email: "ana@ejemplo.com" }
-            ];
-            
-            // If organizerId is provided, filter to just that organizer
-            const recipientList = organizerId 
-                ? [{ id: organizerId, name: organizer.username, email: organizer.email }]
-                : organizers;
-            
-            // Generate mock communications
-            for (let i = 0; i < count; i++) {
-                const date = new Date();
-                date.setDate(date.getDate() - Math.floor(Math.random() * 30)); // Random date in last 30 days
-                
-                const recipient = recipientList[Math.floor(Math.random() * recipientList.length)];
-                const messageType = types[Math.floor(Math.random() * types.length)];
-                const subject = subjects[Math.floor(Math.random() * subjects.length)];
-                const status = statuses[Math.floor(Math.random() * statuses.length)];
-                
-                communications.push({
-                    id: `comm-${i}`,
-                    type: messageType,
-                    subject,
-                    content: `Este es un mensaje de ejemplo para ${recipient.name} sobre ${subject.toLowerCase()}.`,
-                    sentDate: date.toISOString(),
-                    recipient: {
-                        id: recipient.id,
-                        name: recipient.name,
-                        email: recipient.email
-                    },
-                    sender: {
-                        id: "admin",
-                        name: "Admin Sistema",
-                        email: "admin@entradasmelilla.com"
-                    },
-                    status,
-                    readDate: status === 'read' || status === 'replied' ? new Date(date.getTime() + 3600000).toISOString() : null,
-                    repliedDate: status === 'replied' ? new Date(date.getTime() + 7200000).toISOString() : null
-                });
+        if (type) {
+            if (!COMMUNICATION_TYPES.includes(type)) {
+                throw new ApiError(400, `Invalid communication type. Allowed: ${COMMUNICATION_TYPES.join(', ')}`);
             }
-            
-            // Apply filters
-            let filtered = [...communications];
-            
-            if (type) {
-                filtered = filtered.filter(comm => comm.type === type);
-            }
-            
+            filter.type = type;
+        }
+        
+        if (status) {
+            filter.status = status;
+        }
+        
+        if (startDate || endDate) {
+            filter.createdAt = {};
             if (startDate) {
-                const startDateObj = new Date(startDate);
-                filtered = filtered.filter(comm => new Date(comm.sentDate) >= startDateObj);
+                filter.createdAt.$gte = new Date(startDate);
             }
-            
             if (endDate) {
                 const endDateObj = new Date(endDate);
                 endDateObj.setHours(23, 59, 59, 999);
-                filtered = filtered.filter(comm => new Date(comm.sentDate) <= endDateObj);
+                filter.createdAt.$lte = endDateObj;
             }
-            
-            return filtered.sort((a, b) => new Date(b.sentDate) - new Date(a.sentDate));
-        };
+        }
+        
+        const skip = (page - 1) * limit;
+        
+        const [messages, totalItems, statusCounts] = await Promise.all([
+            Communication.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('sender', 'username fullname email role')
+                .populate('recipient', 'username fullname email role'),
+            Communication.countDocuments(filter),
+            Communication.aggregate([
+                { $match: filter },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ])
+        ]);
+        
+        // Count replies for each thread on this page
+        const replyCounts = await Communication.aggregate([
+            { $match: { thread: { $in: messages.map(message => message._id) } } },
+            { $group: { _id: '$thread', count: { $sum: 1 }, lastReply: { $max: '$createdAt' } } }
+        ]);
+        const repliesByThread = {};
+        replyCounts.forEach(({ _id, count, lastReply }) => {
+            repliesByThread[_id.toString()] = { count, lastReply };
+        });
+        
+        const communications = messages.map(message => ({
+            ...formatCommunication(message),
+            replies: repliesByThread[message._id.toString()]?.count || 0,
+            lastReplyDate: repliesByThread[message._id.toString()]?.lastReply || null
+        }));
         
-        const communications = generateMockCommunications(20);
+        const byStatus = {};
+        statusCounts.forEach(({ _id, count }) => {
+            byStatus[_id] = count;
+        });
         
         // Prepare response data
         const responseData = {
             communications,
             summary: {
-                total: communications.length,
-                read: communications.filter(c => c.status === 'read' || c.status === 'replied').length,
-                unread: communications.filter(c => c.status !== 'read' && c.status !== 'replied').length,
-                replied: communications.filter(c => c.status === 'replied').length
+                total: totalItems,
+                read: (byStatus.read || 0) + (byStatus.replied || 0),
+                unread: totalItems - (byStatus.read || 0) - (byStatus.replied || 0),
+                replied: byStatus.replied || 0,
+                failed: byStatus.failed || 0
+            },
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalItems / limit),
+                totalItems,
+                itemsPerPage: limit
             }
         };
         
@@ -1579,56 +1896,123 @@ export const getCommunicationHistory = asyncHandler(async (req, res) => {
     }
 });
 
+/**
+ * @desc    Get a communication thread with all its replies
+ * @route   GET /api/v1/admin/communications/:communicationId
+ * @access  Private (Admin only)
+ */
+export const getCommunicationThread = asyncHandler(async (req, res) => {
+    const { communicationId } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(communicationId)) {
+        throw new ApiError(400, 'Invalid communication ID');
+    }
+    
+    try {
+        const communication = await Communication.findById(communicationId);
+        
+        if (!communication) {
+            throw new ApiError(404, 'Communication not found');
+        }
+        
+        const threadId = communication.thread || communication._id;
+        const messages = await Communication.find({ $or: [{ _id: threadId }, { thread: threadId }] })
+            .sort({ createdAt: 1 })
+            .populate('sender', 'username fullname email role')
+            .populate('recipient', 'username fullname email role');
+        
+        // Opening the thread marks the replies addressed to this admin as read
+        await Promise.all(messages
+            .filter(message => message.recipient?._id.toString() === req.user._id.toString())
+            .map(message => markCommunicationRead(message)));
+        
+        return res.status(200).json(new ApiResponse(
+            200,
+            { thread: messages.map(formatCommunication) },
+            'Communication thread retrieved successfully'
+        ));
+    } catch (error) {
+        console.error('Error fetching communication thread:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to retrieve communication thread');
+    }
+});
+
 /**
  * @desc    Send communication to organizer
  * @route   POST /api/v1/admin/communications
  * @access  Private (Admin only)
  */
 export const sendCommunication = asyncHandler(async (req, res) => {
-    const { recipientId, subject, message, type = 'email' } = req.body;
+    const { recipientId, subject, message, type = 'email', parentId } = req.body;
     
-    if (!recipientId || !subject || !message) {
+    if (!message || (!parentId && (!recipientId || !subject))) {
         throw new ApiError(400, 'Recipient, subject and message are required');
     }
     
+    if (!COMMUNICATION_TYPES.includes(type)) {
+        throw new ApiError(400, `Invalid communication type. Allowed: ${COMMUNICATION_TYPES.join(', ')}`);
+    }
+    
     try {
+        // Replies continue an existing thread with its organizer
+        let parent = null;
+        if (parentId) {
+            if (!mongoose.Types.ObjectId.isValid(parentId)) {
+                throw new ApiError(400, 'Invalid communication ID');
+            }
+            parent = await Communication.findById(parentId);
+            if (!parent) {
+                throw new ApiError(404, 'Communication not found');
+            }
+        }
+        
         // Verify recipient exists and is an organizer
-        const recipient = await User.findById(recipientId);
+        const recipient = await User.findById(parent ? parent.organizer : recipientId);
         
         if (!recipient) {
             throw new ApiError(404, 'Recipient not found');
         }
         
-        // In a real app, you would:
-        // 1. Save the communication to a Communications collection
-        // 2. Send actual email or notification depending on type
-        // 3. Track delivery status
-        
-        // For this example, we'll simulate success
+        if (recipient.role !== 'organizer') {
+            throw new ApiError(400, 'Communications can only be sent to organizers');
+        }
         
-        // Mock response data
-        const communicationData = {
-            id: `comm-${Date.now()}`,
-            type,
-            subject,
+        const communication = await createCommunication({
+            sender: req.user,
+            recipient,
+            organizer: recipient,
+            type: parent ? parent.type : type,
+            subject: parent ? (subject || `Re: ${parent.subject}`) : subject,
             content: message,
-            sentDate: new Date().toISOString(),
-            recipient: {
-                id: recipient._id,
-                name: recipient.username,
-                email: recipient.email
-            },
-            sender: {
-                id: req.user._id,
-                name: req.user.username,
-                email: req.user.email
-            },
-            status: 'sent'
-        };
+            parent
+        });
+        
+        await communication.populate([
+            { path: 'sender', select: 'username fullname email role' },
+            { path: 'recipient', select: 'username fullname email role' }
+        ]);
+        
+        logActivity({
+            type: 'admin-action',
+            action: 'Comunicación enviada',
+            user: req.user,
+            details: `Mensaje "${communication.subject}" (${communication.type}) enviado a ${recipient.email}`,
+            req,
+            targetType: 'communication',
+            targetId: communication._id,
+            metadata: { status: communication.status }
+        });
+        
+        if (communication.status === 'failed') {
+            throw new ApiError(502, `Communication saved but delivery failed: ${communication.deliveryError}`, [
+                { communicationId: communication._id }
+            ]);
+        }
         
         return res.status(200).json(new ApiResponse(
             200,
-            communicationData,
+            formatCommunication(communication),
             'Communication sent successfully'
         ));
     } catch (error) {
@@ -1649,81 +2033,63 @@ export const getActivityLog = asyncHandler(async (req, res) => {
     const limit = parseInt(req.query.limit) || 20;
     
     try {
-        // In a real app, you'd have an ActivityLog collection
-        // For this example, we'll generate mock data
-        
-        // Generate mock activity log entries
-        const generateMockActivityLog = (count) => {
-            const types = ['user-login', 'user-registration', 'event-created', 'booking-completed', 'payment-processed', 'admin-action', 'system'];
-            const actions = [
-                'Inicio de sesión',
-                'Nuevo usuario registrado',
-                'Evento creado',
-                'Evento modificado',
-                'Evento publicado',
-                'Reserva completada',
-                'Pago procesado',
-                'Usuario modificado',
-                'Configuración del sistema modificada'
-            ];
-            
-            const activityLog = [];
-            
-            for (let i = 0; i < count; i++) {
-                const date = new Date();
-                date.setDate(date.getDate() - Math.floor(Math.random() * 14)); // Random date in last 14 days
-                date.setHours(date.getHours() - Math.floor(Math.random() * 24)); // Random hour
-                
-                const activityType = types[Math.floor(Math.random() * types.length)];
-                const action = actions[Math.floor(Math.random() * actions.length)];
-                
-                const mockUserId = Math.random() > 0.5 ? "5f8d0e3542f2c71d1c9b0e1a" : "5f8d0e3542f2c71d1c9b0e1b";
-                const mockUserName = mockUserId === "5f8d0e3542f2c71d1c9b0e1a" ? "María López" : "Carlos Rodríguez";
-                
-                activityLog.push({
-                    id: `log-${i}`,
-                    type: activityType,
-                    action,
-                    timestamp: date.toISOString(),
-                    userId: activityType === 'system' ? null : mockUserId,
-                    username: activityType === 'system' ? 'Sistema' : mockUserName,
-                    details: `Detalles de la acción: ${action}`,
-                    ipAddress: `192.168.${Math.floor(Math.random() * 255)}.${Math.floor(Math.random() * 255)}`,
-                    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-                });
-            }
-            
-            // Apply filters
-            let filtered = [...activityLog];
-            
-            if (type) {
-                filtered = filtered.filter(log => log.type === type);
-            }
-            
-            if (userId) {
-                filtered = filtered.filter(log => log.userId === userId);
+        // Build the filter
+        const filter = {};
+        
+        if (type) {
+            filter.type = type;
+        }
+        
+        if (userId) {
+            if (!mongoose.Types.ObjectId.isValid(userId)) {
+                throw new ApiError(400, 'Invalid user ID');
             }
-            
+            filter.user_id = new mongoose.Types.ObjectId(userId);
+        }
+        
+        if (startDate || endDate) {
+            filter.createdAt = {};
             if (startDate) {
-                const startDateObj = new Date(startDate);
-                filtered = filtered.filter(log => new Date(log.timestamp) >= startDateObj);
+                filter.createdAt.$gte = new Date(startDate);
             }
-            
             if (endDate) {
                 const endDateObj = new Date(endDate);
                 endDateObj.setHours(23, 59, 59, 999);
-                filtered = filtered.filter(log => new Date(log.timestamp) <= endDateObj);
+                filter.createdAt.$lte = endDateObj;
             }
-            
-            return filtered.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-        };
-        
-        const allLogs = generateMockActivityLog(100);
+        }
         
-        // Apply pagination
-        const totalLogs = allLogs.length;
+        // Calculate pagination
         const skip = (page - 1) * limit;
-        const paginatedLogs = allLogs.slice(skip, skip + limit);
+        
+        const [logs, totalLogs, typeCounts] = await Promise.all([
+            ActivityLog.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            ActivityLog.countDocuments(filter),
+            ActivityLog.aggregate([
+                { $match: filter },
+                { $group: { _id: '$type', count: { $sum: 1 } } }
+            ])
+        ]);
+        
+        // Format log entries
+        const paginatedLogs = logs.map(log => ({
+            id: log._id,
+            type: log.type,
+            action: log.action,
+            timestamp: log.createdAt,
+            userId: log.user_id,
+            username: log.username,
+            details: log.details,
+            targetType: log.targetType,
+            targetId: log.targetId,
+            ipAddress: log.ipAddress,
+            userAgent: log.userAgent,
+            metadata: log.metadata
+        }));
         
         // Get activity summary
         const summary = {
@@ -1731,12 +2097,8 @@ export const getActivityLog = asyncHandler(async (req, res) => {
             byType: {}
         };
         
-        // Count activities by type
-        allLogs.forEach(log => {
-            if (!summary.byType[log.type]) {
-                summary.byType[log.type] = 0;
-            }
-            summary.byType[log.type]++;
+        typeCounts.forEach(({ _id, count }) => {
+            summary.byType[_id] = count;
         });
         
         // Prepare pagination data
@@ -1763,6 +2125,109 @@ export const getActivityLog = asyncHandler(async (req, res) => {
     }
 });
 
+/**
+ * @desc    List payment webhook events (failed ones can be replayed)
+ * @route   GET /api/v1/admin/webhooks
+ * @access  Private (Admin only)
+ */
+export const getWebhookEvents = asyncHandler(async (req, res) => {
+    const { status, type } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    
+    if (status && !WEBHOOK_EVENT_STATUSES.includes(status)) {
+        throw new ApiError(400, `Invalid status. Allowed: ${WEBHOOK_EVENT_STATUSES.join(', ')}`);
+    }
+    
+    try {
+        const filter = {};
+        if (status) filter.status = status;
+        if (type) filter.type = type;
+        
+        const skip = (page - 1) * limit;
+        
+        const [events, totalEvents, statusCounts] = await Promise.all([
+            WebhookEvent.find(filter)
+                .select('-payload')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('replayedBy', 'username email')
+                .lean(),
+            WebhookEvent.countDocuments(filter),
+            WebhookEvent.aggregate([
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ])
+        ]);
+        
+        const summary = Object.fromEntries(WEBHOOK_EVENT_STATUSES.map(s => [s, 0]));
+        statusCounts.forEach(({ _id, count }) => {
+            summary[_id] = count;
+        });
+        
+        return res.status(200).json(new ApiResponse(
+            200,
+            {
+                events: events.map(event => ({
+                    id: event._id,
+                    provider: event.provider,
+                    eventId: event.eventId,
+                    type: event.type,
+                    status: event.status,
+                    attempts: event.attempts,
+                    lastError: event.lastError,
+                    result: event.result,
+                    receivedAt: event.createdAt,
+                    lastAttemptAt: event.lastAttemptAt,
+                    processedAt: event.processedAt,
+                    replayedBy: event.replayedBy,
+                    replayedAt: event.replayedAt,
+                    canReplay: event.status === 'failed'
+                })),
+                summary,
+                pagination: {
+                    currentPage: page,
+                    totalPages: Math.ceil(totalEvents / limit),
+                    totalItems: totalEvents,
+                    itemsPerPage: limit
+                }
+            },
+            'Webhook events retrieved successfully'
+        ));
+    } catch (error) {
+        console.error('Error fetching webhook events:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to retrieve webhook events');
+    }
+});
+
+/**
+ * @desc    Replay a failed payment webhook event
+ * @route   POST /api/v1/admin/webhooks/:webhookEventId/replay
+ * @access  Private (Admin only)
+ */
+export const replayWebhookEvent = asyncHandler(async (req, res) => {
+    const { webhookEventId } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(webhookEventId)) {
+        throw new ApiError(400, 'Invalid webhook event ID');
+    }
+    
+    try {
+        const { record, outcome, error } = await replayPaymentWebhookEvent(webhookEventId, req.user);
+        
+        return res.status(200).json(new ApiResponse(
+            200,
+            { event: record, outcome, error },
+            error ? 'Webhook event replayed but failed again' : 'Webhook event replayed successfully'
+        ));
+    } catch (error) {
+        console.error('Error replaying webhook event:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to replay webhook event');
+    }
+});
+
 /**
  * @desc    Get system performance metrics
  * @route   GET /api/v1/admin/performance
@@ -1770,106 +2235,151 @@ export const getActivityLog = asyncHandler(async (req, res) => {
  */
 export const getSystemPerformance = asyncHandler(async (req, res) => {
     try {
-        // In a real app, you would fetch actual system metrics
-        // For this example, we'll generate mock data
+        const metrics = getMetricsSnapshot();
+        const mb = (bytes) => Math.round(bytes / 1024 / 1024);
         
-        // Generate mock server metrics
-        const generateServerMetrics = () => {
-            return {
-                cpu: {
-                    usage: Math.floor(Math.random() * 40) + 10, // 10-50%
-                    cores: 4,
-                    model: 'Intel Xeon @ 2.20GHz'
-                },
-                memory: {
-                    total: 8192, // MB
-                    used: Math.floor(Math.random() * 3000) + 2000, // 2000-5000 MB
-                    free: Math.floor(Math.random() * 2000) + 1000 // 1000-3000 MB
-                },
-                disk: {
-                    total: 100, // GB
-                    used: Math.floor(Math.random() * 40) + 30, // 30-70 GB
-                    free: Math.floor(Math.random() * 20) + 10 // 10-30 GB
-                },
-                uptime: Math.floor(Math.random() * 30) + 1, // 1-30 days
-                lastRestart: new Date(Date.now() - (Math.floor(Math.random() * 30) + 1) * 86400000).toISOString()
+        // Server metrics: host resources plus the Node process itself
+        const cpus = os.cpus();
+        const latestCpu = metrics.history.length ? metrics.history[metrics.history.length - 1].cpu : 0;
+        let disk = null;
+        try {
+            const stats = await fs.promises.statfs('/');
+            const gb = (blocks) => Math.round((blocks * stats.bsize) / 1024 / 1024 / 1024 * 10) / 10;
+            disk = {
+                total: gb(stats.blocks),
+                used: gb(stats.blocks - stats.bfree),
+                free: gb(stats.bavail)
             };
-        };
+        } catch (diskError) {
+            console.error('Error reading disk usage:', diskError.message);
+        }
         
-        // Generate mock database metrics
-        const generateDatabaseMetrics = () => {
-            return {
-                connections: Math.floor(Math.random() * 50) + 10, // 10-60 connections
-                size: Math.floor(Math.random() * 1000) + 500, // 500-1500 MB
-                operations: {
-                    reads: Math.floor(Math.random() * 10000) + 5000, // 5000-15000
-                    writes: Math.floor(Math.random() * 5000) + 1000, // 1000-6000
-                    deletes: Math.floor(Math.random() * 500) + 100 // 100-600
-                },
-                responseTime: Math.floor(Math.random() * 100) + 20, // 20-120 ms
-                collections: {
-                    users: Math.floor(Math.random() * 1000) + 500, // 500-1500 documents
-                    events: Math.floor(Math.random() * 500) + 100, // 100-600 documents
-                    bookings: Math.floor(Math.random() * 5000) + 1000, // 1000-6000 documents
-                    reviews: Math.floor(Math.random() * 1000) + 200 // 200-1200 documents
+        const server = {
+            cpu: {
+                usage: latestCpu,
+                loadAverage: os.loadavg(),
+                cores: cpus.length,
+                model: cpus[0]?.model || 'unknown'
+            },
+            memory: {
+                total: mb(os.totalmem()),
+                used: mb(os.totalmem() - os.freemem()),
+                free: mb(os.freemem()),
+                process: {
+                    rss: mb(metrics.process.memory.rss),
+                    heapUsed: mb(metrics.process.memory.heapUsed),
+                    heapTotal: mb(metrics.process.memory.heapTotal)
                 }
-            };
+            },
+            disk,
+            eventLoopLag: metrics.process.eventLoopLag,
+            uptime: Math.floor(metrics.process.uptimeSeconds / 86400), // days
+            uptimeSeconds: metrics.process.uptimeSeconds,
+            lastRestart: metrics.process.startedAt
         };
         
-        // Generate mock performance history
-        const generatePerformanceHistory = () => {
-            const history = [];
-            const now = new Date();
-            
-            for (let i = 0; i < 24; i++) {
-                const date = new Date(now);
-                date.setHours(date.getHours() - i);
-                
-                history.push({
-                    timestamp: date.toISOString(),
-                    cpu: Math.floor(Math.random() * 40) + 10, // 10-50%
-                    memory: Math.floor(Math.random() * 40) + 30, // 30-70%
-                    requests: Math.floor(Math.random() * 1000) + 100, // 100-1100 requests
-                    responseTime: Math.floor(Math.random() * 100) + 20 // 20-120 ms
-                });
-            }
-            
-            return history.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        // Database metrics: connection state, query timings and collection sizes
+        const isConnected = mongoose.connection.readyState === 1;
+        let size = null;
+        let collections = {};
+        if (isConnected) {
+            const [dbStats, users, events, bookings, reviews] = await Promise.all([
+                mongoose.connection.db.stats().catch(() => null),
+                User.estimatedDocumentCount(),
+                Event.estimatedDocumentCount(),
+                Booking.estimatedDocumentCount(),
+                mongoose.connection.db.collection('reviews').estimatedDocumentCount().catch(() => 0)
+            ]);
+            size = dbStats ? mb(dbStats.dataSize) : null;
+            collections = { users, events, bookings, reviews };
+        }
+        
+        const database = {
+            state: metrics.database.state,
+            size, // MB
+            operations: metrics.database.operations,
+            responseTime: metrics.database.avg,
+            latency: {
+                p50: metrics.database.p50,
+                p95: metrics.database.p95,
+                p99: metrics.database.p99
+            },
+            errors: metrics.database.errors,
+            commands: metrics.database.commands,
+            collections
         };
         
-        // System health check
-        const systemHealth = {
-            status: 'healthy', // healthy, warning, critical
+        // Health derived from the rolling window
+        const alerts = [];
+        const now = new Date().toISOString();
+        const addAlert = (severity, message) => alerts.push({
+            id: `alert-${alerts.length + 1}`,
+            severity,
+            message,
+            timestamp: now,
+            resolved: false
+        });
+        
+        if (!isConnected) {
+            addAlert('critical', `Database is ${metrics.database.state}`);
+        }
+        if (metrics.http.errorRate >= 0.05) {
+            addAlert('high', `Server error rate at ${(metrics.http.errorRate * 100).toFixed(1)}% over the last ${metrics.windowMinutes} minutes`);
+        } else if (metrics.http.errorRate >= 0.01) {
+            addAlert('medium', `Server error rate at ${(metrics.http.errorRate * 100).toFixed(1)}% over the last ${metrics.windowMinutes} minutes`);
+        }
+        if (metrics.http.p95 >= 2000) {
+            addAlert('medium', `p95 response time is ${metrics.http.p95}ms`);
+        }
+        if (metrics.process.eventLoopLag.p99 >= 200) {
+            addAlert('medium', `Event loop lag p99 is ${metrics.process.eventLoopLag.p99}ms`);
+        }
+        const failingTasks = metrics.scheduler.filter(task => task.lastSuccess === false);
+        failingTasks.forEach(task => {
+            addAlert('low', `Scheduled task ${task.name} failed on its last run${task.lastError ? `: ${task.lastError}` : ''}`);
+        });
+        
+        const hasCritical = alerts.some(alert => ['critical', 'high'].includes(alert.severity));
+        const health = {
+            status: hasCritical ? 'critical' : (alerts.length ? 'warning' : 'healthy'),
             services: {
-                web: { status: 'running', uptime: '30 days', healthScore: 98 },
-                database: { status: 'running', uptime: '30 days', healthScore: 95 },
-                email: { status: 'running', uptime: '28 days', healthScore: 99 },
-                payments: { status: 'running', uptime: '30 days', healthScore: 100 }
-            },
-            alerts: [
-                {
-                    id: 'alert-1',
-                    severity: 'low',
-                    message: 'CPU usage above 40% for 30 minutes',
-                    timestamp: new Date(Date.now() - 1800000).toISOString(),
-                    resolved: true
+                web: {
+                    status: 'running',
+                    uptimeSeconds: metrics.process.uptimeSeconds,
+                    requests: metrics.http.count,
+                    errorRate: metrics.http.errorRate
+                },
+                database: {
+                    status: isConnected ? 'running' : metrics.database.state,
+                    errorRate: metrics.database.errorRate
                 },
-                {
-                    id: 'alert-2',
-                    severity: 'info',
-                    message: 'Database backup completed successfully',
-                    timestamp: new Date(Date.now() - 3600000).toISOString(),
-                    resolved: true
+                scheduler: {
+                    status: failingTasks.length ? 'degraded' : 'running',
+                    tasks: metrics.scheduler
                 }
-            ]
+            },
+            alerts
         };
         
-        // Prepare response data
         const performanceData = {
-            server: generateServerMetrics(),
-            database: generateDatabaseMetrics(),
-            history: generatePerformanceHistory(),
-            health: systemHealth
+            server,
+            database,
+            requests: {
+                windowMinutes: metrics.windowMinutes,
+                total: metrics.http.count,
+                errors: metrics.http.errors,
+                errorRate: metrics.http.errorRate,
+                requestsPerMinute: metrics.http.requestsPerMinute,
+                responseTime: {
+                    avg: metrics.http.avg,
+                    p50: metrics.http.p50,
+                    p95: metrics.http.p95,
+                    p99: metrics.http.p99
+                },
+                routes: metrics.http.routes
+            },
+            history: metrics.history,
+            health
         };
         
         return res.status(200).json(new ApiResponse(
@@ -1884,21 +2394,441 @@ export const getSystemPerformance = asyncHandler(async (req, res) => {
     }
 });
 
+/**
+ * Format a payout batch for the admin panel
+ * @param {Object} batch - PayoutBatch document (items.organizer_id populated)
+ * @returns {Object}
+ */
+const formatPayoutBatch = (batch) => ({
+    id: batch._id,
+    reference: batch.reference,
+    status: batch.status,
+    currency: batch.currency,
+    periodEnd: batch.periodEnd,
+    totalAmount: batch.totalAmount,
+    organizerCount: batch.items.length,
+    items: batch.items.map(item => ({
+        organizer: item.organizer_id?._id
+            ? {
+                id: item.organizer_id._id,
+                name: item.organizer_id.fullname || item.organizer_id.username,
+                email: item.organizer_id.email,
+                companyName: item.organizer_id.companyName,
+                bankAccount: formatBankAccount(item.organizer_id.bankAccount)
+            }
+            : { id: item.organizer_id },
+        amount: item.amount,
+        entryCount: item.entryCount,
+        // Account recorded when the batch was approved (the SEPA file pays this one)
+        payeeAccount: formatBankAccount(item.bankAccount)
+    })),
+    createdBy: batch.createdBy,
+    createdAt: batch.createdAt,
+    approvedBy: batch.approvedBy,
+    approvedAt: batch.approvedAt,
+    paidBy: batch.paidBy,
+    paidAt: batch.paidAt,
+    paymentReference: batch.paymentReference,
+    sepaExportedAt: batch.sepaExportedAt,
+    cancelledAt: batch.cancelledAt,
+    notes: batch.notes
+});
+
+/**
+ * Explain why a payout batch could not change status
+ * @param {string} batchId - Batch ID
+ * @param {string} action - approved, marked as paid, cancelled
+ * @throws {ApiError} 404 if the batch does not exist, 409 otherwise
+ */
+const throwPayoutTransitionError = async (batchId, action) => {
+    const existing = await PayoutBatch.findById(batchId).select('status');
+    if (!existing) {
+        throw new ApiError(404, 'Payout batch not found');
+    }
+    throw new ApiError(409, `A payout batch with status ${existing.status} cannot be ${action}`);
+};
+
+/**
+ * @desc    List payout batches
+ * @route   GET /api/v1/dashboard/admin/payouts
+ * @access  Private (Admin only)
+ */
+export const getPayoutBatches = asyncHandler(async (req, res) => {
+    const { status } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    
+    if (status && !PAYOUT_BATCH_STATUSES.includes(status)) {
+        throw new ApiError(400, `Invalid status. Allowed: ${PAYOUT_BATCH_STATUSES.join(', ')}`);
+    }
+    
+    try {
+        const filter = status ? { status } : {};
+        const skip = (page - 1) * limit;
+        
+        const [batches, totalBatches, statusTotals] = await Promise.all([
+            PayoutBatch.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('items.organizer_id', 'username fullname email companyName bankAccount'),
+            PayoutBatch.countDocuments(filter),
+            PayoutBatch.aggregate([
+                { $group: { _id: { status: '$status', currency: '$currency' }, count: { $sum: 1 }, amount: { $sum: '$totalAmount' } } }
+            ])
+        ]);
+        
+        const summary = Object.fromEntries(PAYOUT_BATCH_STATUSES.map(s => [s, { count: 0, amounts: {} }]));
+        statusTotals.forEach(({ _id, count, amount }) => {
+            summary[_id.status].count += count;
+            summary[_id.status].amounts[_id.currency] = Math.round(amount * 100) / 100;
+        });
+        
+        return res.status(200).json(new ApiResponse(
+            200,
+            {
+                batches: batches.map(formatPayoutBatch),
+                summary,
+                pagination: {
+                    currentPage: page,
+                    totalPages: Math.ceil(totalBatches / limit),
+                    totalItems: totalBatches,
+                    itemsPerPage: limit
+                }
+            },
+            'Payout batches retrieved successfully'
+        ));
+    } catch (error) {
+        console.error('Error fetching payout batches:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to retrieve payout batches');
+    }
+});
+
+/**
+ * @desc    Get a payout batch
+ * @route   GET /api/v1/dashboard/admin/payouts/:batchId
+ * @access  Private (Admin only)
+ */
+export const getPayoutBatch = asyncHandler(async (req, res) => {
+    const { batchId } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(batchId)) {
+        throw new ApiError(400, 'Invalid payout batch ID');
+    }
+    
+    try {
+        const batch = await PayoutBatch.findById(batchId)
+            .populate('items.organizer_id', 'username fullname email companyName bankAccount');
+        if (!batch) {
+            throw new ApiError(404, 'Payout batch not found');
+        }
+        
+        return res.status(200).json(new ApiResponse(
+            200,
+            formatPayoutBatch(batch),
+            'Payout batch retrieved successfully'
+        ));
+    } catch (error) {
+        console.error('Error fetching payout batch:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to retrieve payout batch');
+    }
+});
+
+/**
+ * @desc    Bring the ledger up to date and group the available balances into payout batches
+ *          (the scheduled task does the same every week)
+ * @route   POST /api/v1/dashboard/admin/payouts/generate
+ * @access  Private (Admin only)
+ */
+export const generatePayouts = asyncHandler(async (req, res) => {
+    const cutoff = req.body?.cutoff ? new Date(req.body.cutoff) : new Date();
+    
+    if (Number.isNaN(cutoff.getTime()) || cutoff > new Date()) {
+        throw new ApiError(400, 'cutoff must be a valid date that is not in the future');
+    }
+    
+    try {
+        const sync = await syncLedger();
+        const batches = await generatePayoutBatches({ user: req.user, cutoff });
+        
+        logActivity({
+            type: 'admin-action',
+            action: 'Liquidaciones generadas',
+            user: req.user,
+            details: batches.length > 0
+                ? `Generados ${batches.length} lote(s) de liquidación: ${batches.map(batch => `${batch.reference} (${batch.totalAmount} ${batch.currency})`).join(', ')}`
+                : 'Sin saldos disponibles para liquidar',
+            req,
+            targetType: 'payout',
+            metadata: { cutoff, batchIds: batches.map(batch => batch._id), ledgerSync: sync }
+        });
+        
+        const populated = await PayoutBatch.find({ _id: { $in: batches.map(batch => batch._id) } })
+            .populate('items.organizer_id', 'username fullname email companyName bankAccount');
+        
+        return res.status(201).json(new ApiResponse(
+            201,
+            { batches: populated.map(formatPayoutBatch), ledgerSync: sync },
+            batches.length > 0 ? 'Payout batches generated successfully' : 'No available balances to pay out'
+        ));
+    } catch (error) {
+        console.error('Error generating payout batches:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to generate payout batches');
+    }
+});
+
+/**
+ * @desc    Approve a payout batch
+ * @route   PATCH /api/v1/dashboard/admin/payouts/:batchId/approve
+ * @access  Private (Admin only)
+ */
+export const approvePayout = asyncHandler(async (req, res) => {
+    const { batchId } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(batchId)) {
+        throw new ApiError(400, 'Invalid payout batch ID');
+    }
+    
+    try {
+        const batch = await approvePayoutBatch(batchId, req.user);
+        if (!batch) {
+            await throwPayoutTransitionError(batchId, 'approved');
+        }
+        
+        logActivity({
+            type: 'admin-action',
+            action: 'Liquidación aprobada',
+            user: req.user,
+            details: `Lote ${batch.reference} aprobado: ${batch.totalAmount} ${batch.currency} a ${batch.items.length} organizador(es)`,
+            req,
+            targetType: 'payout',
+            targetId: batch._id
+        });
+        
+        await batch.populate('items.organizer_id', 'username fullname email companyName bankAccount');
+        
+        return res.status(200).json(new ApiResponse(
+            200,
+            formatPayoutBatch(batch),
+            'Payout batch approved successfully'
+        ));
+    } catch (error) {
+        console.error('Error approving payout batch:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to approve payout batch');
+    }
+});
+
+/**
+ * @desc    Mark an approved payout batch as paid and record the payouts in the ledger
+ * @route   PATCH /api/v1/dashboard/admin/payouts/:batchId/paid
+ * @access  Private (Admin only)
+ */
+export const markPayoutPaid = asyncHandler(async (req, res) => {
+    const { batchId } = req.params;
+    const { paymentReference, notes } = req.body || {};
+    
+    if (!mongoose.Types.ObjectId.isValid(batchId)) {
+        throw new ApiError(400, 'Invalid payout batch ID');
+    }
+    
+    try {
+        const batch = await markPayoutBatchPaid(batchId, req.user, {
+            paymentReference: paymentReference ? String(paymentReference).trim() : undefined,
+            notes: notes ? String(notes) : undefined
+        });
+        if (!batch) {
+            await throwPayoutTransitionError(batchId, 'marked as paid');
+        }
+        
+        logActivity({
+            type: 'admin-action',
+            action: 'Liquidación pagada',
+            user: req.user,
+            details: `Lote ${batch.reference} pagado: ${batch.totalAmount} ${batch.currency}${batch.paymentReference ? ` (${batch.paymentReference})` : ''}`,
+            req,
+            targetType: 'payout',
+            targetId: batch._id
+        });
+        
+        await batch.populate('items.organizer_id', 'username fullname email companyName bankAccount');
+        
+        return res.status(200).json(new ApiResponse(
+            200,
+            formatPayoutBatch(batch),
+            'Payout batch marked as paid'
+        ));
+    } catch (error) {
+        console.error('Error marking payout batch as paid:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to mark payout batch as paid');
+    }
+});
+
+/**
+ * @desc    Cancel an unpaid payout batch; its entries go back to the organizers' available balance
+ * @route   PATCH /api/v1/dashboard/admin/payouts/:batchId/cancel
+ * @access  Private (Admin only)
+ */
+export const cancelPayout = asyncHandler(async (req, res) => {
+    const { batchId } = req.params;
+    const { notes } = req.body || {};
+    
+    if (!mongoose.Types.ObjectId.isValid(batchId)) {
+        throw new ApiError(400, 'Invalid payout batch ID');
+    }
+    
+    try {
+        const batch = await cancelPayoutBatch(batchId, req.user, { notes: notes ? String(notes) : undefined });
+        if (!batch) {
+            await throwPayoutTransitionError(batchId, 'cancelled');
+        }
+        
+        logActivity({
+            type: 'admin-action',
+            action: 'Liquidación cancelada',
+            user: req.user,
+            details: `Lote ${batch.reference} cancelado${batch.notes ? `: ${batch.notes}` : ''}`,
+            req,
+            targetType: 'payout',
+            targetId: batch._id
+        });
+        
+        await batch.populate('items.organizer_id', 'username fullname email companyName bankAccount');
+        
+        return res.status(200).json(new ApiResponse(
+            200,
+            formatPayoutBatch(batch),
+            'Payout batch cancelled'
+        ));
+    } catch (error) {
+        console.error('Error cancelling payout batch:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to cancel payout batch');
+    }
+});
+
+/**
+ * @desc    Export an approved payout batch as a SEPA credit transfer file (pain.001) or its CSV summary
+ * @route   GET /api/v1/dashboard/admin/payouts/:batchId/sepa?format=xml|csv&executionDate=YYYY-MM-DD
+ * @access  Private (Admin only)
+ */
+export const exportPayoutSepa = asyncHandler(async (req, res) => {
+    const { batchId } = req.params;
+    const { format = 'xml' } = req.query;
+    const today = new Date().toISOString().slice(0, 10);
+    const executionDay = req.query.executionDate || today;
+    const executionDate = new Date(`${executionDay}T00:00:00.000Z`);
+    
+    if (!mongoose.Types.ObjectId.isValid(batchId)) {
+        throw new ApiError(400, 'Invalid payout batch ID');
+    }
+    if (!['xml', 'csv'].includes(format)) {
+        throw new ApiError(400, 'format must be xml or csv');
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(executionDay) || Number.isNaN(executionDate.getTime()) || executionDay < today) {
+        throw new ApiError(400, 'executionDate must be a date (YYYY-MM-DD) from today onwards');
+    }
+    
+    try {
+        const batch = await PayoutBatch.findById(batchId);
+        if (!batch) {
+            throw new ApiError(404, 'Payout batch not found');
+        }
+        // Paid batches can still be downloaded for the records
+        if (!['approved', 'paid'].includes(batch.status)) {
+            throw new ApiError(409, `A payout batch with status ${batch.status} cannot be exported; approve it first`);
+        }
+        if (batch.currency !== 'EUR') {
+            throw new ApiError(400, 'SEPA credit transfers are only available for EUR payout batches');
+        }
+        
+        const settings = await SystemSettings.getSettings();
+        const debtor = {
+            name: settings.payment?.payoutAccountName || settings.general?.siteName,
+            iban: settings.payment?.payoutAccountIban,
+            bic: settings.payment?.payoutAccountBic
+        };
+        if (!debtor.iban || !isValidIban(debtor.iban)) {
+            throw new ApiError(400, 'Configure a valid payout account IBAN in the payment settings first');
+        }
+        
+        // Payees come from the accounts recorded on approval, not from the organizers' current profiles
+        const organizers = await User.find({ _id: { $in: batch.items.map(item => item.organizer_id) } })
+            .select('username fullname email');
+        const { payments, errors } = getBatchPayments(
+            batch,
+            new Map(organizers.map(organizer => [organizer._id.toString(), organizer]))
+        );
+        if (errors.length > 0) {
+            throw new ApiError(409, 'Some payments in the batch have no bank account recorded; cancel and regenerate the batch', errors);
+        }
+        
+        batch.sepaExportedAt = new Date();
+        batch.sepaExportedBy = req.user._id;
+        await batch.save();
+        
+        logActivity({
+            type: 'admin-action',
+            action: 'Remesa SEPA exportada',
+            user: req.user,
+            details: `Lote ${batch.reference} exportado (${format}): ${payments.length} transferencias, ${batch.totalAmount} EUR, ejecución ${executionDay}`,
+            req,
+            targetType: 'payout',
+            targetId: batch._id
+        });
+        
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', `attachment; filename=${batch.reference}.csv`);
+            return res.status(200).send(buildPayoutCsv({ batch, payments, executionDate }));
+        }
+        
+        res.setHeader('Content-Type', 'application/xml');
+        res.setHeader('Content-Disposition', `attachment; filename=${batch.reference}.xml`);
+        return res.status(200).send(buildSepaCreditTransferXml({ batch, payments, debtor, executionDate }));
+    } catch (error) {
+        console.error('Error exporting payout batch:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to export payout batch');
+    }
+});
+
 export default {
     getAdminDashboardOverview,
     getUserManagementData,
     updateUser,
+    resetUserTwoFactor,
+    getLoginLockouts,
+    unlockLoginIp,
     deleteUser,
     getEventManagementData,
     updateEventStatus,
     toggleEventFeatured,
+    updateEventCommission,
     deleteEvent,
     getSystemReports,
     getCategoryManagementData,
     getSystemSettings,
     updateSystemSettings,
+    getEmailSettings,
+    updateEmailSettings,
+    sendTestEmail,
     getCommunicationHistory,
+    getCommunicationThread,
     sendCommunication,
     getActivityLog,
-    getSystemPerformance
+    getWebhookEvents,
+    replayWebhookEvent,
+    getSystemPerformance,
+    getPayoutBatches,
+    getPayoutBatch,
+    generatePayouts,
+    approvePayout,
+    markPayoutPaid,
+    cancelPayout,
+    exportPayoutSepa
 };
\ No newline at end of file
@@ -1,9 +1,37 @@
 import Event from '../../models/Event.js';
 import Booking from '../../models/Booking.js';
 import User from '../../models/User.js';
+import Waitlist from '../../models/Waitlist.js';
+import Communication from '../../models/Communication.js';
+import { createCommunication, formatCommunication, markCommunicationRead } from '../../utils/communicationService.js';
+import mongoose from 'mongoose';
 import { ApiError } from '../../utils/ApiError.js';
 import { ApiResponse } from '../../utils/ApiResponse.js';
 import { asyncHandler } from '../../utils/asyncHandler.js';
+import { getBookingFinancials, getOrganizerCommissionConfig, roundMoney } from '../../utils/commissionService.js';
+import { getSeatAvailability, blockSeats, unblockSeats } from '../../utils/seatInventory.js';
+import { offerFreedSeats } from '../../utils/waitlistService.js';
+import TicketType from '../../models/TicketType.js';
+import PromoCode from '../../models/PromoCode.js';
+import { formatPromoCode, normalizePromoCodeInput } from '../../utils/promoCodes.js';
+import LedgerEntry, { LEDGER_ENTRY_TYPES } from '../../models/LedgerEntry.js';
+import PayoutBatch from '../../models/PayoutBatch.js';
+import { getOrganizerBalances, getPayoutConfig } from '../../utils/payoutLedger.js';
+import { getCachedSettings } from '../../utils/settingsCache.js';
+import { normalizeBankAccount, formatBankAccount } from '../../utils/sepa.js';
+import { logActivity } from '../../utils/activityLogger.js';
+import ScanEvent, { SCAN_RESULTS, SCAN_SOURCES, SCAN_DIRECTIONS } from '../../models/ScanEvent.js';
+import { ENTRY_POLICIES } from '../../models/Event.js';
+import { getAttendanceCounts } from '../../utils/checkIn.js';
+import EventStaff from '../../models/EventStaff.js';
+import { createStaffInvitation, revokeStaffAccess, formatStaffMember } from '../../utils/eventStaff.js';
+import {
+    getEventTicketTypes,
+    getBookingTicketLines,
+    createDefaultTicketTypes,
+    formatTicketType,
+    normalizeTicketTypeInput
+} from '../../utils/ticketTypes.js';
 
 // Metadatos para la interfaz de usuario - estos datos serán usados por el frontend
 const UI_METADATA = {
@@ -13,6 +41,26 @@ const UI_METADATA = {
     dashboardType: 'organizer'
 };
 
+/**
+ * Group the ticket lines of a set of bookings by ticket type
+ * @param {Object[]} bookings - Booking documents
+ * @returns {Object} - { [ticketTypeId or name]: { ticketTypeId, name, count, revenue } }
+ */
+const summarizeTicketTypes = (bookings) => {
+    const summary = {};
+    bookings.forEach(booking => {
+        getBookingTicketLines(booking).forEach(line => {
+            const key = line.ticketType_id ? line.ticketType_id.toString() : line.name;
+            if (!summary[key]) {
+                summary[key] = { ticketTypeId: line.ticketType_id, name: line.name, count: 0, revenue: 0 };
+            }
+            summary[key].count += line.quantity;
+            summary[key].revenue = roundMoney(summary[key].revenue + line.amount);
+        });
+    });
+    return summary;
+};
+
 /**
  * @desc    Get organizer dashboard overview
  * @route   GET /api/v1/dashboard/overview
@@ -164,25 +212,10 @@ export const getEventAnalytics = asyncHandler(async (req, res) => {
             salesByDay[bookingDate].revenue += booking.totalPrice;
         });
         
-        // Calculate ticket types distribution
-        const ticketTypes = {};
-        bookings.forEach(booking => {
-            booking.selectedSeats.forEach(seat => {
-                const type = seat.type || 'standard';
-                
-                if (!ticketTypes[type]) {
-                    ticketTypes[type] = {
-                        count: 0,
-                        revenue: 0
-                    };
-                }
-                
-                ticketTypes[type].count += 1;
-                // Estimate revenue for each ticket type
-                const avgTicketPrice = booking.totalPrice / booking.selectedSeats.length;
-                ticketTypes[type].revenue += avgTicketPrice;
-            });
-        });
+        // Calculate ticket types distribution from the priced lines of each booking
+        const ticketTypes = summarizeTicketTypes(bookings);
+        const ticketTypeInventory = (await getEventTicketTypes(event))
+            .map(type => formatTicketType(type, { includeStats: true }));
         
         // Get attendance data
         const attendeesData = bookings.map(booking => ({
@@ -211,6 +244,7 @@ export const getEventAnalytics = asyncHandler(async (req, res) => {
             },
             salesByDay,
             ticketTypes,
+            ticketTypeInventory,
             attendees: attendeesData
         };
         
@@ -271,15 +305,16 @@ export const getFinancialOverview = asyncHandler(async (req, res) => {
         
         const bookings = await Booking.find(bookingsFilter);
         
-        // Calculate financial metrics
-        const totalRevenue = bookings.reduce((sum, booking) => sum + booking.totalPrice, 0);
-        const commissionRate = 0.05; // 5% commission rate
-        const commissionPaid = totalRevenue * commissionRate;
-        const netRevenue = totalRevenue - commissionPaid;
+        // Calculate financial metrics from the commission stored on each booking
+        const financials = new Map(bookings.map(booking => [booking._id.toString(), getBookingFinancials(booking)]));
+        const totalRevenue = roundMoney(bookings.reduce((sum, booking) => sum + booking.totalPrice, 0));
+        const commissionPaid = roundMoney([...financials.values()].reduce((sum, f) => sum + f.commission, 0));
+        const netRevenue = roundMoney([...financials.values()].reduce((sum, f) => sum + f.organizerNet, 0));
         
         // Calculate revenue by month
         const revenueByMonth = {};
         bookings.forEach(booking => {
+            const { commission, organizerNet } = financials.get(booking._id.toString());
             const date = new Date(booking.createdAt);
             const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
             
@@ -294,8 +329,8 @@ export const getFinancialOverview = asyncHandler(async (req, res) => {
             
             revenueByMonth[monthKey].revenue += booking.totalPrice;
             revenueByMonth[monthKey].bookings += 1;
-            revenueByMonth[monthKey].commission += booking.totalPrice * commissionRate;
-            revenueByMonth[monthKey].net += booking.totalPrice * (1 - commissionRate);
+            revenueByMonth[monthKey].commission += commission;
+            revenueByMonth[monthKey].net += organizerNet;
         });
         
         // Calculate revenue by event
@@ -306,13 +341,14 @@ export const getFinancialOverview = asyncHandler(async (req, res) => {
             );
             
             const eventRevenue = eventBookings.reduce((sum, booking) => sum + booking.totalPrice, 0);
-            const eventCommission = eventRevenue * commissionRate;
+            const eventCommission = eventBookings.reduce((sum, booking) => sum + financials.get(booking._id.toString()).commission, 0);
+            const eventNet = eventBookings.reduce((sum, booking) => sum + financials.get(booking._id.toString()).organizerNet, 0);
             
             revenueByEvent[event.title] = {
-                revenue: eventRevenue,
+                revenue: roundMoney(eventRevenue),
                 bookings: eventBookings.length,
-                commission: eventCommission,
-                net: eventRevenue - eventCommission
+                commission: roundMoney(eventCommission),
+                net: roundMoney(eventNet)
             };
         });
         
@@ -323,7 +359,7 @@ export const getFinancialOverview = asyncHandler(async (req, res) => {
                 commissionPaid,
                 netRevenue,
                 totalBookings: bookings.length,
-                commissionRate: commissionRate * 100 // as percentage
+                commissionRate: totalRevenue > 0 ? roundMoney(commissionPaid / totalRevenue * 100) : 0 // effective, as percentage
             },
             revenueByMonth,
             revenueByEvent
@@ -393,11 +429,18 @@ export const getAttendeesData = asyncHandler(async (req, res) => {
             };
         });
         
+        // Count people still waiting for seats
+        const waitlistCount = await Waitlist.countDocuments({
+            event_id: { $in: eventIds },
+            status: { $in: ['waiting', 'offered'] }
+        });
+        
         // Generate summary
         const summary = {
             totalAttendees: attendees.length,
             checkedIn: attendees.filter(a => a.checkedIn).length,
-            pendingAttendees: attendees.filter(a => !a.checkedIn).length
+            pendingAttendees: attendees.filter(a => !a.checkedIn).length,
+            waitlist: waitlistCount
         };
         
         return res.status(200).json(new ApiResponse(
@@ -411,6 +454,89 @@ export const getAttendeesData = asyncHandler(async (req, res) => {
     }
 });
 
+/**
+ * @desc    Get the waitlist of the organizer's events
+ * @route   GET /api/v1/dashboard/organizer/attendees/waitlist
+ * @access  Private (Organizer & Admin)
+ */
+export const getWaitlistData = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const isAdmin = req.user.role === 'admin';
+    const { eventId, status } = req.query;
+    
+    // For admins, we don't filter by user_id to show all events
+    const userFilter = isAdmin ? {} : { user_id: userId };
+    
+    try {
+        const eventsFilter = eventId ? { ...userFilter, _id: eventId } : userFilter;
+        const events = await Event.find(eventsFilter).select('_id name');
+        
+        if (events.length === 0) {
+            return res.status(200).json(new ApiResponse(
+                200,
+                { waitlist: [], summary: { waiting: 0, offered: 0, claimed: 0, expired: 0 } },
+                'No events found'
+            ));
+        }
+        
+        const eventIds = events.map(event => event._id);
+        const waitlistFilter = { event_id: { $in: eventIds } };
+        if (status) {
+            waitlistFilter.status = status;
+        } else {
+            waitlistFilter.status = { $ne: 'cancelled' };
+        }
+        
+        const entries = await Waitlist.find(waitlistFilter)
+            .sort({ createdAt: 1 })
+            .populate('user_id', 'username email phoneNumber')
+            .populate('event_id', 'name');
+        
+        // Position in line is counted per event among entries still waiting
+        const positions = {};
+        const waitlist = entries.map(entry => {
+            const eventKey = entry.event_id._id.toString();
+            let position = null;
+            if (entry.status === 'waiting') {
+                positions[eventKey] = (positions[eventKey] || 0) + 1;
+                position = positions[eventKey];
+            }
+            
+            return {
+                id: entry._id,
+                name: entry.user_id?.username || 'Usuario eliminado',
+                email: entry.user_id?.email || '',
+                phone: entry.user_id?.phoneNumber || '',
+                event: entry.event_id.name,
+                eventId: entry.event_id._id,
+                seatType: entry.seatType || 'any',
+                quantity: entry.quantity,
+                status: entry.status,
+                position,
+                joinedAt: entry.createdAt,
+                offeredSeats: entry.offeredSeats,
+                offerExpiresAt: entry.offerExpiresAt
+            };
+        });
+        
+        const summary = {
+            waiting: waitlist.filter(w => w.status === 'waiting').length,
+            offered: waitlist.filter(w => w.status === 'offered').length,
+            claimed: waitlist.filter(w => w.status === 'claimed').length,
+            expired: waitlist.filter(w => w.status === 'expired').length
+        };
+        
+        return res.status(200).json(new ApiResponse(
+            200,
+            { waitlist, summary },
+            'Waitlist data retrieved successfully'
+        ));
+    } catch (error) {
+        console.error('Error fetching waitlist data:', error);
+        throw new ApiError(500, 'Failed to retrieve waitlist data');
+    }
+});
+
 /**
  * @desc    Update attendee check-in status
  * @route   PATCH /api/v1/dashboard/attendees/:bookingId/check-in
@@ -590,9 +716,9 @@ export const getSalesReport = asyncHandler(async (req, res) => {
         const totalBookings = bookings.length;
         const totalRevenue = bookings.reduce((sum, booking) => sum + booking.totalPrice, 0);
         const totalTickets = bookings.reduce((sum, booking) => sum + booking.selectedSeats.length, 0);
-        const commissionRate = 0.05; // 5% commission
-        const commissionPaid = totalRevenue * commissionRate;
-        const netRevenue = totalRevenue - commissionPaid;
+        const financials = new Map(bookings.map(booking => [booking._id.toString(), getBookingFinancials(booking)]));
+        const commissionPaid = roundMoney([...financials.values()].reduce((sum, f) => sum + f.commission, 0));
+        const netRevenue = roundMoney([...financials.values()].reduce((sum, f) => sum + f.organizerNet, 0));
         
         // Calculate revenue by event
         const salesByEvent = {};
@@ -616,8 +742,8 @@ export const getSalesReport = asyncHandler(async (req, res) => {
             salesByEvent[eventId].bookings += 1;
             salesByEvent[eventId].tickets += booking.selectedSeats.length;
             salesByEvent[eventId].revenue += booking.totalPrice;
-            salesByEvent[eventId].commission += booking.totalPrice * commissionRate;
-            salesByEvent[eventId].net += booking.totalPrice * (1 - commissionRate);
+            salesByEvent[eventId].commission += financials.get(booking._id.toString()).commission;
+            salesByEvent[eventId].net += financials.get(booking._id.toString()).organizerNet;
         });
         
         // Calculate sales by day
@@ -640,6 +766,27 @@ export const getSalesReport = asyncHandler(async (req, res) => {
             salesByDay[date].revenue += booking.totalPrice;
         });
         
+        // Calculate promo code redemptions
+        const promotions = {};
+        
+        bookings.filter(booking => booking.promoCode?.code).forEach(booking => {
+            const key = `${booking.event_id._id}:${booking.promoCode.code}`;
+            
+            if (!promotions[key]) {
+                promotions[key] = {
+                    code: booking.promoCode.code,
+                    eventId: booking.event_id._id.toString(),
+                    event: booking.event_id.title,
+                    redemptions: 0,
+                    discountTotal: 0
+                };
+            }
+            
+            promotions[key].redemptions += 1;
+            promotions[key].discountTotal = roundMoney(promotions[key].discountTotal + (booking.promoCode.amount || 0));
+        });
+        const totalDiscounts = roundMoney(Object.values(promotions).reduce((sum, promo) => sum + promo.discountTotal, 0));
+        
         // Prepare detailed sales data for export
         const detailedSales = bookings.map(booking => ({
             bookingId: booking._id.toString(),
@@ -652,8 +799,12 @@ export const getSalesReport = asyncHandler(async (req, res) => {
             ticketCount: booking.selectedSeats.length,
             seats: booking.selectedSeats.map(seat => seat.label).join(', '),
             totalPrice: booking.totalPrice,
-            commission: booking.totalPrice * commissionRate,
-            netAmount: booking.totalPrice * (1 - commissionRate),
+            promoCode: booking.promoCode?.code || '',
+            discount: booking.promoCode?.amount || 0,
+            commission: financials.get(booking._id.toString()).commission,
+            commissionPayer: booking.commission?.payer || 'buyer',
+            amountCharged: financials.get(booking._id.toString()).amountCharged,
+            netAmount: financials.get(booking._id.toString()).organizerNet,
             paymentStatus: booking.paymentStatus,
             paymentMethod: 'Tarjeta', // Placeholder, would come from actual payment data
             attended: booking.attended ? 'Sí' : 'No'
@@ -698,9 +849,10 @@ export const getSalesReport = asyncHandler(async (req, res) => {
                 totalBookings,
                 totalTickets,
                 totalRevenue,
-                commissionRate: commissionRate * 100, // as percentage
+                commissionRate: totalRevenue > 0 ? roundMoney(commissionPaid / totalRevenue * 100) : 0, // effective, as percentage
                 commissionPaid,
                 netRevenue,
+                totalDiscounts,
                 period: {
                     start: startDate || 'All time',
                     end: endDate || 'Present'
@@ -708,6 +860,7 @@ export const getSalesReport = asyncHandler(async (req, res) => {
             },
             salesByEvent: Object.values(salesByEvent),
             salesByDay: Object.values(salesByDay),
+            promotions: Object.values(promotions),
             detailedSales
         };
         
@@ -773,12 +926,13 @@ export const getCommissionDetails = asyncHandler(async (req, res) => {
         const bookings = await Booking.find(bookingsFilter)
             .populate('event_id', 'title date');
         
-        // Default commission rate - in a real app this might be stored per event or in settings
-        const commissionRate = 0.05; // 5%
+        // Commission terms currently applied to this organizer (platform defaults for admins)
+        const commissionConfig = await getOrganizerCommissionConfig(isAdmin ? null : userId);
         
-        // Calculate commission metrics
-        const totalRevenue = bookings.reduce((sum, booking) => sum + booking.totalPrice, 0);
-        const totalCommission = totalRevenue * commissionRate;
+        // Calculate commission metrics from the commission stored on each booking
+        const financials = new Map(bookings.map(booking => [booking._id.toString(), getBookingFinancials(booking)]));
+        const totalRevenue = roundMoney(bookings.reduce((sum, booking) => sum + booking.totalPrice, 0));
+        const totalCommission = roundMoney([...financials.values()].reduce((sum, f) => sum + f.commission, 0));
         
         // Group by month for statements
         const statements = [];
@@ -805,9 +959,10 @@ export const getCommissionDetails = asyncHandler(async (req, res) => {
             }
             
             // Add to monthly total
+            const { commission } = financials.get(booking._id.toString());
             statementsByMonth[monthKey].bookingCount += 1;
             statementsByMonth[monthKey].revenue += booking.totalPrice;
-            statementsByMonth[monthKey].commission += booking.totalPrice * commissionRate;
+            statementsByMonth[monthKey].commission += commission;
             
             // Track per-event breakdown
             const eventId = booking.event_id._id.toString();
@@ -823,7 +978,7 @@ export const getCommissionDetails = asyncHandler(async (req, res) => {
             
             statementsByMonth[monthKey].events[eventId].bookingCount += 1;
             statementsByMonth[monthKey].events[eventId].revenue += booking.totalPrice;
-            statementsByMonth[monthKey].events[eventId].commission += booking.totalPrice * commissionRate;
+            statementsByMonth[monthKey].events[eventId].commission += commission;
         });
         
         // Convert to array and sort by date (most recent first)
@@ -834,15 +989,13 @@ export const getCommissionDetails = asyncHandler(async (req, res) => {
         
         statements.sort((a, b) => new Date(b.startDate) - new Date(a.startDate));
         
-        // Get commission rates and details (placeholder - would be from a settings model)
+        // Commission terms (individual events may still carry their own override)
         const commissionDetails = {
-            standardRate: commissionRate * 100, // as percentage
-            tieredRates: [
-                { threshold: 0, rate: 5 },
-                { threshold: 10000, rate: 4.5 },
-                { threshold: 50000, rate: 4 },
-                { threshold: 100000, rate: 3.5 }
-            ],
+            standardRate: commissionConfig.type === 'fixed' ? 0 : commissionConfig.rate, // as percentage
+            commissionType: commissionConfig.type,
+            fixedFeePerTicket: commissionConfig.type === 'percentage' ? 0 : commissionConfig.fixed,
+            paidBy: commissionConfig.payer,
+            source: commissionConfig.source,
             paymentSchedule: 'monthly',
             paymentMethod: 'bank transfer',
             nextPaymentDate: new Date(new Date().getFullYear(), new Date().getMonth() + 1, 15).toISOString(),
@@ -857,7 +1010,7 @@ export const getCommissionDetails = asyncHandler(async (req, res) => {
                     totalCommission,
                     pendingCommission: totalCommission, // In a real app, this would be calculated from unpaid commissions
                     paidCommission: 0, // In a real app, this would be from a Commission model
-                    commissionRate: commissionRate * 100 // as percentage
+                    commissionRate: totalRevenue > 0 ? roundMoney(totalCommission / totalRevenue * 100) : 0 // effective, as percentage
                 },
                 commissionDetails,
                 statements
@@ -973,27 +1126,12 @@ export const getOccupancyAnalytics = asyncHandler(async (req, res) => {
                 occupancyRate,
                 sections: Object.values(sectionOccupancy),
                 // Breakdown by ticket type
-                ticketTypes: [{
-                    type: 'standard',
-                    sold: eventBookings.reduce((sum, booking) => 
-                        sum + booking.selectedSeats.filter(seat => !seat.type || seat.type === 'standard').length, 0),
-                    revenue: eventBookings.reduce((sum, booking) => {
-                        const standardTickets = booking.selectedSeats.filter(
-                            seat => !seat.type || seat.type === 'standard'
-                        ).length;
-                        return sum + (standardTickets * event.price);
-                    }, 0)
-                }, {
-                    type: 'vip',
-                    sold: eventBookings.reduce((sum, booking) => 
-                        sum + booking.selectedSeats.filter(seat => seat.type === 'vip').length, 0),
-                    revenue: eventBookings.reduce((sum, booking) => {
-                        const vipTickets = booking.selectedSeats.filter(
-                            seat => seat.type === 'vip'
-                        ).length;
-                        return sum + (vipTickets * (event.priceVIP || event.price));
-                    }, 0)
-                }]
+                ticketTypes: Object.values(summarizeTicketTypes(eventBookings)).map(type => ({
+                    type: type.name,
+                    ticketTypeId: type.ticketTypeId,
+                    sold: type.count,
+                    revenue: type.revenue
+                }))
             });
         }
         
@@ -1021,14 +1159,1074 @@ export const getOccupancyAnalytics = asyncHandler(async (req, res) => {
     }
 });
 
+/**
+ * @desc    Get messages received from the platform administration
+ * @route   GET /api/v1/dashboard/organizer/communications
+ * @access  Private (Organizer & Admin)
+ */
+export const getOrganizerCommunications = asyncHandler(async (req, res) => {
+    const { type, unread } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    
+    try {
+        const filter = { organizer: req.user._id, thread: null };
+        
+        if (type) {
+            filter.type = type;
+        }
+        
+        if (unread === 'true') {
+            filter.readAt = null;
+        }
+        
+        const skip = (page - 1) * limit;
+        
+        const [messages, totalItems, unreadCount] = await Promise.all([
+            Communication.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('sender', 'username fullname email role')
+                .populate('recipient', 'username fullname email role'),
+            Communication.countDocuments(filter),
+            Communication.countDocuments({ recipient: req.user._id, readAt: null })
+        ]);
+        
+        return res.status(200).json(new ApiResponse(
+            200,
+            {
+                communications: messages.map(formatCommunication),
+                unread: unreadCount,
+                pagination: {
+                    currentPage: page,
+                    totalPages: Math.ceil(totalItems / limit),
+                    totalItems,
+                    itemsPerPage: limit
+                }
+            },
+            'Communications retrieved successfully'
+        ));
+    } catch (error) {
+        console.error('Error fetching organizer communications:', error);
+        throw new ApiError(500, 'Failed to retrieve communications');
+    }
+});
+
+/**
+ * Find a communication that belongs to the organizer's conversations
+ * @param {string} communicationId - Communication ID
+ * @param {Object} user - Authenticated organizer
+ * @returns {Promise<Object>}
+ */
+const findOrganizerCommunication = async (communicationId, user) => {
+    if (!mongoose.Types.ObjectId.isValid(communicationId)) {
+        throw new ApiError(400, 'Invalid communication ID');
+    }
+    
+    const communication = await Communication.findById(communicationId);
+    
+    if (!communication || communication.organizer.toString() !== user._id.toString()) {
+        throw new ApiError(404, 'Communication not found');
+    }
+    
+    return communication;
+};
+
+/**
+ * @desc    Get a communication thread and mark it as read
+ * @route   GET /api/v1/dashboard/organizer/communications/:communicationId
+ * @access  Private (Organizer & Admin)
+ */
+export const getOrganizerCommunicationThread = asyncHandler(async (req, res) => {
+    try {
+        const communication = await findOrganizerCommunication(req.params.communicationId, req.user);
+        
+        const threadId = communication.thread || communication._id;
+        const messages = await Communication.find({ $or: [{ _id: threadId }, { thread: threadId }] })
+            .sort({ createdAt: 1 })
+            .populate('sender', 'username fullname email role')
+            .populate('recipient', 'username fullname email role');
+        
+        // Opening the thread marks the messages addressed to the organizer as read
+        await Promise.all(messages
+            .filter(message => message.recipient?._id.toString() === req.user._id.toString())
+            .map(message => markCommunicationRead(message)));
+        
+        return res.status(200).json(new ApiResponse(
+            200,
+            { thread: messages.map(formatCommunication) },
+            'Communication thread retrieved successfully'
+        ));
+    } catch (error) {
+        console.error('Error fetching communication thread:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to retrieve communication thread');
+    }
+});
+
+/**
+ * @desc    Reply to a message from the administration
+ * @route   POST /api/v1/dashboard/organizer/communications/:communicationId/reply
+ * @access  Private (Organizer & Admin)
+ */
+export const replyToCommunication = asyncHandler(async (req, res) => {
+    const { message } = req.body;
+    
+    if (!message) {
+        throw new ApiError(400, 'Message is required');
+    }
+    
+    try {
+        const parent = await findOrganizerCommunication(req.params.communicationId, req.user);
+        
+        // Replies go back to whoever wrote the message being answered
+        const recipientId = parent.sender.toString() === req.user._id.toString() ? parent.recipient : parent.sender;
+        const recipient = await User.findById(recipientId);
+        
+        if (!recipient) {
+            throw new ApiError(404, 'Recipient not found');
+        }
+        
+        const reply = await createCommunication({
+            sender: req.user,
+            recipient,
+            organizer: req.user,
+            type: parent.type,
+            subject: parent.subject.startsWith('Re:') ? parent.subject : `Re: ${parent.subject}`,
+            content: message,
+            parent
+        });
+        
+        await reply.populate([
+            { path: 'sender', select: 'username fullname email role' },
+            { path: 'recipient', select: 'username fullname email role' }
+        ]);
+        
+        return res.status(201).json(new ApiResponse(
+            201,
+            formatCommunication(reply),
+            'Reply sent successfully'
+        ));
+    } catch (error) {
+        console.error('Error replying to communication:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to send reply');
+    }
+});
+
+/**
+ * Find an event the current user can manage (owner or admin)
+ * @param {string} eventId - Event ID
+ * @param {Object} user - Current user
+ * @returns {Promise<Object>} - Event document
+ */
+const findManageableEvent = async (eventId, user) => {
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+        throw new ApiError(400, 'Invalid event ID');
+    }
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+        throw new ApiError(404, 'Event not found');
+    }
+
+    if (user.role !== 'admin' && event.user_id.toString() !== user._id.toString()) {
+        throw new ApiError(403, 'You are not authorized to manage this event');
+    }
+
+    return event;
+};
+
+/**
+ * @desc    Get the seat inventory of an event (available, held, sold, blocked)
+ * @route   GET /api/v1/dashboard/organizer/events/:eventId/seats
+ * @access  Private (Organizer & Admin)
+ */
+export const getEventSeatInventory = asyncHandler(async (req, res) => {
+    try {
+        const event = await findManageableEvent(req.params.eventId, req.user);
+        const availability = await getSeatAvailability(event);
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            {
+                eventId: event._id,
+                seats: availability,
+                summary: {
+                    available: availability.available.length,
+                    held: availability.held.length,
+                    sold: availability.sold.length,
+                    blocked: availability.blocked.length
+                },
+                uiMetadata: UI_METADATA
+            },
+            'Seat inventory retrieved successfully'
+        ));
+    } catch (error) {
+        console.error('Error getting seat inventory:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to get seat inventory');
+    }
+});
+
+/**
+ * @desc    Block seats so they cannot be sold (house seats, obstructed view...)
+ * @route   POST /api/v1/dashboard/organizer/events/:eventId/seats/block
+ * @access  Private (Organizer & Admin)
+ */
+export const blockEventSeats = asyncHandler(async (req, res) => {
+    const { seatNumbers, reason } = req.body;
+
+    if (!Array.isArray(seatNumbers) || seatNumbers.length === 0) {
+        throw new ApiError(400, 'seatNumbers must be a non-empty array');
+    }
+
+    try {
+        const event = await findManageableEvent(req.params.eventId, req.user);
+        const result = await blockSeats(event, seatNumbers, { userId: req.user._id, reason });
+
+        if (result.invalidSeats.length > 0) {
+            throw new ApiError(400, 'Some seats do not exist in the event layout', { invalidSeats: result.invalidSeats });
+        }
+        if (!result.success) {
+            throw new ApiError(409, 'Some seats are held or sold and cannot be blocked', { unavailable: result.unavailable });
+        }
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            { eventId: event._id, blockedSeats: result.seats },
+            'Seats blocked successfully'
+        ));
+    } catch (error) {
+        console.error('Error blocking seats:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to block seats');
+    }
+});
+
+/**
+ * @desc    Release seats previously blocked by the organizer
+ * @route   POST /api/v1/dashboard/organizer/events/:eventId/seats/unblock
+ * @access  Private (Organizer & Admin)
+ */
+export const unblockEventSeats = asyncHandler(async (req, res) => {
+    const { seatNumbers } = req.body;
+
+    if (!Array.isArray(seatNumbers) || seatNumbers.length === 0) {
+        throw new ApiError(400, 'seatNumbers must be a non-empty array');
+    }
+
+    try {
+        const event = await findManageableEvent(req.params.eventId, req.user);
+        const unblockedCount = await unblockSeats(event._id, seatNumbers);
+
+        if (unblockedCount > 0) {
+            // Freed seats go to the waitlist first
+            offerFreedSeats(event._id);
+        }
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            { eventId: event._id, unblockedCount },
+            'Seats unblocked successfully'
+        ));
+    } catch (error) {
+        console.error('Error unblocking seats:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to unblock seats');
+    }
+});
+
+/**
+ * @desc    Get the door scan log of an event (who scanned which ticket, when and where)
+ * @route   GET /api/v1/dashboard/organizer/events/:eventId/scans
+ * @access  Private (Organizer & Admin)
+ */
+export const getEventScans = asyncHandler(async (req, res) => {
+    const { result, deviceId, source, ticketId, gate, direction } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    
+    if (result && !SCAN_RESULTS.includes(result)) {
+        throw new ApiError(400, `result must be one of: ${SCAN_RESULTS.join(', ')}`);
+    }
+    if (source && !SCAN_SOURCES.includes(source)) {
+        throw new ApiError(400, `source must be one of: ${SCAN_SOURCES.join(', ')}`);
+    }
+    if (direction && !SCAN_DIRECTIONS.includes(direction)) {
+        throw new ApiError(400, `direction must be one of: ${SCAN_DIRECTIONS.join(', ')}`);
+    }
+    
+    try {
+        const event = await findManageableEvent(req.params.eventId, req.user);
+        const filter = {
+            event_id: event._id,
+            ...(result ? { result } : {}),
+            ...(deviceId ? { deviceId: String(deviceId) } : {}),
+            ...(source ? { source } : {}),
+            ...(ticketId ? { ticketId: String(ticketId) } : {}),
+            ...(gate ? { gate: String(gate) } : {}),
+            ...(direction ? { direction } : {})
+        };
+        const skip = (page - 1) * limit;
+        
+        const [scans, totalScans, resultCounts, ticketCounts] = await Promise.all([
+            ScanEvent.find(filter)
+                .sort({ scannedAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('operator', 'username fullname email'),
+            ScanEvent.countDocuments(filter),
+            ScanEvent.aggregate([
+                { $match: { event_id: event._id } },
+                { $group: { _id: '$result', count: { $sum: 1 } } }
+            ]),
+            Booking.aggregate([
+                { $match: { event_id: event._id, status: { $in: ['confirmed', 'cancellation_requested'] } } },
+                { $unwind: '$tickets' },
+                {
+                    $group: {
+                        _id: null,
+                        total: { $sum: 1 },
+                        scanned: { $sum: { $cond: [{ $eq: ['$tickets.scanStatus', true] }, 1, 0] } }
+                    }
+                }
+            ])
+        ]);
+        
+        const summary = SCAN_RESULTS.reduce((acc, item) => ({ ...acc, [item]: 0 }), {});
+        resultCounts.forEach(item => { summary[item._id] = item.count; });
+        
+        return res.status(200).json(new ApiResponse(
+            200,
+            {
+                eventId: event._id,
+                summary,
+                ticketsScanned: ticketCounts[0]?.scanned || 0,
+                ticketsTotal: ticketCounts[0]?.total || 0,
+                scans: scans.map(scan => ({
+                    id: scan._id,
+                    ticketId: scan.ticketId || null,
+                    bookingId: scan.booking_id || null,
+                    seat: scan.seat || null,
+                    result: scan.result,
+                    message: scan.message || null,
+                    source: scan.source,
+                    deviceId: scan.deviceId || null,
+                    gate: scan.gate || null,
+                    direction: scan.direction,
+                    operator: scan.operator ? {
+                        id: scan.operator._id,
+                        name: scan.operator.fullname || scan.operator.username,
+                        email: scan.operator.email,
+                        role: scan.operatorRole || null
+                    } : null,
+                    scannedAt: scan.scannedAt,
+                    recordedAt: scan.createdAt
+                })),
+                pagination: {
+                    currentPage: page,
+                    totalPages: Math.ceil(totalScans / limit),
+                    totalItems: totalScans,
+                    itemsPerPage: limit
+                }
+            },
+            'Scan log retrieved successfully'
+        ));
+    } catch (error) {
+        console.error('Error fetching event scans:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to retrieve scan log');
+    }
+});
+
+/**
+ * @desc    Get live attendance counts of an event (admitted, inside, per gate)
+ * @route   GET /api/v1/dashboard/organizer/events/:eventId/attendance
+ * @access  Private (Organizer & Admin)
+ */
+export const getEventAttendance = asyncHandler(async (req, res) => {
+    try {
+        const event = await findManageableEvent(req.params.eventId, req.user);
+        const attendance = await getAttendanceCounts(event);
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            { eventId: event._id, ...attendance, generatedAt: new Date() },
+            'Attendance retrieved successfully'
+        ));
+    } catch (error) {
+        console.error('Error getting event attendance:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to get attendance');
+    }
+});
+
+/**
+ * @desc    Set the entry policy (single, reentry, in_out) and gates of an event
+ * @route   PUT /api/v1/dashboard/organizer/events/:eventId/entry-policy
+ * @access  Private (Organizer & Admin)
+ */
+export const updateEventEntryPolicy = asyncHandler(async (req, res) => {
+    const { entryPolicy, gates } = req.body;
+
+    if (entryPolicy !== undefined && !ENTRY_POLICIES.includes(entryPolicy)) {
+        throw new ApiError(400, `entryPolicy must be one of: ${ENTRY_POLICIES.join(', ')}`);
+    }
+    if (gates !== undefined && (!Array.isArray(gates) || gates.some(gate => typeof gate !== 'string' || !gate.trim()))) {
+        throw new ApiError(400, 'gates must be an array of non-empty strings');
+    }
+
+    try {
+        const event = await findManageableEvent(req.params.eventId, req.user);
+        const update = {
+            ...(entryPolicy !== undefined ? { entryPolicy } : {}),
+            ...(gates !== undefined ? { gates: [...new Set(gates.map(gate => gate.trim()))] } : {})
+        };
+
+        const updated = await Event.findByIdAndUpdate(event._id, { $set: update }, { new: true, runValidators: true });
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            { eventId: updated._id, entryPolicy: updated.entryPolicy, gates: updated.gates },
+            'Entry policy updated successfully'
+        ));
+    } catch (error) {
+        console.error('Error updating entry policy:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to update entry policy');
+    }
+});
+
+/**
+ * @desc    List the door staff of an event (invitations and active members)
+ * @route   GET /api/v1/dashboard/organizer/events/:eventId/staff
+ * @access  Private (Organizer & Admin)
+ */
+export const listEventStaff = asyncHandler(async (req, res) => {
+    try {
+        const event = await findManageableEvent(req.params.eventId, req.user);
+        const staff = await EventStaff.find({ event_id: event._id, status: { $ne: 'revoked' } })
+            .sort({ createdAt: -1 })
+            .populate('user_id', 'username fullname email');
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            { eventId: event._id, staff: staff.map(formatStaffMember) },
+            'Event staff retrieved successfully'
+        ));
+    } catch (error) {
+        console.error('Error listing event staff:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to retrieve event staff');
+    }
+});
+
+/**
+ * @desc    Invite someone by email as door staff of an event (scanner capability)
+ * @route   POST /api/v1/dashboard/organizer/events/:eventId/staff
+ * @access  Private (Organizer & Admin)
+ */
+export const inviteEventStaff = asyncHandler(async (req, res) => {
+    const { email, capabilities, expiresInHours } = req.body;
+
+    try {
+        const event = await findManageableEvent(req.params.eventId, req.user);
+        const invitation = await createStaffInvitation({
+            event,
+            email,
+            capabilities,
+            expiresInHours,
+            invitedBy: req.user
+        });
+
+        await logActivity({
+            type: 'security',
+            action: 'Staff invited',
+            user: req.user._id,
+            details: `${invitation.email} invited as staff of event ${event.name} (${invitation.capabilities.join(', ')})`,
+            req,
+            targetType: 'event',
+            targetId: event._id,
+            metadata: { staffId: invitation._id, capabilities: invitation.capabilities }
+        });
+
+        return res.status(201).json(new ApiResponse(
+            201,
+            formatStaffMember(invitation),
+            'Staff invitation sent successfully'
+        ));
+    } catch (error) {
+        console.error('Error inviting event staff:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to invite staff');
+    }
+});
+
+/**
+ * @desc    Revoke a staff member's access or cancel a pending invitation
+ * @route   DELETE /api/v1/dashboard/organizer/events/:eventId/staff/:staffId
+ * @access  Private (Organizer & Admin)
+ */
+export const revokeEventStaff = asyncHandler(async (req, res) => {
+    const { staffId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(staffId)) {
+        throw new ApiError(400, 'Invalid staff ID');
+    }
+
+    try {
+        const event = await findManageableEvent(req.params.eventId, req.user);
+        const staff = await revokeStaffAccess({ event, staffId, revokedBy: req.user });
+        if (!staff) {
+            throw new ApiError(404, 'Staff member not found or already revoked');
+        }
+
+        await logActivity({
+            type: 'security',
+            action: 'Staff access revoked',
+            user: req.user._id,
+            details: `${staff.email} is no longer staff of event ${event.name}`,
+            req,
+            targetType: 'event',
+            targetId: event._id,
+            metadata: { staffId: staff._id }
+        });
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            formatStaffMember(staff),
+            'Staff access revoked successfully'
+        ));
+    } catch (error) {
+        console.error('Error revoking event staff:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to revoke staff access');
+    }
+});
+
+/**
+ * Find a ticket type whose event the current user can manage
+ * @param {string} ticketTypeId - Ticket type ID
+ * @param {Object} user - Current user
+ * @returns {Promise<{ticketType: Object, event: Object}>}
+ */
+const findManageableTicketType = async (ticketTypeId, user) => {
+    if (!mongoose.Types.ObjectId.isValid(ticketTypeId)) {
+        throw new ApiError(400, 'Invalid ticket type ID');
+    }
+
+    const ticketType = await TicketType.findById(ticketTypeId).select('+accessCodeHash');
+    if (!ticketType) {
+        throw new ApiError(404, 'Ticket type not found');
+    }
+
+    const event = await findManageableEvent(ticketType.event_id, user);
+    return { ticketType, event };
+};
+
+/**
+ * Ticket type as shown in the organizer dashboard
+ * @param {Object} ticketType - Ticket type document (with accessCodeHash selected)
+ * @returns {Object}
+ */
+const formatManagedTicketType = (ticketType) => ({
+    ...formatTicketType(ticketType, { includeStats: true }),
+    hasAccessCode: Boolean(ticketType.accessCodeHash)
+});
+
+/**
+ * @desc    List the ticket types of an event with their sales and current tier
+ *          Events without ticket types return the types derived from vipprice / economyprice
+ * @route   GET /api/v1/dashboard/organizer/events/:eventId/ticket-types
+ * @access  Private (Organizer & Admin)
+ */
+export const listEventTicketTypes = asyncHandler(async (req, res) => {
+    try {
+        const event = await findManageableEvent(req.params.eventId, req.user);
+        const ticketTypes = await getEventTicketTypes(event, { includeAccessCode: true });
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            {
+                eventId: event._id,
+                ticketTypes: ticketTypes.map(formatManagedTicketType),
+                usingEventPrices: ticketTypes.some(type => type.virtual),
+                uiMetadata: UI_METADATA
+            },
+            'Ticket types retrieved successfully'
+        ));
+    } catch (error) {
+        console.error('Error getting ticket types:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to get ticket types');
+    }
+});
+
+/**
+ * @desc    Create a ticket type for an event
+ * @route   POST /api/v1/dashboard/organizer/events/:eventId/ticket-types
+ * @access  Private (Organizer & Admin)
+ */
+export const createEventTicketType = asyncHandler(async (req, res) => {
+    try {
+        const event = await findManageableEvent(req.params.eventId, req.user);
+        const data = normalizeTicketTypeInput(req.body);
+
+        if (data.visibility === 'hidden' && !data.accessCodeHash) {
+            throw new ApiError(400, 'Hidden ticket types need an access code');
+        }
+
+        // Events still sold with vipprice / economyprice keep those tickets as real types
+        if (!await TicketType.exists({ event_id: event._id })) {
+            await createDefaultTicketTypes(event);
+        }
+
+        const ticketType = await TicketType.create({
+            ...data,
+            price: event.ticket === 'Free' ? 0 : data.price,
+            event_id: event._id
+        });
+
+        return res.status(201).json(new ApiResponse(
+            201,
+            formatManagedTicketType(ticketType),
+            'Ticket type created successfully'
+        ));
+    } catch (error) {
+        console.error('Error creating ticket type:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to create ticket type');
+    }
+});
+
+/**
+ * @desc    Update a ticket type (price, tiers, quantity, sales window, visibility...)
+ * @route   PUT /api/v1/dashboard/organizer/ticket-types/:ticketTypeId
+ * @access  Private (Organizer & Admin)
+ */
+export const updateEventTicketType = asyncHandler(async (req, res) => {
+    try {
+        const { ticketType } = await findManageableTicketType(req.params.ticketTypeId, req.user);
+        const data = normalizeTicketTypeInput(req.body, { partial: true });
+
+        const committed = ticketType.sold + ticketType.held;
+        if (data.quantity !== undefined && data.quantity !== null && data.quantity < committed) {
+            throw new ApiError(400, `Quantity cannot be lower than the ${committed} tickets already sold or held`);
+        }
+
+        const minPerOrder = data.minPerOrder ?? ticketType.minPerOrder;
+        const maxPerOrder = data.maxPerOrder ?? ticketType.maxPerOrder;
+        if (minPerOrder > maxPerOrder) {
+            throw new ApiError(400, 'minPerOrder cannot be greater than maxPerOrder');
+        }
+
+        Object.assign(ticketType, data);
+        // A manual price no longer follows the event price fields
+        if (data.price !== undefined) {
+            ticketType.legacyPriceField = null;
+        }
+        if (ticketType.visibility === 'hidden' && !ticketType.accessCodeHash) {
+            throw new ApiError(400, 'Hidden ticket types need an access code');
+        }
+
+        await ticketType.save();
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            formatManagedTicketType(ticketType),
+            'Ticket type updated successfully'
+        ));
+    } catch (error) {
+        console.error('Error updating ticket type:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to update ticket type');
+    }
+});
+
+/**
+ * @desc    Delete a ticket type without sales; types with sales can only be disabled
+ * @route   DELETE /api/v1/dashboard/organizer/ticket-types/:ticketTypeId
+ * @access  Private (Organizer & Admin)
+ */
+export const deleteEventTicketType = asyncHandler(async (req, res) => {
+    try {
+        const { ticketType } = await findManageableTicketType(req.params.ticketTypeId, req.user);
+
+        if (ticketType.sold > 0 || ticketType.held > 0) {
+            throw new ApiError(409, 'This ticket type has sold or held tickets; set its visibility to disabled instead');
+        }
+
+        await ticketType.deleteOne();
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            { ticketTypeId: ticketType._id },
+            'Ticket type deleted successfully'
+        ));
+    } catch (error) {
+        console.error('Error deleting ticket type:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to delete ticket type');
+    }
+});
+
+/**
+ * Find a promo code of an event the current user can manage
+ * @param {string} promoCodeId - Promo code ID
+ * @param {Object} user - Current user
+ * @returns {Promise<{promoCode: Object, event: Object}>}
+ */
+const findManageablePromoCode = async (promoCodeId, user) => {
+    if (!mongoose.Types.ObjectId.isValid(promoCodeId)) {
+        throw new ApiError(400, 'Invalid promo code ID');
+    }
+
+    const promoCode = await PromoCode.findById(promoCodeId);
+    if (!promoCode) {
+        throw new ApiError(404, 'Promo code not found');
+    }
+
+    const event = await findManageableEvent(promoCode.event_id, user);
+    return { promoCode, event };
+};
+
+/**
+ * Check that the ticket types a promo code is limited to belong to the event
+ * @param {Object} event - Event document
+ * @param {string[]} ticketTypeIds - Ticket type IDs
+ */
+const assertEventTicketTypes = async (event, ticketTypeIds = []) => {
+    if (ticketTypeIds.length === 0) return;
+
+    const invalidIds = ticketTypeIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    const found = invalidIds.length > 0
+        ? 0
+        : await TicketType.countDocuments({ _id: { $in: ticketTypeIds }, event_id: event._id });
+
+    if (invalidIds.length > 0 || found !== ticketTypeIds.length) {
+        throw new ApiError(400, 'Promo codes can only be limited to ticket types of this event');
+    }
+};
+
+/**
+ * @desc    List the promo codes of an event with their usage
+ * @route   GET /api/v1/dashboard/organizer/events/:eventId/promo-codes
+ * @access  Private (Organizer & Admin)
+ */
+export const listEventPromoCodes = asyncHandler(async (req, res) => {
+    try {
+        const event = await findManageableEvent(req.params.eventId, req.user);
+        const promoCodes = await PromoCode.find({ event_id: event._id }).sort({ createdAt: -1 });
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            {
+                eventId: event._id,
+                promoCodes: promoCodes.map(formatPromoCode)
+            },
+            'Promo codes retrieved successfully'
+        ));
+    } catch (error) {
+        console.error('Error getting promo codes:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to get promo codes');
+    }
+});
+
+/**
+ * @desc    Create a promo code for an event (percentage or fixed discount)
+ * @route   POST /api/v1/dashboard/organizer/events/:eventId/promo-codes
+ * @access  Private (Organizer & Admin)
+ */
+export const createEventPromoCode = asyncHandler(async (req, res) => {
+    try {
+        const event = await findManageableEvent(req.params.eventId, req.user);
+        const data = normalizePromoCodeInput(req.body);
+
+        await assertEventTicketTypes(event, data.ticketTypes);
+
+        const promoCode = await PromoCode.create({
+            ...data,
+            event_id: event._id,
+            createdBy: req.user._id
+        });
+
+        return res.status(201).json(new ApiResponse(
+            201,
+            formatPromoCode(promoCode),
+            'Promo code created successfully'
+        ));
+    } catch (error) {
+        console.error('Error creating promo code:', error);
+        if (error instanceof ApiError) throw error;
+        if (error.code === 11000) {
+            throw new ApiError(409, 'This event already has a promo code with that code');
+        }
+        throw new ApiError(500, 'Failed to create promo code');
+    }
+});
+
+/**
+ * @desc    Update a promo code (discount, limits, validity dates, active flag...)
+ * @route   PUT /api/v1/dashboard/organizer/promo-codes/:promoCodeId
+ * @access  Private (Organizer & Admin)
+ */
+export const updateEventPromoCode = asyncHandler(async (req, res) => {
+    try {
+        const { promoCode, event } = await findManageablePromoCode(req.params.promoCodeId, req.user);
+        const data = normalizePromoCodeInput(req.body, { partial: true });
+
+        if (data.ticketTypes) {
+            await assertEventTicketTypes(event, data.ticketTypes);
+        }
+
+        Object.assign(promoCode, data);
+
+        if (promoCode.discountType === 'percentage' && promoCode.discountValue > 100) {
+            throw new ApiError(400, 'A percentage discount cannot be greater than 100%');
+        }
+        if (promoCode.validFrom && promoCode.validUntil && promoCode.validFrom >= promoCode.validUntil) {
+            throw new ApiError(400, 'validUntil must be later than validFrom');
+        }
+        if (promoCode.maxUses !== null && promoCode.maxUses < promoCode.usedCount) {
+            throw new ApiError(400, `maxUses cannot be lower than the ${promoCode.usedCount} uses already made`);
+        }
+
+        await promoCode.save();
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            formatPromoCode(promoCode),
+            'Promo code updated successfully'
+        ));
+    } catch (error) {
+        console.error('Error updating promo code:', error);
+        if (error instanceof ApiError) throw error;
+        if (error.code === 11000) {
+            throw new ApiError(409, 'This event already has a promo code with that code');
+        }
+        throw new ApiError(500, 'Failed to update promo code');
+    }
+});
+
+/**
+ * @desc    Delete a promo code that has never been used; used codes can only be deactivated
+ * @route   DELETE /api/v1/dashboard/organizer/promo-codes/:promoCodeId
+ * @access  Private (Organizer & Admin)
+ */
+export const deleteEventPromoCode = asyncHandler(async (req, res) => {
+    try {
+        const { promoCode } = await findManageablePromoCode(req.params.promoCodeId, req.user);
+
+        if (promoCode.usedCount > 0) {
+            throw new ApiError(409, 'This promo code has already been used; set active to false instead');
+        }
+
+        await promoCode.deleteOne();
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            { promoCodeId: promoCode._id },
+            'Promo code deleted successfully'
+        ));
+    } catch (error) {
+        console.error('Error deleting promo code:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to delete promo code');
+    }
+});
+
+/**
+ * @desc    Get the organizer balance, settlement ledger entries and payout history
+ * @route   GET /api/v1/dashboard/organizer/payouts
+ * @access  Private (Organizer & Admin; admins pass ?organizerId=)
+ */
+export const getOrganizerPayouts = asyncHandler(async (req, res) => {
+    const { type, eventId } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const isAdmin = req.user.role === 'admin';
+    const organizerId = isAdmin && req.query.organizerId ? req.query.organizerId : req.user._id.toString();
+    
+    if (!mongoose.Types.ObjectId.isValid(organizerId)) {
+        throw new ApiError(400, 'Invalid organizer ID');
+    }
+    if (type && !LEDGER_ENTRY_TYPES.includes(type)) {
+        throw new ApiError(400, `type must be one of: ${LEDGER_ENTRY_TYPES.join(', ')}`);
+    }
+    if (eventId && !mongoose.Types.ObjectId.isValid(eventId)) {
+        throw new ApiError(400, 'Invalid event ID');
+    }
+    
+    try {
+        const entriesFilter = {
+            organizer_id: organizerId,
+            ...(type ? { type } : {}),
+            ...(eventId ? { event_id: eventId } : {})
+        };
+        const skip = (page - 1) * limit;
+        
+        const [balances, entries, totalEntries, batches, settings] = await Promise.all([
+            getOrganizerBalances(organizerId),
+            LedgerEntry.find(entriesFilter)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('event_id', 'name eventDate')
+                .populate('payoutBatch_id', 'reference status'),
+            LedgerEntry.countDocuments(entriesFilter),
+            PayoutBatch.find({ 'items.organizer_id': organizerId, status: { $ne: 'cancelled' } })
+                .sort({ createdAt: -1 })
+                .limit(50),
+            getCachedSettings()
+        ]);
+        
+        return res.status(200).json(new ApiResponse(
+            200,
+            {
+                balances,
+                holdDays: getPayoutConfig(settings).holdDays,
+                payouts: batches.map(batch => {
+                    const item = batch.items.find(batchItem => batchItem.organizer_id.toString() === organizerId);
+                    return {
+                        id: batch._id,
+                        reference: batch.reference,
+                        status: batch.status,
+                        amount: item?.amount || 0,
+                        currency: batch.currency,
+                        periodEnd: batch.periodEnd,
+                        createdAt: batch.createdAt,
+                        approvedAt: batch.approvedAt,
+                        paidAt: batch.paidAt,
+                        paymentReference: batch.paymentReference
+                    };
+                }),
+                entries: entries.map(entry => ({
+                    id: entry._id,
+                    type: entry.type,
+                    amount: entry.amount,
+                    currency: entry.currency,
+                    description: entry.description,
+                    event: entry.event_id ? { id: entry.event_id._id, name: entry.event_id.name, date: entry.event_id.eventDate } : null,
+                    bookingId: entry.booking_id,
+                    availableAt: entry.availableAt,
+                    payout: entry.payoutBatch_id ? { id: entry.payoutBatch_id._id, reference: entry.payoutBatch_id.reference, status: entry.payoutBatch_id.status } : null,
+                    createdAt: entry.createdAt
+                })),
+                pagination: {
+                    currentPage: page,
+                    totalPages: Math.ceil(totalEntries / limit),
+                    totalItems: totalEntries,
+                    itemsPerPage: limit
+                }
+            },
+            'Payouts retrieved successfully'
+        ));
+    } catch (error) {
+        console.error('Error fetching organizer payouts:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to retrieve payouts');
+    }
+});
+
+/**
+ * @desc    Get the organizer's payout bank account (IBAN masked)
+ * @route   GET /api/v1/dashboard/organizer/bank-account
+ * @access  Private (Organizer only)
+ */
+export const getOrganizerBankAccount = asyncHandler(async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('bankAccount');
+        if (!user) {
+            throw new ApiError(404, 'User not found');
+        }
+        
+        return res.status(200).json(new ApiResponse(
+            200,
+            { bankAccount: formatBankAccount(user.bankAccount) },
+            'Bank account retrieved successfully'
+        ));
+    } catch (error) {
+        console.error('Error fetching bank account:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to retrieve bank account');
+    }
+});
+
+/**
+ * @desc    Set the organizer's payout bank account (holderName, iban, bic)
+ * @route   PUT /api/v1/dashboard/organizer/bank-account
+ * @access  Private (Organizer only)
+ */
+export const updateOrganizerBankAccount = asyncHandler(async (req, res) => {
+    const bankAccount = normalizeBankAccount(req.body || {});
+    
+    try {
+        const user = await User.findById(req.user._id).select('email bankAccount');
+        if (!user) {
+            throw new ApiError(404, 'User not found');
+        }
+        
+        user.set('bankAccount', bankAccount);
+        await user.save();
+        
+        // Changing where payouts go is sensitive: keep a trace of it
+        logActivity({
+            type: 'security',
+            action: 'Cuenta bancaria modificada',
+            user: req.user,
+            details: `Cuenta de liquidaciones de ${user.email} cambiada a ${formatBankAccount(bankAccount).iban}`,
+            req,
+            targetType: 'user',
+            targetId: user._id
+        });
+        
+        return res.status(200).json(new ApiResponse(
+            200,
+            { bankAccount: formatBankAccount(user.bankAccount) },
+            'Bank account updated successfully'
+        ));
+    } catch (error) {
+        console.error('Error updating bank account:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Failed to update bank account');
+    }
+});
+
 export default {
     getOrganizerDashboardOverview,
     getEventAnalytics,
     getFinancialOverview,
     getAttendeesData,
+    getWaitlistData,
     updateAttendeeCheckIn,
     exportAttendeesList,
     getSalesReport,
     getCommissionDetails,
-    getOccupancyAnalytics
+    getOccupancyAnalytics,
+    getOrganizerCommunications,
+    getOrganizerCommunicationThread,
+    replyToCommunication,
+    getEventSeatInventory,
+    blockEventSeats,
+    unblockEventSeats,
+    getEventScans,
+    getEventAttendance,
+    updateEventEntryPolicy,
+    listEventStaff,
+    inviteEventStaff,
+    revokeEventStaff,
+    listEventTicketTypes,
+    createEventTicketType,
+    updateEventTicketType,
+    deleteEventTicketType,
+    listEventPromoCodes,
+    createEventPromoCode,
+    updateEventPromoCode,
+    deleteEventPromoCode,
+    getOrganizerPayouts,
+    getOrganizerBankAccount,
+    updateOrganizerBankAccount
 };
\ No newline at end of file
@@ -1,6 +1,9 @@
 import Event from '../models/Event.js';
 import { uploadOnCloudinary, deleteOnCloudinary } from "../utils/cloudinary.js";
 import fs from 'fs';
+import { logActivity } from '../utils/activityLogger.js';
+import { deleteEventInventory } from '../utils/seatInventory.js';
+import { createDefaultTicketTypes, syncLegacyTicketPrices } from '../utils/ticketTypes.js';
 // export const createNewEvent = async (req, res) => {
 //     const {
 //         name,
@@ -234,6 +237,24 @@ export const createNewEvent = async (req, res) => {
         // Save the event to the database
         const savedEvent = await newEvent.save();
 
+        // Tipos de entrada iniciales (SystemSettings.events.defaultTicketTypes).
+        // Si falla, el evento se vende con sus precios fijos hasta que el organizador cree los tipos
+        try {
+            await createDefaultTicketTypes(savedEvent);
+        } catch (ticketTypeError) {
+            console.error('Error al crear los tipos de entrada del evento:', ticketTypeError);
+        }
+
+        logActivity({
+            type: 'event-created',
+            action: 'Evento creado',
+            user: req.user,
+            details: `Evento "${savedEvent.name}" creado`,
+            req,
+            targetType: 'event',
+            targetId: savedEvent._id
+        });
+
         res.status(201).json({
             status: 'éxito',
             success: 'verdadero',
@@ -383,6 +404,11 @@ export const updateEvent = async (req, res) => {
         // Update the event
         const updatedEvent = await Event.findByIdAndUpdate(id, { $set: updatedData }, { new: true });
 
+        // Los tipos de entrada creados a partir de vipprice / economyprice siguen su precio
+        if (updatedEvent && (updatedData.vipprice !== undefined || updatedData.economyprice !== undefined)) {
+            await syncLegacyTicketPrices(updatedEvent);
+        }
+
         res.status(200).json({
             status: "éxito",
             success: "verdadero",
@@ -615,6 +641,7 @@ export const deleteEvent = async (req, res) => {
 
     try {
         await Event.findByIdAndDelete(id);
+        await deleteEventInventory(id);
         res.status(200).json({
             status: "éxito",
             success: "verdadero",
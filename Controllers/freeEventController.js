@@ -1,25 +1,21 @@
 import Booking from '../models/Booking.js';
 import Event from '../models/Event.js';
-import { uploadOnCloudinary } from "../utils/cloudinary.js";
-import QRCode from 'qrcode';
-import crypto from 'crypto';
-
-// Utilidad para encriptar datos para QR codes
-const encrypt = (data, secretKey) => {
-    const keyBuffer = Buffer.from(secretKey, 'hex');
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv('aes-256-cbc', keyBuffer, iv);
-    let encrypted = cipher.update(data, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    return `${iv.toString('hex')}:${encrypted}`;
-};
+import { quoteOrder, toBookingPricing } from '../utils/pricingService.js';
+import { ApiError } from '../utils/ApiError.js';
+import { sellSeats, releaseBookingSeats, findUserHold } from '../utils/seatInventory.js';
+import { toCapacityLines } from '../utils/ticketTypes.js';
+import { reservePromoCode, releasePromoRedemption } from '../utils/promoCodes.js';
+import { issueBookingTickets, uploadTicketQRCodes, formatBookingTickets } from '../utils/ticketCredentials.js';
 
 /**
  * Controlador para crear reservas de eventos gratuitos
- * Salta el proceso de Stripe y genera directamente el código QR
+ * Salta el proceso de Stripe y emite directamente las entradas.
+ * También admite pedidos de eventos de pago cuyo código promocional cubre todo el importe.
  */
 export const createFreeBooking = async (req, res) => {
-    const { bookingDate, event_id, user_id, guestSize, seatNumbers } = req.body;
+    const { bookingDate, event_id, guestSize, tickets, accessCode, promoCode } = req.body;
+    // El titular de la reserva es siempre el usuario autenticado
+    const user_id = req.user._id;
     
     try {
         // Verificar que el evento existe
@@ -32,8 +28,25 @@ export const createFreeBooking = async (req, res) => {
             });
         }
         
-        // Verificar que sea realmente un evento gratuito
-        if (evento.ticket !== "Free") {
+        // Bloqueo vigente del usuario en el evento (selección de asientos u oferta de lista de espera)
+        const userHold = await findUserHold(evento._id, user_id);
+        const holdSessionId = userHold?.sessionId || null;
+        
+        // Precio calculado en el servidor; valida también los tipos de entrada, su cupo y el código promocional
+        const quote = await quoteOrder(evento, {
+            seatNumbers: req.body.seatNumbers,
+            quantity: guestSize,
+            tickets,
+            accessCode,
+            holdSessionId,
+            promoCode,
+            userId: user_id
+        });
+        const { seatNumbers } = quote;
+        const ticketLines = toCapacityLines(quote.items);
+        
+        // Verificar que sea realmente un evento gratuito (o que el código cubra todo el importe)
+        if (evento.ticket !== "Free" && !(quote.discount && quote.total === 0)) {
             return res.status(400).json({
                 status: "failed",
                 success: "false",
@@ -41,77 +54,80 @@ export const createFreeBooking = async (req, res) => {
             });
         }
         
-        // Verificar conflictos de asientos si se están asignando
-        if (seatNumbers && seatNumbers.length > 0) {
-            const conflictingSeats = await Booking.find({
-                event_id,
-                bookingDate,
-                seatNumbers: { $in: seatNumbers },
-            });
-
-            if (conflictingSeats.length > 0) {
-                return res.status(400).json({
-                    status: "failed",
-                    success: "false",
-                    message: "Algunos de los asientos seleccionados ya están reservados",
-                    conflictingSeats: conflictingSeats.map(booking => booking.seatNumbers).flat(),
-                });
-            }
-        }
-        
         // Crear la reserva gratuita (totalPrice = 0)
         const nuevaReserva = new Booking({
             user_id,
             event_id,
             bookingDate,
             guestSize,
-            seatNumbers: seatNumbers || [],
-            totalPrice: 0,
+            seatNumbers,
+            // La comisión y el desglose quedan en la reserva
+            ...toBookingPricing(quote),
             // Marcar como pagada ya que es gratis
             status: 'confirmed', 
             paymentStatus: 'paid'
         });
         
-        const reservaGuardada = await nuevaReserva.save();
+        // Registrar el uso del código promocional (falla si se ha agotado)
+        const promoRedemption = quote.discount
+            ? await reservePromoCode(quote.discount, { eventId: evento._id, userId: user_id, bookingId: nuevaReserva._id })
+            : null;
+        
+        // Asignar los asientos y el cupo de entradas antes de guardar la reserva
+        if (seatNumbers.length > 0 || ticketLines.length > 0) {
+            const sale = await sellSeats(evento, seatNumbers, {
+                bookingId: nuevaReserva._id,
+                holdSessionId,
+                userId: user_id,
+                tickets: ticketLines
+            });
+
+            if (!sale.success) {
+                await releasePromoRedemption(promoRedemption?._id);
+            }
+
+            if (sale.soldOutTicketType) {
+                return res.status(409).json({
+                    status: "failed",
+                    success: "false",
+                    message: "No quedan suficientes entradas del tipo seleccionado",
+                    ticketTypeId: sale.soldOutTicketType,
+                });
+            }
+
+            if (!sale.success) {
+                return res.status(400).json({
+                    status: "failed",
+                    success: "false",
+                    message: "Algunos de los asientos seleccionados ya están reservados",
+                    conflictingSeats: [...sale.invalidSeats, ...sale.unavailable.map(item => item.seat)],
+                });
+            }
+        }
+        
+        let reservaGuardada;
+        try {
+            // Una entrada firmada por asiento o plaza, con su código QR
+            issueBookingTickets(nuevaReserva, evento);
+            await uploadTicketQRCodes(nuevaReserva);
+            reservaGuardada = await nuevaReserva.save();
+        } catch (saveError) {
+            // La reserva no se ha creado: devolver los asientos al inventario y el uso del código
+            await releaseBookingSeats(nuevaReserva);
+            await releasePromoRedemption(promoRedemption?._id);
+            throw saveError;
+        }
         
         // Actualizar asientos disponibles si es necesario
-        if (seatNumbers && seatNumbers.length > 0) {
+        if (seatNumbers.length > 0) {
             evento.availableSeats = evento.availableSeats.filter(seat => !seatNumbers.includes(seat));
             await evento.save();
         }
         
-        // Obtener detalles para la respuesta y generación del QR
+        // Obtener detalles para la respuesta
         const reservaPoblada = await Booking.findById(reservaGuardada._id)
             .populate('user_id', 'username email')
             .populate('event_id', 'name desc venue');
-            
-        // Generar datos para el código QR
-        const secretKey = process.env.QR_SECRET_KEY || 'defaultSecretKey0123456789abcdef'; // Fallback
-        const qrCodeData = JSON.stringify({
-            bookingId: reservaGuardada._id,
-            event: evento.name,
-            user: reservaPoblada.user_id.username,
-            date: bookingDate,
-            totalPrice: 0,
-            isFree: true
-        });
-        
-        // Encriptar los datos
-        const encryptedData = encrypt(qrCodeData, secretKey);
-        
-        // Añadir mensaje para el caso de QR no válido
-        const qrCodePayload = {
-            errorMessage: "Código QR inválido. Por favor contacte al organizador del evento.",
-            data: encryptedData,
-        };
-        
-        // Generar QR y subirlo a Cloudinary
-        const qrCodeBase64 = await QRCode.toDataURL(JSON.stringify(qrCodePayload));
-        const qrCodeUploadResponse = await uploadOnCloudinary(qrCodeBase64, "event_bookings");
-        
-        // Actualizar la reserva con la URL del QR
-        reservaGuardada.qrCodeUrl = qrCodeUploadResponse.secure_url;
-        await reservaGuardada.save();
         
         // Responder con éxito
         res.status(200).json({
@@ -119,11 +135,20 @@ export const createFreeBooking = async (req, res) => {
             success: "true",
             message: "Tu registro para el evento gratuito ha sido realizado",
             data: reservaPoblada,
-            qrCodeUrl: qrCodeUploadResponse.secure_url,
+            qrCodeUrl: reservaGuardada.qrCodeUrl,
+            tickets: formatBookingTickets(reservaGuardada, { includeToken: true }),
         });
         
     } catch (err) {
         console.error("Error en createFreeBooking:", err);
+        if (err instanceof ApiError) {
+            return res.status(err.statusCode).json({
+                status: "failed",
+                success: "false",
+                message: err.message,
+                errors: err.errors,
+            });
+        }
         res.status(500).json({
             status: "failed",
             success: "false",
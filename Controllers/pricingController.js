@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import Event from '../models/Event.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { quoteOrder } from '../utils/pricingService.js';
+import { getVisibleTicketTypes } from '../utils/ticketTypes.js';
+import { findUserHold } from '../utils/seatInventory.js';
+
+/**
+ * @desc    Calcular el precio desglosado de un pedido (entradas, descuento, gastos e impuestos)
+ *          El checkout rechaza cualquier importe que no coincida con este presupuesto
+ * @route   POST /api/v1/booking/quote
+ * @access  Public (con sesión tiene en cuenta el bloqueo y los códigos usados por el usuario)
+ */
+export const getOrderQuote = asyncHandler(async (req, res) => {
+    const { event_id, seatNumbers, guestSize, tickets, accessCode, promoCode } = req.body;
+
+    if (!event_id || !mongoose.Types.ObjectId.isValid(event_id)) {
+        throw new ApiError(400, 'ID de evento no válido');
+    }
+    if (seatNumbers !== undefined && !Array.isArray(seatNumbers)) {
+        throw new ApiError(400, 'seatNumbers debe ser una lista de asientos');
+    }
+    if (tickets !== undefined && !Array.isArray(tickets)) {
+        throw new ApiError(400, 'tickets debe ser una lista de entradas por tipo');
+    }
+
+    try {
+        const event = await Event.findById(event_id);
+        if (!event) {
+            throw new ApiError(404, 'Evento no encontrado');
+        }
+
+        // Las entradas que ya bloquea el propio usuario cuentan como disponibles
+        const userHold = await findUserHold(event._id, req.user?._id);
+
+        const quote = await quoteOrder(event, {
+            seatNumbers,
+            quantity: guestSize,
+            tickets,
+            accessCode,
+            holdSessionId: userHold?.sessionId,
+            promoCode,
+            userId: req.user?._id
+        });
+
+        return res.status(200).json(new ApiResponse(200, quote, 'Presupuesto calculado correctamente'));
+    } catch (error) {
+        console.error('Error al calcular el presupuesto:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Error al calcular el precio del pedido');
+    }
+});
+
+/**
+ * @desc    Tipos de entrada a la venta de un evento, con su precio y tramo actuales
+ *          Las entradas de preventa ocultas solo aparecen con su código (?accessCode=)
+ * @route   GET /api/v1/events/:eventId/ticket-types
+ * @access  Public
+ */
+export const getTicketTypesForSale = asyncHandler(async (req, res) => {
+    const { eventId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+        throw new ApiError(400, 'ID de evento no válido');
+    }
+
+    try {
+        const event = await Event.findById(eventId);
+        if (!event) {
+            throw new ApiError(404, 'Evento no encontrado');
+        }
+
+        const ticketTypes = await getVisibleTicketTypes(event, req.query.accessCode);
+
+        return res.status(200).json(new ApiResponse(200, { eventId: event._id, ticketTypes }, 'Tipos de entrada obtenidos correctamente'));
+    } catch (error) {
+        console.error('Error al obtener los tipos de entrada:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Error al obtener los tipos de entrada');
+    }
+});
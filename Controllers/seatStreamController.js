@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+import Event from '../models/Event.js';
+import { getSeatAvailability } from '../utils/seatInventory.js';
+import { openSeatStream } from '../utils/seatStream.js';
+import { ApiError } from '../utils/ApiError.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+
+/**
+ * @desc    Flujo en tiempo real (server-sent events) del estado de los asientos de un evento
+ * @route   GET /api/v1/events/:eventId/seats/stream
+ * @access  Public
+ *
+ * Envía primero un mensaje `snapshot` con { available, held, sold, blocked } y
+ * después un mensaje `seats` por cada cambio: { type, status, seats, expiresAt? },
+ * con type held, released, expired, sold, blocked o unblocked. El navegador
+ * reconecta solo (EventSource) y recibe los cambios perdidos o un nuevo snapshot.
+ */
+export const streamEventSeats = asyncHandler(async (req, res) => {
+    const { eventId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+        throw new ApiError(400, 'ID de evento no válido');
+    }
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+        throw new ApiError(404, 'Evento no encontrado');
+    }
+
+    const opened = await openSeatStream(req, res, {
+        eventId: event._id,
+        getSnapshot: () => getSeatAvailability(event)
+    });
+
+    if (!opened) {
+        throw new ApiError(503, 'Demasiadas conexiones abiertas. Inténtelo de nuevo en unos segundos');
+    }
+});
+
+export default {
+    streamEventSeats
+};
@@ -0,0 +1,221 @@
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import {
+    rotateRefreshToken,
+    parseRefreshToken,
+    revokeSession,
+    revokeUserSessions,
+    setAuthCookies,
+    clearAuthCookies,
+    describeDevice
+} from '../utils/sessionService.js';
+import { logActivity } from '../utils/activityLogger.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+
+const getRefreshToken = (req) => req.body?.refreshToken || req.cookies?.refreshToken;
+
+/**
+ * @desc    Renovar el access token con el refresh token (que se rota en cada uso)
+ * @route   POST /api/v1/auth/refresh
+ * @access  Public (requiere refresh token en cookie o en el body)
+ */
+export const refreshSession = asyncHandler(async (req, res) => {
+    const refreshToken = getRefreshToken(req);
+
+    if (!refreshToken) {
+        throw new ApiError(401, 'No se ha proporcionado el refresh token');
+    }
+
+    try {
+        const tokens = await rotateRefreshToken(req, refreshToken);
+
+        return setAuthCookies(res, tokens).status(200).json(new ApiResponse(
+            200,
+            {
+                token: tokens.accessToken,
+                refreshToken: tokens.refreshToken,
+                expiresIn: tokens.accessExpiresIn,
+                refreshExpiresAt: tokens.refreshExpiresAt
+            },
+            'Sesión renovada correctamente'
+        ));
+    } catch (error) {
+        if (error instanceof ApiError) {
+            clearAuthCookies(res);
+            throw error;
+        }
+        console.error('Error al renovar la sesión:', error);
+        throw new ApiError(500, 'Error al renovar la sesión');
+    }
+});
+
+/**
+ * @desc    Cerrar la sesión actual
+ * @route   POST /api/v1/auth/logout
+ * @access  Public (identifica la sesión por el access token, aunque haya caducado, o por el refresh token)
+ */
+export const logout = asyncHandler(async (req, res) => {
+    try {
+        let sessionId = null;
+
+        const accessToken = req.cookies?.accessToken || req.header('Authorization')?.replace('Bearer ', '');
+        if (accessToken) {
+            try {
+                const decoded = jwt.verify(accessToken, process.env.JWT_SECRET_KEY, { ignoreExpiration: true });
+                sessionId = decoded.sid || null;
+            } catch (error) {
+                // Token manipulado: se intenta con el refresh token
+            }
+        }
+
+        if (!sessionId) {
+            sessionId = parseRefreshToken(getRefreshToken(req))?.sessionId || null;
+        }
+
+        if (sessionId) {
+            const session = await Session.findById(sessionId);
+            if (session) {
+                await revokeSession(session, 'logout');
+            }
+        }
+
+        clearAuthCookies(res);
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            null,
+            'Sesión cerrada correctamente'
+        ));
+    } catch (error) {
+        console.error('Error al cerrar la sesión:', error);
+        throw new ApiError(500, 'Error al cerrar la sesión');
+    }
+});
+
+/**
+ * @desc    Listar las sesiones activas del usuario (una por dispositivo)
+ * @route   GET /api/v1/auth/sessions
+ * @access  Private
+ */
+export const getMySessions = asyncHandler(async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            user_id: req.user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        })
+            .select('userAgent ipAddress createdAt lastUsedAt expiresAt')
+            .sort({ lastUsedAt: -1 })
+            .lean();
+
+        const data = sessions.map(session => ({
+            id: session._id,
+            device: describeDevice(session.userAgent),
+            userAgent: session.userAgent,
+            ipAddress: session.ipAddress,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            expiresAt: session.expiresAt,
+            current: session._id.toString() === req.sessionId?.toString()
+        }));
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            { sessions: data },
+            'Sesiones obtenidas correctamente'
+        ));
+    } catch (error) {
+        console.error('Error al obtener las sesiones:', error);
+        throw new ApiError(500, 'Error al obtener las sesiones');
+    }
+});
+
+/**
+ * @desc    Cerrar una sesión concreta (p. ej. un dispositivo perdido)
+ * @route   DELETE /api/v1/auth/sessions/:sessionId
+ * @access  Private
+ */
+export const revokeMySession = asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+        throw new ApiError(400, 'ID de sesión inválido');
+    }
+
+    try {
+        const session = await Session.findOne({ _id: sessionId, user_id: req.user._id });
+        if (!session || session.revokedAt) {
+            throw new ApiError(404, 'Sesión no encontrada');
+        }
+
+        await revokeSession(session, 'user-revoked');
+
+        logActivity({
+            type: 'security',
+            action: 'Sesión cerrada',
+            user: req.user,
+            details: `Sesión en ${describeDevice(session.userAgent)} cerrada por el usuario`,
+            req,
+            targetType: 'session',
+            targetId: session._id
+        });
+
+        if (session._id.toString() === req.sessionId?.toString()) {
+            clearAuthCookies(res);
+        }
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            null,
+            'Sesión cerrada correctamente'
+        ));
+    } catch (error) {
+        console.error('Error al cerrar la sesión:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Error al cerrar la sesión');
+    }
+});
+
+/**
+ * @desc    Cerrar todas las sesiones excepto la actual
+ * @route   POST /api/v1/auth/sessions/revoke-others
+ * @access  Private
+ */
+export const revokeOtherSessions = asyncHandler(async (req, res) => {
+    try {
+        const revoked = await revokeUserSessions(req.user._id, {
+            reason: 'user-revoked',
+            exceptSessionId: req.sessionId
+        });
+
+        logActivity({
+            type: 'security',
+            action: 'Sesiones cerradas',
+            user: req.user,
+            details: `${revoked} sesiones cerradas en otros dispositivos`,
+            req,
+            targetType: 'user',
+            targetId: req.user._id
+        });
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            { revoked },
+            'Se han cerrado las sesiones de los demás dispositivos'
+        ));
+    } catch (error) {
+        console.error('Error al cerrar las demás sesiones:', error);
+        throw new ApiError(500, 'Error al cerrar las sesiones');
+    }
+});
+
+export default {
+    refreshSession,
+    logout,
+    getMySessions,
+    revokeMySession,
+    revokeOtherSessions
+};
@@ -0,0 +1,81 @@
+import { acceptStaffInvitation, getStaffEvents } from '../utils/eventStaff.js';
+import { logActivity } from '../utils/activityLogger.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+
+/**
+ * @desc    Aceptar una invitación como personal de puerta de un evento
+ * @route   POST /api/v1/staff/invitations/:token/accept
+ * @access  Private (cuenta con el mismo correo que la invitación)
+ */
+export const acceptInvitation = asyncHandler(async (req, res) => {
+    try {
+        const invitation = await acceptStaffInvitation({ token: req.params.token, user: req.user });
+
+        await logActivity({
+            type: 'security',
+            action: 'Invitación de personal aceptada',
+            user: req.user._id,
+            details: `${req.user.email} es personal del evento ${invitation.event_id} (${invitation.capabilities.join(', ')})`,
+            req,
+            targetType: 'event',
+            targetId: invitation.event_id,
+            metadata: { staffId: invitation._id, capabilities: invitation.capabilities }
+        });
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            {
+                id: invitation._id,
+                eventId: invitation.event_id,
+                capabilities: invitation.capabilities,
+                accessExpiresAt: invitation.accessExpiresAt
+            },
+            'Invitación aceptada correctamente'
+        ));
+    } catch (error) {
+        console.error('Error al aceptar la invitación de personal:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Error al aceptar la invitación');
+    }
+});
+
+/**
+ * @desc    Eventos en los que el usuario es personal de puerta
+ * @route   GET /api/v1/staff/events
+ * @access  Private
+ */
+export const getMyStaffEvents = asyncHandler(async (req, res) => {
+    try {
+        const assignments = await getStaffEvents(req.user);
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            assignments.map(({ event, capabilities, accessExpiresAt }) => ({
+                event: {
+                    id: event._id,
+                    name: event.name,
+                    eventDate: event.eventDate,
+                    eventTime: event.eventTime,
+                    venue: event.venue,
+                    photo: event.photo,
+                    entryPolicy: event.entryPolicy,
+                    gates: event.gates
+                },
+                capabilities,
+                accessExpiresAt
+            })),
+            'Eventos obtenidos correctamente'
+        ));
+    } catch (error) {
+        console.error('Error al obtener los eventos del personal:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Error al obtener los eventos');
+    }
+});
+
+export default {
+    acceptInvitation,
+    getMyStaffEvents
+};
@@ -3,8 +3,7 @@ import { uploadOnCloudinary } from "../utils/cloudinary.js";
 import Booking from '../models/Booking.js';
 import Event from '../models/Event.js';
 import User from '../models/User.js';
-import Stripe from 'stripe';
-import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import fs from 'fs';
 import PDFDocument from 'pdfkit';
 import crypto from 'crypto';
@@ -15,83 +14,20 @@ import {
 import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
-// Inicializar el cliente de Stripe con la clave secreta o usar modo simulado
-let stripeClient;
-try {
-    // Verificar si existe la clave de Stripe
-    if (process.env.STRIPE_SECRET_KEY) {
-        stripeClient = new Stripe(process.env.STRIPE_SECRET_KEY, { 
-            apiVersion: '2023-10-16'  // Usar la versión más reciente de la API
-        });
-    } else {
-        console.warn('ADVERTENCIA: No se encontró STRIPE_SECRET_KEY. Funcionando en modo simulado.');
-        // Crear un cliente simulado para desarrollo/pruebas
-        stripeClient = {
-            checkout: {
-                sessions: {
-                    create: async () => ({
-                        id: `cs_test_${Date.now()}`,
-                        url: 'https://checkout.stripe.com/pay/test',
-                        payment_status: 'unpaid'
-                    }),
-                    retrieve: async () => ({
-                        id: `cs_test_${Date.now()}`,
-                        payment_status: 'paid',
-                        customer_details: {
-                            email: 'cliente@ejemplo.com',
-                            name: 'Cliente Simulado'
-                        },
-                        metadata: {
-                            encryptedData: encrypt(JSON.stringify({
-                                user_id: '123456789012345678901234',
-                                event_id: '123456789012345678901234',
-                                selectedSeats: [{ id: 'A1', label: 'A1', type: 'standard' }],
-                                totalPrice: 100
-                            }))
-                        }
-                    })
-                }
-            },
-            webhooks: {
-                constructEvent: () => ({
-                    type: 'checkout.session.completed',
-                    data: {
-                        object: {
-                            id: `cs_test_${Date.now()}`,
-                            payment_status: 'paid',
-                            customer_details: {
-                                email: 'cliente@ejemplo.com',
-                                name: 'Cliente Simulado'
-                            },
-                            metadata: {
-                                encryptedData: encrypt(JSON.stringify({
-                                    user_id: '123456789012345678901234',
-                                    event_id: '123456789012345678901234',
-                                    selectedSeats: [{ id: 'A1', label: 'A1', type: 'standard' }],
-                                    totalPrice: 100
-                                }))
-                            }
-                        }
-                    }
-                })
-            }
-        };
-    }
-} catch (error) {
-    console.error('Error al inicializar Stripe:', error.message);
-    // Si hay error, usar cliente simulado de todos modos para no bloquear la aplicación
-    stripeClient = {
-        checkout: {
-            sessions: {
-                create: async () => ({
-                    id: `cs_test_${Date.now()}`,
-                    url: 'https://checkout.stripe.com/pay/fallback',
-                    payment_status: 'unpaid'
-                })
-            }
-        }
-    };
-}
+import { logActivity } from '../utils/activityLogger.js';
+import { canJoinWaitlist, offerFreedSeats } from '../utils/waitlistService.js';
+import { getCommissionQuote, toBookingCommission } from '../utils/commissionService.js';
+import { quoteOrder, assertQuotedTotals, toBookingPricing, toPricingMetadata, fromPricingMetadata, PRICE_TOLERANCE } from '../utils/pricingService.js';
+import { toCapacityLines } from '../utils/ticketTypes.js';
+import { reservePromoCode, confirmPromoRedemption, releasePromoRedemption, releaseBookingPromoCode } from '../utils/promoCodes.js';
+import { claimWebhookEvent, claimWebhookEventForReplay, markWebhookEventResolved, markWebhookEventFailed } from '../utils/webhookEvents.js';
+import { holdSeats, sellSeats, releaseHold, releaseBookingSeats, createHoldSessionId, findUserHold } from '../utils/seatInventory.js';
+import { recordBookingLedger } from '../utils/payoutLedger.js';
+import { issueBookingTickets, uploadTicketQRCodes, formatBookingTickets } from '../utils/ticketCredentials.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import PaymentCheckout from '../models/PaymentCheckout.js';
+import { getPaymentProvider, getCheckoutProvider, getAvailablePaymentMethods } from '../utils/paymentProviders.js';
+import { getCachedSettings } from '../utils/settingsCache.js';
 
 // Funciones de encriptación y desencriptación para datos sensibles
 const algorithm = 'aes-256-cbc';
@@ -135,25 +71,845 @@ const decrypt = (text) => {
     }
 };
 
+// Reservas de asientos y bloqueos temporales ----------------------------------
+
+/**
+ * Líneas del checkout a partir del presupuesto: una por tipo de entrada y
+ * tramo, más la comisión del comprador y los impuestos si se cobran aparte.
+ * Las pasarelas no admiten líneas negativas: con un código promocional las
+ * entradas se cobran en una sola línea con el descuento aplicado.
+ * @param {Object} event - Documento del evento
+ * @param {Object} quote - Resultado de quoteOrder
+ * @returns {Object[]} - Líneas {name, description, images, unitAmount, quantity}; unitAmount en la moneda del pedido
+ */
+const toCheckoutLineItems = (event, quote) => {
+    const line = (product, unitAmount, quantity = 1) => ({ ...product, unitAmount, quantity });
+
+    const lines = quote.discount?.amount > 0
+        ? [line({
+            name: `Entradas: ${event.name}`,
+            description: `${quote.items.map(item => `${item.quantity} x ${item.ticketTypeName}`).join(', ')}. Código ${quote.discount.code}: -${quote.discount.amount} ${quote.currency}`,
+            images: event.photo ? [event.photo] : undefined,
+        }, quote.subtotal)]
+        : quote.items.map(item => line({
+            name: `${item.ticketTypeName}${item.tier ? ` (${item.tier})` : ''}: ${event.name}`,
+            description: `Lugar: ${event.venue || event.location}${item.seats.length ? `, Asientos: ${item.seats.join(', ')}` : ''}`,
+            images: event.photo ? [event.photo] : undefined,
+        }, item.unitPrice, item.quantity));
+
+    if (quote.fees.amount > 0) {
+        lines.push(line({ name: 'Gastos de gestión' }, quote.fees.amount));
+    }
+    if (!quote.tax.included && quote.tax.amount > 0) {
+        lines.push(line({ name: `${quote.tax.name} (${quote.tax.rate}%)` }, quote.tax.amount));
+    }
+
+    return lines;
+};
+
+// Duración de la sesión de pago de Stripe (Stripe exige al menos 30 minutos).
+// Los asientos se mantienen bloqueados un margen más para que el aviso de pago
+// completado llegue antes de que expire el bloqueo; checkout.session.expired lo libera.
+const CHECKOUT_SESSION_DURATION = 35 * 60 * 1000;
+const CHECKOUT_HOLD_GRACE = 5 * 60 * 1000;
+
+/**
+ * ID de la reserva que se crea para un checkout
+ * Se deriva del ID del checkout para que un reintento del webhook venda los
+ * asientos a la misma reserva aunque el intento anterior se cortara a medias.
+ * @param {string} checkoutId - ID del checkout en la pasarela (sesión de Stripe, pedido de PayPal)
+ * @returns {mongoose.Types.ObjectId}
+ */
+const getCheckoutBookingId = (checkoutId) =>
+    new mongoose.Types.ObjectId(crypto.createHash('sha256').update(checkoutId).digest('hex').slice(0, 24));
+
+/**
+ * Busca la reserva asociada a un pago
+ * @param {string} paymentIntentId - ID del pago en la pasarela (PaymentIntent de Stripe, captura de PayPal)
+ * @returns {Promise<Object|null>}
+ */
+const findBookingByPaymentIntent = async (paymentIntentId) =>
+    paymentIntentId ? Booking.findOne({ 'paymentDetails.paymentIntentId': paymentIntentId }) : null;
+
+// Manejadores de eventos del webhook -----------------------------------------
+// Cada manejador lanza una excepción si falla (el evento queda registrado como
+// fallido) y devuelve { status: 'processed' | 'ignored', result }.
+
+/**
+ * Marca el checkout de la pasarela como resuelto
+ * @param {string} provider - Pasarela
+ * @param {string} checkoutId - ID del checkout
+ * @param {Object} update - Campos a fijar (status, booking_id)
+ * @returns {Promise<Object|null>}
+ */
+const updatePaymentCheckout = (provider, checkoutId, update) =>
+    PaymentCheckout.findOneAndUpdate({ provider, checkoutId }, { $set: update }, { new: true });
+
+/**
+ * Crea la reserva de un checkout pagado, sea cual sea la pasarela
+ * Repetirlo para el mismo checkout no duplica la reserva: solo completa lo que faltara.
+ * @param {Object} payment
+ * @param {string} payment.provider - Pasarela (stripe, paypal)
+ * @param {string} payment.checkoutId - ID del checkout en la pasarela
+ * @param {string} payment.paymentId - ID del pago cobrado (PaymentIntent, captura)
+ * @param {string} [payment.paymentMethod] - Método de pago (card, paypal...)
+ * @param {Object} payment.metadata - Datos del pedido guardados al crear el checkout
+ * @returns {Promise<{status: string, result: Object}>}
+ */
+const completeCheckoutBooking = async ({ provider, checkoutId, paymentId, paymentMethod, metadata = {} }) => {
+    // Un reintento de un evento ya procesado, o el segundo aviso de un pago asíncrono
+    const existingBooking = await Booking.findOne({ 'paymentDetails.sessionStorageId': checkoutId });
+    if (existingBooking) {
+        const existingEvent = await Event.findById(existingBooking.event_id);
+        if (existingEvent) {
+            // Repetir la venta para la misma reserva no falla: solo completa lo que faltara
+            await sellSeats(existingEvent, existingBooking.seatNumbers, {
+                bookingId: existingBooking._id,
+                holdSessionId: metadata.holdSessionId,
+                userId: existingBooking.user_id
+            });
+        }
+        await confirmPromoRedemption(metadata.promoRedemptionId, existingBooking._id);
+        await updatePaymentCheckout(provider, checkoutId, { status: 'completed', booking_id: existingBooking._id });
+        await recordBookingLedger(existingBooking, { event: existingEvent });
+        return { status: 'processed', result: { bookingId: existingBooking._id, alreadyExisted: true } };
+    }
+
+    // Desencriptar los datos del metadata
+    const user_id = decrypt(metadata.user_id || '');
+    const event_id = decrypt(metadata.event_id || '');
+    if (!user_id || !event_id) {
+        throw new Error('Metadatos de la sesión de pago ilegibles o incompletos');
+    }
+    const bookingDate = decrypt(metadata.bookingDate);
+    const guestSize = parseInt(decrypt(metadata.guestSize));
+    const seatNumbers = JSON.parse(decrypt(metadata.seatNumbers));
+    const totalPrice = parseFloat(decrypt(metadata.totalPrice));
+    const ticketType = decrypt(metadata.ticketType);
+    // Comisión y desglose calculados al crear la sesión (lo que realmente se ha cobrado)
+    const storedCommission = metadata.commission ? JSON.parse(decrypt(metadata.commission) || 'null') : null;
+    const storedPricing = fromPricingMetadata(metadata);
+    const storedPromoCode = metadata.promoCode ? JSON.parse(metadata.promoCode) : null;
+
+    const event = await Event.findById(event_id);
+    if (!event) {
+        throw new Error(`Evento ${event_id} no encontrado`);
+    }
+
+    // Vender los asientos antes de crear la reserva; el bloqueo del checkout se libera
+    const bookingId = getCheckoutBookingId(checkoutId);
+    const sale = await sellSeats(event, seatNumbers, {
+        bookingId,
+        holdSessionId: metadata.holdSessionId,
+        userId: user_id,
+        tickets: toCapacityLines(storedPricing?.items)
+    });
+
+    if (!sale.success) {
+        // El pago se ha cobrado pero los asientos o entradas ya no están libres: requiere revisión manual
+        if (sale.soldOutTicketType) {
+            throw new Error(`Tipo de entrada ${sale.soldOutTicketType} agotado tras el pago`);
+        }
+        const lostSeats = [...sale.invalidSeats, ...sale.unavailable.map(item => item.seat)];
+        throw new Error(`Asientos ya reservados tras el pago: ${lostSeats.join(', ')}`);
+    }
+
+    // El uso del código promocional queda asociado a la reserva
+    await confirmPromoRedemption(metadata.promoRedemptionId, bookingId);
+
+    // Sesiones creadas antes de guardar la comisión en los metadatos: se calcula ahora
+    const commissionFields = storedCommission ||
+        toBookingCommission(await getCommissionQuote(event, totalPrice, seatNumbers.length));
+
+    // Si algo falla a partir de aquí los asientos siguen vendidos a esta reserva
+    // (el pago ya se ha cobrado) y el reintento crea la reserva con el mismo ID
+    const newBooking = new Booking({
+        _id: bookingId,
+        user_id,
+        event_id,
+        bookingDate: new Date(bookingDate),
+        guestSize,
+        seatNumbers,
+        totalPrice,
+        ticketType,
+        ...commissionFields,
+        ...(storedPricing ? { pricing: storedPricing } : {}),
+        ...(storedPromoCode ? { promoCode: storedPromoCode } : {}),
+        qrCodeScanStatus: false,
+        paymentStatus: 'paid',
+        paymentDetails: {
+            provider,
+            paymentIntentId: paymentId,
+            sessionStorageId: checkoutId,
+            paymentMethod: paymentMethod || 'card'
+        }
+    });
+
+    // Una entrada firmada por asiento, con su código QR
+    issueBookingTickets(newBooking, event);
+    const qrCodeImages = await uploadTicketQRCodes(newBooking);
+    const savedBooking = await newBooking.save();
+    await updatePaymentCheckout(provider, checkoutId, { status: 'completed', booking_id: savedBooking._id });
+    await recordBookingLedger(savedBooking, { event });
+
+    // Generar PDF del ticket (opcional)
+    let pdfPath;
+    let writeStream;
+    try {
+        pdfPath = `booking-${savedBooking._id}.pdf`;
+        const doc = new PDFDocument();
+        writeStream = fs.createWriteStream(pdfPath);
+
+        doc.pipe(writeStream);
+
+        // Diseñar el PDF del ticket
+        doc.fontSize(25).text('Ticket de Entrada', { align: 'center' });
+        doc.moveDown();
+        doc.fontSize(15).text(`Evento: ${event.title || event.name || 'Evento'}`);
+        doc.fontSize(12).text(`Fecha: ${new Date(event.eventDate || new Date()).toLocaleDateString()}`);
+        doc.fontSize(12).text(`Lugar: ${event.venue || event.location || 'Ubicación'}`);
+        doc.fontSize(12).text(`Asiento(s): ${seatNumbers.join(', ')}`);
+        doc.fontSize(12).text(`Precio Total: ${totalPrice} ${event.currency || 'EUR'}`);
+        doc.moveDown();
+
+        // Añadir el código QR de cada entrada al PDF
+        savedBooking.tickets.forEach((ticket, index) => {
+            if (index > 0) doc.addPage();
+            doc.fontSize(12).text(`Entrada ${ticket.ticketId}${ticket.seat ? ` - Asiento ${ticket.seat}` : ''}`, { align: 'center' });
+            doc.image(qrCodeImages[index], {
+                fit: [250, 250],
+                align: 'center'
+            });
+        });
+
+        doc.end();
+    } catch (pdfError) {
+        console.error('Error al generar el PDF:', pdfError);
+        // Continuamos aunque falle la generación del PDF
+        pdfPath = null;
+    }
+
+    // Función para enviar correos electrónicos de confirmación
+    const sendConfirmationEmails = async () => {
+        try {
+            // 1. Buscar datos completos del usuario
+            let user;
+            try {
+                user = await User.findById(user_id);
+            } catch (userError) {
+                console.error('Error al buscar usuario:', userError);
+                if (!process.env.STRIPE_SECRET_KEY) {
+                    // En modo de prueba, crear un usuario simulado
+                    user = {
+                        _id: user_id,
+                        email: 'usuario@ejemplo.com',
+                        username: 'Usuario Simulado',
+                        fullname: 'Usuario Simulado'
+                    };
+                }
+            }
+
+            // 2. Enviar correo electrónico de confirmación al usuario
+            if (user && user.email) {
+                try {
+                    await sendBookingConfirmationEmail({
+                        email: user.email,
+                        name: user.fullname || user.username,
+                        eventName: event.title || event.name || 'Evento',
+                        eventDate: new Date(event.eventDate || new Date()).toLocaleDateString(),
+                        eventTime: event.eventTime || '19:00',
+                        venue: event.venue || event.location || 'Ubicación',
+                        seats: seatNumbers.join(', '),
+                        totalPrice,
+                        currency: event.currency || 'EUR',
+                        bookingId: savedBooking._id,
+                        qrCodeUrl: savedBooking.qrCodeUrl,
+                        tickets: savedBooking.tickets,
+                        attachments: pdfPath ? [
+                            {
+                                filename: `ticket-${savedBooking._id}.pdf`,
+                                path: pdfPath
+                            }
+                        ] : []
+                    });
+
+                    console.log(`✅ Correo de confirmación enviado a ${user.email}`);
+                } catch (emailSendError) {
+                    console.error('Error al enviar correo de confirmación:', emailSendError);
+                }
+            }
+
+            // 3. Buscar información del organizador y enviarle notificación
+            if (event.user_id) {
+                try {
+                    let organizer;
+                    try {
+                        organizer = await User.findById(event.user_id);
+                    } catch (organizerFindError) {
+                        console.error('Error al buscar organizador:', organizerFindError);
+                        if (!process.env.STRIPE_SECRET_KEY) {
+                            // En modo de prueba, crear un organizador simulado
+                            organizer = {
+                                _id: event.user_id,
+                                email: 'organizador@ejemplo.com',
+                                username: 'Organizador',
+                                fullname: 'Organizador Simulado'
+                            };
+                        }
+                    }
+
+                    if (organizer && organizer.email) {
+                        // Enviar notificación al organizador
+                        await sendOrganizerBookingNotification({
+                            email: organizer.email,
+                            name: organizer.fullname || organizer.username,
+                            eventName: event.title || event.name || 'Evento',
+                            bookingId: savedBooking._id,
+                            totalPrice,
+                            numTickets: seatNumbers.length,
+                            currency: event.currency || 'EUR'
+                        });
+
+                        console.log(`✅ Notificación enviada al organizador ${organizer.email}`);
+                    }
+                } catch (organizerEmailError) {
+                    console.error('Error al enviar notificación al organizador:', organizerEmailError);
+                    // No interrumpir el proceso principal si falla la notificación al organizador
+                }
+            }
+        } catch (emailError) {
+            console.error('Error en el envío de correos electrónicos:', emailError);
+        } finally {
+            // Eliminar el archivo PDF local después de enviarlo si existe
+            if (pdfPath) {
+                fs.unlink(pdfPath, (err) => {
+                    if (err) console.error('Error al eliminar el archivo PDF temporal:', err);
+                });
+            }
+        }
+    };
+
+    // Si el PDF se generó correctamente, esperamos a que termine de escribirse
+    if (pdfPath) {
+        writeStream.on('finish', sendConfirmationEmails);
+    } else {
+        // Si no hay PDF, enviamos los correos directamente
+        sendConfirmationEmails();
+    }
+
+    logActivity({
+        type: 'payment-processed',
+        action: 'Pago procesado',
+        user: user_id,
+        details: `Pago de ${totalPrice} ${event.currency || 'EUR'} para "${event.name || event.title || 'Evento'}" (${seatNumbers.length} entrada(s))`,
+        targetType: 'booking',
+        targetId: savedBooking._id,
+        metadata: {
+            amount: totalPrice,
+            provider,
+            sessionId: checkoutId,
+            paymentIntentId: paymentId,
+            eventId: event_id
+        }
+    });
+
+    console.log(`Reserva ${savedBooking._id} creada exitosamente después del pago`);
+
+    return { status: 'processed', result: { bookingId: savedBooking._id } };
+};
+
+/**
+ * checkout.session.completed / checkout.session.async_payment_succeeded: crear la reserva pagada
+ */
+const handleCheckoutCompleted = async (stripeEvent) => {
+    const session = stripeEvent.data.object;
+
+    if (session.payment_status !== 'paid') {
+        // Pagos asíncronos (p. ej. SEPA): la reserva se crea con async_payment_succeeded
+        return { status: 'ignored', result: { reason: `payment_status ${session.payment_status}` } };
+    }
+
+    return completeCheckoutBooking({
+        provider: 'stripe',
+        checkoutId: session.id,
+        paymentId: session.payment_intent,
+        paymentMethod: session.payment_method_types ? session.payment_method_types[0] : 'card',
+        metadata: session.metadata || {}
+    });
+};
+
+/**
+ * Libera los asientos bloqueados y el código promocional de un checkout que no se pagó
+ * @param {Object} metadata - Datos del pedido guardados al crear el checkout
+ * @returns {Promise<{status: string, result: Object}>}
+ */
+const releaseCheckout = async (metadata) => {
+    const eventId = metadata.event_id ? decrypt(metadata.event_id) : null;
+
+    // El código promocional vuelve a estar disponible
+    const promoReleased = await releasePromoRedemption(metadata.promoRedemptionId, { statuses: ['pending'] });
+
+    if (!metadata.holdSessionId || !eventId) {
+        return promoReleased
+            ? { status: 'processed', result: { promoReleased } }
+            : { status: 'ignored', result: { reason: 'La sesión no tiene bloqueo temporal asociado' } };
+    }
+
+    const released = await releaseHold(eventId, metadata.holdSessionId);
+    if (released > 0) {
+        // Ofrecer los asientos liberados a la lista de espera
+        offerFreedSeats(eventId);
+    }
+
+    return { status: 'processed', result: { eventId, releasedSeats: released, promoReleased } };
+};
+
+/**
+ * checkout.session.expired: el comprador no llegó a pagar, se liberan sus asientos bloqueados
+ */
+const handleCheckoutExpired = async (stripeEvent) => {
+    const session = stripeEvent.data.object;
+    await updatePaymentCheckout('stripe', session.id, { status: 'expired' });
+    return releaseCheckout(session.metadata || {});
+};
+
+/**
+ * payment_intent.payment_failed: registrar el fallo en la reserva (si ya existe) y en la actividad
+ */
+const handlePaymentFailed = async (stripeEvent) => {
+    const paymentIntent = stripeEvent.data.object;
+    const failureReason = paymentIntent.last_payment_error?.message || 'Pago rechazado';
+
+    const booking = await findBookingByPaymentIntent(paymentIntent.id);
+    if (booking) {
+        if (booking.paymentStatus === 'Pending') {
+            booking.paymentStatus = 'Fallido';
+        }
+        booking.paymentDetails.failureReason = failureReason;
+        await booking.save();
+    }
+
+    logActivity({
+        type: 'payment-processed',
+        action: 'Pago fallido',
+        user: booking?.user_id || null,
+        details: `Pago ${paymentIntent.id} rechazado: ${failureReason}`,
+        targetType: booking ? 'booking' : 'payment',
+        targetId: booking?._id || paymentIntent.id,
+        metadata: {
+            paymentIntentId: paymentIntent.id,
+            amount: paymentIntent.amount / 100,
+            failureCode: paymentIntent.last_payment_error?.code
+        }
+    });
+
+    return { status: 'processed', result: { bookingId: booking?._id || null, failureReason } };
+};
+
+/**
+ * Refleja en la reserva un reembolso notificado por la pasarela
+ * @param {Object} booking - Documento de la reserva
+ * @param {Object} refund
+ * @param {number} refund.refundedAmount - Total reembolsado hasta ahora
+ * @param {boolean} refund.fullyRefunded - Si se ha devuelto todo el pago
+ * @param {string} refund.providerLabel - Nombre de la pasarela para la actividad
+ * @param {Object} [refund.metadata] - Datos del reembolso para la actividad
+ * @returns {Promise<{status: string, result: Object}>}
+ */
+const applyRefund = async (booking, { refundedAmount, fullyRefunded, providerLabel, metadata = {} }) => {
+    booking.paymentDetails.refundedAmount = refundedAmount;
+    booking.paymentStatus = fullyRefunded ? 'refunded' : 'partially_refunded';
+
+    // Un reembolso total hecho fuera del flujo de cancelación anula igualmente la entrada
+    const cancelledNow = fullyRefunded && booking.status !== 'cancelled';
+    if (cancelledNow) {
+        booking.status = 'cancelled';
+        booking.qrCodeToken = undefined;
+        await releaseBookingSeats(booking);
+        await releaseBookingPromoCode(booking);
+    }
+    await booking.save();
+    await recordBookingLedger(booking);
+
+    if (cancelledNow) {
+        offerFreedSeats(booking.event_id);
+        logActivity({
+            type: 'booking-cancelled',
+            action: 'Reserva cancelada por reembolso',
+            user: booking.user_id,
+            details: `Reserva ${booking._id} cancelada tras un reembolso total de ${refundedAmount} en ${providerLabel}`,
+            targetType: 'booking',
+            targetId: booking._id,
+            metadata: { ...metadata, refundedAmount }
+        });
+    }
+
+    return { status: 'processed', result: { bookingId: booking._id, refundedAmount, cancelled: cancelledNow } };
+};
+
+/**
+ * charge.refunded: reflejar reembolsos, también los emitidos desde el panel de Stripe
+ */
+const handleChargeRefunded = async (stripeEvent) => {
+    const charge = stripeEvent.data.object;
+    const booking = await findBookingByPaymentIntent(charge.payment_intent);
+
+    if (!booking) {
+        return { status: 'ignored', result: { reason: `Sin reserva para el pago ${charge.payment_intent}` } };
+    }
+
+    return applyRefund(booking, {
+        refundedAmount: charge.amount_refunded / 100,
+        fullyRefunded: charge.refunded === true,
+        providerLabel: 'Stripe',
+        metadata: { chargeId: charge.id }
+    });
+};
+
+/**
+ * charge.dispute.created / charge.dispute.closed: seguimiento de contracargos
+ */
+const handleDispute = async (stripeEvent) => {
+    const dispute = stripeEvent.data.object;
+    const booking = await findBookingByPaymentIntent(dispute.payment_intent);
+
+    if (!booking) {
+        return { status: 'ignored', result: { reason: `Sin reserva para el pago ${dispute.payment_intent}` } };
+    }
+
+    const closed = stripeEvent.type === 'charge.dispute.closed';
+
+    booking.dispute = {
+        id: dispute.id,
+        status: dispute.status,
+        reason: dispute.reason,
+        amount: dispute.amount / 100,
+        openedAt: booking.dispute?.openedAt || new Date(dispute.created * 1000),
+        closedAt: closed ? new Date() : undefined
+    };
+
+    if (!closed) {
+        booking.paymentStatus = 'disputed';
+    } else if (dispute.status === 'won' && booking.paymentStatus === 'disputed') {
+        booking.paymentStatus = 'paid';
+    }
+    await booking.save();
+    await recordBookingLedger(booking);
+
+    logActivity({
+        type: 'payment-processed',
+        action: closed ? 'Contracargo cerrado' : 'Contracargo abierto',
+        user: booking.user_id,
+        details: closed
+            ? `Contracargo ${dispute.id} de la reserva ${booking._id} cerrado (${dispute.status})`
+            : `Contracargo ${dispute.id} de ${dispute.amount / 100} abierto sobre la reserva ${booking._id} (${dispute.reason})`,
+        targetType: 'booking',
+        targetId: booking._id,
+        metadata: { disputeId: dispute.id, status: dispute.status, reason: dispute.reason }
+    });
+
+    return { status: 'processed', result: { bookingId: booking._id, disputeStatus: dispute.status } };
+};
+
+const STRIPE_EVENT_HANDLERS = {
+    'checkout.session.completed': handleCheckoutCompleted,
+    'checkout.session.async_payment_succeeded': handleCheckoutCompleted,
+    'checkout.session.expired': handleCheckoutExpired,
+    'payment_intent.payment_failed': handlePaymentFailed,
+    'charge.refunded': handleChargeRefunded,
+    'charge.dispute.created': handleDispute,
+    'charge.dispute.closed': handleDispute
+};
+
+// Eventos de PayPal -------------------------------------------------------------
+// PayPal no guarda metadatos en el pedido: los datos se leen del PaymentCheckout
+// creado junto con él.
+
+/**
+ * ID del pedido de PayPal al que pertenece una captura
+ * @param {Object} capture - Recurso de captura del evento
+ * @returns {string|null}
+ */
+const getPaypalOrderId = (capture) => capture?.supplementary_data?.related_ids?.order_id || null;
+
+/**
+ * Checkout de un pedido de PayPal
+ * @param {string} orderId
+ * @returns {Promise<Object|null>}
+ */
+const findPaypalCheckout = async (orderId) =>
+    orderId ? PaymentCheckout.findOne({ provider: 'paypal', checkoutId: orderId }) : null;
+
+/**
+ * Completa la reserva de un pedido de PayPal cobrado
+ */
+const completePaypalCheckout = (checkout, paymentId) => completeCheckoutBooking({
+    provider: 'paypal',
+    checkoutId: checkout.checkoutId,
+    paymentId,
+    paymentMethod: 'paypal',
+    metadata: Object.fromEntries(checkout.metadata || [])
+});
+
+/**
+ * CHECKOUT.ORDER.APPROVED: el comprador aprobó el pedido; se captura el cobro
+ */
+const handlePaypalOrderApproved = async (paypalEvent) => {
+    const order = paypalEvent.resource;
+    const checkout = await findPaypalCheckout(order.id);
+
+    if (!checkout) {
+        return { status: 'ignored', result: { reason: `Sin checkout para el pedido ${order.id}` } };
+    }
+    if (checkout.status === 'completed') {
+        return { status: 'ignored', result: { reason: 'Pedido ya cobrado', bookingId: checkout.booking_id } };
+    }
+
+    // Con el bloqueo vencido los asientos pueden haberse vendido a otro comprador: no se cobra
+    if (checkout.status !== 'open' || (checkout.expiresAt && checkout.expiresAt < new Date())) {
+        const expired = await PaymentCheckout.findOneAndUpdate(
+            { _id: checkout._id, status: 'open' },
+            { $set: { status: 'expired' } }
+        );
+        if (expired) {
+            await releaseCheckout(Object.fromEntries(checkout.metadata || []));
+        }
+        return { status: 'ignored', result: { reason: `Checkout ${checkout.status === 'open' ? 'expired' : checkout.status}; el pago no se captura` } };
+    }
+
+    const provider = getPaymentProvider('paypal', await getCachedSettings());
+    const capture = await provider.capture(order.id);
+
+    if (capture.status !== 'paid') {
+        // Captura pendiente (p. ej. revisión de PayPal): la reserva se crea con PAYMENT.CAPTURE.COMPLETED
+        return { status: 'processed', result: { orderId: order.id, captureStatus: capture.status } };
+    }
+
+    return completePaypalCheckout(checkout, capture.paymentId);
+};
+
+/**
+ * PAYMENT.CAPTURE.COMPLETED: crear la reserva pagada (también si la captura quedó pendiente)
+ */
+const handlePaypalCaptureCompleted = async (paypalEvent) => {
+    const capture = paypalEvent.resource;
+    const orderId = getPaypalOrderId(capture);
+    const checkout = await findPaypalCheckout(orderId);
+
+    if (!checkout) {
+        return { status: 'ignored', result: { reason: `Sin checkout para el pedido ${orderId}` } };
+    }
+
+    return completePaypalCheckout(checkout, capture.id);
+};
+
+/**
+ * PAYMENT.CAPTURE.DENIED: PayPal rechazó el cobro; se liberan los asientos bloqueados
+ */
+const handlePaypalCaptureDenied = async (paypalEvent) => {
+    const capture = paypalEvent.resource;
+    const orderId = getPaypalOrderId(capture);
+    const checkout = orderId
+        ? await PaymentCheckout.findOneAndUpdate(
+            { provider: 'paypal', checkoutId: orderId, status: 'open' },
+            { $set: { status: 'failed' } }
+        )
+        : null;
+
+    if (!checkout) {
+        return { status: 'ignored', result: { reason: `Sin checkout abierto para el pedido ${orderId}` } };
+    }
+
+    logActivity({
+        type: 'payment-processed',
+        action: 'Pago fallido',
+        user: checkout.user_id || null,
+        details: `Captura ${capture.id} del pedido de PayPal ${orderId} rechazada`,
+        targetType: 'payment',
+        targetId: capture.id,
+        metadata: { provider: 'paypal', orderId, amount: Number(capture.amount?.value) || 0 }
+    });
+
+    return releaseCheckout(Object.fromEntries(checkout.metadata || []));
+};
+
+/**
+ * PAYMENT.CAPTURE.REFUNDED: reflejar reembolsos, también los emitidos desde el panel de PayPal
+ */
+const handlePaypalCaptureRefunded = async (paypalEvent) => {
+    const refund = paypalEvent.resource;
+    // El enlace "up" del reembolso apunta a la captura reembolsada
+    const captureId = refund.links?.find(link => link.rel === 'up')?.href?.split('/').pop();
+    const booking = await findBookingByPaymentIntent(captureId);
+
+    if (!booking) {
+        return { status: 'ignored', result: { reason: `Sin reserva para el pago ${captureId}` } };
+    }
+
+    const totalRefunded = refund.seller_payable_breakdown?.total_refunded_amount?.value;
+    const refundedAmount = totalRefunded !== undefined
+        ? Number(totalRefunded)
+        : (booking.paymentDetails.refundedAmount || 0) + (Number(refund.amount?.value) || 0);
+    const amountCharged = booking.amountCharged ?? booking.totalPrice;
+
+    return applyRefund(booking, {
+        refundedAmount,
+        fullyRefunded: refundedAmount >= amountCharged - PRICE_TOLERANCE,
+        providerLabel: 'PayPal',
+        metadata: { refundId: refund.id, captureId }
+    });
+};
+
+const PAYPAL_EVENT_HANDLERS = {
+    'CHECKOUT.ORDER.APPROVED': handlePaypalOrderApproved,
+    'PAYMENT.CAPTURE.COMPLETED': handlePaypalCaptureCompleted,
+    'PAYMENT.CAPTURE.DENIED': handlePaypalCaptureDenied,
+    'PAYMENT.CAPTURE.REFUNDED': handlePaypalCaptureRefunded
+};
+
+const WEBHOOK_EVENT_HANDLERS = {
+    stripe: STRIPE_EVENT_HANDLERS,
+    paypal: PAYPAL_EVENT_HANDLERS
+};
+
+const PROVIDER_LABELS = {
+    stripe: 'Stripe',
+    paypal: 'PayPal'
+};
+
+/**
+ * Procesa un evento de una pasarela ya reclamado y deja constancia del resultado
+ * @param {string} provider - Pasarela (stripe, paypal)
+ * @param {Object} paymentEvent - Evento verificado
+ * @param {Object} record - Registro WebhookEvent reclamado
+ * @returns {Promise<{status: string, result: Object}>}
+ * @throws {Error} Si el procesamiento falla (el evento queda como fallido)
+ */
+const runWebhookEvent = async (provider, paymentEvent, record) => {
+    const handler = WEBHOOK_EVENT_HANDLERS[provider]?.[paymentEvent.type];
+
+    try {
+        const outcome = handler
+            ? await handler(paymentEvent)
+            : { status: 'ignored', result: { reason: 'Tipo de evento no gestionado' } };
+        await markWebhookEventResolved(record, outcome);
+        return outcome;
+    } catch (error) {
+        console.error(`Error al procesar el evento de ${PROVIDER_LABELS[provider]} ${paymentEvent.id} (${paymentEvent.type}):`, error);
+        await markWebhookEventFailed(record, error);
+        throw error;
+    }
+};
+
+/**
+ * Recibe el webhook de una pasarela: verifica la firma, reclama el evento y lo procesa
+ * Cada evento se procesa una sola vez aunque la pasarela lo reintente;
+ * los que fallan quedan registrados para relanzarlos desde el panel.
+ * @param {string} providerName - Pasarela (stripe, paypal)
+ * @param {Object} req - Petición con el cuerpo sin parsear (express.raw)
+ * @param {Object} res
+ */
+const receivePaymentWebhook = async (providerName, req, res) => {
+    const label = PROVIDER_LABELS[providerName];
+    let paymentEvent;
+
+    try {
+        const provider = getPaymentProvider(providerName, await getCachedSettings());
+        paymentEvent = await provider.verifyWebhook(req.body, req.headers);
+    } catch (err) {
+        console.error(`Error en la verificación del webhook de ${label}:`, err.message);
+        // 503 sin secreto configurado y 5xx si no se pudo verificar: la pasarela lo reintentará
+        return res.status(err instanceof ApiError ? err.statusCode : 500).json({
+            status: 'error',
+            message: err.message
+        });
+    }
+
+    let claim;
+    try {
+        claim = await claimWebhookEvent(providerName, paymentEvent);
+    } catch (error) {
+        console.error(`Error al registrar el evento de ${label}:`, error);
+        return res.status(500).json({ received: false, message: 'Error al registrar el evento' });
+    }
+
+    if (!claim.claimed) {
+        // Reintento de un evento ya procesado (o que se está procesando ahora mismo)
+        return res.status(200).json({ received: true, duplicate: true, status: claim.record?.status });
+    }
+
+    try {
+        const outcome = await runWebhookEvent(providerName, paymentEvent, claim.record);
+        return res.status(200).json({ received: true, status: outcome.status });
+    } catch (error) {
+        // La pasarela reintentará la entrega; además queda registrado para relanzarlo
+        return res.status(500).json({ received: false, message: 'Error al procesar el evento' });
+    }
+};
+
+/**
+ * Relanza un evento de una pasarela que falló, con el evento guardado al recibirlo
+ * @param {string} webhookEventId - _id del registro WebhookEvent
+ * @param {Object} user - Administrador que lo relanza
+ * @returns {Promise<{record: Object, outcome: Object|null, error: string|null}>}
+ * @throws {ApiError} 404 si no existe, 409 si no está pendiente de relanzar
+ */
+export const replayPaymentWebhookEvent = async (webhookEventId, user) => {
+    const record = await claimWebhookEventForReplay(webhookEventId, user);
+
+    if (!record) {
+        const existing = await WebhookEvent.findById(webhookEventId).select('status');
+        if (!existing) {
+            throw new ApiError(404, 'Webhook event not found');
+        }
+        throw new ApiError(409, `Only failed events can be replayed (current status: ${existing.status})`);
+    }
+
+    const provider = record.provider || 'stripe';
+
+    logActivity({
+        type: 'admin-action',
+        action: 'Webhook relanzado',
+        user,
+        details: `Evento de ${PROVIDER_LABELS[provider] || provider} ${record.eventId} (${record.type}) relanzado manualmente`,
+        targetType: 'webhook',
+        targetId: record._id
+    });
+
+    let outcome = null;
+    let error = null;
+    try {
+        outcome = await runWebhookEvent(provider, record.payload, record);
+    } catch (replayError) {
+        error = replayError.message;
+    }
+    return { record: await WebhookEvent.findById(record._id).select('-payload'), outcome, error };
+};
+
 // Exportar las funciones de manejo de pagos con Stripe
 export const handleStripePayment = {
     /**
-     * @desc    Crear una sesión de pago de Stripe
+     * @desc    Crear una sesión de pago en la pasarela elegida (Stripe por defecto, o PayPal)
      * @route   POST /api/v1/booking/create-stripe-session
+     * @route   POST /api/v1/booking/create-checkout-session
      * @access  Private
      */
     createStripeSession: asyncHandler(async (req, res) => {
         const { 
-            user_id, 
             event_id, 
             bookingDate, 
             guestSize, 
-            seatNumbers, 
+            seatNumbers = [], 
             totalPrice,
-            ticketType = 'standard'
+            ticketType = 'standard',
+            tickets, // Opcional: [{ ticketTypeId, quantity, seatNumbers }]; sin tipos se usan los de cada asiento
+            accessCode, // Código de acceso de las entradas de preventa
+            promoCode, // Código promocional
+            amountCharged, // Opcional: importe total mostrado al comprador, se valida igual que totalPrice
+            provider = 'stripe' // Pasarela de pago: stripe o paypal (GET /payment-methods)
         } = req.body;
         
-        if (!event_id || !user_id || !totalPrice || !seatNumbers || !Array.isArray(seatNumbers)) {
+        if (!event_id || !totalPrice || !Array.isArray(seatNumbers) || (tickets !== undefined && !Array.isArray(tickets))) {
             throw new ApiError(400, 'Faltan campos requeridos para crear la sesión de pago');
         }
         
@@ -164,71 +920,166 @@ export const handleStripePayment = {
                 throw new ApiError(404, 'Evento no encontrado');
             }
             
-            // Verificar que los asientos no estén ya reservados
-            const alreadyReservedSeats = seatNumbers.filter(seat => 
-                event.reservedSeats.includes(seat)
-            );
+            // El comprador es siempre el usuario autenticado
+            const user = await User.findById(req.user._id);
+            if (!user) {
+                throw new ApiError(404, 'Usuario no encontrado');
+            }
+            
+            const checkoutProvider = await getCheckoutProvider(String(provider));
+            
+            // Se retoma el bloqueo vigente del comprador (reserva temporal u oferta de lista de espera)
+            const userHold = await findUserHold(event._id, user._id);
+            const holdSessionId = userHold?.sessionId || createHoldSessionId('checkout');
+            
+            // El precio se calcula en el servidor; el importe enviado solo se compara
+            const quote = await quoteOrder(event, {
+                seatNumbers,
+                quantity: guestSize,
+                tickets,
+                accessCode,
+                holdSessionId,
+                promoCode,
+                userId: user._id
+            });
+            assertQuotedTotals(quote, { totalPrice, amountCharged });
+            if (quote.total <= 0) {
+                throw new ApiError(400, quote.discount
+                    ? 'El código promocional cubre todo el importe. Use la ruta de reservas gratuitas.'
+                    : 'Este evento es gratuito. Use la ruta de eventos gratuitos.');
+            }
+            const bookingPricing = toBookingPricing(quote);
             
-            if (alreadyReservedSeats.length > 0) {
+            // Bloquear asientos y entradas mientras dure el pago (se reutiliza el bloqueo previo si lo hay)
+            const sessionExpiresAt = new Date(Date.now() + CHECKOUT_SESSION_DURATION);
+            const ticketLines = toCapacityLines(quote.items);
+            const hold = quote.seatNumbers.length > 0 || ticketLines.length > 0
+                ? await holdSeats(event, quote.seatNumbers, {
+                    holdSessionId,
+                    userId: user._id,
+                    expiresAt: new Date(sessionExpiresAt.getTime() + CHECKOUT_HOLD_GRACE),
+                    tickets: ticketLines
+                })
+                : { success: true, invalidSeats: [], expiresAt: null };
+            
+            if (hold.invalidSeats.length > 0) {
+                throw new ApiError(400, `Asientos inválidos: ${hold.invalidSeats.join(', ')}`);
+            }
+            
+            if (hold.soldOutTicketType) {
+                throw new ApiError(409, 'No quedan suficientes entradas del tipo seleccionado', {
+                    ticketTypeId: hold.soldOutTicketType
+                });
+            }
+            
+            if (!hold.success) {
                 throw new ApiError(400, 'Algunos de los asientos seleccionados ya están reservados', {
-                    alreadyReservedSeats
+                    alreadyReservedSeats: hold.unavailable.map(item => item.seat),
+                    waitlistAvailable: await canJoinWaitlist(event)
                 });
             }
             
-            // Buscar el usuario
-            const user = await User.findById(user_id);
-            if (!user) {
-                throw new ApiError(404, 'Usuario no encontrado');
+            // Registrar el uso del código promocional mientras dure el pago
+            let promoRedemption = null;
+            if (quote.discount) {
+                try {
+                    promoRedemption = await reservePromoCode(quote.discount, {
+                        eventId: event._id,
+                        userId: user._id,
+                        expiresAt: new Date(sessionExpiresAt.getTime() + CHECKOUT_HOLD_GRACE)
+                    });
+                } catch (promoError) {
+                    if (!userHold) {
+                        await releaseHold(event._id, holdSessionId);
+                    }
+                    throw promoError;
+                }
             }
             
-            // Calcular comisión si aplica (opcional)
-            const commission = totalPrice * 0.05; // 5% de comisión
-            const paymentAmount = Math.round((totalPrice + commission) * 100); // Monto en centavos
+            // Datos del pedido para crear la reserva cuando se confirme el pago
+            const checkoutMetadata = {
+                // Encriptar datos sensibles
+                user_id: encrypt(user._id.toString()),
+                event_id: encrypt(event_id),
+                bookingDate: encrypt(bookingDate || new Date().toISOString()),
+                guestSize: encrypt(String(guestSize || quote.quantity)),
+                seatNumbers: encrypt(JSON.stringify(quote.seatNumbers)),
+                totalPrice: encrypt(quote.subtotal.toString()),
+                ticketType: encrypt(ticketType),
+                commission: encrypt(JSON.stringify({
+                    commission: bookingPricing.commission,
+                    amountCharged: bookingPricing.amountCharged,
+                    organizerNet: bookingPricing.organizerNet
+                })),
+                // El desglose no es sensible y no cabría cifrado en un valor de metadata
+                ...toPricingMetadata(bookingPricing.pricing),
+                ...(promoRedemption ? {
+                    promoCode: JSON.stringify(bookingPricing.promoCode),
+                    promoRedemptionId: promoRedemption._id.toString()
+                } : {}),
+                holdSessionId,
+                created_at: new Date().toISOString(),
+            };
+            
+            // Crear el checkout en la pasarela con los detalles del evento
+            let session;
+            try {
+                session = await checkoutProvider.createCheckout({
+                    reference: crypto.randomUUID(),
+                    currency: quote.currency,
+                    lineItems: toCheckoutLineItems(event, quote),
+                    customerEmail: user.email,
+                    // PayPal añade token (ID del pedido) y PayerID a la URL de vuelta
+                    successUrl: checkoutProvider.name === 'stripe'
+                        ? `${process.env.FRONTEND_URL}/reservas/confirmacion?session_id={CHECKOUT_SESSION_ID}`
+                        : `${process.env.FRONTEND_URL}/reservas/confirmacion?provider=${checkoutProvider.name}`,
+                    cancelUrl: `${process.env.FRONTEND_URL}/eventos/${event._id}?canceled=true`,
+                    expiresAt: sessionExpiresAt,
+                    description: event.name,
+                    metadata: checkoutMetadata
+                });
+                
+                await PaymentCheckout.create({
+                    provider: checkoutProvider.name,
+                    checkoutId: session.id,
+                    user_id: user._id,
+                    event_id: event._id,
+                    amount: quote.total,
+                    currency: quote.currency,
+                    metadata: checkoutMetadata,
+                    expiresAt: new Date(sessionExpiresAt.getTime() + CHECKOUT_HOLD_GRACE)
+                });
+            } catch (checkoutError) {
+                // Sin sesión de pago no hay nada que esperar: se suelta el bloqueo creado para ella
+                if (!userHold) {
+                    await releaseHold(event._id, holdSessionId);
+                }
+                await releasePromoRedemption(promoRedemption?._id);
+                throw checkoutError;
+            }
             
-            // Crear la sesión de Stripe con los detalles del evento
-            const session = await stripeClient.checkout.sessions.create({
-                payment_method_types: ['card'],
-                line_items: [
-                    {
-                        price_data: {
-                            currency: event.currency || 'EUR',
-                            product_data: {
-                                name: `Entradas para: ${event.name}`,
-                                description: `Lugar: ${event.venue || event.location}, Asientos: ${seatNumbers.join(', ')}`,
-                                images: event.photo ? [event.photo] : undefined,
-                            },
-                            unit_amount: paymentAmount, // Monto en centavos
-                        },
-                        quantity: 1,
+            // stripeUrl se mantiene en el primer nivel para los clientes anteriores al formato ApiResponse
+            return res.status(200).json({
+                ...new ApiResponse(
+                    200,
+                    { 
+                        provider: checkoutProvider.name,
+                        sessionId: session.id,
+                        sessionUrl: session.url,
+                        subtotal: quote.subtotal,
+                        commission: quote.fees.commission,
+                        commissionPayer: quote.fees.payer,
+                        amountCharged: quote.total,
+                        discount: quote.discount?.amount || 0,
+                        quote,
+                        holdExpiresAt: hold.expiresAt
                     },
-                ],
-                mode: 'payment',
-                success_url: `${process.env.FRONTEND_URL}/reservas/confirmacion?session_id={CHECKOUT_SESSION_ID}`,
-                cancel_url: `${process.env.FRONTEND_URL}/eventos/${event._id}?canceled=true`,
-                customer_email: user.email,
-                metadata: {
-                    // Encriptar datos sensibles
-                    user_id: encrypt(user_id),
-                    event_id: encrypt(event_id),
-                    bookingDate: encrypt(bookingDate || new Date().toISOString()),
-                    guestSize: encrypt(guestSize.toString() || '1'),
-                    seatNumbers: encrypt(JSON.stringify(seatNumbers)),
-                    totalPrice: encrypt(totalPrice.toString()),
-                    ticketType: encrypt(ticketType),
-                    created_at: new Date().toISOString(),
-                },
+                    'Sesión de pago creada exitosamente'
+                ),
+                stripeUrl: session.url
             });
-            
-            return res.status(200).json(new ApiResponse(
-                200,
-                { 
-                    sessionId: session.id,
-                    sessionUrl: session.url
-                },
-                'Sesión de pago creada exitosamente'
-            ));
         } catch (error) {
-            console.error('Error al crear la sesión de Stripe:', error);
+            console.error('Error al crear la sesión de pago:', error);
             if (error instanceof ApiError) throw error;
             throw new ApiError(500, 'Error interno al procesar el pago');
         }
@@ -236,353 +1087,47 @@ export const handleStripePayment = {
     
     /**
      * @desc    Manejar el webhook de Stripe para eventos de pago
+     *          Cada evento se procesa una sola vez aunque Stripe lo reintente;
+     *          los que fallan quedan registrados para relanzarlos desde el panel
      * @route   POST /api/v1/booking/webhook
+     * @access  Public (firma de Stripe)
+     */
+    handleStripeWebhook: (req, res) => receivePaymentWebhook('stripe', req, res),
+    
+    /**
+     * @desc    Manejar el webhook de PayPal para eventos de pago
+     *          Mismo registro de eventos que el webhook de Stripe
+     * @route   POST /api/v1/booking/paypal/webhook
+     * @access  Public (firma verificada con la API de PayPal)
+     */
+    handlePaypalWebhook: (req, res) => receivePaymentWebhook('paypal', req, res),
+    
+    /**
+     * @desc    Métodos de pago disponibles en el checkout y claves públicas de las pasarelas
+     * @route   GET /api/v1/booking/payment-methods
      * @access  Public
      */
-    handleStripeWebhook: async (req, res) => {
-        const signature = req.headers['stripe-signature'];
-        
-        if (!signature) {
-            return res.status(400).json({ 
-                status: 'error', 
-                message: 'Firma de Stripe faltante' 
-            });
-        }
-        
-        let stripeEvent;
-        
-        try {
-            // Verificar si estamos en modo simulado o real
-            if (!process.env.STRIPE_WEBHOOK_SECRET) {
-                console.warn('ADVERTENCIA: Webhook de Stripe en modo simulado porque falta STRIPE_WEBHOOK_SECRET');
-                // En modo simulado, usamos un evento predefinido
-                stripeEvent = {
-                    type: 'checkout.session.completed',
-                    data: {
-                        object: {
-                            id: `cs_test_${Date.now()}`,
-                            payment_status: 'paid',
-                            status: 'complete',
-                            customer_details: {
-                                email: 'cliente@ejemplo.com',
-                                name: 'Cliente Simulado'
-                            },
-                            metadata: {
-                                user_id: encrypt('123456789012345678901234'),
-                                event_id: encrypt('123456789012345678901234'),
-                                bookingDate: encrypt(new Date().toISOString()),
-                                guestSize: encrypt('1'),
-                                seatNumbers: encrypt(JSON.stringify(['A1'])),
-                                totalPrice: encrypt('100'),
-                                ticketType: encrypt('standard')
-                            }
-                        }
-                    }
-                };
-            } else {
-                // Verificar la firma del webhook en modo real
-                stripeEvent = stripeClient.webhooks.constructEvent(
-                    req.body,
-                    signature,
-                    process.env.STRIPE_WEBHOOK_SECRET
-                );
-            }
-        } catch (err) {
-            console.error('Error en la verificación de la firma del webhook:', err.message);
-            return res.status(400).send(`Error de webhook: ${err.message}`);
-        }
-        
-        // Manejar diferentes eventos de Stripe
-        if (stripeEvent.type === 'checkout.session.completed') {
-            const session = stripeEvent.data.object;
-            
-            if (session.payment_status === 'paid' && session.status === 'complete') {
-                try {
-                    // Desencriptar los datos del metadata
-                    const metadata = session.metadata;
-                    
-                    const user_id = decrypt(metadata.user_id);
-                    const event_id = decrypt(metadata.event_id);
-                    const bookingDate = decrypt(metadata.bookingDate);
-                    const guestSize = parseInt(decrypt(metadata.guestSize));
-                    const seatNumbers = JSON.parse(decrypt(metadata.seatNumbers));
-                    const totalPrice = parseFloat(decrypt(metadata.totalPrice));
-                    const ticketType = decrypt(metadata.ticketType);
-                    
-                    // Buscar el evento
-                    let event;
-                    try {
-                        event = await Event.findById(event_id);
-                    } catch (error) {
-                        console.error('Error al buscar el evento:', error.message);
-                        
-                        // En modo de prueba, si no se encuentra, creamos un evento simulado
-                        if (!process.env.STRIPE_SECRET_KEY) {
-                            console.warn('ADVERTENCIA: Creando evento simulado porque estamos en modo de prueba');
-                            event = {
-                                _id: event_id,
-                                title: 'Evento Simulado',
-                                user_id: '123456789012345678901234',
-                                reservedSeats: [],
-                                location: 'Ubicación Simulada',
-                                eventDate: new Date().toISOString(),
-                                save: async () => {} // Función simulada
-                            };
-                        }
-                    }
-                    
-                    if (!event) {
-                        console.error('Error al procesar el pago: Evento no encontrado');
-                        return res.status(400).json({ message: 'Evento no encontrado' });
-                    }
-                    
-                    // Verificar que los asientos no estén ya reservados
-                    const alreadyReservedSeats = seatNumbers.filter(seat => 
-                        event.reservedSeats.includes(seat)
-                    );
-                    
-                    if (alreadyReservedSeats.length > 0) {
-                        console.error('Error al procesar el pago: Asientos ya reservados');
-                        return res.status(400).json({ 
-                            message: 'Algunos asientos ya están reservados',
-                            alreadyReservedSeats
-                        });
-                    }
-                    
-                    // Reservar los asientos en el evento
-                    event.reservedSeats.push(...seatNumbers);
-                    await event.save();
-                    
-                    // Generar token para verificación de QR
-                    const tokenPayload = {
-                        bookingId: session.id,
-                        eventId: event._id,
-                        userId: user_id,
-                        organizerId: event.user_id,
-                        seatNumbers,
-                        ticketType
-                    };
-                    
-                    // Token válido hasta 24 horas después del evento
-                    const eventDateTime = new Date(event.eventDate).getTime();
-                    const tokenExpiryTime = Math.floor((eventDateTime + 24 * 60 * 60 * 1000) / 1000);
-                    
-                    const token = jwt.sign(tokenPayload, process.env.JWT_SECRET_KEY, {
-                        expiresIn: tokenExpiryTime - Math.floor(Date.now() / 1000)
-                    });
-                    
-                    // Generar datos del código QR
-                    const qrCodeData = JSON.stringify({
-                        eventName: event.name,
-                        eventLocation: event.venue || event.location,
-                        eventDate: event.eventDate,
-                        seatNumbers,
-                        totalPrice,
-                        bookingId: session.id,
-                        token
-                    });
-                    
-                    // Generar y subir el código QR a Cloudinary
-                    const qrCodeBase64 = await QRCode.toDataURL(qrCodeData);
-                    const qrCodeUploadResponse = await uploadOnCloudinary(qrCodeBase64, 'event_bookings');
-                    
-                    if (!qrCodeUploadResponse) {
-                        console.error('Error al subir el código QR a Cloudinary');
-                    }
-                    
-                    // Crear la reserva en la base de datos
-                    let savedBooking;
-                    try {
-                        const newBooking = new Booking({
-                            user_id,
-                            event_id,
-                            bookingDate: new Date(bookingDate),
-                            guestSize,
-                            seatNumbers,
-                            totalPrice,
-                            ticketType,
-                            qrCodeToken: token,
-                            qrCodeScanStatus: false,
-                            qrCodeUrl: qrCodeUploadResponse ? qrCodeUploadResponse.secure_url : null,
-                            paymentStatus: 'paid',
-                            paymentDetails: {
-                                paymentIntentId: session.payment_intent || `pi_test_${Date.now()}`,
-                                sessionStorageId: session.id,
-                                paymentMethod: session.payment_method_types ? session.payment_method_types[0] : 'card'
-                            }
-                        });
-                        
-                        // Guardar la reserva
-                        const savedBooking = await newBooking.save();
-                    } catch (bookingError) {
-                        console.error('Error al crear la reserva:', bookingError);
-                        // En modo de prueba, continuamos con un objeto simulado
-                        if (!process.env.STRIPE_SECRET_KEY) {
-                            console.warn('ADVERTENCIA: Usando reserva simulada en modo de prueba');
-                            savedBooking = {
-                                _id: `booking_${Date.now()}`,
-                                user_id,
-                                event_id,
-                                seatNumbers,
-                                totalPrice
-                            };
-                        } else {
-                            return res.status(500).json({ message: 'Error al crear la reserva' });
-                        }
-                    }
-                    
-                    // Generar PDF del ticket (opcional)
-                    let pdfPath;
-                    try {
-                        pdfPath = `booking-${savedBooking._id}.pdf`;
-                        const doc = new PDFDocument();
-                        const writeStream = fs.createWriteStream(pdfPath);
-                        
-                        doc.pipe(writeStream);
-                        
-                        // Diseñar el PDF del ticket
-                        doc.fontSize(25).text('Ticket de Entrada', { align: 'center' });
-                        doc.moveDown();
-                        doc.fontSize(15).text(`Evento: ${event.title || event.name || 'Evento'}`);
-                        doc.fontSize(12).text(`Fecha: ${new Date(event.eventDate || new Date()).toLocaleDateString()}`);
-                        doc.fontSize(12).text(`Lugar: ${event.venue || event.location || 'Ubicación'}`);
-                        doc.fontSize(12).text(`Asiento(s): ${seatNumbers.join(', ')}`);
-                        doc.fontSize(12).text(`Precio Total: ${totalPrice} ${event.currency || 'EUR'}`);
-                        doc.moveDown();
-                        
-                        // Añadir el código QR al PDF
-                        if (qrCodeUploadResponse) {
-                            doc.image(qrCodeBase64, {
-                                fit: [250, 250],
-                                align: 'center'
-                            });
-                        }
-                        
-                        doc.end();
-                    } catch (pdfError) {
-                        console.error('Error al generar el PDF:', pdfError);
-                        // Continuamos aunque falle la generación del PDF
-                        pdfPath = null;
-                    }
-                    
-                    // Función para enviar correos electrónicos de confirmación
-                    const sendConfirmationEmails = async () => {
-                        try {
-                            // 1. Buscar datos completos del usuario
-                            let user;
-                            try {
-                                user = await User.findById(user_id);
-                            } catch (userError) {
-                                console.error('Error al buscar usuario:', userError);
-                                if (!process.env.STRIPE_SECRET_KEY) {
-                                    // En modo de prueba, crear un usuario simulado
-                                    user = {
-                                        _id: user_id,
-                                        email: 'usuario@ejemplo.com',
-                                        username: 'Usuario Simulado',
-                                        fullname: 'Usuario Simulado'
-                                    };
-                                }
-                            }
-                            
-                            // 2. Enviar correo electrónico de confirmación al usuario
-                            if (user && user.email) {
-                                try {
-                                    await sendBookingConfirmationEmail({
-                                        email: user.email,
-                                        name: user.fullname || user.username,
-                                        eventName: event.title || event.name || 'Evento',
-                                        eventDate: new Date(event.eventDate || new Date()).toLocaleDateString(),
-                                        eventTime: event.eventTime || '19:00',
-                                        venue: event.venue || event.location || 'Ubicación',
-                                        seats: seatNumbers.join(', '),
-                                        totalPrice,
-                                        currency: event.currency || 'EUR',
-                                        bookingId: savedBooking._id,
-                                        qrCodeUrl: qrCodeUploadResponse?.secure_url,
-                                        attachments: pdfPath ? [
-                                            {
-                                                filename: `ticket-${savedBooking._id}.pdf`,
-                                                path: pdfPath
-                                            }
-                                        ] : []
-                                    });
-                                    
-                                    console.log(`✅ Correo de confirmación enviado a ${user.email}`);
-                                } catch (emailSendError) {
-                                    console.error('Error al enviar correo de confirmación:', emailSendError);
-                                }
-                            }
-                            
-                            // 3. Buscar información del organizador y enviarle notificación
-                            if (event.user_id) {
-                                try {
-                                    let organizer;
-                                    try {
-                                        organizer = await User.findById(event.user_id);
-                                    } catch (organizerFindError) {
-                                        console.error('Error al buscar organizador:', organizerFindError);
-                                        if (!process.env.STRIPE_SECRET_KEY) {
-                                            // En modo de prueba, crear un organizador simulado
-                                            organizer = {
-                                                _id: event.user_id,
-                                                email: 'organizador@ejemplo.com',
-                                                username: 'Organizador',
-                                                fullname: 'Organizador Simulado'
-                                            };
-                                        }
-                                    }
-                                    
-                                    if (organizer && organizer.email) {
-                                        // Enviar notificación al organizador
-                                        await sendOrganizerBookingNotification({
-                                            email: organizer.email,
-                                            name: organizer.fullname || organizer.username,
-                                            eventName: event.title || event.name || 'Evento',
-                                            bookingId: savedBooking._id,
-                                            totalPrice,
-                                            numTickets: seatNumbers.length,
-                                            currency: event.currency || 'EUR'
-                                        });
-                                        
-                                        console.log(`✅ Notificación enviada al organizador ${organizer.email}`);
-                                    }
-                                } catch (organizerEmailError) {
-                                    console.error('Error al enviar notificación al organizador:', organizerEmailError);
-                                    // No interrumpir el proceso principal si falla la notificación al organizador
-                                }
-                            }
-                        } catch (emailError) {
-                            console.error('Error en el envío de correos electrónicos:', emailError);
-                        } finally {
-                            // Eliminar el archivo PDF local después de enviarlo si existe
-                            if (pdfPath) {
-                                fs.unlink(pdfPath, (err) => {
-                                    if (err) console.error('Error al eliminar el archivo PDF temporal:', err);
-                                });
-                            }
-                        }
-                    };
-                    
-                    // Si el PDF se generó correctamente, esperamos a que termine de escribirse
-                    if (pdfPath) {
-                        writeStream.on('finish', sendConfirmationEmails);
-                    } else {
-                        // Si no hay PDF, enviamos los correos directamente
-                        sendConfirmationEmails();
-                    }
-                    
-                    console.log(`Reserva ${savedBooking._id} creada exitosamente después del pago`);
-                    
-                } catch (error) {
-                    console.error('Error al procesar la reserva después del pago:', error);
-                }
-            }
-        }
+    getPaymentMethods: asyncHandler(async (req, res) => {
+        const settings = await getCachedSettings();
+        const methods = getAvailablePaymentMethods(settings);
         
-        // Confirmar recepción del webhook
-        return res.status(200).json({ received: true });
-    },
+        return res.status(200).json(new ApiResponse(
+            200,
+            {
+                methods,
+                defaultMethod: methods[0] || null,
+                currency: settings.payment?.currency || 'EUR',
+                ...(methods.includes('stripe') ? {
+                    stripePublicKey: settings.payment?.stripePublicKey || process.env.STRIPE_PUBLISHABLE_KEY || ''
+                } : {}),
+                ...(methods.includes('paypal') ? {
+                    paypalClientId: process.env.PAYPAL_CLIENT_ID || settings.payment.paypalClientId,
+                    paypalMode: process.env.PAYPAL_MODE || settings.payment.paypalMode || 'sandbox'
+                } : {})
+            },
+            'Métodos de pago recuperados exitosamente'
+        ));
+    }),
     
     /**
      * @desc    Consultar detalles de una sesión de reserva
@@ -650,106 +1195,58 @@ export const handleStripePayment = {
     }),
     
     /**
-     * @desc    Verificar y escanear un código QR de entrada
-     * @route   POST /api/v1/booking/scan-qr
-     * @access  Private (Organizer/Admin only)
+     * @desc    Entradas de una reserva con sus códigos QR (una por asiento)
+     * @route   GET /api/v1/booking/:id/tickets
+     * @access  Private (titular de la reserva, organizador del evento o administrador)
      */
-    scanQRCode: asyncHandler(async (req, res) => {
-        const { token } = req.body;
+    getBookingTickets: asyncHandler(async (req, res) => {
+        const { id } = req.params;
         
-        if (!token) {
-            throw new ApiError(400, 'Token QR requerido');
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            throw new ApiError(400, 'ID de reserva inválido');
         }
         
         try {
-            // Verificar y decodificar el token
-            const decoded = jwt.verify(token, process.env.JWT_SECRET_KEY);
-            
-            // Verificar que el organizador es el propietario del evento
-            const event = await Event.findById(decoded.eventId);
-            if (!event) {
-                throw new ApiError(404, 'Evento no encontrado');
+            const booking = await Booking.findById(id).populate('event_id', 'name eventDate venue user_id');
+            if (!booking) {
+                throw new ApiError(404, 'Reserva no encontrada');
             }
             
-            // Verificar permisos (opcional)
-            // Si el usuario que hace el scan es diferente del organizador del evento,
-            // comprobar que tiene permisos de administrador
-            const isOrganizer = req.user._id.toString() === event.user_id.toString();
+            const isOwner = booking.user_id?.toString() === req.user._id.toString();
+            const isOrganizer = booking.event_id?.user_id?.toString() === req.user._id.toString();
             const isAdmin = req.user.role === 'admin';
-            
-            if (!isOrganizer && !isAdmin) {
-                throw new ApiError(403, 'No tiene permisos para escanear entradas de este evento');
-            }
-            
-            // Buscar la reserva
-            const booking = await Booking.findOne({
-                qrCodeToken: token
-            });
-            
-            if (!booking) {
-                throw new ApiError(404, 'Reserva no encontrada. El código QR puede ser inválido.');
+            if (!isOwner && !isOrganizer && !isAdmin) {
+                throw new ApiError(403, 'No tiene permisos para ver las entradas de esta reserva');
             }
             
-            // Verificar si ya ha sido escaneado
-            if (booking.qrCodeScanStatus) {
-                return res.status(200).json(new ApiResponse(
-                    200,
-                    {
-                        valid: false,
-                        booking: {
-                            id: booking._id,
-                            event_id: booking.event_id,
-                            user_id: booking.user_id,
-                            seatNumbers: booking.seatNumbers,
-                            scanned: true,
-                            scannedAt: booking.qrCodeScanDate
-                        }
-                    },
-                    'Código QR ya escaneado previamente'
-                ));
+            if (booking.status !== 'confirmed' && booking.status !== 'cancellation_requested') {
+                throw new ApiError(400, 'La reserva no tiene entradas válidas');
             }
             
-            // Actualizar el estado del QR como escaneado
-            booking.qrCodeScanStatus = true;
-            booking.qrCodeScanDate = new Date();
-            await booking.save();
-            
-            // Buscar más datos para la respuesta
-            const user = await User.findById(booking.user_id).select('username email fullname');
+            // El código QR solo se entrega al titular; se genera al vuelo si no se pudo subir
+            const tickets = await Promise.all(formatBookingTickets(booking, { includeToken: isOwner }).map(async ticket => ({
+                ...ticket,
+                qrCode: isOwner ? await QRCode.toDataURL(ticket.token) : undefined
+            })));
             
             return res.status(200).json(new ApiResponse(
                 200,
                 {
-                    valid: true,
-                    booking: {
-                        id: booking._id,
-                        event_id: booking.event_id,
-                        seatNumbers: booking.seatNumbers,
-                        ticketType: booking.ticketType || 'standard',
-                        user: {
-                            id: user._id,
-                            name: user.fullname || user.username,
-                            email: user.email
-                        },
-                        scanned: true,
-                        scannedAt: booking.qrCodeScanDate
-                    }
+                    bookingId: booking._id,
+                    event: booking.event_id ? {
+                        id: booking.event_id._id,
+                        name: booking.event_id.name,
+                        date: booking.event_id.eventDate,
+                        venue: booking.event_id.venue
+                    } : null,
+                    tickets
                 },
-                'Código QR válido y escaneado exitosamente'
+                'Entradas obtenidas correctamente'
             ));
-            
         } catch (error) {
-            console.error('Error al escanear código QR:', error);
-            
-            // Manejo específico de errores de JWT
-            if (error.name === 'TokenExpiredError') {
-                throw new ApiError(401, 'El código QR ha expirado');
-            } else if (error.name === 'JsonWebTokenError') {
-                throw new ApiError(401, 'Código QR inválido');
-            }
-            
+            console.error('Error al obtener las entradas:', error);
             if (error instanceof ApiError) throw error;
-            throw new ApiError(500, 'Error al procesar el código QR');
+            throw new ApiError(500, 'Error al obtener las entradas');
         }
     }),
 
@@ -1087,133 +1584,6 @@ export const handleStripePayment = {
     //         res.status(500).json({ message: 'Internal server error', error: error.message });
     //     }
     // },
-    createStripeSession: async (req, res) => {
-        const { user_id, event_id, bookingDate, guestSize, seatNumbers, totalPrice } = req.body;
-    
-        try {
-            // Find the event to book
-            const event = await Event.findById(event_id);
-            if (!event) {
-                return res.status(404).json({ message: "Event not found" });
-            }
-    
-            // Get all bookings for the same event and date
-            const existingBookings = await Booking.find({ 
-                event_id, 
-                bookingDate 
-            });
-    
-            // Collect all reserved seats for this event and date
-            const reservedSeats = existingBookings.flatMap(booking => booking.seatNumbers);
-    
-            // Check if any requested seats are already reserved
-            const alreadyReservedSeats = seatNumbers.filter(seat => reservedSeats.includes(seat));
-            if (alreadyReservedSeats.length > 0) {
-                return res.status(400).json({
-                    message: "Some of the selected seats are already reserved",
-                    alreadyReservedSeats,
-                });
-            }
-    
-            // Create a Stripe session for payment
-            const session = await stripeClient.checkout.sessions.create({
-                payment_method_types: ['card'],
-                line_items: [
-                    {
-                        price_data: {
-                            currency: 'usd',
-                            product_data: {
-                                name: `Booking for ${event.name}`,
-                                description: `Venue: ${event.venue}, Seat Numbers: ${seatNumbers.join(',')}`,
-                            },
-                            unit_amount: totalPrice * 100, // Amount in cents
-                        },
-                        quantity: 1,
-                    },
-                ],
-                mode: 'payment',
-                success_url: `https://demoticket.inasnapmarketing.ai/wallet?session_id={CHECKOUT_SESSION_ID}`,
-                cancel_url: `https://demoticket.inasnapmarketing.ai/events`,
-                metadata: {
-                    user_id,
-                    event_id,
-                    bookingDate,
-                    guestSize,
-                    seatNumbers: JSON.stringify(seatNumbers),
-                    totalPrice,
-                },
-            });
-    
-            res.status(200).json({ stripeUrl: session.url });
-        } catch (error) {
-            console.error('Error creating Stripe session for booking:', error);
-            res.status(500).json({ message: 'Internal server error', error: error.message });
-        }
-    },
-    createStripeSessionMob: async (req, res) => {
-        const { user_id, event_id, bookingDate, guestSize, seatNumbers, totalPrice } = req.body;
-    
-        try {
-            // Find the event to book
-            const event = await Event.findById(event_id);
-            if (!event) {
-                return res.status(404).json({ message: "Event not found" });
-            }
-    
-            // Get all bookings for the same event and date
-            const existingBookings = await Booking.find({ 
-                event_id, 
-                bookingDate 
-            });
-    
-            // Collect all reserved seats for this event and date
-            const reservedSeats = existingBookings.flatMap(booking => booking.seatNumbers);
-    
-            // Check if any requested seats are already reserved
-            const alreadyReservedSeats = seatNumbers.filter(seat => reservedSeats.includes(seat));
-            if (alreadyReservedSeats.length > 0) {
-                return res.status(400).json({
-                    message: "Some of the selected seats are already reserved",
-                    alreadyReservedSeats,
-                });
-            }
-    
-            // Create a Stripe session for payment
-            const session = await stripeClient.checkout.sessions.create({
-                payment_method_types: ['card'],
-                line_items: [
-                    {
-                        price_data: {
-                            currency: 'usd',
-                            product_data: {
-                                name: `Booking for ${event.name}`,
-                                description: `Venue: ${event.venue}, Seat Numbers: ${seatNumbers.join(',')}`,
-                            },
-                            unit_amount: totalPrice * 100, // Amount in cents
-                        },
-                        quantity: 1,
-                    },
-                ],
-                mode: 'payment',
-                success_url: `https://demoticket.inasnapmarketing.ai/congrtspaymentsuccess`,
-                cancel_url: `https://demoticket.inasnapmarketing.ai/events`,
-                metadata: {
-                    user_id,
-                    event_id,
-                    bookingDate,
-                    guestSize,
-                    seatNumbers: JSON.stringify(seatNumbers),
-                    totalPrice,
-                },
-            });
-    
-            res.status(200).json({ stripeUrl: session.url });
-        } catch (error) {
-            console.error('Error creating Stripe session for booking:', error);
-            res.status(500).json({ message: 'Internal server error', error: error.message });
-        }
-    },
-    
     /**
      * Handle Stripe webhook to manage payment completion and create booking.
     //  */
@@ -1522,124 +1892,6 @@ export const handleStripePayment = {
 //     }
 //     res.status(200).json({ received: true });
 // },
-handleStripeWebhook: async (req, res) => {
-    const sig = req.headers['stripe-signature'];
-    let stripeEvent;
-
-    try {
-        stripeEvent = stripeClient.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
-    } catch (err) {
-        console.error('Webhook signature verification failed:', err.message);
-        return res.status(400).send(`Webhook Error: ${err.message}`);
-    }
-
-    if (stripeEvent.type === 'checkout.session.completed') {
-        const session = stripeEvent.data.object;
-
-        if (session.payment_status === 'paid' && session.status === 'complete') {
-            const {
-                user_id,
-                event_id,
-                bookingDate,
-                guestSize,
-                seatNumbers,
-                totalPrice,
-            } = session.metadata;
-
-            try {
-                // Find the event
-                const event = await Event.findById(event_id);
-                if (!event) {
-                    console.error('Event not found during booking creation.');
-                    return res.status(404).json({ message: "Event not found" });
-                }
-
-                // Determine which reservedSeats field to update
-                let reservedSeatsField;
-                if (new Date(bookingDate).getTime() === new Date(event.eventDate).getTime()) {
-                    reservedSeatsField = 'reservedSeats';
-                } else if (new Date(bookingDate).getTime() === new Date(event.eventDateSec).getTime()) {
-                    reservedSeatsField = 'reservedSeatsSec';
-                } else {
-                    console.error('Booking date does not match any event date.');
-                    return res.status(400).json({ message: "Invalid booking date" });
-                }
-
-                // Check if seats are already reserved for the selected date
-                const alreadyReservedSeats = event[reservedSeatsField].filter(seat => 
-                    JSON.parse(seatNumbers).includes(seat)
-                );
-
-                if (alreadyReservedSeats.length > 0) {
-                    console.error('Some of the selected seats are already reserved.');
-                    return res.status(400).json({
-                        message: "Some of the selected seats are already reserved",
-                        alreadyReservedSeats,
-                    });
-                }
-
-                // Add the reserved seats to the correct array
-                event[reservedSeatsField] = [
-                    ...event[reservedSeatsField],
-                    ...JSON.parse(seatNumbers),
-                ];
-                await event.save();
-
-                // Create the new booking
-                const newBooking = new Booking({
-                    user_id,
-                    event_id,
-                    bookingDate,
-                    guestSize,
-                    seatNumbers: JSON.parse(seatNumbers),
-                    totalPrice,
-                    paymentStatus: 'paid',
-                    paymentDetails: {
-                        paymentIntentId: session.payment_intent,
-                        sessionStorageId: session.id,
-                        paymentMethod: session.payment_method_types[0],
-                    },
-                });
-
-                const savedBooking = await newBooking.save();
-
-                // Generate QR code
-                const secretKey = process.env.QR_SECRET_KEY;
-                const qrCodeData = JSON.stringify({
-                    bookingId: savedBooking._id,
-                    event: event.name,
-                    user: user_id,
-                    date: bookingDate,
-                    totalPrice,
-                });
-
-                const encryptedData = encrypt(qrCodeData, secretKey);
-
-                const qrCodePayload = {
-                    errorMessage: "Invalid QR Code. Please contact the event organizer.",
-                    data: encryptedData,
-                };
-
-                const qrCodeBase64 = await QRCode.toDataURL(JSON.stringify(qrCodePayload));
-
-                // Upload QR code to Cloudinary
-                const qrCodeUploadResponse = await uploadOnCloudinary(qrCodeBase64, {
-                    folder: "event_bookings",
-                    public_id: `booking_${savedBooking._id}`,
-                });
-
-                savedBooking.qrCodeUrl = qrCodeUploadResponse.secure_url;
-                await savedBooking.save();
-
-                console.log(`Booking ${savedBooking._id} created successfully with QR code.`);
-            } catch (error) {
-                console.error('Error creating booking after payment:', error);
-                return res.status(500).json({ message: 'Error creating booking after payment' });
-            }
-        }
-    }
-    res.status(200).json({ received: true });
-},
 
     /**
      * Retrieve booking details using the Stripe session ID.
@@ -1859,59 +2111,4 @@ handleStripeWebhook: async (req, res) => {
     //         res.status(500).json({ mensaje: "Error interno del servidor" });
     //     }
     // },
-    scannedQRCode: async (req, res) => {
-        const { data, eventIdToVerify } = req.body; // Datos encriptados del código QR y ID del evento
-        const secretKey = process.env.QR_SECRET_KEY;
-
-        try {
-            // Paso 1: Desencriptar los datos del código QR
-            const decryptedData = decrypt(data, secretKey);
-            const parsedData = JSON.parse(decryptedData);
-            const { bookingId, user, event, date,totalPrice } = parsedData;
-            // Paso 2: Buscar la reserva en la base de datos
-            const booking = await Booking.findById(bookingId)
-                .populate('user_id', 'username email')
-                .populate('event_id', 'name desc venue');
-            if (!booking) {
-                return res.status(404).json({ mensaje: "Reserva no encontrada" });
-            }
-            // Paso 3: Verificar si el código QR ya fue escaneado
-            if (booking.qrCodeScanStatus) {
-                return res.status(400).json({ mensaje: "El código QR ya fue escaneado" });
-            }
-            // Paso 4: Validar el evento relacionado con el ID del organizador o del evento
-            const eventRecord = await Event.findById(booking.event_id);
-
-            if (!eventRecord || eventRecord._id.toString() !== eventIdToVerify) {
-                return res.status(403).json({ mensaje: "El boleto escaneado no es válido para el evento actual" });
-            }
-
-          
-            // if (eventRecord.username !== user || eventRecord.name !== event) {
-            //     return res.status(400).json({ mensaje: "Los datos del boleto no coinciden con el usuario o el evento." });
-            // }
-
-            // Paso 6: Marcar el código QR como escaneado
-            booking.qrCodeScanStatus = true;
-            await booking.save();
-
-            // Paso 7: Devolver la respuesta de éxito
-            res.status(200).json({
-                mensaje: "Código QR escaneado con éxito",
-                datos: {
-                    idReserva: booking._id,
-                    usuario: booking.user_id.username,
-                    evento: booking.event_id.name,
-                    fecha: booking.bookingDate,
-                    precioTotal: booking.totalPrice,
-                    asientos: booking.seatNumbers,
-                },
-            });
-        } catch (error) {
-            console.error('Error al validar el código QR:', error);
-            if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-                return res.status(400).json({ mensaje: "Código QR inválido o expirado" });
-            }
-            res.status(500).json({ mensaje: "Error interno del servidor" });
-        }
-    },}
\ No newline at end of file
+}
\ No newline at end of file
@@ -1,26 +1,27 @@
 import TempBooking from '../models/TempBooking.js';
-import Booking from '../models/Booking.js';
 import Event from '../models/Event.js';
-import { v4 as uuidv4 } from 'uuid';
+import { canJoinWaitlist, offerFreedSeats, expireWaitlistOffers } from '../utils/waitlistService.js';
+import { holdSeats, releaseHold, releaseExpiredHolds, createHoldSessionId, findUserHold } from '../utils/seatInventory.js';
+import { quoteOrder } from '../utils/pricingService.js';
+import { toCapacityLines } from '../utils/ticketTypes.js';
+import { ApiError } from '../utils/ApiError.js';
+import { releaseExpiredPromoRedemptions } from '../utils/promoCodes.js';
 
 // Duración del bloqueo temporal en milisegundos (7 minutos)
 const TEMP_BOOKING_DURATION = 7 * 60 * 1000;
 
 /**
- * Crear o actualizar una reserva temporal para asientos
+ * Crear o actualizar una reserva temporal para asientos y entradas
+ * Admite tickets ([{ ticketTypeId, quantity, seatNumbers }]) para elegir el
+ * tipo de entrada o bloquear entradas sin numerar, y accessCode para las preventas.
+ * El bloqueo pertenece al usuario autenticado: si ya tiene uno vigente en el
+ * evento se actualiza; si no, se crea con un sessionId generado en el servidor.
  */
 export const createTempBooking = async (req, res) => {
-  const { event_id, seatNumbers } = req.body;
+  const { event_id, seatNumbers = [], tickets, accessCode } = req.body;
   
   try {
-    // Generar o usar ID de sesión
-    let sessionId = req.body.sessionId;
-    if (!sessionId) {
-      sessionId = uuidv4();
-    }
-    
-    // ID de usuario si está autenticado
-    const user_id = req.user ? req.user._id : null;
+    const user_id = req.user._id;
     
     // Verificar que el evento existe
     const event = await Event.findById(event_id);
@@ -32,123 +33,91 @@ export const createTempBooking = async (req, res) => {
       });
     }
     
-    // Verificar que los asientos existen en el evento
-    const allSeats = event.finalSeats[0].split(",");
-    const invalidSeats = seatNumbers.filter(seat => !allSeats.includes(seat));
-    if (invalidSeats.length > 0) {
+    // Reutilizar el bloqueo vigente del usuario en el evento o crear uno nuevo
+    const existingTempBooking = await findUserHold(event._id, user_id);
+    const sessionId = existingTempBooking?.sessionId || createHoldSessionId('hold');
+    
+    const hasTickets = Array.isArray(tickets) && tickets.length > 0;
+    if (!Array.isArray(seatNumbers) || (seatNumbers.length === 0 && !hasTickets)) {
       return res.status(400).json({
         status: "failed",
         success: "false",
-        message: `Asientos inválidos: ${invalidSeats.join(', ')}`,
+        message: "Debe seleccionar al menos un asiento",
       });
     }
+
+    // Resolver los tipos de entrada del pedido (ventana de venta, límites, código de preventa)
+    const quote = await quoteOrder(event, { seatNumbers, tickets, accessCode, holdSessionId: sessionId });
+
+    // Calcular tiempo de expiración (7 minutos desde ahora)
+    const expiryTime = new Date(Date.now() + TEMP_BOOKING_DURATION);
     
-    // Verificar que los asientos no están reservados permanentemente
-    const permanentBookings = await Booking.find({
-      event_id,
-      seatNumbers: { $in: seatNumbers }
+    // Bloquear los asientos y el cupo de entradas (todo o nada)
+    const hold = await holdSeats(event, quote.seatNumbers, {
+      holdSessionId: sessionId,
+      userId: user_id,
+      expiresAt: expiryTime,
+      tickets: toCapacityLines(quote.items)
     });
     
-    if (permanentBookings.length > 0) {
-      const bookedSeats = [];
-      permanentBookings.forEach(booking => {
-        booking.seatNumbers.forEach(seat => {
-          if (seatNumbers.includes(seat)) {
-            bookedSeats.push(seat);
-          }
-        });
+    if (hold.soldOutTicketType) {
+      return res.status(409).json({
+        status: "failed",
+        success: "false",
+        message: "No quedan suficientes entradas del tipo seleccionado",
+        ticketTypeId: hold.soldOutTicketType,
       });
-      
+    }
+    
+    if (hold.invalidSeats.length > 0) {
       return res.status(400).json({
         status: "failed",
         success: "false",
-        message: "Algunos asientos ya están reservados permanentemente",
-        bookedSeats: [...new Set(bookedSeats)],
+        message: `Asientos inválidos: ${hold.invalidSeats.join(', ')}`,
       });
     }
     
-    // Verificar que los asientos no están reservados temporalmente por otros usuarios
-    const now = new Date();
-    const tempBookings = await TempBooking.find({
-      event_id,
-      sessionId: { $ne: sessionId }, // No incluir reservas del mismo usuario
-      expiryTime: { $gt: now }, // Solo reservas no expiradas
-      seatNumbers: { $in: seatNumbers }
-    });
-    
-    if (tempBookings.length > 0) {
-      const tempReservedSeats = [];
-      tempBookings.forEach(booking => {
-        booking.seatNumbers.forEach(seat => {
-          if (seatNumbers.includes(seat)) {
-            tempReservedSeats.push(seat);
-          }
-        });
-      });
+    if (!hold.success) {
+      const bookedSeats = hold.unavailable.filter(item => item.status !== 'held').map(item => item.seat);
+      const tempReservedSeats = hold.unavailable.filter(item => item.status === 'held').map(item => item.seat);
       
       return res.status(400).json({
         status: "failed",
         success: "false",
-        message: "Algunos asientos están temporalmente reservados por otro usuario",
-        tempReservedSeats: [...new Set(tempReservedSeats)],
+        message: bookedSeats.length > 0
+          ? "Algunos asientos ya están reservados permanentemente"
+          : "Algunos asientos están temporalmente reservados por otro usuario",
+        bookedSeats,
+        tempReservedSeats,
+        waitlistAvailable: await canJoinWaitlist(event),
       });
     }
     
-    // Calcular tiempo de expiración (7 minutos desde ahora)
-    const expiryTime = new Date(now.getTime() + TEMP_BOOKING_DURATION);
-    
-    // Buscar si el usuario ya tiene una reserva temporal para este evento
-    let existingTempBooking = await TempBooking.findOne({
-      event_id,
-      sessionId
-    });
-    
-    if (existingTempBooking) {
-      // Actualizar reserva existente
-      existingTempBooking.seatNumbers = seatNumbers;
-      existingTempBooking.expiryTime = expiryTime;
-      await existingTempBooking.save();
-      
-      return res.status(200).json({
-        status: "success",
-        success: "true",
-        message: "Reserva temporal actualizada",
-        data: {
-          sessionId,
-          event_id,
-          seatNumbers,
-          expiryTime,
-          remainingTime: TEMP_BOOKING_DURATION,
-        }
-      });
-    } else {
-      // Crear nueva reserva temporal
-      const newTempBooking = new TempBooking({
-        user_id,
+    return res.status(existingTempBooking ? 200 : 201).json({
+      status: "success",
+      success: "true",
+      message: existingTempBooking ? "Reserva temporal actualizada" : "Asientos bloqueados temporalmente",
+      data: {
         event_id,
-        seatNumbers,
-        sessionId,
-        expiryTime
-      });
-      
-      await newTempBooking.save();
-      
-      return res.status(201).json({
-        status: "success",
-        success: "true",
-        message: "Asientos bloqueados temporalmente",
-        data: {
-          sessionId,
-          event_id,
-          seatNumbers,
-          expiryTime,
-          remainingTime: TEMP_BOOKING_DURATION,
-        }
-      });
-    }
+        seatNumbers: hold.seats,
+        tickets: quote.items.map(({ ticketType_id, ticketTypeName, tier, unitPrice, quantity, seats }) => ({
+          ticketType_id, ticketTypeName, tier, unitPrice, quantity, seats
+        })),
+        expiryTime,
+        remainingTime: TEMP_BOOKING_DURATION,
+      }
+    });
     
   } catch (err) {
     console.error("Error en createTempBooking:", err);
+    if (err instanceof ApiError) {
+      return res.status(err.statusCode).json({
+        status: "failed",
+        success: "false",
+        message: err.message,
+        errors: err.errors,
+      });
+    }
     res.status(500).json({
       status: "failed",
       success: "false",
@@ -208,27 +177,24 @@ export const getTempBookedSeats = async (req, res) => {
 };
 
 /**
- * Liberar reserva temporal de asientos
+ * Liberar la reserva temporal de asientos del usuario autenticado en un evento
  */
 export const releaseTempBooking = async (req, res) => {
-  const { sessionId, event_id } = req.body;
+  const { event_id } = req.body;
   
   try {
-    if (!sessionId || !event_id) {
+    if (!event_id) {
       return res.status(400).json({
         status: "failed",
         success: "false",
-        message: "SessionId y event_id son requeridos",
+        message: "event_id es requerido",
       });
     }
     
-    // Buscar y eliminar la reserva temporal
-    const result = await TempBooking.findOneAndDelete({
-      sessionId,
-      event_id
-    });
+    // Liberar los asientos en el inventario y eliminar la reserva temporal
+    const tempBooking = await findUserHold(event_id, req.user._id);
     
-    if (!result) {
+    if (!tempBooking) {
       return res.status(404).json({
         status: "failed",
         success: "false",
@@ -236,6 +202,11 @@ export const releaseTempBooking = async (req, res) => {
       });
     }
     
+    await releaseHold(event_id, tempBooking.sessionId);
+    
+    // Ofrecer los asientos liberados a la lista de espera
+    offerFreedSeats(event_id);
+    
     return res.status(200).json({
       status: "success",
       success: "true",
@@ -262,14 +233,24 @@ export const releaseTempBooking = async (req, res) => {
  */
 export const cleanupExpiredBookings = async (req, res) => {
   try {
-    const now = new Date();
-    const result = await TempBooking.deleteMany({
-      expiryTime: { $lte: now }
-    });
+    // Las ofertas de lista de espera no reclamadas liberan su bloqueo
+    const waitlistEventIds = await expireWaitlistOffers();
+    
+    // Liberar en el inventario los bloqueos expirados y eliminar sus reservas temporales
+    const result = await releaseExpiredHolds();
     
-    const message = `${result.deletedCount} reservas temporales expiradas fueron eliminadas`;
+    // Liberar los usos de códigos promocionales de pagos que no se completaron
+    await releaseExpiredPromoRedemptions();
+    
+    const message = `${result.deletedTempBookings} reservas temporales expiradas fueron eliminadas (${result.releasedCount} asientos liberados)`;
     console.log(`[${new Date().toISOString()}] Limpieza automática: ${message}`);
     
+    // Ofrecer los asientos liberados a la lista de espera de cada evento afectado
+    const freedEventIds = new Set([...waitlistEventIds, ...result.eventIds]);
+    for (const eventId of freedEventIds) {
+      await offerFreedSeats(eventId);
+    }
+    
     // Si se llamó como endpoint HTTP, devolver respuesta
     if (req && res) {
       return res.status(200).json({
@@ -282,7 +263,8 @@ export const cleanupExpiredBookings = async (req, res) => {
     // Si se llamó desde el programador, retornar el resultado
     return {
       success: true,
-      deletedCount: result.deletedCount
+      deletedCount: result.deletedTempBookings,
+      releasedSeats: result.releasedCount
     };
     
   } catch (err) {
@@ -0,0 +1,382 @@
+import bcrypt from 'bcryptjs';
+import User from '../models/User.js';
+import SystemSettings from '../models/SystemSettings.js';
+import {
+    TWO_FACTOR_SECRET_FIELDS,
+    TWO_FACTOR_MAX_ATTEMPTS,
+    generateTotpSecret,
+    verifyTotp,
+    buildOtpauth,
+    generateRecoveryCodes,
+    consumeRecoveryCode,
+    getTwoFactorPolicy,
+    verifyChallengeToken,
+    clearTwoFactor
+} from '../utils/twoFactor.js';
+import { sendLoginResponse } from '../utils/authTokens.js';
+import { getAccountLock, registerFailedLogin, getLockoutResponse } from '../utils/loginProtection.js';
+import { logActivity } from '../utils/activityLogger.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+
+/**
+ * Comprueba un código TOTP o, si no se envía, un código de recuperación
+ * Actualiza lastUsedStep o consume el código de recuperación (sin guardar).
+ * @returns {'totp'|'recovery'|null} - Método con el que se ha verificado
+ */
+const checkSecondFactor = (user, { code, recoveryCode }) => {
+    if (code) {
+        const step = verifyTotp(user.twoFactor.secret, code, user.twoFactor.lastUsedStep ?? -1);
+        if (step !== null) {
+            user.twoFactor.lastUsedStep = step;
+            return 'totp';
+        }
+        return null;
+    }
+
+    if (recoveryCode && consumeRecoveryCode(user, recoveryCode)) {
+        return 'recovery';
+    }
+
+    return null;
+};
+
+/**
+ * @desc    Segundo paso del login: verificar el código TOTP o un código de recuperación
+ * @route   POST /api/v1/auth/2fa/verify
+ * @access  Public (requiere el challengeToken devuelto por /auth/login)
+ */
+export const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+        throw new ApiError(400, 'Se requiere el token de verificación y un código');
+    }
+
+    try {
+        const decoded = verifyChallengeToken(challengeToken, '2fa-challenge');
+        const user = decoded ? await User.findById(decoded.id).select(TWO_FACTOR_SECRET_FIELDS) : null;
+
+        if (!user || !user.twoFactor?.enabled || user.twoFactor.challengeNonce !== decoded.nonce) {
+            throw new ApiError(401, 'La verificación ha expirado. Inicia sesión de nuevo.');
+        }
+
+        const accountLockUntil = getAccountLock(user);
+        if (accountLockUntil) {
+            const { statusCode, message } = getLockoutResponse(accountLockUntil, 'account');
+            throw new ApiError(statusCode, message, [{ lockUntil: accountLockUntil }]);
+        }
+
+        const method = checkSecondFactor(user, { code, recoveryCode });
+
+        if (!method) {
+            user.twoFactor.challengeAttempts = (user.twoFactor.challengeAttempts || 0) + 1;
+            let remainingAttempts = TWO_FACTOR_MAX_ATTEMPTS - user.twoFactor.challengeAttempts;
+
+            // Los códigos erróneos también cuentan para el bloqueo de la cuenta
+            const failure = await registerFailedLogin({ req, user });
+            if (failure.accountLockUntil) {
+                remainingAttempts = 0;
+            }
+            if (remainingAttempts <= 0) {
+                // Agotados los intentos: el token deja de valer y hay que repetir el login
+                user.twoFactor.challengeNonce = undefined;
+            }
+            await user.save();
+
+            logActivity({
+                type: 'security',
+                action: 'Código de verificación en dos pasos incorrecto',
+                user,
+                details: `Código 2FA incorrecto para ${user.email}`,
+                req,
+                targetType: 'user',
+                targetId: user._id,
+                metadata: { remainingAttempts: Math.max(remainingAttempts, 0) }
+            });
+
+            throw new ApiError(401, remainingAttempts > 0
+                ? 'Código de verificación incorrecto'
+                : 'Demasiados intentos fallidos. Inicia sesión de nuevo.', [
+                { remainingAttempts: Math.max(remainingAttempts, 0) }
+            ]);
+        }
+
+        user.twoFactor.challengeNonce = undefined;
+        user.twoFactor.challengeAttempts = 0;
+        await user.save();
+
+        if (method === 'recovery') {
+            logActivity({
+                type: 'security',
+                action: 'Código de recuperación utilizado',
+                user,
+                details: `${user.email} ha accedido con un código de recuperación`,
+                req,
+                targetType: 'user',
+                targetId: user._id,
+                metadata: { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length }
+            });
+            return await sendLoginResponse(req, res, user, {
+                recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+            });
+        }
+
+        return await sendLoginResponse(req, res, user);
+    } catch (error) {
+        console.error('Error en la verificación en dos pasos:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Error al verificar el código');
+    }
+});
+
+/**
+ * @desc    Estado del 2FA del usuario autenticado
+ * @route   GET /api/v1/auth/2fa/status
+ * @access  Private
+ */
+export const getTwoFactorStatus = asyncHandler(async (req, res) => {
+    try {
+        const [user, settings] = await Promise.all([
+            User.findById(req.user._id).select('+twoFactor.recoveryCodes'),
+            SystemSettings.getSettings()
+        ]);
+        const policy = getTwoFactorPolicy(user, settings);
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            {
+                available: policy.available,
+                required: policy.required,
+                enabled: Boolean(user.twoFactor?.enabled),
+                enabledAt: user.twoFactor?.enabledAt || null,
+                recoveryCodesRemaining: user.twoFactor?.enabled ? user.twoFactor.recoveryCodes.length : 0
+            },
+            'Estado de la verificación en dos pasos obtenido correctamente'
+        ));
+    } catch (error) {
+        console.error('Error al obtener el estado del 2FA:', error);
+        throw new ApiError(500, 'Error al obtener el estado de la verificación en dos pasos');
+    }
+});
+
+/**
+ * @desc    Iniciar el alta del 2FA: genera el secreto y el QR para la app de autenticación
+ * @route   POST /api/v1/auth/2fa/setup
+ * @access  Private (sesión o setupToken del login)
+ */
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+    try {
+        const settings = await SystemSettings.getSettings();
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+        if (!getTwoFactorPolicy(user, settings).available) {
+            throw new ApiError(403, 'La verificación en dos pasos no está habilitada');
+        }
+
+        if (user.twoFactor?.enabled) {
+            throw new ApiError(400, 'La verificación en dos pasos ya está activada');
+        }
+
+        const secret = generateTotpSecret();
+        user.twoFactor.pendingSecret = secret;
+        await user.save();
+
+        const { otpauthUrl, qrCode } = await buildOtpauth({ secret, account: user.email });
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            { secret, otpauthUrl, qrCode },
+            'Escanea el código QR y confirma con el primer código generado'
+        ));
+    } catch (error) {
+        console.error('Error al iniciar el alta del 2FA:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Error al configurar la verificación en dos pasos');
+    }
+});
+
+/**
+ * @desc    Confirmar el alta del 2FA con el primer código y generar los códigos de recuperación
+ * @route   POST /api/v1/auth/2fa/enable
+ * @access  Private (sesión o setupToken del login)
+ *
+ * Si se llega con el setupToken (alta obligatoria durante el login) la respuesta
+ * incluye además la sesión, igual que /auth/login.
+ */
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    if (!code) {
+        throw new ApiError(400, 'Se requiere el código de verificación');
+    }
+
+    try {
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+        if (user.twoFactor?.enabled) {
+            throw new ApiError(400, 'La verificación en dos pasos ya está activada');
+        }
+
+        if (!user.twoFactor?.pendingSecret) {
+            throw new ApiError(400, 'Primero debes iniciar la configuración de la verificación en dos pasos');
+        }
+
+        const step = verifyTotp(user.twoFactor.pendingSecret, code);
+        if (step === null) {
+            throw new ApiError(400, 'Código de verificación incorrecto');
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+
+        user.twoFactor.enabled = true;
+        user.twoFactor.enabledAt = new Date();
+        user.twoFactor.secret = user.twoFactor.pendingSecret;
+        user.twoFactor.pendingSecret = undefined;
+        user.twoFactor.lastUsedStep = step;
+        user.twoFactor.recoveryCodes = hashes;
+        user.twoFactor.challengeNonce = undefined;
+        user.twoFactor.challengeAttempts = 0;
+        await user.save();
+
+        logActivity({
+            type: 'security',
+            action: 'Verificación en dos pasos activada',
+            user,
+            details: `${user.email} ha activado la verificación en dos pasos`,
+            req,
+            targetType: 'user',
+            targetId: user._id
+        });
+
+        if (req.twoFactorSetup) {
+            const fullUser = await User.findById(user._id);
+            return await sendLoginResponse(req, res, fullUser, { recoveryCodes: codes });
+        }
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            { recoveryCodes: codes },
+            'Verificación en dos pasos activada. Guarda los códigos de recuperación en un lugar seguro.'
+        ));
+    } catch (error) {
+        console.error('Error al activar el 2FA:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Error al activar la verificación en dos pasos');
+    }
+});
+
+/**
+ * @desc    Desactivar el 2FA (requiere contraseña y un código válido)
+ * @route   POST /api/v1/auth/2fa/disable
+ * @access  Private
+ */
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+        throw new ApiError(400, 'Se requiere la contraseña y un código de verificación');
+    }
+
+    try {
+        const [user, settings] = await Promise.all([
+            User.findById(req.user._id).select(`${TWO_FACTOR_SECRET_FIELDS} +password`),
+            SystemSettings.getSettings()
+        ]);
+
+        if (!user.twoFactor?.enabled) {
+            throw new ApiError(400, 'La verificación en dos pasos no está activada');
+        }
+
+        if (getTwoFactorPolicy(user, settings).required) {
+            throw new ApiError(403, 'La verificación en dos pasos es obligatoria para tu rol');
+        }
+
+        const passwordValid = await bcrypt.compare(password, user.password);
+        if (!passwordValid || !checkSecondFactor(user, { code, recoveryCode })) {
+            throw new ApiError(401, 'Contraseña o código de verificación incorrectos');
+        }
+
+        clearTwoFactor(user);
+        await user.save();
+
+        logActivity({
+            type: 'security',
+            action: 'Verificación en dos pasos desactivada',
+            user,
+            details: `${user.email} ha desactivado la verificación en dos pasos`,
+            req,
+            targetType: 'user',
+            targetId: user._id
+        });
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            null,
+            'Verificación en dos pasos desactivada'
+        ));
+    } catch (error) {
+        console.error('Error al desactivar el 2FA:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Error al desactivar la verificación en dos pasos');
+    }
+});
+
+/**
+ * @desc    Generar nuevos códigos de recuperación (invalida los anteriores)
+ * @route   POST /api/v1/auth/2fa/recovery-codes
+ * @access  Private
+ */
+export const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    if (!code) {
+        throw new ApiError(400, 'Se requiere el código de verificación');
+    }
+
+    try {
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+        if (!user.twoFactor?.enabled) {
+            throw new ApiError(400, 'La verificación en dos pasos no está activada');
+        }
+
+        if (!checkSecondFactor(user, { code })) {
+            throw new ApiError(401, 'Código de verificación incorrecto');
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        user.twoFactor.recoveryCodes = hashes;
+        await user.save();
+
+        logActivity({
+            type: 'security',
+            action: 'Códigos de recuperación regenerados',
+            user,
+            details: `${user.email} ha generado nuevos códigos de recuperación`,
+            req,
+            targetType: 'user',
+            targetId: user._id
+        });
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            { recoveryCodes: codes },
+            'Códigos de recuperación regenerados. Los anteriores ya no son válidos.'
+        ));
+    } catch (error) {
+        console.error('Error al regenerar los códigos de recuperación:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Error al regenerar los códigos de recuperación');
+    }
+});
+
+export default {
+    verifyTwoFactorLogin,
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+};
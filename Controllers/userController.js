@@ -310,9 +310,14 @@
 // }
 // .............................updated AbortController............................................
 import User from '../models/User.js';
-import jwt from "jsonwebtoken";
 import bcrypt from "bcryptjs";
 import { uploadOnCloudinary } from '../utils/cloudinary.js';
+import { logActivity } from '../utils/activityLogger.js';
+import SystemSettings from '../models/SystemSettings.js';
+import { createLoginChallenge } from '../utils/twoFactor.js';
+import { getIpLock, getAccountLock, registerFailedLogin, clearFailedLogins, getLockoutResponse } from '../utils/loginProtection.js';
+import { createSession, setAuthCookies, revokeUserSessions } from '../utils/sessionService.js';
+import { checkPasswordForRequest } from '../utils/passwordPolicy.js';
 
 /**
  * Helper function to upload photos to Cloudinary.
@@ -369,6 +374,17 @@ export const createNewUser = async (req, res) => {
             });
         }
 
+        // Comprobar la contraseña con la política de seguridad
+        const passwordCheck = await checkPasswordForRequest(req, password);
+        if (!passwordCheck.valid) {
+            return res.status(400).json({
+                status: 'fallido',
+                success: 'false',
+                message: passwordCheck.message,
+                errors: passwordCheck.errors,
+            });
+        }
+
         // Check if user with same email already exists
         const existingUser = await User.findOne({ email });
         if (existingUser) {
@@ -440,9 +456,26 @@ export const createNewUser = async (req, res) => {
 export const loginUser = async (req, res) => {
     const { email, password } = req.body;
 
+    // Respuesta para un login rechazado por bloqueo de cuenta o de IP
+    const sendLocked = (lockUntil, scope) => {
+        const { statusCode, message, retryAfter } = getLockoutResponse(lockUntil, scope);
+        return res.set('Retry-After', String(retryAfter)).status(statusCode).json({
+            status: 'fallido',
+            success: 'false',
+            message,
+            lockUntil,
+        });
+    };
+
     try {
+        const ipLockUntil = await getIpLock(req);
+        if (ipLockUntil) {
+            return sendLocked(ipLockUntil, 'ip');
+        }
+
         const user = await User.findOne({ email });
         if (!user) {
+            await registerFailedLogin({ req });
             return res.status(404).json({
                 status: 'fallido',
                 success: 'false',
@@ -450,29 +483,64 @@ export const loginUser = async (req, res) => {
             });
         }
 
+        const accountLockUntil = getAccountLock(user);
+        if (accountLockUntil) {
+            return sendLocked(accountLockUntil, 'account');
+        }
+
         const isPasswordValid = await bcrypt.compare(password, user.password);
         if (!isPasswordValid) {
+            const failure = await registerFailedLogin({ req, user });
+            if (failure.accountLockUntil) {
+                return sendLocked(failure.accountLockUntil, 'account');
+            }
+            if (failure.ipLockUntil) {
+                return sendLocked(failure.ipLockUntil, 'ip');
+            }
             return res.status(401).json({
                 status: 'fallido',
                 success: 'false',
                 message: 'El correo electrónico o la contraseña son incorrectos.',
+                remainingAttempts: failure.remainingAttempts,
             });
         }
 
-        const tokenPayload = {
-            id: user._id,
-            email: user.email,
-            role: user.role,
-        };
+        // Los usuarios con 2FA completan el acceso en /auth/2fa/verify
+        const settings = await SystemSettings.getSettings();
+        const challenge = await createLoginChallenge(user, settings);
+        if (challenge) {
+            return res.status(200).json({
+                status: 'éxito',
+                success: 'true',
+                message: challenge.twoFactorRequired
+                    ? 'Introduce el código de tu aplicación de autenticación.'
+                    : 'Debes configurar la verificación en dos pasos para continuar.',
+                data: challenge,
+            });
+        }
 
-        const token = jwt.sign(tokenPayload, process.env.JWT_SECRET_KEY, { expiresIn: '30d' });
+        const tokens = await createSession(req, user, { email: user.email });
+        setAuthCookies(res, tokens);
+        clearFailedLogins(user);
+
+        logActivity({
+            type: 'user-login',
+            action: 'Inicio de sesión',
+            user,
+            details: `Inicio de sesión de ${user.email}`,
+            req,
+            targetType: 'user',
+            targetId: user._id
+        });
 
         res.status(200).json({
             status: 'éxito',
             success: 'true',
             message: 'Inicio de sesión exitoso.',
             data: {
-                token,
+                token: tokens.accessToken,
+                refreshToken: tokens.refreshToken,
+                expiresIn: tokens.accessExpiresIn,
                 user: {
                     id: user._id,
                     username: user.username,
@@ -494,13 +562,31 @@ export const loginUser = async (req, res) => {
     }
 };
 
+// Campos del perfil que el propio usuario puede cambiar. El rol, la comisión, la
+// cuenta bancaria, el 2FA y el bloqueo por intentos fallidos tienen sus propios endpoints
+const UPDATABLE_PROFILE_FIELDS = ['username', 'fullname', 'email', 'photo'];
+
 // 3) Actualizar un usuario
 export const updateUser = async (req, res) => {
     const id = req.query.id || req.user._id;
     const file = req.file?.path;
-    const { password, ...updateFields } = req.body;
+    const { password } = req.body;
+    const updateFields = Object.fromEntries(
+        UPDATABLE_PROFILE_FIELDS
+            .filter(field => req.body[field] !== undefined)
+            .map(field => [field, req.body[field]])
+    );
 
     try {
+        // Solo los administradores pueden modificar otras cuentas
+        if (id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+            return res.status(403).json({
+                status: 'fallido',
+                success: 'false',
+                message: 'No tienes permisos para actualizar este usuario.',
+            });
+        }
+
         if (file) {
             const photoUrl = await uploadPhoto(file, 'users');
             if (photoUrl) {
@@ -509,7 +595,18 @@ export const updateUser = async (req, res) => {
         }
 
         if (password) {
+            const passwordCheck = await checkPasswordForRequest(req, password);
+            if (!passwordCheck.valid) {
+                return res.status(400).json({
+                    status: 'fallido',
+                    success: 'false',
+                    message: passwordCheck.message,
+                    errors: passwordCheck.errors,
+                });
+            }
             updateFields.password = await bcrypt.hash(password, 10);
+            // Invalida los access tokens emitidos con la contraseña anterior
+            updateFields.passwordChangedAt = new Date();
         }
 
         const updatedUser = await User.findByIdAndUpdate(
@@ -518,6 +615,15 @@ export const updateUser = async (req, res) => {
             { new: true }
         );
 
+        // Al cambiar la contraseña se cierran las sesiones de los demás dispositivos
+        if (updatedUser && password) {
+            const isOwnAccount = updatedUser._id.toString() === req.user?._id?.toString();
+            await revokeUserSessions(updatedUser._id, {
+                reason: 'password-reset',
+                exceptSessionId: isOwnAccount ? req.sessionId : null
+            });
+        }
+
         if (!updatedUser) {
             return res.status(404).json({
                 status: 'fallido',
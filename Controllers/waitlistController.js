@@ -0,0 +1,199 @@
+import mongoose from 'mongoose';
+import Waitlist from '../models/Waitlist.js';
+import Event from '../models/Event.js';
+import SystemSettings from '../models/SystemSettings.js';
+import { getAvailableTicketCount, getWaitlistPosition } from '../utils/waitlistService.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+
+const SEAT_TYPES = ['vip', 'economy'];
+
+/**
+ * @desc    Apuntarse a la lista de espera de un evento agotado
+ * @route   POST /api/v1/waitlist/join
+ * @access  Private
+ */
+export const joinWaitlist = asyncHandler(async (req, res) => {
+    const { event_id, seatType = null } = req.body;
+    const quantity = parseInt(req.body.quantity) || 1;
+
+    if (!event_id || !mongoose.Types.ObjectId.isValid(event_id)) {
+        throw new ApiError(400, 'ID de evento inválido');
+    }
+
+    if (seatType && !SEAT_TYPES.includes(seatType)) {
+        throw new ApiError(400, `Tipo de asiento inválido. Valores permitidos: ${SEAT_TYPES.join(', ')}`);
+    }
+
+    try {
+        const settings = await SystemSettings.getSettings();
+        const { enableWaitlist, maxTicketsPerPurchase = 10 } = settings.events || {};
+
+        if (!enableWaitlist) {
+            throw new ApiError(403, 'La lista de espera no está habilitada');
+        }
+
+        if (quantity < 1 || quantity > maxTicketsPerPurchase) {
+            throw new ApiError(400, `La cantidad debe estar entre 1 y ${maxTicketsPerPurchase}`);
+        }
+
+        const event = await Event.findById(event_id);
+        if (!event) {
+            throw new ApiError(404, 'Evento no encontrado');
+        }
+
+        const existingEntry = await Waitlist.findOne({
+            event_id,
+            user_id: req.user._id,
+            status: { $in: ['waiting', 'offered'] }
+        });
+        if (existingEntry) {
+            throw new ApiError(400, 'Ya estás en la lista de espera de este evento');
+        }
+
+        // Solo se admite la lista de espera si no quedan entradas suficientes del tipo solicitado
+        const availableTickets = await getAvailableTicketCount(event, seatType);
+        if (availableTickets >= quantity) {
+            throw new ApiError(400, 'Todavía hay entradas disponibles para este evento', [
+                { availableTickets }
+            ]);
+        }
+
+        const entry = await Waitlist.create({
+            event_id,
+            user_id: req.user._id,
+            seatType,
+            quantity
+        });
+
+        const position = await getWaitlistPosition(entry);
+
+        return res.status(201).json(new ApiResponse(
+            201,
+            { entry, position },
+            'Te has apuntado a la lista de espera correctamente'
+        ));
+    } catch (error) {
+        console.error('Error al apuntarse a la lista de espera:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Error al apuntarse a la lista de espera');
+    }
+});
+
+/**
+ * @desc    Consultar mis entradas en listas de espera
+ * @route   GET /api/v1/waitlist/my
+ * @access  Private
+ */
+export const getMyWaitlistEntries = asyncHandler(async (req, res) => {
+    try {
+        const entries = await Waitlist.find({
+            user_id: req.user._id,
+            status: { $in: ['waiting', 'offered'] }
+        })
+            .sort({ createdAt: -1 })
+            .populate('event_id', 'name eventDate venue photo');
+
+        const data = await Promise.all(entries.map(async (entry) => ({
+            ...entry.toObject(),
+            claimToken: undefined,
+            position: await getWaitlistPosition(entry)
+        })));
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            { entries: data },
+            'Listas de espera obtenidas correctamente'
+        ));
+    } catch (error) {
+        console.error('Error al obtener las listas de espera del usuario:', error);
+        throw new ApiError(500, 'Error al obtener las listas de espera');
+    }
+});
+
+/**
+ * @desc    Salir de la lista de espera
+ * @route   DELETE /api/v1/waitlist/:id
+ * @access  Private
+ */
+export const leaveWaitlist = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new ApiError(400, 'ID de lista de espera inválido');
+    }
+
+    try {
+        const entry = await Waitlist.findOne({ _id: id, user_id: req.user._id });
+        if (!entry) {
+            throw new ApiError(404, 'Entrada de lista de espera no encontrada');
+        }
+
+        if (entry.status !== 'waiting') {
+            throw new ApiError(400, 'Solo se puede salir de la lista mientras se está en espera');
+        }
+
+        entry.status = 'cancelled';
+        await entry.save();
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            null,
+            'Has salido de la lista de espera'
+        ));
+    } catch (error) {
+        console.error('Error al salir de la lista de espera:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Error al salir de la lista de espera');
+    }
+});
+
+/**
+ * @desc    Reclamar los asientos ofrecidos desde la lista de espera
+ * @route   POST /api/v1/waitlist/claim/:token
+ * @access  Private
+ *
+ * Devuelve los asientos o entradas bloqueados para que el frontend continúe con
+ * el pago antes de que expire la oferta; el checkout retoma el bloqueo del usuario.
+ */
+export const claimWaitlistOffer = asyncHandler(async (req, res) => {
+    const { token } = req.params;
+
+    try {
+        const entry = await Waitlist.findOne({ claimToken: token });
+        if (!entry) {
+            throw new ApiError(404, 'Oferta no encontrada o ya utilizada');
+        }
+
+        if (entry.user_id.toString() !== req.user._id.toString()) {
+            throw new ApiError(403, 'Esta oferta pertenece a otro usuario');
+        }
+
+        if (!['offered', 'claimed'].includes(entry.status) || entry.offerExpiresAt <= new Date()) {
+            throw new ApiError(410, 'La oferta ha expirado');
+        }
+
+        if (entry.status === 'offered') {
+            entry.status = 'claimed';
+            entry.claimedAt = new Date();
+            await entry.save();
+        }
+
+        return res.status(200).json(new ApiResponse(
+            200,
+            {
+                event_id: entry.event_id,
+                seatNumbers: entry.offeredSeats,
+                tickets: entry.offeredTickets,
+                expiryTime: entry.offerExpiresAt,
+                remainingTime: entry.offerExpiresAt.getTime() - Date.now()
+            },
+            'Oferta reclamada. Completa la compra antes de que expire la reserva.'
+        ));
+    } catch (error) {
+        console.error('Error al reclamar la oferta de lista de espera:', error);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, 'Error al reclamar la oferta');
+    }
+});
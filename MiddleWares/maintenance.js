@@ -0,0 +1,81 @@
+// Middleware que aplica el modo mantenimiento configurado en SystemSettings.general
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { getCachedSettings } from '../utils/settingsCache.js';
+
+// Rutas que siguen disponibles durante el mantenimiento
+const EXEMPT_PATHS = [
+  '/health',
+  '/metrics',
+  '/api/v1/booking/webhook', // Stripe debe poder confirmar pagos en curso
+  '/api/v1/auth/login', // Los administradores necesitan iniciar sesión para desactivarlo
+  '/api/v1/auth/2fa', // Segundo paso del login de administradores con 2FA
+  '/api/v1/auth/refresh',
+  '/api/v1/auth/logout',
+  '/api/v1/users/loginUser'
+];
+
+const isExemptPath = (path) =>
+  EXEMPT_PATHS.some(exempt => path === exempt || path.startsWith(`${exempt}/`));
+
+/**
+ * Comprueba si la petición viene de un administrador
+ * Solo se consulta la base de datos si el token declara el rol de administrador.
+ * @param {Object} req - Petición de Express
+ * @returns {Promise<boolean>}
+ */
+const isAdminRequest = async (req) => {
+  const token = req.cookies?.accessToken || req.header('Authorization')?.replace('Bearer ', '');
+  if (!token) return false;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET_KEY);
+    if (decoded?.role !== 'admin') return false;
+
+    const user = await User.findById(decoded.id).select('role');
+    return user?.role === 'admin';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Responde 503 con el mensaje configurado mientras general.maintenanceMode esté activo
+ *
+ * Solo afecta a la API (/api/...). Los administradores, el webhook de Stripe
+ * y los health checks no se bloquean. Si la configuración no puede leerse
+ * se deja pasar la petición para no tumbar la API por un fallo de la base de datos.
+ */
+export const maintenanceMode = async (req, res, next) => {
+  const path = req.originalUrl.split('?')[0];
+
+  if (!path.startsWith('/api/') || isExemptPath(path) || req.method === 'OPTIONS') {
+    return next();
+  }
+
+  let general;
+  try {
+    const settings = await getCachedSettings();
+    general = settings.general || {};
+  } catch (error) {
+    console.error('[Maintenance] Error al leer la configuración del sistema:', error.message);
+    return next();
+  }
+
+  if (!general.maintenanceMode) {
+    return next();
+  }
+
+  if (await isAdminRequest(req)) {
+    return next();
+  }
+
+  return res.status(503).json({
+    status: "failed",
+    success: "false",
+    maintenance: true,
+    message: general.maintenanceMessage || 'Estamos realizando tareas de mantenimiento. Por favor, vuelve más tarde.'
+  });
+};
+
+export default maintenanceMode;
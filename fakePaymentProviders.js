@@ -0,0 +1,283 @@
+// Servidor falso de Stripe y PayPal para probar los pagos en local sin cuentas reales
+// Uso: npm run fake:payments
+// En config.env:
+//   STRIPE_SECRET_KEY=sk_test_falso            (cualquier valor; sin clave Stripe funciona en modo simulado)
+//   STRIPE_WEBHOOK_SECRET=whsec_falso
+//   STRIPE_API_BASE=http://localhost:4010
+//   PAYPAL_CLIENT_ID=falso  PAYPAL_CLIENT_SECRET=falso  PAYPAL_WEBHOOK_ID=falso
+//   PAYPAL_API_BASE=http://localhost:4010
+// Responde a las llamadas que hacen utils/stripeProvider.js y utils/paypalProvider.js.
+// La URL de pago que devuelve cada checkout (GET /pay/<id>) hace de comprador: marca
+// el pago, envía al backend el webhook firmado (checkout.session.completed o
+// CHECKOUT.ORDER.APPROVED) y redirige a la URL de éxito. GET /pay/<id>?cancel=1
+// lo abandona; en Stripe envía checkout.session.expired.
+import http from 'http';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config({path: './config.env'});
+
+const port = Number(process.env.FAKE_PAYMENTS_PORT) || 4010;
+const backendUrl = (process.env.FAKE_PAYMENTS_BACKEND_URL || `http://localhost:${process.env.PORT || 8080}`).replace(/\/$/, '');
+const publicUrl = `http://localhost:${port}`;
+
+// Checkouts creados, por ID (sesiones de Stripe y pedidos de PayPal)
+const checkouts = new Map();
+
+const newId = (prefix) => `${prefix}_fake_${crypto.randomBytes(8).toString('hex')}`;
+
+/**
+ * Cuerpo x-www-form-urlencoded de Stripe (claves con corchetes) a objeto
+ * line_items[0][quantity]=2 → { line_items: { 0: { quantity: '2' } } }
+ */
+const parseStripeForm = (text) => {
+    const result = {};
+    for (const [key, value] of new URLSearchParams(text)) {
+        const path = key.split(/[[\]]+/).filter(Boolean);
+        let target = result;
+        path.slice(0, -1).forEach(segment => {
+            target[segment] = target[segment] || {};
+            target = target[segment];
+        });
+        target[path[path.length - 1]] = value;
+    }
+    return result;
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+});
+
+const sendJson = (res, statusCode, body) => {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+    return true;
+};
+
+/**
+ * Envía un webhook al backend y registra la respuesta
+ */
+const deliverWebhook = async (path, payload, headers) => {
+    try {
+        const response = await fetch(`${backendUrl}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: payload
+        });
+        console.log(`Webhook ${path} → ${response.status} ${await response.text()}`);
+    } catch (error) {
+        console.error(`No se pudo entregar el webhook ${path}:`, error.message);
+    }
+};
+
+// Stripe ------------------------------------------------------------------------
+
+/**
+ * Webhook de Stripe firmado como lo verifica Stripe.webhooks.constructEvent
+ */
+const sendStripeEvent = (type, session) => {
+    const payload = JSON.stringify({
+        id: newId('evt'),
+        object: 'event',
+        type,
+        created: Math.floor(Date.now() / 1000),
+        data: { object: session }
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto
+        .createHmac('sha256', process.env.STRIPE_WEBHOOK_SECRET || '')
+        .update(`${timestamp}.${payload}`)
+        .digest('hex');
+    return deliverWebhook('/api/v1/booking/webhook', payload, { 'stripe-signature': `t=${timestamp},v1=${signature}` });
+};
+
+const createStripeSession = (params) => {
+    const id = newId('cs');
+    const amountTotal = Object.values(params.line_items || {}).reduce(
+        (sum, item) => sum + Number(item.price_data?.unit_amount || 0) * Number(item.quantity || 1), 0);
+    const session = {
+        id,
+        object: 'checkout.session',
+        url: `${publicUrl}/pay/${id}`,
+        client_secret: params.ui_mode === 'embedded' ? `${id}_secret` : null,
+        status: 'open',
+        payment_status: 'unpaid',
+        payment_intent: null,
+        payment_method_types: Object.values(params.payment_method_types || { 0: 'card' }),
+        amount_total: amountTotal,
+        currency: params.currency || params.line_items?.[0]?.price_data?.currency || 'eur',
+        client_reference_id: params.client_reference_id || null,
+        customer_details: { email: params.customer_email || 'cliente@ejemplo.com', name: 'Cliente de prueba' },
+        metadata: params.metadata || {}
+    };
+    checkouts.set(id, { provider: 'stripe', returnUrl: params.success_url || params.return_url, cancelUrl: params.cancel_url, session });
+    return session;
+};
+
+const handleStripe = async (req, res, path, body) => {
+    if (req.method === 'POST' && path === '/v1/checkout/sessions') {
+        return sendJson(res, 200, createStripeSession(parseStripeForm(body)));
+    }
+
+    const sessionMatch = path.match(/^\/v1\/checkout\/sessions\/([^/]+)$/);
+    if (req.method === 'GET' && sessionMatch) {
+        const checkout = checkouts.get(decodeURIComponent(sessionMatch[1]));
+        return checkout
+            ? sendJson(res, 200, checkout.session)
+            : sendJson(res, 404, { error: { type: 'invalid_request_error', message: 'No such checkout.session' } });
+    }
+
+    if (req.method === 'POST' && path === '/v1/refunds') {
+        const params = parseStripeForm(body);
+        return sendJson(res, 200, {
+            id: newId('re'),
+            object: 'refund',
+            status: 'succeeded',
+            payment_intent: params.payment_intent,
+            amount: params.amount !== undefined ? Number(params.amount) : null,
+            metadata: params.metadata || {}
+        });
+    }
+
+    return false;
+};
+
+// PayPal ------------------------------------------------------------------------
+
+/**
+ * Webhook de PayPal; la firma la confirma este mismo servidor en verify-webhook-signature
+ */
+const sendPaypalEvent = (eventType, resource) => deliverWebhook('/api/v1/booking/paypal/webhook', JSON.stringify({
+    id: newId('WH'),
+    event_type: eventType,
+    resource_type: 'checkout-order',
+    create_time: new Date().toISOString(),
+    resource
+}), {
+    'paypal-transmission-id': newId('tx'),
+    'paypal-transmission-time': new Date().toISOString(),
+    'paypal-cert-url': `${publicUrl}/cert`,
+    'paypal-auth-algo': 'SHA256withRSA',
+    'paypal-transmission-sig': 'falsa'
+});
+
+const handlePaypal = async (req, res, path, body) => {
+    if (req.method === 'POST' && path === '/v1/oauth2/token') {
+        return sendJson(res, 200, { access_token: newId('A21'), token_type: 'Bearer', expires_in: 32400 });
+    }
+
+    if (req.method === 'POST' && path === '/v1/notifications/verify-webhook-signature') {
+        return sendJson(res, 200, { verification_status: 'SUCCESS' });
+    }
+
+    if (req.method === 'POST' && path === '/v2/checkout/orders') {
+        const params = JSON.parse(body || '{}');
+        const id = newId('ORDER').toUpperCase();
+        const order = {
+            id,
+            status: 'PAYER_ACTION_REQUIRED',
+            purchase_units: params.purchase_units || [],
+            links: [{ rel: 'payer-action', href: `${publicUrl}/pay/${id}`, method: 'GET' }]
+        };
+        const context = params.payment_source?.paypal?.experience_context || {};
+        checkouts.set(id, { provider: 'paypal', returnUrl: context.return_url, cancelUrl: context.cancel_url, order });
+        return sendJson(res, 201, order);
+    }
+
+    const orderMatch = path.match(/^\/v2\/checkout\/orders\/([^/]+)(\/capture)?$/);
+    if (orderMatch) {
+        const checkout = checkouts.get(decodeURIComponent(orderMatch[1]));
+        if (!checkout) {
+            return sendJson(res, 404, { name: 'RESOURCE_NOT_FOUND', details: [{ issue: 'INVALID_RESOURCE_ID' }] });
+        }
+        const { order } = checkout;
+
+        if (req.method === 'GET' && !orderMatch[2]) {
+            return sendJson(res, 200, order);
+        }
+        if (req.method === 'POST' && orderMatch[2]) {
+            if (order.status === 'COMPLETED') {
+                return sendJson(res, 422, { name: 'UNPROCESSABLE_ENTITY', details: [{ issue: 'ORDER_ALREADY_CAPTURED' }] });
+            }
+            if (order.status !== 'APPROVED') {
+                return sendJson(res, 422, { name: 'UNPROCESSABLE_ENTITY', details: [{ issue: 'ORDER_NOT_APPROVED' }] });
+            }
+            order.status = 'COMPLETED';
+            order.purchase_units[0].payments = {
+                captures: [{ id: newId('CAPTURE').toUpperCase(), status: 'COMPLETED', amount: order.purchase_units[0].amount }]
+            };
+            return sendJson(res, 201, order);
+        }
+    }
+
+    const refundMatch = path.match(/^\/v2\/payments\/captures\/([^/]+)\/refund$/);
+    if (req.method === 'POST' && refundMatch) {
+        const params = JSON.parse(body || '{}');
+        return sendJson(res, 201, { id: newId('REFUND').toUpperCase(), status: 'COMPLETED', amount: params.amount });
+    }
+
+    return false;
+};
+
+// Comprador ---------------------------------------------------------------------
+
+/**
+ * Paga (o abandona) un checkout y redirige a la URL de vuelta
+ */
+const handlePay = async (req, res, id, cancel) => {
+    const checkout = checkouts.get(id);
+    if (!checkout) {
+        return sendJson(res, 404, { message: `Checkout ${id} no encontrado` });
+    }
+
+    if (checkout.provider === 'stripe') {
+        const { session } = checkout;
+        if (cancel) {
+            session.status = 'expired';
+            await sendStripeEvent('checkout.session.expired', session);
+        } else {
+            session.status = 'complete';
+            session.payment_status = 'paid';
+            session.payment_intent = session.payment_intent || newId('pi');
+            await sendStripeEvent('checkout.session.completed', session);
+        }
+    } else if (!cancel) {
+        checkout.order.status = 'APPROVED';
+        // El backend captura el cobro al recibir el evento
+        await sendPaypalEvent('CHECKOUT.ORDER.APPROVED', checkout.order);
+    }
+
+    const location = (cancel ? checkout.cancelUrl : checkout.returnUrl) || '/';
+    res.writeHead(302, { Location: location.replace('{CHECKOUT_SESSION_ID}', id) });
+    res.end();
+};
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, publicUrl);
+    try {
+        const body = await readBody(req);
+        console.log(`${req.method} ${url.pathname}`);
+
+        const payMatch = url.pathname.match(/^\/pay\/([^/]+)$/);
+        if (req.method === 'GET' && payMatch) {
+            return await handlePay(req, res, decodeURIComponent(payMatch[1]), url.searchParams.has('cancel'));
+        }
+
+        const handled = await handleStripe(req, res, url.pathname, body)
+            || await handlePaypal(req, res, url.pathname, body);
+        if (!handled) {
+            sendJson(res, 404, { message: `Ruta no simulada: ${req.method} ${url.pathname}` });
+        }
+    } catch (error) {
+        console.error('Error en el servidor falso de pagos:', error);
+        sendJson(res, 500, { message: error.message });
+    }
+});
+
+server.listen(port, () => {
+    console.log(`Servidor falso de pagos en ${publicUrl} (webhooks a ${backendUrl})`);
+});
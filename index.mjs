@@ -13,9 +13,13 @@ import templateRoute from './routes/templates.js'
 import categoryRoute from './routes/categories.js'
 import dashboardRoute from './routes/dashboard.js'
 import tempBookingRoute from './routes/tempBookings.js'
+import waitlistRoute from './routes/waitlist.js'
+import staffRoute from './routes/staff.js'
 import { handleStripePayment } from './Controllers/stripControllers.js';
 import setupDatabase from './utils/databaseSetup.js';
 import setupCors from './MiddleWares/cors.js';
+import maintenanceMode from './MiddleWares/maintenance.js';
+import { metricsMiddleware, metricsHandler, instrumentMongoConnection } from './utils/metrics.js';
 
 // Cargar variables de entorno
 dotenv.config({path:'./config.env'});
@@ -25,10 +29,14 @@ const portNo = process.env.PORT || 8000
 // Configurar trust proxy para manejar correctamente los headers X-Forwarded-For
 app.set('trust proxy', true);
 
+// Métricas de peticiones
+app.use(metricsMiddleware);
+
 // Configurar CORS de manera centralizada
 app = setupCors(app);
 
-// Configurar Stripe webhook antes de los middlewares de parseo de body
+// Configurar los webhooks de pago (Stripe, PayPal) antes de los middlewares de parseo de body
+app.use('/api/v1/booking/paypal/webhook', express.raw({ type: 'application/json' }), handleStripePayment.handlePaypalWebhook);
 app.use('/api/v1/booking/webhook', express.raw({ type: 'application/json' }), handleStripePayment.handleStripeWebhook);
 
 //database connection with retries and better error handling
@@ -67,12 +75,14 @@ const connect = async () => {
         socketTimeoutMS: 45000, // Socket timeout - 45 seconds
         connectTimeoutMS: 30000, // Connection timeout - 30 seconds,
         dbName: 'entradasmelilla', // Force database name explicitly
+        monitorCommands: true, // Needed to time queries for the metrics collector
     };
     
     // Connection function with retries
     while (retryCount < MAX_RETRIES) {
         try {
             await mongoose.connect(mongoUrl, connectionOptions);
+            instrumentMongoConnection(mongoose.connection);
             
             // Check if connection was successful
             if (mongoose.connection.readyState === 1) {
@@ -121,6 +131,9 @@ app.use(express.json({ limit: '50mb' }))
 app.use(express.urlencoded({ limit: '50mb', extended: true }))
 app.use(cookieParser())
 
+// Modo mantenimiento (SystemSettings.general.maintenanceMode)
+app.use(maintenanceMode)
+
 // Middleware para logging simple, sin modificar CORS (ya lo hace setupCors)
 app.use((req, res, next) => {
     // Log incoming requests for debugging
@@ -349,6 +362,9 @@ app.get('/init-database', async (req, res) => {
     }
 })
 
+// Métricas en formato Prometheus (protegidas con METRICS_TOKEN)
+app.get('/metrics', metricsHandler)
+
 // Ultra simple health check - ALWAYS returns 200 OK with no database checks
 // This is specifically designed to pass Railway's health check
 app.get('/health', (req, res) => {
@@ -558,6 +574,12 @@ app.use('/api/v1/dashboard', dashboardRoute)
 //setting route for Temporary Bookings
 app.use('/api/v1/temp-bookings', tempBookingRoute)
 
+//setting route for Waitlists
+app.use('/api/v1/waitlist', waitlistRoute)
+
+//setting route for event door staff
+app.use('/api/v1/staff', staffRoute)
+
 
 //starting the server with proper MongoDB connection handling
 const startServer = async () => {
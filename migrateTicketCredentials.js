@@ -0,0 +1,53 @@
+// Script para reemitir las entradas firmadas de las reservas existentes
+// Uso: npm run migrate:tickets -- [--all] [--event=<id>] [--include-past] [--no-upload]
+//   --all           reemite también las entradas ya firmadas con la clave activa
+//   --event=<id>    solo las reservas de un evento
+//   --include-past  incluye eventos ya terminados
+//   --no-upload     no sube las nuevas imágenes QR a Cloudinary
+// Tras rotar la clave (TICKET_SIGNING_KEYS), ejecutarlo sin --all reemite las
+// entradas firmadas con claves anteriores; después esas claves pueden retirarse.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { reissueTicketCredentials } from './utils/ticketCredentials.js';
+
+// Load environment variables
+dotenv.config({path: './config.env'});
+
+const args = process.argv.slice(2);
+const eventArg = args.find(arg => arg.startsWith('--event='));
+
+const migrate = async () => {
+    try {
+        console.log("Connecting to MongoDB...");
+        // Misma base de datos que el servidor (index.mjs, railway.js)
+        await mongoose.connect(process.env.MONGODB_URL, { dbName: 'entradasmelilla' });
+        console.log(`MongoDB Connected Successfully to ${mongoose.connection.db.databaseName}`);
+    } catch (error) {
+        console.error("MongoDB Connection Error:", error);
+        process.exit(1);
+    }
+
+    try {
+        const result = await reissueTicketCredentials({
+            all: args.includes('--all'),
+            eventId: eventArg ? eventArg.split('=')[1] : undefined,
+            includePast: args.includes('--include-past'),
+            upload: !args.includes('--no-upload')
+        });
+
+        console.log(`Reservas revisadas: ${result.processed}`);
+        console.log(`Entradas reemitidas: ${result.reissued}`);
+        console.log(`Omitidas (evento terminado o inexistente): ${result.skipped}`);
+        console.log(`Con errores: ${result.failed}`);
+
+        await mongoose.connection.close();
+        process.exit(result.success ? 0 : 1);
+    } catch (error) {
+        console.error("Error al reemitir las entradas:", error);
+        await mongoose.connection.close();
+        process.exit(1);
+    }
+};
+
+// Run the migration
+migrate();
@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+// Tipos de actividad que se pueden registrar (usados también como filtro en el dashboard)
+export const ACTIVITY_TYPES = [
+  'user-login',
+  'user-registration',
+  'event-created',
+  'booking-completed',
+  'booking-cancelled',
+  'payment-processed',
+  'admin-action',
+  'security',
+  'system'
+];
+
+const activityLogSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ACTIVITY_TYPES,
+      required: true,
+    },
+    action: {
+      type: String, // Descripción corta de la acción (e.g., "Inicio de sesión")
+      required: true,
+    },
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Usuario que realizó la acción (nulo para acciones del sistema)
+      default: null,
+    },
+    username: {
+      type: String, // Copia del nombre para que el registro sobreviva al borrado del usuario
+      default: 'Sistema',
+    },
+    details: {
+      type: String,
+      default: '',
+    },
+    targetType: {
+      type: String, // Tipo de entidad afectada (user, event, booking, settings, task)
+    },
+    targetId: {
+      type: String, // ID de la entidad afectada
+    },
+    ipAddress: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed, // Datos adicionales específicos de cada acción
+      default: {},
+    },
+  },
+  { timestamps: true }
+);
+
+// Índices para los filtros del dashboard de administración
+activityLogSchema.index({ createdAt: -1 });
+activityLogSchema.index({ type: 1, createdAt: -1 });
+activityLogSchema.index({ user_id: 1, createdAt: -1 });
+
+export default mongoose.model("ActivityLog", activityLogSchema);
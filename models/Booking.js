@@ -74,12 +74,81 @@ const bookingSchema = new mongoose.Schema(
     totalPrice: {
       type: Number, // Precio total de la reserva en KRW
     },
+    commission: {
+      // Comisión calculada al reservar (utils/commissionService.js); los informes usan este valor
+      amount: { type: Number },
+      type: { type: String, enum: ['percentage', 'fixed', 'percentage_fixed'] },
+      rate: { type: Number },
+      fixed: { type: Number },
+      payer: { type: String, enum: ['buyer', 'organizer'] },
+      source: { type: String }, // settings, organizer-default, organizer o event
+    },
+    amountCharged: {
+      type: Number, // Importe cobrado al comprador (entradas + comisión si la paga él)
+    },
+    organizerNet: {
+      type: Number, // Importe que corresponde al organizador
+    },
+    promoCode: {
+      // Código promocional aplicado (models/PromoCode.js)
+      promoCode_id: { type: mongoose.Schema.Types.ObjectId, ref: 'PromoCode' },
+      code: { type: String },
+      discountType: { type: String, enum: ['percentage', 'fixed'] },
+      discountValue: { type: Number },
+      amount: { type: Number }, // Descuento aplicado
+    },
+    pricing: {
+      // Desglose calculado en el servidor al reservar (utils/pricingService.js)
+      items: [{
+        ticketType_id: { type: mongoose.Schema.Types.ObjectId, ref: 'TicketType' }, // null en eventos sin tipos de entrada
+        ticketTypeName: { type: String },
+        tier: { type: String }, // Tramo de precio aplicado (early bird...)
+        seatType: { type: String }, // vip o economy
+        unitPrice: { type: Number },
+        quantity: { type: Number },
+        amount: { type: Number },
+        _id: false
+      }],
+      subtotal: { type: Number }, // Precio de las entradas, con el descuento ya aplicado
+      discount: { type: Number }, // Descuento del código promocional
+      fees: { type: Number }, // Comisión pagada por el comprador
+      tax: {
+        name: { type: String },
+        rate: { type: Number },
+        included: { type: Boolean }, // true si los precios ya incluyen el impuesto
+        amount: { type: Number },
+      },
+      total: { type: Number }, // Importe cobrado
+    },
+    tickets: [{
+      // Una entrada por asiento (o por plaza sin asiento) con su credencial firmada (utils/ticketCredentials.js)
+      ticketId: { type: String, required: true },
+      seat: { type: String }, // Sin valor en eventos sin asientos
+      ticketTypeName: { type: String },
+      token: { type: String }, // Contenido del código QR
+      kid: { type: String }, // Clave con la que se firmó el token
+      jti: { type: String }, // Identificador del token vigente; cambia al reemitir la entrada
+      issuedAt: { type: Date },
+      expiresAt: { type: Date },
+      qrCodeUrl: { type: String },
+      scanStatus: { type: Boolean, default: false },
+      scannedAt: { type: Date },
+      scannedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      scanDevice: { type: String }, // Lector que la admitió
+      inside: { type: Boolean, default: false }, // Dentro del recinto según la última lectura
+      entries: { type: Number, default: 0 }, // Accesos registrados (más de uno si se permite volver a entrar)
+      lastScanAt: { type: Date }, // Última lectura que cambió el estado de la entrada
+      _id: false
+    }],
     qrCodeToken: {
-      type: String, // Token para la generación del código QR
+      type: String, // Token de la primera entrada (tickets[0].token)
     },
     qrCodeScanStatus: { 
       type: Boolean, 
-      default: false, // Inicialmente no escaneado
+      default: false, // true en cuanto se escanea alguna de sus entradas
+    },
+    qrCodeScanDate: {
+      type: Date, // Primer escaneo
     },
     qrCodeUrl: { 
       type: String, 
@@ -87,12 +156,36 @@ const bookingSchema = new mongoose.Schema(
     },
     paymentStatus: {
       type: String,
-      enum: ['Pending', 'paid', 'Fallido'], // Pendiente, Pagado, Fallido en español
+      enum: ['Pending', 'paid', 'Fallido', 'refunded', 'partially_refunded', 'disputed'], // Pendiente, Pagado, Fallido, Reembolsado, Reembolsado parcialmente, En disputa
       default: 'Pending',
     },
+    status: {
+      type: String,
+      enum: ['pending_payment', 'confirmed', 'cancellation_requested', 'cancelling', 'cancelled', 'expired'], // Estado de la reserva (pending_payment / expired: transferencias bancarias; cancelling: reembolso en curso)
+      default: 'confirmed',
+    },
+    cancellation: {
+      status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'], // Estado de la solicitud de cancelación
+      },
+      reason: { type: String }, // Motivo indicado por el asistente
+      requestedAt: { type: Date },
+      requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reviewedAt: { type: Date },
+      reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Organizador o administrador que revisó la solicitud
+      rejectionReason: { type: String },
+      refundAmount: { type: Number, default: 0 }, // Importe reembolsado
+      refundId: { type: String }, // ID del reembolso en la pasarela de pago
+      refundStatus: { type: String }, // Estado del reembolso devuelto por la pasarela
+      refundedAt: { type: Date }, // Reembolso emitido (o sin importe); permite retomar una aprobación interrumpida
+    },
     paymentDetails: {
+      provider: {
+        type: String, // Pasarela con la que se cobró (stripe, paypal); sin valor en las reservas anteriores, que son de Stripe
+      },
       paymentIntentId: { 
-        type: String, // ID de la intención de pago del pasarela de pago
+        type: String, // ID del pago en la pasarela (PaymentIntent de Stripe, captura de PayPal)
       },
       paymentMethod: { 
         type: String, // Método de pago (por ejemplo, tarjeta, transferencia bancaria)
@@ -100,9 +193,43 @@ const bookingSchema = new mongoose.Schema(
       sessionStorageId: { 
         type: String, // ID de almacenamiento de sesión para el seguimiento del pago
       },
+      refundedAmount: {
+        type: Number, // Importe reembolsado según la pasarela (incluye reembolsos hechos fuera de la aplicación)
+      },
+      failureReason: {
+        type: String, // Motivo del último pago fallido
+      },
+    },
+    bankTransfer: {
+      // Pago por transferencia bancaria (Controllers/bankTransferController.js)
+      reference: { type: String }, // Referencia única que el comprador indica en el concepto
+      status: {
+        type: String,
+        enum: ['pending', 'received', 'expired'], // Pendiente, Recibida, Plazo vencido
+      },
+      expiresAt: { type: Date }, // Fin del plazo para recibir la transferencia
+      holdSessionId: { type: String }, // Bloqueo de los asientos mientras se espera el pago
+      promoRedemptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'PromoRedemption' }, // Uso pendiente del código promocional
+      receivedAt: { type: Date },
+      receivedAmount: { type: Number }, // Importe recibido según el extracto bancario
+      reconciledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Administrador que la marcó como recibida
+      notes: { type: String },
+    },
+    dispute: {
+      // Contracargo abierto por el comprador en su banco
+      id: { type: String },
+      status: { type: String }, // Estado devuelto por Stripe (needs_response, won, lost...)
+      reason: { type: String },
+      amount: { type: Number },
+      openedAt: { type: Date },
+      closedAt: { type: Date },
     },
   },
   { timestamps: true }
 );
 
+bookingSchema.index({ 'bankTransfer.reference': 1 }, { unique: true, sparse: true });
+bookingSchema.index({ 'bankTransfer.status': 1, 'bankTransfer.expiresAt': 1 });
+bookingSchema.index({ 'tickets.ticketId': 1 }, { sparse: true });
+
 export default mongoose.model("Booking", bookingSchema);
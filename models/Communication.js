@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+
+// Tipos de comunicación entre administración y organizadores
+export const COMMUNICATION_TYPES = ['email', 'notification', 'system-message', 'support-ticket'];
+
+const communicationSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: COMMUNICATION_TYPES,
+      default: 'email',
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Usuario que envía el mensaje
+      required: true,
+    },
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Usuario que recibe el mensaje
+      required: true,
+    },
+    organizer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Organizador implicado en la conversación (para filtrar el historial)
+      required: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    thread: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Communication', // Mensaje inicial de la conversación (nulo en el propio mensaje inicial)
+      default: null,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Communication', // Mensaje al que responde
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'delivered', 'failed', 'read', 'replied'],
+      default: 'pending',
+    },
+    deliveryError: {
+      type: String, // Motivo del fallo de entrega, si lo hubo
+    },
+    messageId: {
+      type: String, // ID devuelto por el proveedor de correo
+    },
+    sentAt: { type: Date },
+    deliveredAt: { type: Date },
+    readAt: { type: Date },
+    repliedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+// Índices para las consultas del historial
+communicationSchema.index({ organizer: 1, createdAt: -1 });
+communicationSchema.index({ type: 1, createdAt: -1 });
+communicationSchema.index({ thread: 1, createdAt: 1 });
+communicationSchema.index({ recipient: 1, status: 1 });
+
+export default mongoose.model("Communication", communicationSchema);
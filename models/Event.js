@@ -217,6 +217,11 @@
 // export default mongoose.model("Event", eventSchema);
 import mongoose from "mongoose";
 
+// Control de acceso (utils/checkIn.js). single: cada entrada da un único acceso;
+// reentry: se puede volver a entrar sin escanear la salida; in_out: se escanea
+// la entrada y la salida, y el asistente solo puede entrar si no consta dentro
+export const ENTRY_POLICIES = ['single', 'reentry', 'in_out'];
+
 const eventSchema = new mongoose.Schema(
   {
     user_id: {
@@ -330,11 +335,27 @@ const eventSchema = new mongoose.Schema(
       type: Boolean, // Si el evento está publicado
       default: false,
     },
+    commission: {
+      // Comisión pactada para este evento; los campos vacíos se heredan (ver utils/commissionService.js)
+      type: { type: String, enum: ['percentage', 'fixed', 'percentage_fixed'] },
+      rate: { type: Number }, // porcentaje
+      fixed: { type: Number }, // importe fijo por entrada
+      payer: { type: String, enum: ['buyer', 'organizer'] },
+    },
     status: {
       type: String,
       enum: ['active', 'draft', 'cancelled', 'finished'],
       default: 'active',
     },
+    entryPolicy: {
+      type: String,
+      enum: ENTRY_POLICIES,
+      default: 'single',
+    },
+    gates: {
+      type: [String], // Puertas de acceso; si hay alguna, las lecturas deben indicar una de ellas
+      default: [],
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+
+// Permisos que un organizador puede delegar en el personal de un evento (utils/eventStaff.js).
+// scanner: escanear entradas y consultar asistentes, sin acceso a datos económicos
+export const STAFF_CAPABILITIES = ['scanner'];
+
+// pending: invitación enviada; active: aceptada; revoked: retirada por el organizador;
+// expired: la invitación caducó sin aceptarse
+export const STAFF_STATUSES = ['pending', 'active', 'revoked', 'expired'];
+
+const eventStaffSchema = new mongoose.Schema(
+  {
+    event_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: true,
+    },
+    email: {
+      type: String, // Correo al que se envió la invitación
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Cuenta que aceptó la invitación
+    },
+    capabilities: {
+      type: [String],
+      enum: STAFF_CAPABILITIES,
+      default: ['scanner'],
+    },
+    status: {
+      type: String,
+      enum: STAFF_STATUSES,
+      default: 'pending',
+    },
+    invitationToken: {
+      type: String, // Token del enlace de la invitación; se borra al aceptarla
+    },
+    invitationExpiresAt: {
+      type: Date, // Fin del plazo para aceptar la invitación
+      required: true,
+    },
+    accessExpiresAt: {
+      type: Date, // Fin del acceso del personal (tras el evento)
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    acceptedAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+eventStaffSchema.index({ event_id: 1, email: 1, status: 1 });
+// Índice para comprobar los permisos del usuario en cada lectura
+eventStaffSchema.index({ user_id: 1, event_id: 1, status: 1 });
+// Índice para expirar invitaciones vencidas
+eventStaffSchema.index({ status: 1, invitationExpiresAt: 1 });
+eventStaffSchema.index({ invitationToken: 1 }, { sparse: true });
+
+export default mongoose.model("EventStaff", eventStaffSchema);
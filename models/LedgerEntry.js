@@ -0,0 +1,101 @@
+import mongoose from "mongoose";
+
+// Asiento del libro de liquidaciones con los organizadores (utils/payoutLedger.js).
+// Cada asiento es de partida doble: la suma del debe y la del haber de sus líneas
+// coinciden. Cuentas:
+// - cash: dinero cobrado por la plataforma (pasarelas y transferencias)
+// - organizer_payable: lo que se debe al organizador del asiento
+// - platform_fees: comisiones de la plataforma
+export const LEDGER_ACCOUNTS = ['cash', 'organizer_payable', 'platform_fees'];
+
+// sale: venta cobrada; fee: comisión de la plataforma; refund: reembolso al comprador;
+// fee_refund: parte de la comisión devuelta con el reembolso; chargeback / chargeback_reversal:
+// contracargo abierto y ganado; payout: pago al organizador de un lote de liquidación
+export const LEDGER_ENTRY_TYPES = ['sale', 'fee', 'refund', 'fee_refund', 'chargeback', 'chargeback_reversal', 'payout'];
+
+const ledgerLineSchema = new mongoose.Schema(
+  {
+    account: {
+      type: String,
+      enum: LEDGER_ACCOUNTS,
+      required: true,
+    },
+    debit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    credit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: LEDGER_ENTRY_TYPES,
+      required: true,
+    },
+    sourceKey: {
+      type: String, // Origen del asiento (p. ej. sale:<reserva>); evita contabilizar dos veces lo mismo
+      required: true,
+    },
+    organizer_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    event_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+    },
+    booking_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+    },
+    currency: {
+      type: String,
+      default: 'EUR',
+    },
+    amount: {
+      type: Number, // Efecto en el saldo del organizador: haber - debe de organizer_payable
+      required: true,
+    },
+    lines: {
+      type: [ledgerLineSchema],
+      validate: {
+        validator: (lines) => {
+          const debit = lines.reduce((sum, line) => sum + Math.round(line.debit * 100), 0);
+          const credit = lines.reduce((sum, line) => sum + Math.round(line.credit * 100), 0);
+          return lines.length >= 2 && debit === credit;
+        },
+        message: 'El asiento no cuadra: el debe y el haber deben sumar lo mismo',
+      },
+    },
+    description: {
+      type: String,
+    },
+    availableAt: {
+      type: Date, // Desde cuándo puede liquidarse (las ventas se retienen hasta después del evento)
+      required: true,
+    },
+    payoutBatch_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PayoutBatch', // Lote de liquidación que incluye el asiento
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+ledgerEntrySchema.index({ sourceKey: 1 }, { unique: true });
+ledgerEntrySchema.index({ organizer_id: 1, payoutBatch_id: 1, availableAt: 1 });
+ledgerEntrySchema.index({ booking_id: 1 });
+ledgerEntrySchema.index({ payoutBatch_id: 1 });
+
+export default mongoose.model("LedgerEntry", ledgerEntrySchema);
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// Intentos fallidos de inicio de sesión por dirección IP.
+// Los bloqueos por cuenta se guardan en el propio usuario.
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    ip: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    failedAttempts: {
+      type: Number, // Fallos dentro de la ventana actual
+      default: 0,
+    },
+    lastFailedAt: {
+      type: Date,
+    },
+    lockoutCount: {
+      type: Number, // Bloqueos consecutivos, para el backoff exponencial
+      default: 0,
+    },
+    lockUntil: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date, // El documento se borra solo cuando deja de ser relevante
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginThrottleSchema.index({ lockUntil: 1 });
+
+export default mongoose.model("LoginThrottle", loginThrottleSchema);
@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// Checkout abierto en una pasarela de pago (sesión de Stripe, pedido de PayPal).
+// Guarda los datos del pedido para las pasarelas que no admiten metadatos, de
+// modo que el webhook de pago completado pueda crear la reserva.
+// open: pendiente de pago; completed: reserva creada; expired: el comprador no
+// pagó a tiempo; failed: la pasarela rechazó el cobro.
+export const PAYMENT_CHECKOUT_STATUSES = ['open', 'completed', 'expired', 'failed'];
+
+const paymentCheckoutSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String, // Pasarela (stripe, paypal)
+      required: true,
+    },
+    checkoutId: {
+      type: String, // ID del checkout en la pasarela (cs_..., ID del pedido de PayPal)
+      required: true,
+    },
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    event_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+    },
+    booking_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      default: null,
+    },
+    amount: {
+      type: Number, // Importe cobrado al comprador
+    },
+    currency: {
+      type: String,
+    },
+    metadata: {
+      type: Map,
+      of: String, // Los mismos datos (cifrados) que se envían como metadata a Stripe
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: PAYMENT_CHECKOUT_STATUSES,
+      default: 'open',
+    },
+    expiresAt: {
+      type: Date, // Fin del bloqueo de los asientos; después ya no se captura el pago
+    },
+  },
+  { timestamps: true }
+);
+
+paymentCheckoutSchema.index({ provider: 1, checkoutId: 1 }, { unique: true });
+paymentCheckoutSchema.index({ status: 1, expiresAt: 1 });
+
+export default mongoose.model("PaymentCheckout", paymentCheckoutSchema);
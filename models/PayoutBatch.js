@@ -0,0 +1,107 @@
+import mongoose from "mongoose";
+
+// Lote periódico de liquidaciones a organizadores, en una moneda.
+// pending_approval: generado, pendiente de revisión; approved: aprobado por un
+// administrador; paid: transferencias realizadas (se contabilizan los pagos);
+// cancelled: descartado, sus asientos vuelven a quedar pendientes de liquidar.
+export const PAYOUT_BATCH_STATUSES = ['pending_approval', 'approved', 'paid', 'cancelled'];
+
+const payoutItemSchema = new mongoose.Schema(
+  {
+    organizer_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    amount: {
+      type: Number, // Importe a pagar al organizador (saldo de sus asientos incluidos)
+      required: true,
+    },
+    entryCount: {
+      type: Number,
+      default: 0,
+    },
+    bankAccount: {
+      // Cuenta de destino fijada al aprobar el lote; la remesa SEPA se genera con ella
+      holderName: { type: String },
+      iban: { type: String },
+      bic: { type: String },
+    },
+  },
+  { _id: false }
+);
+
+const payoutBatchSchema = new mongoose.Schema(
+  {
+    reference: {
+      type: String, // p. ej. PO-20250106-EUR-7K2Q
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: 'EUR',
+    },
+    periodEnd: {
+      type: Date, // Se incluyen los asientos disponibles hasta esta fecha
+      required: true,
+    },
+    items: {
+      type: [payoutItemSchema],
+      default: [],
+    },
+    totalAmount: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: PAYOUT_BATCH_STATUSES,
+      default: 'pending_approval',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Administrador que lo generó; sin valor si lo generó la tarea programada
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    approvedAt: {
+      type: Date,
+    },
+    paidBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    paidAt: {
+      type: Date,
+    },
+    paymentReference: {
+      type: String, // Referencia de la remesa bancaria
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    notes: {
+      type: String,
+    },
+    sepaExportedAt: {
+      type: Date, // Última descarga del fichero SEPA de la remesa
+    },
+    sepaExportedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+payoutBatchSchema.index({ reference: 1 }, { unique: true });
+payoutBatchSchema.index({ status: 1, createdAt: -1 });
+payoutBatchSchema.index({ 'items.organizer_id': 1, createdAt: -1 });
+
+export default mongoose.model("PayoutBatch", payoutBatchSchema);
@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+
+// Códigos promocionales de un evento, creados por el organizador.
+// El descuento se aplica sobre el precio de las entradas (utils/promoCodes.js);
+// cada uso queda registrado en PromoRedemption.
+export const PROMO_DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+const promoCodeSchema = new mongoose.Schema(
+  {
+    event_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: true,
+    },
+    code: {
+      type: String, // Se guarda en mayúsculas; el comprador puede escribirlo de cualquier forma
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+    },
+    discountType: {
+      type: String,
+      enum: PROMO_DISCOUNT_TYPES,
+      required: true,
+    },
+    discountValue: {
+      type: Number, // Porcentaje (0-100) o importe fijo por pedido
+      required: true,
+      min: 0,
+    },
+    ticketTypes: {
+      type: [mongoose.Schema.Types.ObjectId], // Tipos de entrada a los que se aplica. Vacío = todos
+      ref: 'TicketType',
+      default: [],
+    },
+    maxUses: {
+      type: Number, // Usos totales permitidos. null = sin límite
+      default: null,
+      min: 1,
+    },
+    maxUsesPerUser: {
+      type: Number, // Usos permitidos por comprador. null = sin límite
+      default: null,
+      min: 1,
+    },
+    usedCount: {
+      type: Number, // Usos confirmados o en curso (pagos pendientes)
+      default: 0,
+    },
+    validFrom: {
+      type: Date,
+      default: null,
+    },
+    validUntil: {
+      type: Date,
+      default: null,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+promoCodeSchema.index({ event_id: 1, code: 1 }, { unique: true });
+
+export default mongoose.model("PromoCode", promoCodeSchema);
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+// Uso de un código promocional en un pedido.
+// pending: el pago está en curso y el uso cuenta para los límites hasta que expire;
+// redeemed: la reserva se ha creado; released: el pago no llegó o la reserva se canceló.
+export const PROMO_REDEMPTION_STATUSES = ['pending', 'redeemed', 'released'];
+
+const promoRedemptionSchema = new mongoose.Schema(
+  {
+    promoCode_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode',
+      required: true,
+    },
+    event_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: true,
+    },
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    booking_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      default: null,
+    },
+    code: {
+      type: String,
+    },
+    discountAmount: {
+      type: Number, // Descuento aplicado al pedido
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: PROMO_REDEMPTION_STATUSES,
+      default: 'pending',
+    },
+    expiresAt: {
+      type: Date, // Fin del pago en curso; después el uso se libera
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+promoRedemptionSchema.index({ promoCode_id: 1, user_id: 1, status: 1 });
+promoRedemptionSchema.index({ status: 1, expiresAt: 1 });
+promoRedemptionSchema.index({ booking_id: 1 });
+
+export default mongoose.model("PromoRedemption", promoRedemptionSchema);
@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+
+// Registro de cada lectura de una entrada en la puerta (utils/checkIn.js).
+// admitted: entrada válida, el asistente pasa; exited: salida registrada (política
+// in_out); duplicate: la entrada ya se había usado o el asistente ya consta dentro
+// (o fuera, en una salida); conflict: dos lecturas admitieron la misma entrada (sin
+// conexión) y esta no es la primera; revoked: reserva cancelada o reembolsada;
+// invalid: código no válido, caducado, sustituido o de otro evento
+export const SCAN_RESULTS = ['admitted', 'exited', 'duplicate', 'conflict', 'revoked', 'invalid'];
+
+// Permiso con el que el usuario escaneó (utils/eventStaff.js)
+export const SCAN_OPERATOR_ROLES = ['owner', 'admin', 'staff'];
+
+// in: acceso al recinto; out: salida (solo con la política in_out)
+export const SCAN_DIRECTIONS = ['in', 'out'];
+
+// online: POST /booking/scan-qr; offline: lote subido por el lector al recuperar la conexión
+export const SCAN_SOURCES = ['online', 'offline'];
+
+const scanEventSchema = new mongoose.Schema(
+  {
+    event_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: true,
+    },
+    booking_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+    },
+    ticketId: {
+      type: String, // Sin valor si el código no se pudo leer
+    },
+    seat: {
+      type: String,
+    },
+    result: {
+      type: String,
+      enum: SCAN_RESULTS,
+      required: true,
+    },
+    message: {
+      type: String, // Motivo del rechazo
+    },
+    source: {
+      type: String,
+      enum: SCAN_SOURCES,
+      default: 'online',
+    },
+    deviceId: {
+      type: String, // Identificador del lector
+    },
+    gate: {
+      type: String, // Puerta en la que se leyó
+    },
+    direction: {
+      type: String,
+      enum: SCAN_DIRECTIONS,
+      default: 'in',
+    },
+    operator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Usuario que escaneó
+    },
+    operatorRole: {
+      type: String,
+      enum: SCAN_OPERATOR_ROLES, // Con qué permiso escaneó (staff: personal del evento)
+    },
+    scannedAt: {
+      type: Date, // Hora de la lectura en el dispositivo
+      required: true,
+    },
+    scanKey: {
+      type: String, // Identifica una lectura sin conexión; subir el mismo lote dos veces no la duplica
+    },
+  },
+  { timestamps: true }
+);
+
+scanEventSchema.index({ scanKey: 1 }, { unique: true, sparse: true });
+scanEventSchema.index({ event_id: 1, scannedAt: -1 });
+scanEventSchema.index({ event_id: 1, ticketId: 1, result: 1 });
+scanEventSchema.index({ event_id: 1, gate: 1, direction: 1 });
+
+export default mongoose.model("ScanEvent", scanEventSchema);
@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+
+// Inventario de asientos: un documento por asiento y evento.
+// Es la única fuente de verdad sobre si un asiento está libre; todas las reservas
+// pasan por utils/seatInventory.js, que cambia el estado con actualizaciones
+// condicionales atómicas para que dos compradores no se lleven el mismo asiento.
+export const SEAT_STATUSES = ['available', 'held', 'sold', 'blocked'];
+
+const seatInventorySchema = new mongoose.Schema(
+  {
+    event_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: true,
+    },
+    seatNumber: {
+      type: String, // Identificador del asiento en el plano del evento
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: SEAT_STATUSES,
+      default: 'available',
+    },
+    holdSessionId: {
+      type: String, // Sesión que mantiene el bloqueo temporal (reserva temporal, checkout, lista de espera)
+      default: null,
+    },
+    holdExpiresAt: {
+      type: Date, // Pasada esta fecha el bloqueo deja de contar y el asiento puede volver a reservarse
+      default: null,
+    },
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Usuario que bloquea o ha comprado el asiento
+      default: null,
+    },
+    booking_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking', // Reserva que ocupa el asiento (solo en estado sold)
+      default: null,
+    },
+    blockedReason: {
+      type: String, // Motivo del bloqueo manual del organizador
+      default: null,
+    },
+    blockedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    statusChangedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+seatInventorySchema.index({ event_id: 1, seatNumber: 1 }, { unique: true });
+// Disponibilidad por evento
+seatInventorySchema.index({ event_id: 1, status: 1 });
+// Liberación de bloqueos expirados
+seatInventorySchema.index({ status: 1, holdExpiresAt: 1 });
+seatInventorySchema.index({ holdSessionId: 1 });
+seatInventorySchema.index({ booking_id: 1 });
+
+export default mongoose.model("SeatInventory", seatInventorySchema);
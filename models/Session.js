@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+// Sesiones de inicio de sesión: una por dispositivo/navegador.
+// El refresh token no se guarda en claro, solo su hash SHA-256.
+const sessionSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    previousTokenHash: {
+      type: String, // Token anterior a la última rotación, para detectar reutilizaciones
+    },
+    rotatedAt: {
+      type: Date,
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    ipAddress: {
+      type: String,
+      default: '',
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date, // Caducidad del refresh token; se amplía en cada rotación
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'user-revoked', 'password-reset', 'token-reuse', 'admin'],
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ user_id: 1, revokedAt: 1 });
+// MongoDB elimina las sesiones caducadas automáticamente
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("Session", sessionSchema);
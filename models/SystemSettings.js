@@ -33,11 +33,23 @@ const SystemSettingsSchema = new mongoose.Schema({
         paypalEnabled: { type: Boolean, default: false },
         paypalClientId: { type: String, default: '' },
         paypalClientSecret: { type: String, default: '' },
+        paypalMode: { type: String, default: 'sandbox', enum: ['sandbox', 'live'] },
+        paypalWebhookId: { type: String, default: '' }, // ID del webhook registrado en PayPal, para verificar las firmas
         bankTransferEnabled: { type: Boolean, default: true },
         bankTransferInstructions: { type: String, default: 'Realiza la transferencia a la siguiente cuenta bancaria...' },
+        bankTransferHoldDays: { type: Number, default: 3, min: 1 }, // días para recibir la transferencia; los asientos quedan bloqueados mientras tanto
         commissionRate: { type: Number, default: 5 },
-        commissionType: { type: String, default: 'percentage', enum: ['percentage', 'fixed'] },
-        commissionFixed: { type: Number, default: 0 }
+        commissionType: { type: String, default: 'percentage', enum: ['percentage', 'fixed', 'percentage_fixed'] },
+        commissionFixed: { type: Number, default: 0 }, // por entrada
+        commissionPayer: { type: String, default: 'buyer', enum: ['buyer', 'organizer'] }, // quién paga la comisión
+        payoutHoldDays: { type: Number, default: 3, min: 0 }, // días después del evento hasta que las ventas pueden liquidarse al organizador
+        // Cuenta de la plataforma desde la que se pagan las liquidaciones (ordenante de las remesas SEPA)
+        payoutAccountName: { type: String, default: '' },
+        payoutAccountIban: { type: String, default: '' },
+        payoutAccountBic: { type: String, default: '' },
+        taxName: { type: String, default: 'IVA' },
+        taxRate: { type: Number, default: 0 }, // percentage
+        taxIncluded: { type: Boolean, default: true } // los precios de los eventos ya incluyen el impuesto
     },
     
     // Email settings
@@ -87,10 +99,16 @@ const SystemSettingsSchema = new mongoose.Schema({
         refundPeriodDays: { type: Number, default: 7 },
         enablePartialRefunds: { type: Boolean, default: false },
         defaultEventDuration: { type: Number, default: 120 }, // minutes
+        // Tipos de entrada que se crean con cada evento nuevo (ver models/TicketType.js)
         defaultTicketTypes: [{
             id: { type: String, required: true },
             name: { type: String, required: true },
-            color: { type: String, default: '#2196F3' }
+            color: { type: String, default: '#2196F3' },
+            seatType: { type: String, enum: ['vip', 'economy', null], default: null }, // categoría de asiento del plano
+            price: { type: Number, min: 0 }, // sin precio se usa vipprice / economyprice del evento
+            quantity: { type: Number, min: 0 },
+            minPerOrder: { type: Number, min: 1 },
+            maxPerOrder: { type: Number, min: 1 }
         }]
     },
     
@@ -98,6 +116,7 @@ const SystemSettingsSchema = new mongoose.Schema({
     security: {
         requireEmailVerification: { type: Boolean, default: true },
         twoFactorAuthEnabled: { type: Boolean, default: false },
+        twoFactorRequiredRoles: [{ type: String, enum: ['admin', 'organizer', 'user'] }], // roles obligados a usar 2FA
         passwordMinLength: { type: Number, default: 8 },
         passwordRequireSpecialChars: { type: Boolean, default: true },
         passwordRequireNumbers: { type: Boolean, default: true },
@@ -163,11 +182,22 @@ SystemSettingsSchema.statics.getDefaultSettings = function() {
             paypalEnabled: false,
             paypalClientId: '',
             paypalClientSecret: '',
+            paypalMode: 'sandbox',
+            paypalWebhookId: '',
             bankTransferEnabled: true,
             bankTransferInstructions: 'Realiza la transferencia a la siguiente cuenta bancaria...',
+            bankTransferHoldDays: 3,
             commissionRate: 5,
             commissionType: 'percentage',
-            commissionFixed: 0
+            commissionFixed: 0,
+            commissionPayer: 'buyer',
+            payoutHoldDays: 3,
+            payoutAccountName: '',
+            payoutAccountIban: '',
+            payoutAccountBic: '',
+            taxName: 'IVA',
+            taxRate: 0,
+            taxIncluded: true
         },
         email: {
             emailProvider: 'smtp',
@@ -208,13 +238,14 @@ SystemSettingsSchema.statics.getDefaultSettings = function() {
             enablePartialRefunds: false,
             defaultEventDuration: 120,
             defaultTicketTypes: [
-                { id: 'standard', name: 'Estándar', color: '#2196F3' },
-                { id: 'vip', name: 'VIP', color: '#F44336' }
+                { id: 'standard', name: 'Estándar', color: '#2196F3', seatType: 'economy' },
+                { id: 'vip', name: 'VIP', color: '#F44336', seatType: 'vip' }
             ]
         },
         security: {
             requireEmailVerification: true,
             twoFactorAuthEnabled: false,
+            twoFactorRequiredRoles: [],
             passwordMinLength: 8,
             passwordRequireSpecialChars: true,
             passwordRequireNumbers: true,
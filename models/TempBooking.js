@@ -14,6 +14,11 @@ const tempBookingSchema = new mongoose.Schema(
       type: [String], // Lista de números de asiento reservados temporalmente
       default: [],    
     },
+    tickets: [{
+      ticketType_id: { type: mongoose.Schema.Types.ObjectId, ref: 'TicketType' }, // Tipo de entrada bloqueado
+      quantity: { type: Number, min: 1 }, // Entradas de ese tipo bloqueadas por la sesión
+      _id: false
+    }],
     sessionId: {
       type: String, // Identificador único para la sesión del usuario (para usuarios no registrados)
       required: true,
@@ -0,0 +1,123 @@
+import mongoose from "mongoose";
+
+// Tipos de entrada de un evento (general, VIP, preventa...).
+// Sustituyen a los precios fijos vipprice / economyprice del evento: el checkout,
+// los bloqueos temporales y los paneles calculan precio y disponibilidad a partir de aquí.
+export const TICKET_TYPE_VISIBILITIES = ['public', 'hidden', 'disabled'];
+export const TICKET_SEAT_TYPES = ['vip', 'economy'];
+
+const ticketTierSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String, // Nombre del tramo (Early bird, Preventa...)
+      required: true,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    quantity: {
+      type: Number, // Entradas a este precio; los cupos de los tramos son acumulados. null = sin límite
+      default: null,
+      min: 1,
+    },
+    endsAt: {
+      type: Date, // El tramo deja de aplicarse en esta fecha. null = hasta agotar su cupo
+      default: null,
+    },
+  },
+  { _id: true }
+);
+
+const ticketTypeSchema = new mongoose.Schema(
+  {
+    event_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: true,
+    },
+    code: {
+      type: String, // Identificador del tipo en SystemSettings.events.defaultTicketTypes (standard, vip...)
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+    },
+    color: {
+      type: String,
+      default: '#2196F3',
+    },
+    seatType: {
+      type: String, // Categoría de asiento del plano a la que se aplica. null = cualquiera o sin numerar
+      enum: [...TICKET_SEAT_TYPES, null],
+      default: null,
+    },
+    price: {
+      type: Number, // Precio una vez agotados o vencidos los tramos
+      required: true,
+      min: 0,
+    },
+    tiers: {
+      type: [ticketTierSchema], // Tramos de precio (early bird), en orden de aplicación
+      default: [],
+    },
+    quantity: {
+      type: Number, // Entradas a la venta de este tipo. null = limitado solo por el aforo
+      default: null,
+      min: 0,
+    },
+    sold: {
+      type: Number, // Entradas vendidas
+      default: 0,
+    },
+    held: {
+      type: Number, // Entradas bloqueadas en reservas temporales en curso
+      default: 0,
+    },
+    minPerOrder: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    maxPerOrder: {
+      type: Number,
+      default: 10,
+      min: 1,
+    },
+    visibility: {
+      type: String, // hidden: solo se puede comprar con el código de acceso (preventa)
+      enum: TICKET_TYPE_VISIBILITIES,
+      default: 'public',
+    },
+    accessCodeHash: {
+      type: String, // Hash SHA-256 del código de acceso de la preventa
+      select: false,
+    },
+    salesStart: {
+      type: Date,
+      default: null,
+    },
+    salesEnd: {
+      type: Date,
+      default: null,
+    },
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+    legacyPriceField: {
+      type: String, // Campo del evento del que se creó el tipo; sus cambios se trasladan al precio
+      enum: ['vipprice', 'economyprice', null],
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+ticketTypeSchema.index({ event_id: 1, sortOrder: 1 });
+
+export default mongoose.model("TicketType", ticketTypeSchema);
@@ -89,6 +89,55 @@ const userSchema = new mongoose.Schema(
     resetPasswordExpires: {
       type: Date,
     },
+    // Los tokens emitidos antes de esta fecha dejan de ser válidos
+    passwordChangedAt: {
+      type: Date,
+    },
+    // Protección contra fuerza bruta en el inicio de sesión
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+    },
+    lockoutCount: {
+      type: Number, // Bloqueos consecutivos, para el backoff exponencial
+      default: 0,
+    },
+    lockUntil: {
+      type: Date,
+    },
+    commission: {
+      // Comisión pactada con el organizador; los campos vacíos se heredan (ver utils/commissionService.js)
+      type: { type: String, enum: ['percentage', 'fixed', 'percentage_fixed'] },
+      rate: { type: Number }, // porcentaje
+      fixed: { type: Number }, // importe fijo por entrada
+      payer: { type: String, enum: ['buyer', 'organizer'] },
+    },
+    // Cuenta bancaria del organizador para las liquidaciones (validada en utils/sepa.js)
+    bankAccount: {
+      holderName: { type: String },
+      iban: { type: String },
+      bic: { type: String },
+      updatedAt: { type: Date },
+    },
+
+    // Autenticación en dos pasos (TOTP). Los secretos no se devuelven por defecto.
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date },
+      secret: { type: String, select: false },
+      // Secreto generado en el alta, pendiente de confirmar con un primer código
+      pendingSecret: { type: String, select: false },
+      // Hashes SHA-256 de los códigos de recuperación sin usar
+      recoveryCodes: { type: [String], select: false },
+      // Último periodo TOTP aceptado, para no admitir el mismo código dos veces
+      lastUsedStep: { type: Number, select: false },
+      // Reto de login en curso; se renueva en cada login y se borra al agotar intentos
+      challengeNonce: { type: String, select: false },
+      challengeAttempts: { type: Number, default: 0, select: false },
+    },
   },
   { timestamps: true }
 );
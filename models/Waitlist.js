@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+
+const waitlistSchema = new mongoose.Schema(
+  {
+    event_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event', // Evento agotado al que se apunta el usuario
+      required: true,
+    },
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    seatType: {
+      type: String,
+      enum: ['vip', 'economy', null], // Tipo de asiento deseado (nulo = cualquiera)
+      default: null,
+    },
+    quantity: {
+      type: Number, // Número de asientos solicitados
+      default: 1,
+      min: 1,
+    },
+    status: {
+      type: String,
+      enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled'],
+      default: 'waiting',
+    },
+    claimToken: {
+      type: String, // Token del enlace para reclamar los asientos ofrecidos
+    },
+    offeredSeats: {
+      type: [String], // Asientos bloqueados para este usuario mientras dure la oferta
+      default: [],
+    },
+    offeredTickets: {
+      type: [{ ticketType_id: mongoose.Schema.Types.ObjectId, quantity: Number }], // Entradas bloqueadas en eventos sin plano
+      default: [],
+    },
+    holdSessionId: {
+      type: String, // sessionId de la reserva temporal que bloquea los asientos ofrecidos
+    },
+    offeredAt: {
+      type: Date,
+    },
+    offerExpiresAt: {
+      type: Date, // Fin del plazo para reclamar la oferta
+    },
+    claimedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+// Índice para recorrer la cola de un evento por orden de llegada
+waitlistSchema.index({ event_id: 1, status: 1, createdAt: 1 });
+// Índice para expirar ofertas vencidas
+waitlistSchema.index({ status: 1, offerExpiresAt: 1 });
+waitlistSchema.index({ claimToken: 1 }, { sparse: true });
+
+export default mongoose.model("Waitlist", waitlistSchema);
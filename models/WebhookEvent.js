@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+// Eventos de webhook recibidos de las pasarelas de pago.
+// Sirven para no procesar dos veces el mismo evento cuando la pasarela reintenta
+// y para poder relanzar desde el panel de administración los que fallaron.
+export const WEBHOOK_EVENT_STATUSES = ['processing', 'processed', 'ignored', 'failed'];
+
+// Tiempo que se conservan los eventos ya resueltos (los fallidos se conservan hasta resolverse)
+export const WEBHOOK_EVENT_RETENTION_DAYS = 90;
+
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String, // Pasarela que envía el evento (stripe, paypal)
+      required: true,
+      default: 'stripe',
+    },
+    eventId: {
+      type: String, // ID del evento en la pasarela (evt_...)
+      required: true,
+    },
+    type: {
+      type: String, // Tipo de evento (checkout.session.completed, charge.refunded...)
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: WEBHOOK_EVENT_STATUSES,
+      default: 'processing',
+    },
+    attempts: {
+      type: Number, // Veces que se ha intentado procesar (reintentos y relanzamientos incluidos)
+      default: 0,
+    },
+    lastAttemptAt: {
+      type: Date,
+    },
+    processedAt: {
+      type: Date,
+    },
+    lastError: {
+      type: String, // Último error al procesarlo
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed, // Resumen del resultado (reserva creada, motivo por el que se ignoró...)
+      default: {},
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed, // Evento completo, ya verificado, para poder relanzarlo
+    },
+    replayedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // Último administrador que lo relanzó
+    },
+    replayedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date, // Solo se fija al resolverse; el índice TTL borra el documento
+    },
+  },
+  { timestamps: true }
+);
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+// Listado del panel de administración
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+webhookEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("WebhookEvent", webhookEventSchema);
@@ -11,12 +11,16 @@ import timeslotRoute from './routes/timeslots.js';
 import authRoute from './routes/auth.js';
 import templateRoute from './routes/templates.js';
 import schedulerRoute from './routes/scheduler.js';
+import waitlistRoute from './routes/waitlist.js';
+import staffRoute from './routes/staff.js';
 import { handleStripePayment } from './Controllers/stripControllers.js';
 import { initScheduledTasks } from './utils/scheduledTasks.js';
+import { metricsMiddleware, metricsHandler, instrumentMongoConnection } from './utils/metrics.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import setupCors from './MiddleWares/cors.js';
+import maintenanceMode from './MiddleWares/maintenance.js';
 
 // Load environment variables
 dotenv.config({path:'./config.env'});
@@ -96,10 +100,14 @@ if (process.env.MAIN_PROCESS === 'true') {
     console.log('Ejecutando como proceso principal desde startup.js');
 }
 
+// Métricas de peticiones (antes que cualquier otro middleware para medir la latencia completa)
+app.use(metricsMiddleware);
+
 // Configurar CORS de manera centralizada
 setupCors(app);
 
-// Configurar Stripe webhook antes de los middlewares de parseo de body
+// Configurar los webhooks de pago (Stripe, PayPal) antes de los middlewares de parseo de body
+app.use('/api/v1/booking/paypal/webhook', express.raw({ type: 'application/json' }), handleStripePayment.handlePaypalWebhook);
 app.use('/api/v1/booking/webhook', express.raw({ type: 'application/json' }), handleStripePayment.handleStripeWebhook);
 
 // Import models for database initialization
@@ -159,8 +167,10 @@ const connect = async () => {
                 dbName: 'entradasmelilla', // Force database name explicitly
                 serverSelectionTimeoutMS: 15000,
                 socketTimeoutMS: 45000,
-                connectTimeoutMS: 30000
+                connectTimeoutMS: 30000,
+                monitorCommands: true // Necesario para medir los tiempos de las consultas
             });
+            instrumentMongoConnection(mongoose.connection);
             
             console.log("MongoDB Database Connected Successfully");
             console.log(`MongoDB version: ${mongoose.version}`);
@@ -245,6 +255,9 @@ app.use(cookieParser());
 // Body parser, increased limit to handle template data
 app.use(express.json({ limit: '50mb' }));
 
+// Modo mantenimiento (SystemSettings.general.maintenanceMode)
+app.use(maintenanceMode);
+
 // Request logger middleware with detailed diagnostics
 app.use((req, res, next) => {
   const start = Date.now();
@@ -499,6 +512,9 @@ app.get('/health', (req, res) => {
     return res.status(200).send('OK');
 });
 
+// Métricas en formato Prometheus (protegidas con METRICS_TOKEN)
+app.get('/metrics', metricsHandler);
+
 // Enhanced health check endpoint with detailed MongoDB info (won't block deployment)
 app.get('/health/detailed', async (req, res) => {
     try {
@@ -588,8 +604,10 @@ app.get('/init-database', async (req, res) => {
                     dbName: 'entradasmelilla', // Force the database name
                     serverSelectionTimeoutMS: 15000,
                     socketTimeoutMS: 45000,
-                    connectTimeoutMS: 30000
+                    connectTimeoutMS: 30000,
+                    monitorCommands: true
                 });
+                instrumentMongoConnection(mongoose.connection);
                 
                 console.log("Connected to MongoDB successfully");
             } catch (connErr) {
@@ -1044,6 +1062,8 @@ app.use('/api/v1/timeslot', timeslotRoute);
 app.use('/api/v1/templates', templateRoute); // Ruta principal para templates
 app.use('/api/templates', templateRoute); // Ruta adicional para compatibilidad
 app.use('/api/v1/scheduler', schedulerRoute); // Rutas para gestionar tareas programadas
+app.use('/api/v1/waitlist', waitlistRoute); // Listas de espera de eventos agotados
+app.use('/api/v1/staff', staffRoute); // Invitaciones y eventos del personal de puerta
 
 // Keep-alive endpoint to prevent sleep
 setInterval(() => {
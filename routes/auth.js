@@ -5,8 +5,25 @@ import {
     verifyEmail, 
     resendVerificationEmail, 
     forgotPassword, 
-    resetPassword 
+    resetPassword,
+    getPasswordPolicy
 } from "../Controllers/authController.js";
+import {
+    verifyTwoFactorLogin,
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+} from "../Controllers/twoFactorController.js";
+import {
+    refreshSession,
+    logout,
+    getMySessions,
+    revokeMySession,
+    revokeOtherSessions
+} from "../Controllers/sessionController.js";
+import { verifyJWT, verifyJWTOrTwoFactorSetup } from "../utils/verifyToken.js";
 import User from "../models/User.js";
 
 const router = express.Router();
@@ -15,6 +32,21 @@ const router = express.Router();
 router.post('/register', register);
 router.post('/login', login);
 
+// Sesiones: renovación del access token, cierre de sesión y dispositivos conectados
+router.post('/refresh', refreshSession);
+router.post('/logout', logout);
+router.get('/sessions', verifyJWT, getMySessions);
+router.post('/sessions/revoke-others', verifyJWT, revokeOtherSessions);
+router.delete('/sessions/:sessionId', verifyJWT, revokeMySession);
+
+// Verificación en dos pasos (TOTP)
+router.post('/2fa/verify', verifyTwoFactorLogin);
+router.get('/2fa/status', verifyJWT, getTwoFactorStatus);
+router.post('/2fa/setup', verifyJWTOrTwoFactorSetup, setupTwoFactor);
+router.post('/2fa/enable', verifyJWTOrTwoFactorSetup, enableTwoFactor);
+router.post('/2fa/disable', verifyJWT, disableTwoFactor);
+router.post('/2fa/recovery-codes', verifyJWT, regenerateRecoveryCodes);
+
 // Verificación de correo electrónico
 router.get('/verify-email/:token', verifyEmail);
 router.post('/resend-verification', resendVerificationEmail);
@@ -32,6 +64,7 @@ router.post('/forgot-password', (req, res, next) => {
     forgotPassword(req, res, next);
 });
 router.post('/reset-password/:token', resetPassword);
+router.get('/password-policy', getPasswordPolicy);
 router.all('/validate-reset-token/:token', async (req, res) => {
     try {
         const { token } = req.params;
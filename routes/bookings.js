@@ -1,5 +1,5 @@
 import express from "express";
-import { verifyAdmin, verifyUser, verifyJWT, verifyOrganizer } from "../utils/verifyToken.js";
+import { verifyAdmin, verifyUser, verifyJWT, verifyOrganizer, optionalJWT } from "../utils/verifyToken.js";
 import { 
     createBooking, 
     deleteBooking, 
@@ -11,14 +11,34 @@ import {
 } from "../Controllers/bookingController.js";
 import { handleStripePayment } from '../Controllers/stripControllers.js';
 import { createFreeBooking } from "../Controllers/freeEventController.js";
+import { getOrderQuote } from "../Controllers/pricingController.js";
+import {
+    requestCancellation,
+    getCancellationRequests,
+    approveCancellation,
+    rejectCancellation
+} from "../Controllers/cancellationController.js";
+import {
+    createBankTransferBooking,
+    getBankTransfers,
+    confirmBankTransfer
+} from "../Controllers/bankTransferController.js";
+import {
+    scanQRCode,
+    getScanManifest,
+    uploadOfflineScans,
+    searchEventAttendees
+} from "../Controllers/checkInController.js";
 
 const router = express.Router();
 
 // Ruta webhook debe ir antes de cualquier middleware que parsee el cuerpo como JSON
 // Ya se configura en index.mjs antes de los middlewares de parseo
 
+// Venta en taquilla (organizador o administrador): la reserva se registra como pagada
+router.post('/create', verifyJWT, verifyOrganizer, createBooking);
+
 // Rutas básicas de reservas
-router.post('/create', verifyJWT, createBooking);
 router.get('/getbooking', verifyJWT, getBooking);
 router.get('/getuserbooking', verifyJWT, getUserBookings);
 router.get('/geteventbooking', verifyJWT, getEventBookings);
@@ -26,14 +46,37 @@ router.get('/getallbookings', verifyJWT, verifyAdmin, getAllBookings);
 router.put('/update', verifyJWT, updateBooking);
 router.delete('/:id', verifyJWT, verifyAdmin, deleteBooking);
 
-// Rutas de Stripe
+// Presupuesto calculado en el servidor (el checkout valida el importe contra él)
+router.post('/quote', optionalJWT, getOrderQuote);
+
+// Rutas de pago (Stripe o PayPal, según el método elegido)
+router.get('/payment-methods', handleStripePayment.getPaymentMethods);
 router.post('/create-stripe-session', verifyJWT, handleStripePayment.createStripeSession);
+router.post('/create-checkout-session', verifyJWT, handleStripePayment.createStripeSession);
 router.get('/session/:sessionId', verifyJWT, handleStripePayment.getSessionBookingDetails);
-router.post('/scan-qr', verifyJWT, verifyOrganizer, handleStripePayment.scanQRCode);
+router.get('/:id/tickets', verifyJWT, handleStripePayment.getBookingTickets);
+
+// Control de acceso: lectura en línea y lectores sin conexión
+// Sin verifyOrganizer: el personal de puerta invitado también escanea (permisos por evento en el controlador)
+router.post('/scan-qr', verifyJWT, scanQRCode);
+router.get('/scan-manifest/:eventId', verifyJWT, getScanManifest);
+router.post('/scan-manifest/:eventId/scans', verifyJWT, uploadOfflineScans);
+router.get('/check-in/:eventId/attendees', verifyJWT, searchEventAttendees);
 
 // Ruta para eventos gratuitos
 router.post('/free', verifyJWT, createFreeBooking);
 
+// Pago por transferencia bancaria y conciliación
+router.post('/bank-transfer', verifyJWT, createBankTransferBooking);
+router.get('/bank-transfers', verifyJWT, verifyAdmin, getBankTransfers);
+router.patch('/:id/bank-transfer/confirm', verifyJWT, verifyAdmin, confirmBankTransfer);
+
+// Rutas de cancelación y reembolso
+router.get('/cancellations', verifyJWT, verifyOrganizer, getCancellationRequests);
+router.post('/:id/cancel', verifyJWT, requestCancellation);
+router.patch('/:id/cancel/approve', verifyJWT, verifyOrganizer, approveCancellation);
+router.patch('/:id/cancel/reject', verifyJWT, verifyOrganizer, rejectCancellation);
+
 // Rutas existentes que se mantienen por compatibilidad
 router.get('/sessionBookingDetails', verifyJWT, handleStripePayment.getSessionBookingDetails);
 
@@ -64,18 +64,59 @@ router.get('/organizer/financial-overview', verifyJWT, verifyOrganizer, organize
 router.get('/organizer/attendees', verifyJWT, verifyOrganizer, organizerController.getAttendeesData);
 router.patch('/organizer/attendees/:bookingId/check-in', verifyJWT, verifyOrganizer, organizerController.updateAttendeeCheckIn);
 router.get('/organizer/attendees/export', verifyJWT, verifyOrganizer, organizerController.exportAttendeesList);
+router.get('/organizer/attendees/waitlist', verifyJWT, verifyOrganizer, organizerController.getWaitlistData);
 
 // New enhanced organizer dashboard routes - Todas protegidas
 router.get('/organizer/sales-report', verifyJWT, verifyOrganizer, organizerController.getSalesReport);
 router.get('/organizer/commissions', verifyJWT, verifyOrganizer, organizerController.getCommissionDetails);
 router.get('/organizer/occupancy', verifyJWT, verifyOrganizer, organizerController.getOccupancyAnalytics);
 
+// Inventario de asientos del evento
+router.get('/organizer/events/:eventId/seats', verifyJWT, verifyOrganizer, organizerController.getEventSeatInventory);
+router.post('/organizer/events/:eventId/seats/block', verifyJWT, verifyOrganizer, organizerController.blockEventSeats);
+router.post('/organizer/events/:eventId/seats/unblock', verifyJWT, verifyOrganizer, organizerController.unblockEventSeats);
+
+// Control de acceso: registro de lecturas, aforo en tiempo real y política de acceso
+router.get('/organizer/events/:eventId/scans', verifyJWT, verifyOrganizer, organizerController.getEventScans);
+router.get('/organizer/events/:eventId/attendance', verifyJWT, verifyOrganizer, organizerController.getEventAttendance);
+router.put('/organizer/events/:eventId/entry-policy', verifyJWT, verifyOrganizer, organizerController.updateEventEntryPolicy);
+
+// Personal de puerta del evento (invitaciones con permiso de escaneo)
+router.get('/organizer/events/:eventId/staff', verifyJWT, verifyOrganizer, organizerController.listEventStaff);
+router.post('/organizer/events/:eventId/staff', verifyJWT, verifyOrganizer, organizerController.inviteEventStaff);
+router.delete('/organizer/events/:eventId/staff/:staffId', verifyJWT, verifyOrganizer, organizerController.revokeEventStaff);
+
+// Tipos de entrada del evento
+router.get('/organizer/events/:eventId/ticket-types', verifyJWT, verifyOrganizer, organizerController.listEventTicketTypes);
+router.post('/organizer/events/:eventId/ticket-types', verifyJWT, verifyOrganizer, organizerController.createEventTicketType);
+router.put('/organizer/ticket-types/:ticketTypeId', verifyJWT, verifyOrganizer, organizerController.updateEventTicketType);
+router.delete('/organizer/ticket-types/:ticketTypeId', verifyJWT, verifyOrganizer, organizerController.deleteEventTicketType);
+
+// Códigos promocionales del evento
+router.get('/organizer/events/:eventId/promo-codes', verifyJWT, verifyOrganizer, organizerController.listEventPromoCodes);
+router.post('/organizer/events/:eventId/promo-codes', verifyJWT, verifyOrganizer, organizerController.createEventPromoCode);
+router.put('/organizer/promo-codes/:promoCodeId', verifyJWT, verifyOrganizer, organizerController.updateEventPromoCode);
+router.delete('/organizer/promo-codes/:promoCodeId', verifyJWT, verifyOrganizer, organizerController.deleteEventPromoCode);
+
+// Liquidaciones del organizador (saldo, asientos del libro e historial de pagos)
+router.get('/organizer/payouts', verifyJWT, verifyOrganizer, organizerController.getOrganizerPayouts);
+router.get('/organizer/bank-account', verifyJWT, verifyOrganizer, organizerController.getOrganizerBankAccount);
+router.put('/organizer/bank-account', verifyJWT, verifyOrganizer, organizerController.updateOrganizerBankAccount);
+
+// Messages from the administration - Todas protegidas
+router.get('/organizer/communications', verifyJWT, verifyOrganizer, organizerController.getOrganizerCommunications);
+router.get('/organizer/communications/:communicationId', verifyJWT, verifyOrganizer, organizerController.getOrganizerCommunicationThread);
+router.post('/organizer/communications/:communicationId/reply', verifyJWT, verifyOrganizer, organizerController.replyToCommunication);
+
 // Admin Dashboard Routes - Todas protegidas
 router.get('/admin/overview', verifyJWT, verifyAdmin, adminController.getAdminDashboardOverview);
 
 // User Management - Todas protegidas
 router.get('/admin/users', verifyJWT, verifyAdmin, adminController.getUserManagementData);
 router.patch('/admin/users/:userId', verifyJWT, verifyAdmin, adminController.updateUser);
+router.delete('/admin/users/:userId/2fa', verifyJWT, verifyAdmin, adminController.resetUserTwoFactor);
+router.get('/admin/security/lockouts', verifyJWT, verifyAdmin, adminController.getLoginLockouts);
+router.delete('/admin/security/lockouts/ip/:ip', verifyJWT, verifyAdmin, adminController.unlockLoginIp);
 router.delete('/admin/users/:userId', verifyJWT, verifyAdmin, adminController.deleteUser);
 
 // Ruta específica para gestión de organizadores
@@ -148,6 +189,7 @@ router.get('/', (req, res) => {
 router.get('/admin/events', verifyJWT, verifyAdmin, adminController.getEventManagementData);
 router.patch('/admin/events/:eventId/status', verifyJWT, verifyAdmin, adminController.updateEventStatus);
 router.patch('/admin/events/:eventId/featured', verifyJWT, verifyAdmin, adminController.toggleEventFeatured);
+router.patch('/admin/events/:eventId/commission', verifyJWT, verifyAdmin, adminController.updateEventCommission);
 router.delete('/admin/events/:eventId', verifyJWT, verifyAdmin, adminController.deleteEvent);
 
 // Category Management - Todas protegidas
@@ -156,11 +198,23 @@ router.get('/admin/categories', verifyJWT, verifyAdmin, adminController.getCateg
 // Reports and Analytics - Todas protegidas
 router.get('/admin/reports', verifyJWT, verifyAdmin, adminController.getSystemReports);
 router.get('/admin/activity-log', verifyJWT, verifyAdmin, adminController.getActivityLog);
+router.get('/admin/webhooks', verifyJWT, verifyAdmin, adminController.getWebhookEvents);
+router.post('/admin/webhooks/:webhookEventId/replay', verifyJWT, verifyAdmin, adminController.replayWebhookEvent);
+
+// Liquidaciones a organizadores - Todas protegidas
+router.get('/admin/payouts', verifyJWT, verifyAdmin, adminController.getPayoutBatches);
+router.post('/admin/payouts/generate', verifyJWT, verifyAdmin, adminController.generatePayouts);
+router.get('/admin/payouts/:batchId', verifyJWT, verifyAdmin, adminController.getPayoutBatch);
+router.patch('/admin/payouts/:batchId/approve', verifyJWT, verifyAdmin, adminController.approvePayout);
+router.patch('/admin/payouts/:batchId/paid', verifyJWT, verifyAdmin, adminController.markPayoutPaid);
+router.patch('/admin/payouts/:batchId/cancel', verifyJWT, verifyAdmin, adminController.cancelPayout);
+router.get('/admin/payouts/:batchId/sepa', verifyJWT, verifyAdmin, adminController.exportPayoutSepa);
 router.get('/admin/performance', verifyJWT, verifyAdmin, adminController.getSystemPerformance);
 
 // Communications with Organizers - Todas protegidas
 router.get('/admin/communications', verifyJWT, verifyAdmin, adminController.getCommunicationHistory);
 router.post('/admin/communications', verifyJWT, verifyAdmin, adminController.sendCommunication);
+router.get('/admin/communications/:communicationId', verifyJWT, verifyAdmin, adminController.getCommunicationThread);
 
 // System Settings - Todas protegidas
 router.get('/admin/settings', verifyJWT, verifyAdmin, adminController.getSystemSettings);
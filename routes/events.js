@@ -15,6 +15,8 @@ import {
     getUserEvents, 
     featureEvent 
 } from "../Controllers/eventController.js";
+import { getTicketTypesForSale } from "../Controllers/pricingController.js";
+import { streamEventSeats } from "../Controllers/seatStreamController.js";
 import { sendEventReminders } from "../utils/eventReminder.js";
 import multer from 'multer';
 import { ApiResponse } from "../utils/ApiResponse.js";
@@ -32,6 +34,10 @@ router.get('/getsingleEvent', getSingleEvent);
 router.get('/getuserEvent', verifyJWT, getUserEvents);
 router.get('/walk-in', getWalkInEvents);
 router.get('/getAllEvents', getAllEvents);
+router.get('/:eventId/ticket-types', getTicketTypesForSale);
+
+// Estado de los asientos en tiempo real para el plano (server-sent events)
+router.get('/:eventId/seats/stream', streamEventSeats);
 
 // Búsqueda y filtrado
 router.get('/search/getEventBySearch', getEventsBySearch);
@@ -0,0 +1,16 @@
+import express from 'express';
+import { verifyJWT } from '../utils/verifyToken.js';
+import {
+    acceptInvitation,
+    getMyStaffEvents
+} from '../Controllers/staffController.js';
+
+const router = express.Router();
+
+// Aceptar la invitación (enlace enviado por correo)
+router.post('/invitations/:token/accept', verifyJWT, acceptInvitation);
+
+// Eventos en los que el usuario puede escanear
+router.get('/events', verifyJWT, getMyStaffEvents);
+
+export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { verifyToken } from '../utils/verifyToken.js';
+import { verifyToken, verifyJWT } from '../utils/verifyToken.js';
 import { 
   createTempBooking, 
   getTempBookedSeats, 
@@ -11,14 +11,14 @@ import { runTaskNow } from '../utils/scheduledTasks.js';
 
 const router = express.Router();
 
-// Crear o actualizar reserva temporal
-router.post('/create', createTempBooking);
+// Crear o actualizar la reserva temporal del usuario autenticado
+router.post('/create', verifyJWT, createTempBooking);
 
 // Obtener asientos temporalmente reservados para un evento
 router.get('/get', getTempBookedSeats);
 
-// Liberar reserva temporal
-router.post('/release', releaseTempBooking);
+// Liberar la reserva temporal del usuario autenticado
+router.post('/release', verifyJWT, releaseTempBooking);
 
 // Limpiar reservas temporales expiradas (protegido, solo para uso interno o cron)
 router.post('/cleanup', verifyToken, cleanupExpiredBookings);
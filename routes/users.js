@@ -6,7 +6,7 @@ import { createNewUser, deleteUser, getAllUsers,
 const router = express.Router()              
 router.post('/loginUser',loginUser )
 router.post('/createUser',upload.single('photo'), createNewUser)
-router.put('/updateUser',upload.single('photo'), updateUser)
+router.put('/updateUser', verifyJWT, upload.single('photo'), updateUser)
 router.delete('/deleteUser', deleteUser)
 router.get('/getUser', verifyJWT, getSingleUser)
 router.get('/getSingleUser', verifyJWT, getSingleUser)
@@ -0,0 +1,22 @@
+import express from 'express';
+import { verifyJWT } from '../utils/verifyToken.js';
+import {
+    joinWaitlist,
+    getMyWaitlistEntries,
+    leaveWaitlist,
+    claimWaitlistOffer
+} from '../Controllers/waitlistController.js';
+
+const router = express.Router();
+
+// Apuntarse y consultar listas de espera
+router.post('/join', verifyJWT, joinWaitlist);
+router.get('/my', verifyJWT, getMyWaitlistEntries);
+
+// Reclamar los asientos ofrecidos (enlace enviado por correo)
+router.post('/claim/:token', verifyJWT, claimWaitlistOffer);
+
+// Salir de la lista de espera
+router.delete('/:id', verifyJWT, leaveWaitlist);
+
+export default router;
@@ -0,0 +1,59 @@
+import ActivityLog from '../models/ActivityLog.js';
+import User from '../models/User.js';
+
+/**
+ * Registra una entrada en el log de actividad del sistema
+ *
+ * Nunca lanza excepciones: un fallo al registrar la actividad no debe
+ * interrumpir la operación principal, por lo que puede invocarse sin await.
+ *
+ * @param {Object} options - Datos de la actividad
+ * @param {string} options.type - Tipo de actividad (ver ACTIVITY_TYPES)
+ * @param {string} options.action - Descripción corta de la acción
+ * @param {Object|string} [options.user] - Documento del usuario o su ID
+ * @param {string} [options.details] - Detalles legibles de la acción
+ * @param {Object} [options.req] - Request de Express para extraer IP y user agent
+ * @param {string} [options.targetType] - Tipo de entidad afectada
+ * @param {string} [options.targetId] - ID de la entidad afectada
+ * @param {Object} [options.metadata] - Datos adicionales
+ * @returns {Promise<Object|null>} - Entrada creada o null si falló
+ */
+export const logActivity = async ({
+  type,
+  action,
+  user = null,
+  details = '',
+  req = null,
+  targetType,
+  targetId,
+  metadata = {}
+}) => {
+  try {
+    const userId = user?._id || user || null;
+    let username = user?.username || user?.fullname;
+
+    // Si solo se recibió el ID, buscar el nombre para que el registro sea legible
+    if (userId && !username) {
+      const found = await User.findById(userId).select('username');
+      username = found?.username || 'Usuario eliminado';
+    }
+
+    return await ActivityLog.create({
+      type,
+      action,
+      user_id: userId,
+      username,
+      details,
+      targetType,
+      targetId: targetId ? targetId.toString() : undefined,
+      ipAddress: req?.ip,
+      userAgent: req?.get ? req.get('user-agent') : undefined,
+      metadata
+    });
+  } catch (error) {
+    console.error(`[ActivityLog] Error al registrar actividad "${action}":`, error.message);
+    return null;
+  }
+};
+
+export default { logActivity };
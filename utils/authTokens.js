@@ -0,0 +1,53 @@
+import { logActivity } from './activityLogger.js';
+import { clearFailedLogins } from './loginProtection.js';
+import { createSession, setAuthCookies } from './sessionService.js';
+
+/**
+ * Completa un inicio de sesión: registra la actividad, limpia los intentos fallidos,
+ * abre una sesión (access token + refresh token), guarda ambos en cookies y
+ * responde con los datos del usuario
+ *
+ * Lo usan tanto /auth/login como el segundo paso del 2FA para que la
+ * respuesta sea idéntica en ambos casos.
+ * @param {Object} req - Petición de Express
+ * @param {Object} res - Respuesta de Express
+ * @param {Object} user - Usuario autenticado
+ * @param {Object} [extra] - Campos adicionales para la respuesta
+ */
+export const sendLoginResponse = async (req, res, user, extra = {}) => {
+    const {
+        password, role, twoFactor, failedLoginAttempts, lastFailedLoginAt, lockoutCount, lockUntil,
+        passwordChangedAt, resetPasswordToken, resetPasswordExpires, ...rest
+    } = user._doc;
+
+    const tokens = await createSession(req, user);
+
+    logActivity({
+        type: 'user-login',
+        action: 'Inicio de sesión',
+        user,
+        details: `Inicio de sesión de ${user.email}`,
+        req,
+        targetType: 'user',
+        targetId: user._id,
+        metadata: { sessionId: tokens.session._id }
+    });
+
+    clearFailedLogins(user);
+
+    return setAuthCookies(res, tokens).status(200).json({
+        status: "success", 
+        success: "true", 
+        message: "Inicio de sesión exitoso", 
+        token: tokens.accessToken, 
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.accessExpiresIn,
+        data: {...rest, twoFactorEnabled: Boolean(twoFactor?.enabled)}, 
+        role,
+        ...extra
+    });
+};
+
+export default {
+    sendLoginResponse
+};
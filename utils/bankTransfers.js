@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import Booking from '../models/Booking.js';
+import Event from '../models/Event.js';
+import User from '../models/User.js';
+import { releaseHold } from './seatInventory.js';
+import { releasePromoRedemption } from './promoCodes.js';
+import { offerFreedSeats } from './waitlistService.js';
+import { sendBookingCancelledEmail } from './emailService.js';
+import { logActivity } from './activityLogger.js';
+
+/**
+ * Pagos por transferencia bancaria
+ *
+ * El checkout por transferencia crea una reserva pendiente de pago
+ * (status pending_payment) con una referencia única y bloquea sus asientos y
+ * entradas durante payment.bankTransferHoldDays días. Un administrador la marca
+ * como recibida al conciliar el extracto, lo que vende los asientos y emite el
+ * QR. Si el plazo vence sin recibir el pago, la tarea programada expira la
+ * reserva y libera los asientos.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sin caracteres que se confundan al copiarlos en el concepto (0/O, 1/I)
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERENCE_LENGTH = 8;
+
+/**
+ * Genera una referencia de transferencia (p. ej. TRF-7KQ2MX9A)
+ * La unicidad la garantiza el índice de Booking.bankTransfer.reference.
+ * @returns {string}
+ */
+export const generateTransferReference = () => {
+  let code = '';
+  for (let i = 0; i < REFERENCE_LENGTH; i += 1) {
+    code += REFERENCE_ALPHABET[crypto.randomInt(REFERENCE_ALPHABET.length)];
+  }
+  return `TRF-${code}`;
+};
+
+/**
+ * Configuración de las transferencias bancarias
+ * @param {Object} settings - SystemSettings
+ * @returns {{enabled: boolean, instructions: string, holdDays: number}}
+ */
+export const getBankTransferConfig = (settings) => ({
+  enabled: settings?.payment?.bankTransferEnabled !== false,
+  instructions: settings?.payment?.bankTransferInstructions || '',
+  holdDays: Math.max(1, Number(settings?.payment?.bankTransferHoldDays) || 3)
+});
+
+/**
+ * Fecha límite para recibir la transferencia
+ * El plazo nunca supera el inicio del evento.
+ * @param {Object} event - Documento del evento
+ * @param {number} holdDays - Días de plazo
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export const getTransferDeadline = (event, holdDays, now = new Date()) => {
+  const deadline = new Date(now.getTime() + holdDays * DAY_MS);
+  const eventDate = event?.eventDate ? new Date(event.eventDate) : null;
+  return eventDate && !Number.isNaN(eventDate.getTime()) && eventDate < deadline ? eventDate : deadline;
+};
+
+/**
+ * Expira una reserva por transferencia cuyo plazo ha vencido
+ * La reserva se marca antes de liberar nada para que una conciliación simultánea no la confirme a medias.
+ * @param {Object} booking - Documento de la reserva (bankTransfer.status pending)
+ * @returns {Promise<Object|null>} - Reserva expirada, o null si ya no estaba pendiente
+ */
+const expireTransferBooking = async (booking) => {
+  const expired = await Booking.findOneAndUpdate(
+    { _id: booking._id, 'bankTransfer.status': 'pending' },
+    { $set: { 'bankTransfer.status': 'expired', status: 'expired', paymentStatus: 'Fallido' } },
+    { new: true }
+  );
+  if (!expired) return null;
+
+  await releaseHold(expired.event_id, expired.bankTransfer.holdSessionId);
+  await releasePromoRedemption(expired.bankTransfer.promoRedemptionId, { statuses: ['pending'] });
+
+  return expired;
+};
+
+/**
+ * Expira las reservas por transferencia no pagadas en plazo y libera sus asientos
+ * Se ejecuta desde la tarea programada bankTransferExpiry.
+ * @returns {Promise<{success: boolean, expiredCount: number, eventIds: string[]}>}
+ */
+export const expireBankTransferBookings = async () => {
+  const pending = await Booking.find({
+    'bankTransfer.status': 'pending',
+    'bankTransfer.expiresAt': { $lte: new Date() }
+  });
+
+  const eventIds = new Set();
+  let expiredCount = 0;
+
+  for (const booking of pending) {
+    const expired = await expireTransferBooking(booking);
+    if (!expired) continue;
+
+    expiredCount += 1;
+    eventIds.add(expired.event_id.toString());
+
+    const [event, user] = await Promise.all([
+      Event.findById(expired.event_id).select('name eventDate currency'),
+      User.findById(expired.user_id).select('email username fullname')
+    ]);
+
+    logActivity({
+      type: 'booking-cancelled',
+      action: 'Transferencia no recibida',
+      details: `Reserva ${expired.bankTransfer.reference} de "${event?.name || expired.event_id}" expirada sin pago`,
+      targetType: 'booking',
+      targetId: expired._id,
+      metadata: { reference: expired.bankTransfer.reference }
+    });
+
+    if (user?.email) {
+      sendBookingCancelledEmail({
+        email: user.email,
+        name: user.fullname || user.username,
+        eventName: event?.name || 'Evento',
+        eventDate: event?.eventDate ? new Date(event.eventDate).toLocaleDateString() : undefined,
+        seats: expired.seatNumbers.join(', '),
+        bookingId: expired._id,
+        refundAmount: 0,
+        currency: event?.currency || 'EUR'
+      });
+    }
+  }
+
+  // Ofrecer los asientos liberados a la lista de espera de cada evento afectado
+  for (const eventId of eventIds) {
+    await offerFreedSeats(eventId);
+  }
+
+  return { success: true, expiredCount, eventIds: [...eventIds] };
+};
+
+export default {
+  generateTransferReference,
+  getBankTransferConfig,
+  getTransferDeadline,
+  expireBankTransferBookings
+};
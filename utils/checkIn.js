@@ -0,0 +1,526 @@
+import crypto from 'crypto';
+import Booking from '../models/Booking.js';
+import ScanEvent, { SCAN_DIRECTIONS } from '../models/ScanEvent.js';
+import { ENTRY_POLICIES } from '../models/Event.js';
+import { ApiError } from './ApiError.js';
+import {
+  getTicketExpiry,
+  signWithManifestKey,
+  signManifestReceipt,
+  verifyManifestReceipt,
+  verifyTicketCredential,
+  PAID_PAYMENT_STATUSES
+} from './ticketCredentials.js';
+
+/**
+ * Control de acceso en la puerta
+ *
+ * Las lecturas en línea (POST /booking/scan-qr) y las que los lectores hacen sin
+ * conexión y suben después por lotes pasan por recordTicketScan, que marca la
+ * entrada como usada y deja constancia en ScanEvent (lector, puerta, usuario y
+ * resultado). Cada evento elige su política de acceso (Event.entryPolicy): una
+ * sola entrada, reentrada libre, o entrada y salida escaneadas por separado.
+ *
+ * Sin conexión, el lector valida cada código contra el manifiesto del evento:
+ * la lista de entradas vigentes con el hash SHA-256 de su token, firmada con
+ * Ed25519 para que el dispositivo pueda comprobar que no se ha alterado.
+ *
+ * Si dos lectores admiten la misma entrada sin conexión, vale la lectura más
+ * antigua; las demás quedan como conflict para que el organizador las revise.
+ */
+
+// Estados de reserva con entradas que permiten el acceso
+export const ADMISSIBLE_BOOKING_STATUSES = ['confirmed', 'cancellation_requested'];
+
+// Lecturas por lote como máximo
+export const MAX_OFFLINE_BATCH = 500;
+
+// Margen para relojes de dispositivos adelantados
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+
+/**
+ * Hash del token de una entrada, tal como aparece en el manifiesto
+ * @param {string} token
+ * @returns {string} - SHA-256 en hexadecimal
+ */
+export const hashTicketToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Filtro de las reservas cuyas entradas permiten el acceso: confirmadas y pagadas (o gratuitas)
+const admissibleBookingFilter = () => ({
+  status: { $in: ADMISSIBLE_BOOKING_STATUSES },
+  paymentStatus: { $in: PAID_PAYMENT_STATUSES }
+});
+
+/**
+ * Si las entradas de una reserva permiten el acceso
+ * Las reservas sin pagar no dan acceso aunque figuren como confirmadas.
+ * @param {Object} booking - Documento de la reserva
+ * @returns {boolean}
+ */
+export const isBookingAdmissible = (booking) =>
+  ADMISSIBLE_BOOKING_STATUSES.includes(booking.status) && PAID_PAYMENT_STATUSES.includes(booking.paymentStatus);
+
+/**
+ * Manifiesto firmado de las entradas vigentes de un evento, para validar sin conexión
+ * @param {Object} event - Documento del evento
+ * @returns {Promise<{ manifest: Object, signature: string, algorithm: string, kid: string, publicKey: string, syncToken: string }>}
+ */
+export const buildScanManifest = async (event) => {
+  const bookings = await Booking.find({
+    event_id: event._id,
+    ...admissibleBookingFilter(),
+    'tickets.0': { $exists: true }
+  })
+    .select('user_id tickets')
+    .populate('user_id', 'username fullname');
+
+  const tickets = bookings.flatMap(booking => booking.tickets.map(ticket => ({
+    ticketId: ticket.ticketId,
+    tokenHash: hashTicketToken(ticket.token),
+    bookingId: booking._id.toString(),
+    seat: ticket.seat || null,
+    ticketTypeName: ticket.ticketTypeName || null,
+    holderName: booking.user_id ? (booking.user_id.fullname || booking.user_id.username) : null,
+    scanned: Boolean(ticket.scanStatus),
+    scannedAt: ticket.scannedAt || null,
+    inside: Boolean(ticket.inside)
+  })));
+
+  const generatedAt = new Date();
+  const validUntil = getTicketExpiry(event);
+  const manifest = {
+    version: 1,
+    eventId: event._id.toString(),
+    eventName: event.name,
+    eventDate: event.eventDate,
+    generatedAt: generatedAt.toISOString(),
+    validUntil: validUntil.toISOString(),
+    entryPolicy: getEntryPolicy(event),
+    gates: event.gates || [],
+    ticketCount: tickets.length,
+    tickets
+  };
+
+  // Se firma el JSON exacto que se envía; el lector verifica la firma sobre JSON.stringify(manifest)
+  const { signature, algorithm, kid, publicKey } = signWithManifestKey(JSON.stringify(manifest));
+  // El lector lo devuelve al subir sus lecturas (processOfflineScans)
+  const syncToken = signManifestReceipt({ eventId: manifest.eventId, generatedAt, validUntil });
+  return { manifest, signature, algorithm, kid, publicKey, syncToken };
+};
+
+/**
+ * Política de acceso del evento
+ * @param {Object} event - Documento del evento
+ * @returns {string} - Una de ENTRY_POLICIES
+ */
+export const getEntryPolicy = (event) => (ENTRY_POLICIES.includes(event?.entryPolicy) ? event.entryPolicy : 'single');
+
+/**
+ * Comprueba la puerta y el sentido de una lectura según la configuración del evento
+ * @param {Object} event - Documento del evento
+ * @param {Object} params
+ * @param {string} [params.gate] - Puerta
+ * @param {string} [params.direction] - in u out
+ * @returns {string|null} - Motivo del rechazo o null si es válida
+ */
+export const getScanInputError = (event, { gate, direction = 'in' } = {}) => {
+  if (!SCAN_DIRECTIONS.includes(direction)) {
+    return `direction debe ser uno de: ${SCAN_DIRECTIONS.join(', ')}`;
+  }
+  if (direction === 'out' && getEntryPolicy(event) !== 'in_out') {
+    return 'Este evento no registra salidas';
+  }
+  if (event.gates?.length && !event.gates.includes(gate)) {
+    return `gate debe ser una de las puertas del evento: ${event.gates.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Registra quién admitió la entrada por primera vez; si ya constaba una
+ * admisión posterior (lecturas sin conexión subidas tarde), la sustituye
+ * @returns {Promise<Object|null>} - La reserva antes del cambio, o null si no cambió nada
+ */
+const setFirstAdmission = ({ booking, ticket, operator, scannedAt, deviceId }) => Booking.findOneAndUpdate(
+  {
+    _id: booking._id,
+    tickets: {
+      $elemMatch: {
+        ticketId: ticket.ticketId,
+        $or: [{ scannedAt: null }, { scannedAt: { $gt: scannedAt } }]
+      }
+    }
+  },
+  {
+    $set: {
+      'tickets.$.scanStatus': true,
+      'tickets.$.scannedAt': scannedAt,
+      'tickets.$.scannedBy': operator?._id,
+      'tickets.$.scanDevice': deviceId || null,
+      qrCodeScanStatus: true
+    },
+    $min: { qrCodeScanDate: scannedAt }
+  },
+  { new: false }
+);
+
+/**
+ * Aplica una lectura con la política single: cada entrada da un único acceso.
+ * La lectura más antigua es la que vale: una lectura anterior subida más tarde
+ * desplaza a la que se había aceptado, que pasa a conflict.
+ * @returns {Promise<{ result: string, message?: string }>}
+ */
+const applySingleEntry = async ({ booking, ticket, operator, scannedAt, source, deviceId }) => {
+  const before = await setFirstAdmission({ booking, ticket, operator, scannedAt, deviceId });
+
+  if (before) {
+    const previous = before.tickets.find(item => item.ticketId === ticket.ticketId);
+    await Booking.updateOne(
+      { _id: booking._id, 'tickets.ticketId': ticket.ticketId },
+      { $set: { 'tickets.$.inside': true, 'tickets.$.entries': 1, 'tickets.$.lastScanAt': scannedAt } }
+    );
+    if (previous?.scanStatus) {
+      // Había una admisión posterior a esta: deja de ser la válida
+      await ScanEvent.updateMany(
+        { event_id: booking.event_id, ticketId: ticket.ticketId, result: 'admitted', scannedAt: { $gt: scannedAt } },
+        { $set: { result: 'conflict', message: 'La entrada ya se había admitido antes en otro lector' } }
+      );
+    }
+    return { result: 'admitted' };
+  }
+
+  // La entrada ya se había admitido antes de esta lectura
+  const current = await Booking.findById(booking._id).select('tickets');
+  const admitted = current.tickets.find(item => item.ticketId === ticket.ticketId);
+  // Sin conexión el lector ya dejó pasar al asistente: dos admisiones de la misma entrada
+  const result = source === 'offline' && admitted.scanDevice !== (deviceId || null) ? 'conflict' : 'duplicate';
+  return {
+    result,
+    message: `Entrada ya admitida el ${admitted.scannedAt.toISOString()}${admitted.scanDevice ? ` en el lector ${admitted.scanDevice}` : ''}`
+  };
+};
+
+/**
+ * Aplica una lectura con las políticas reentry e in_out. El estado de la
+ * entrada (dentro o fuera) solo lo cambian lecturas posteriores a la última
+ * aplicada; una lectura sin conexión más antigua se registra como histórico
+ * sin alterar el estado actual.
+ * @returns {Promise<{ result: string, message?: string }>}
+ */
+const applyReentry = async ({ booking, ticket, operator, scannedAt, deviceId, policy, direction }) => {
+  const entering = direction === 'in';
+  const conditions = { $or: [{ lastScanAt: null }, { lastScanAt: { $lte: scannedAt } }] };
+  // Con in_out no se entra si ya consta dentro ni se sale si consta fuera
+  if (policy === 'in_out') {
+    conditions.inside = entering ? { $ne: true } : true;
+  }
+
+  const before = await Booking.findOneAndUpdate(
+    { _id: booking._id, tickets: { $elemMatch: { ticketId: ticket.ticketId, ...conditions } } },
+    {
+      $set: { 'tickets.$.inside': entering, 'tickets.$.lastScanAt': scannedAt },
+      ...(entering ? { $inc: { 'tickets.$.entries': 1 } } : {})
+    },
+    { new: false }
+  );
+
+  if (before) {
+    if (!entering) {
+      return { result: 'exited' };
+    }
+    await setFirstAdmission({ booking, ticket, operator, scannedAt, deviceId });
+    const previous = before.tickets.find(item => item.ticketId === ticket.ticketId);
+    return previous?.scanStatus
+      ? { result: 'admitted', message: `Reentrada (acceso número ${(previous.entries || 1) + 1})` }
+      : { result: 'admitted' };
+  }
+
+  const current = await Booking.findById(booking._id).select('tickets');
+  const state = current.tickets.find(item => item.ticketId === ticket.ticketId);
+
+  if (state.lastScanAt && state.lastScanAt > scannedAt) {
+    if (entering) {
+      await setFirstAdmission({ booking, ticket, operator, scannedAt, deviceId });
+    }
+    return {
+      result: entering ? 'admitted' : 'exited',
+      message: 'Lectura anterior a la última registrada; no cambia el estado actual de la entrada'
+    };
+  }
+
+  return {
+    result: 'duplicate',
+    message: entering
+      ? `El asistente ya consta dentro desde el ${state.lastScanAt.toISOString()}`
+      : 'El asistente no consta dentro del recinto'
+  };
+};
+
+/**
+ * Registra la lectura de una entrada y actualiza su estado según la política
+ * de acceso del evento (single, reentry o in_out). Cada lectura, válida o no,
+ * queda en ScanEvent con el lector, la puerta y el usuario que la hizo.
+ * @param {Object} params
+ * @param {Object} params.booking - Documento de la reserva
+ * @param {Object} params.ticket - Entrada leída (subdocumento de booking.tickets)
+ * @param {Object} params.event - Documento del evento
+ * @param {Object} params.operator - Usuario que escanea
+ * @param {string} [params.operatorRole] - owner, admin o staff (ver getEventAccess)
+ * @param {Date} [params.scannedAt] - Hora de la lectura (por defecto ahora)
+ * @param {string} [params.source='online'] - online u offline
+ * @param {string} [params.deviceId] - Identificador del lector
+ * @param {string} [params.gate] - Puerta
+ * @param {string} [params.direction='in'] - in u out (ver getScanInputError)
+ * @param {string} [params.scanKey] - Clave de idempotencia de las lecturas sin conexión
+ * @returns {Promise<{ result: string, scan: Object, ticket: Object, booking: Object|null }>}
+ *   ticket es el estado de la entrada tras la lectura
+ */
+export const recordTicketScan = async ({ booking, ticket, event, operator, operatorRole, scannedAt = new Date(), source = 'online', deviceId, gate, direction = 'in', scanKey }) => {
+  const base = {
+    event_id: booking.event_id,
+    booking_id: booking._id,
+    ticketId: ticket.ticketId,
+    seat: ticket.seat || undefined,
+    source,
+    deviceId: deviceId || undefined,
+    gate: gate || undefined,
+    direction,
+    operator: operator?._id,
+    operatorRole,
+    scannedAt,
+    scanKey
+  };
+
+  if (!isBookingAdmissible(booking)) {
+    const scan = await ScanEvent.create({ ...base, result: 'revoked', message: 'Reserva cancelada o reembolsada' });
+    return { result: 'revoked', scan, ticket, booking: null };
+  }
+
+  const policy = getEntryPolicy(event);
+  const { result, message } = policy === 'single'
+    ? await applySingleEntry({ booking, ticket, operator, scannedAt, source, deviceId })
+    : await applyReentry({ booking, ticket, operator, scannedAt, deviceId, policy, direction });
+
+  const scan = await ScanEvent.create({ ...base, result, message });
+  const updated = await Booking.findById(booking._id);
+  return {
+    result,
+    scan,
+    ticket: updated.tickets.find(item => item.ticketId === ticket.ticketId),
+    booking: updated
+  };
+};
+
+/**
+ * Aforo en tiempo real de un evento: entradas admitidas, asistentes dentro
+ * y accesos y salidas por puerta
+ * @param {Object} event - Documento del evento
+ * @returns {Promise<Object>}
+ */
+export const getAttendanceCounts = async (event) => {
+  const [ticketCounts, gateCounts] = await Promise.all([
+    Booking.aggregate([
+      { $match: { event_id: event._id, ...admissibleBookingFilter() } },
+      { $unwind: '$tickets' },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          admitted: { $sum: { $cond: [{ $eq: ['$tickets.scanStatus', true] }, 1, 0] } },
+          inside: { $sum: { $cond: [{ $eq: ['$tickets.inside', true] }, 1, 0] } },
+          lastScanAt: { $max: '$tickets.lastScanAt' }
+        }
+      }
+    ]),
+    ScanEvent.aggregate([
+      { $match: { event_id: event._id, result: { $in: ['admitted', 'exited'] } } },
+      { $group: { _id: { gate: '$gate', result: '$result' }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const gates = {};
+  (event.gates || []).forEach(gate => { gates[gate] = { in: 0, out: 0 }; });
+  gateCounts.forEach(({ _id, count }) => {
+    const gate = _id.gate || 'sin puerta';
+    gates[gate] = gates[gate] || { in: 0, out: 0 };
+    gates[gate][_id.result === 'exited' ? 'out' : 'in'] += count;
+  });
+
+  const totals = ticketCounts[0] || { total: 0, admitted: 0, inside: 0, lastScanAt: null };
+  const entryPolicy = getEntryPolicy(event);
+  // Con single y reentry no se escanean salidas: quien ha entrado consta dentro
+  const inside = entryPolicy === 'in_out' ? totals.inside : totals.admitted;
+  return {
+    entryPolicy,
+    ticketsTotal: totals.total,
+    admitted: totals.admitted,
+    inside,
+    outside: totals.admitted - inside,
+    pending: totals.total - totals.admitted,
+    lastScanAt: totals.lastScanAt,
+    gates: Object.entries(gates).map(([gate, counts]) => ({ gate, ...counts }))
+  };
+};
+
+/**
+ * Procesa un lote de lecturas hechas sin conexión.
+ * Cada lectura lleva el token leído, la hora del dispositivo y opcionalmente un
+ * identificador local (clientScanId) para que subir el mismo lote dos veces no
+ * duplique nada. La hora del dispositivo debe caer entre la descarga del
+ * manifiesto (syncToken) y la subida; el token se comprueba a esa hora.
+ * @param {Object} params
+ * @param {Object} params.event - Documento del evento
+ * @param {Object} params.operator - Usuario que sube el lote
+ * @param {string} [params.operatorRole] - owner, admin o staff
+ * @param {string} params.deviceId - Identificador del lector
+ * @param {string} [params.gate] - Puerta del lector; cada lectura puede indicar la suya
+ * @param {string} params.syncToken - Justificante devuelto con el manifiesto usado
+ * @param {Array<Object>} params.scans - Lecturas: { token, scannedAt, clientScanId?, gate?, direction? }
+ * @returns {Promise<Array<Object>>} - Resultado de cada lectura, en el orden recibido
+ * @throws {ApiError} 400 si el lote no es válido
+ */
+export const processOfflineScans = async ({ event, operator, operatorRole, deviceId, gate, syncToken, scans }) => {
+  if (!deviceId || typeof deviceId !== 'string') {
+    throw new ApiError(400, 'deviceId es obligatorio');
+  }
+  if (!Array.isArray(scans) || scans.length === 0) {
+    throw new ApiError(400, 'scans debe ser una lista con al menos una lectura');
+  }
+  if (scans.length > MAX_OFFLINE_BATCH) {
+    throw new ApiError(400, `Como máximo ${MAX_OFFLINE_BATCH} lecturas por lote`);
+  }
+
+  // Solo se aceptan lecturas hechas mientras el lector tenía el manifiesto
+  const { generatedAt, validUntil } = verifyManifestReceipt(syncToken, event._id.toString());
+  const earliest = new Date(generatedAt.getTime() - MAX_CLOCK_SKEW);
+  const latest = new Date(Math.min(Date.now() + MAX_CLOCK_SKEW, validUntil.getTime()));
+
+  const results = new Array(scans.length);
+
+  // En orden cronológico, para que la primera lectura de cada entrada sea la admitida
+  const ordered = scans
+    .map((scan, index) => ({ scan: scan || {}, index, scannedAt: new Date(scan?.scannedAt) }))
+    .sort((a, b) => (a.scannedAt.getTime() || 0) - (b.scannedAt.getTime() || 0));
+
+  for (const { scan, index, scannedAt } of ordered) {
+    const clientScanId = scan.clientScanId ? String(scan.clientScanId) : null;
+    const reply = (result, extra = {}) => {
+      results[index] = { clientScanId, ticketId: extra.ticketId || scan.ticketId || null, result, ...extra };
+    };
+
+    if (Number.isNaN(scannedAt.getTime()) || scannedAt > latest) {
+      reply('invalid', { message: 'scannedAt no es una fecha válida' });
+      continue;
+    }
+    if (scannedAt < earliest) {
+      reply('invalid', { message: 'scannedAt es anterior a la descarga del manifiesto' });
+      continue;
+    }
+
+    const scanGate = scan.gate ? String(scan.gate) : gate;
+    const direction = scan.direction || 'in';
+
+    // Resolver la entrada a partir del token firmado
+    let ticketId = null;
+    let jti = null;
+    let message = getScanInputError(event, { gate: scanGate, direction });
+    if (!message && scan.token) {
+      try {
+        const credential = verifyTicketCredential(String(scan.token), { at: scannedAt });
+        if (credential.eventId !== event._id.toString()) {
+          message = 'La entrada es de otro evento';
+        }
+        ticketId = credential.ticketId;
+        jti = credential.jti;
+      } catch (error) {
+        message = error instanceof ApiError ? error.message : 'Código QR inválido';
+      }
+    } else if (!message) {
+      message = 'Cada lectura necesita el token leído';
+    }
+
+    const scanKey = `${deviceId}:${clientScanId || `${ticketId || hashTicketToken(scan.token || '')}:${scannedAt.toISOString()}`}`;
+    const recorded = await ScanEvent.findOne({ scanKey });
+    if (recorded) {
+      reply(recorded.result, { ticketId: recorded.ticketId, message: recorded.message, alreadyRecorded: true });
+      continue;
+    }
+
+    const booking = !message && ticketId
+      ? await Booking.findOne({ event_id: event._id, 'tickets.ticketId': ticketId })
+      : null;
+    const ticket = booking?.tickets.find(item => item.ticketId === ticketId);
+    if (!message && !ticket) {
+      message = 'Entrada no encontrada';
+    } else if (!message && ticket.jti !== jti) {
+      message = 'El código QR había sido sustituido por uno nuevo';
+    }
+
+    try {
+      if (message) {
+        await ScanEvent.create({
+          event_id: event._id,
+          booking_id: booking?._id,
+          ticketId: ticketId || undefined,
+          result: 'invalid',
+          message,
+          source: 'offline',
+          deviceId,
+          gate: scanGate,
+          direction: SCAN_DIRECTIONS.includes(direction) ? direction : undefined,
+          operator: operator?._id,
+          operatorRole,
+          scannedAt,
+          scanKey
+        });
+        reply('invalid', { ticketId, message });
+        continue;
+      }
+
+      const { result, scan: scanEvent, ticket: state } = await recordTicketScan({
+        booking,
+        ticket,
+        event,
+        operator,
+        operatorRole,
+        scannedAt,
+        source: 'offline',
+        deviceId,
+        gate: scanGate,
+        direction,
+        scanKey
+      });
+      reply(result, {
+        ticketId,
+        seat: ticket.seat || null,
+        message: scanEvent.message,
+        admittedAt: state?.scannedAt || null,
+        admittedBy: state?.scanDevice || null,
+        inside: Boolean(state?.inside)
+      });
+    } catch (error) {
+      // Otra subida simultánea del mismo lote ya registró esta lectura
+      if (error.code === 11000) {
+        const existing = await ScanEvent.findOne({ scanKey });
+        reply(existing?.result || 'duplicate', { ticketId, alreadyRecorded: true });
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  return results;
+};
+
+export default {
+  ADMISSIBLE_BOOKING_STATUSES,
+  MAX_OFFLINE_BATCH,
+  hashTicketToken,
+  isBookingAdmissible,
+  getEntryPolicy,
+  getScanInputError,
+  buildScanManifest,
+  recordTicketScan,
+  getAttendanceCounts,
+  processOfflineScans
+};
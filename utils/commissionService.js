@@ -0,0 +1,234 @@
+import User from '../models/User.js';
+import { getCachedSettings } from './settingsCache.js';
+import { ApiError } from './ApiError.js';
+
+/**
+ * Cálculo de la comisión de la plataforma
+ *
+ * La configuración se resuelve campo a campo, de más general a más concreta:
+ *   1. SystemSettings.payment (commissionType, commissionRate, commissionFixed, commissionPayer)
+ *   2. SystemSettings.users.organizerCommissionRate, como porcentaje por defecto
+ *      de los eventos que pertenecen a una cuenta de organizador
+ *   3. User.commission del organizador (acuerdo individual)
+ *   4. Event.commission del evento
+ *
+ * La comisión calculada se guarda en cada reserva (Booking.commission,
+ * amountCharged y organizerNet) para que el checkout y los informes usen
+ * siempre la misma cifra.
+ */
+
+export const COMMISSION_TYPES = ['percentage', 'fixed', 'percentage_fixed'];
+export const COMMISSION_PAYERS = ['buyer', 'organizer'];
+
+// Comisión aplicada antes de guardarse en la reserva: 5% cobrado al comprador
+const LEGACY_COMMISSION_RATE = 5;
+
+const OVERRIDE_FIELDS = ['type', 'rate', 'fixed', 'payer'];
+
+export const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const applyOverride = (config, override, source) => {
+  if (!override) return config;
+  const applied = OVERRIDE_FIELDS.filter(field => override[field] !== undefined && override[field] !== null);
+  if (applied.length === 0) return config;
+
+  const next = { ...config, source };
+  applied.forEach(field => { next[field] = override[field]; });
+  return next;
+};
+
+/**
+ * Configuración de comisión aplicable a un evento
+ * @param {Object} options
+ * @param {Object} options.settings - SystemSettings
+ * @param {Object} [options.organizer] - Propietario del evento (role y commission)
+ * @param {Object} [options.event] - Evento (commission)
+ * @returns {{type: string, rate: number, fixed: number, payer: string, source: string}}
+ */
+export const resolveCommissionConfig = ({ settings, organizer = null, event = null }) => {
+  const payment = settings?.payment || {};
+
+  let config = {
+    type: COMMISSION_TYPES.includes(payment.commissionType) ? payment.commissionType : 'percentage',
+    rate: payment.commissionRate ?? LEGACY_COMMISSION_RATE,
+    fixed: payment.commissionFixed ?? 0,
+    payer: COMMISSION_PAYERS.includes(payment.commissionPayer) ? payment.commissionPayer : 'buyer',
+    source: 'settings'
+  };
+
+  const organizerRate = settings?.users?.organizerCommissionRate;
+  if (organizer?.role === 'organizer' && organizerRate !== undefined && organizerRate !== null) {
+    config = applyOverride(config, { rate: organizerRate }, 'organizer-default');
+  }
+
+  config = applyOverride(config, organizer?.commission, 'organizer');
+  config = applyOverride(config, event?.commission, 'event');
+
+  return config;
+};
+
+/**
+ * Calcula la comisión de un pedido
+ * @param {number} subtotal - Precio de las entradas
+ * @param {Object} config - Resultado de resolveCommissionConfig
+ * @param {number} [quantity] - Número de entradas (la parte fija se cobra por entrada)
+ * @returns {{subtotal: number, commission: number, amountCharged: number, organizerNet: number, quantity: number, type: string, rate: number, fixed: number, payer: string, source: string}}
+ */
+export const calculateCommission = (subtotal, config, quantity = 1) => {
+  const amount = roundMoney(subtotal);
+  const tickets = Math.max(parseInt(quantity, 10) || 1, 1);
+
+  let commission = 0;
+  // Las entradas gratuitas no pagan comisión
+  if (amount > 0) {
+    const percentagePart = config.type !== 'fixed' ? amount * (config.rate || 0) / 100 : 0;
+    const fixedPart = config.type !== 'percentage' ? (config.fixed || 0) * tickets : 0;
+    commission = roundMoney(percentagePart + fixedPart);
+  }
+
+  if (config.payer === 'organizer') {
+    // El organizador nunca puede terminar debiendo dinero por una venta
+    commission = Math.min(commission, amount);
+  }
+
+  return {
+    subtotal: amount,
+    commission,
+    amountCharged: config.payer === 'buyer' ? roundMoney(amount + commission) : amount,
+    organizerNet: config.payer === 'buyer' ? amount : roundMoney(amount - commission),
+    quantity: tickets,
+    type: config.type,
+    rate: config.rate,
+    fixed: config.fixed,
+    payer: config.payer,
+    source: config.source
+  };
+};
+
+/**
+ * Configuración de comisión de un organizador (sin override de evento)
+ * @param {string} organizerId - ID del organizador
+ * @returns {Promise<Object>} - Resultado de resolveCommissionConfig
+ */
+export const getOrganizerCommissionConfig = async (organizerId) => {
+  const [settings, organizer] = await Promise.all([
+    getCachedSettings(),
+    organizerId ? User.findById(organizerId).select('role commission').lean() : null
+  ]);
+  return resolveCommissionConfig({ settings, organizer });
+};
+
+/**
+ * Calcula la comisión de un pedido para un evento, con la configuración vigente
+ * @param {Object} event - Evento (necesita user_id y commission)
+ * @param {number} subtotal - Precio de las entradas
+ * @param {number} [quantity] - Número de entradas
+ * @returns {Promise<Object>} - Resultado de calculateCommission
+ */
+export const getCommissionQuote = async (event, subtotal, quantity = 1) => {
+  const [settings, organizer] = await Promise.all([
+    getCachedSettings(),
+    event?.user_id ? User.findById(event.user_id).select('role commission').lean() : null
+  ]);
+  const config = resolveCommissionConfig({ settings, organizer, event });
+  return calculateCommission(subtotal, config, quantity);
+};
+
+/**
+ * Campos de la reserva que guardan la comisión calculada
+ * @param {Object} quote - Resultado de calculateCommission
+ * @returns {{commission: Object, amountCharged: number, organizerNet: number}}
+ */
+export const toBookingCommission = (quote) => ({
+  commission: {
+    amount: quote.commission,
+    type: quote.type,
+    rate: quote.rate,
+    fixed: quote.fixed,
+    payer: quote.payer,
+    source: quote.source
+  },
+  amountCharged: quote.amountCharged,
+  organizerNet: quote.organizerNet
+});
+
+/**
+ * Importes de una reserva para los informes: siempre los guardados en la reserva.
+ * Las reservas anteriores a este cálculo pagaron un 5% adicional como comprador.
+ * @param {Object} booking - Reserva
+ * @returns {{revenue: number, commission: number, organizerNet: number, amountCharged: number}}
+ */
+export const getBookingFinancials = (booking) => {
+  const revenue = roundMoney(booking.totalPrice);
+
+  if (booking.commission?.amount !== undefined && booking.commission?.amount !== null) {
+    return {
+      revenue,
+      commission: booking.commission.amount,
+      organizerNet: booking.organizerNet ?? roundMoney(revenue - booking.commission.amount),
+      amountCharged: booking.amountCharged ?? revenue
+    };
+  }
+
+  const commission = roundMoney(revenue * LEGACY_COMMISSION_RATE / 100);
+  return {
+    revenue,
+    commission,
+    organizerNet: revenue,
+    amountCharged: roundMoney(revenue + commission)
+  };
+};
+
+/**
+ * Valida un override de comisión enviado por un administrador
+ * @param {Object|null} input - Campos type, rate, fixed y payer; null elimina el override
+ * @returns {Object|null} - Override normalizado (los campos ausentes se heredan)
+ * @throws {ApiError} 400 si algún valor no es válido
+ */
+export const normalizeCommissionOverride = (input) => {
+  if (input === null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new ApiError(400, 'Invalid commission override');
+  }
+
+  const errors = [];
+  const override = {};
+
+  if (input.type !== undefined && input.type !== null) {
+    if (!COMMISSION_TYPES.includes(input.type)) errors.push(`type must be one of: ${COMMISSION_TYPES.join(', ')}`);
+    override.type = input.type;
+  }
+  if (input.payer !== undefined && input.payer !== null) {
+    if (!COMMISSION_PAYERS.includes(input.payer)) errors.push(`payer must be one of: ${COMMISSION_PAYERS.join(', ')}`);
+    override.payer = input.payer;
+  }
+  if (input.rate !== undefined && input.rate !== null) {
+    const rate = Number(input.rate);
+    if (!Number.isFinite(rate) || rate < 0 || rate > 100) errors.push('rate must be a percentage between 0 and 100');
+    override.rate = rate;
+  }
+  if (input.fixed !== undefined && input.fixed !== null) {
+    const fixed = Number(input.fixed);
+    if (!Number.isFinite(fixed) || fixed < 0) errors.push('fixed must be a non-negative amount');
+    override.fixed = roundMoney(fixed);
+  }
+
+  if (errors.length > 0) {
+    throw new ApiError(400, 'Invalid commission override', errors);
+  }
+
+  return Object.keys(override).length > 0 ? override : null;
+};
+
+export default {
+  COMMISSION_TYPES,
+  COMMISSION_PAYERS,
+  roundMoney,
+  resolveCommissionConfig,
+  calculateCommission,
+  getOrganizerCommissionConfig,
+  getCommissionQuote,
+  toBookingCommission,
+  getBookingFinancials,
+  normalizeCommissionOverride
+};
@@ -0,0 +1,133 @@
+import Communication from '../models/Communication.js';
+import { sendCommunicationEmail } from './emailService.js';
+
+/**
+ * Entrega una comunicación ya guardada por el canal que corresponde a su tipo
+ *
+ * Los mensajes de tipo 'email' se envían mediante emailService; el resto
+ * (notificaciones, mensajes del sistema, tickets de soporte) se entregan
+ * en el panel del destinatario y quedan marcados como entregados.
+ *
+ * @param {Object} communication - Documento Communication
+ * @param {Object} recipient - Usuario destinatario
+ * @param {Object} sender - Usuario remitente
+ * @returns {Promise<Object>} - Comunicación con el estado de entrega actualizado
+ */
+export const deliverCommunication = async (communication, recipient, sender) => {
+  const now = new Date();
+  communication.sentAt = now;
+
+  if (communication.type === 'email') {
+    const result = await sendCommunicationEmail({
+      email: recipient.email,
+      name: recipient.fullname || recipient.username,
+      subject: communication.subject,
+      message: communication.content,
+      senderName: sender.fullname || sender.username
+    });
+
+    if (result.success) {
+      communication.status = 'sent';
+      communication.messageId = result.messageId;
+      communication.deliveryError = undefined;
+    } else {
+      communication.status = 'failed';
+      communication.deliveryError = result.error || 'Error desconocido al enviar el correo';
+    }
+  } else {
+    communication.status = 'delivered';
+    communication.deliveredAt = now;
+  }
+
+  await communication.save();
+  return communication;
+};
+
+/**
+ * Crea y entrega una comunicación, opcionalmente como respuesta dentro de un hilo
+ * @param {Object} options - Datos del mensaje
+ * @param {Object} options.sender - Usuario remitente
+ * @param {Object} options.recipient - Usuario destinatario
+ * @param {Object} options.organizer - Organizador implicado en la conversación
+ * @param {string} options.type - Tipo de comunicación
+ * @param {string} options.subject - Asunto
+ * @param {string} options.content - Contenido
+ * @param {Object} [options.parent] - Comunicación a la que se responde
+ * @returns {Promise<Object>} - Comunicación creada
+ */
+export const createCommunication = async ({ sender, recipient, organizer, type, subject, content, parent = null }) => {
+  const communication = await Communication.create({
+    type,
+    sender: sender._id,
+    recipient: recipient._id,
+    organizer: organizer._id || organizer,
+    subject,
+    content,
+    parent: parent?._id || null,
+    thread: parent ? (parent.thread || parent._id) : null
+  });
+
+  // Marcar el mensaje original como respondido
+  if (parent) {
+    parent.status = 'replied';
+    parent.repliedAt = new Date();
+    if (!parent.readAt) parent.readAt = parent.repliedAt;
+    await parent.save();
+  }
+
+  return deliverCommunication(communication, recipient, sender);
+};
+
+/**
+ * Marca una comunicación como leída si aún no lo estaba
+ * @param {Object} communication - Documento Communication
+ * @returns {Promise<Object>}
+ */
+export const markCommunicationRead = async (communication) => {
+  if (!communication.readAt) {
+    communication.readAt = new Date();
+    if (communication.status !== 'replied') {
+      communication.status = 'read';
+    }
+    await communication.save();
+  }
+  return communication;
+};
+
+/**
+ * Da formato a una comunicación (con sender y recipient populados) para el dashboard
+ * @param {Object} communication - Documento Communication
+ * @returns {Object}
+ */
+export const formatCommunication = (communication) => {
+  const formatUser = (user) => user ? {
+    id: user._id,
+    name: user.fullname || user.username,
+    email: user.email,
+    role: user.role
+  } : null;
+
+  return {
+    id: communication._id,
+    type: communication.type,
+    subject: communication.subject,
+    content: communication.content,
+    sentDate: communication.sentAt || communication.createdAt,
+    recipient: formatUser(communication.recipient),
+    sender: formatUser(communication.sender),
+    status: communication.status,
+    deliveryError: communication.deliveryError,
+    deliveredDate: communication.deliveredAt,
+    readDate: communication.readAt,
+    repliedDate: communication.repliedAt,
+    thread: communication.thread,
+    parent: communication.parent
+  };
+};
+
+export default {
+  deliverCommunication,
+  createCommunication,
+  markCommunicationRead,
+  formatCommunication
+};
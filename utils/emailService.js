@@ -1,5 +1,6 @@
 // Servicio de correo electrónico para EntradasMelilla usando Nodemailer y Brevo (Sendinblue)
 import nodemailer from 'nodemailer';
+import SystemSettings from '../models/SystemSettings.js';
 
 /**
  * Configuración del transporte de correo según el entorno
@@ -205,7 +206,7 @@ const sendMailWithRetry = async (mailOptions, maxRetries = 3) => {
  * @param {Object} mailOptions - Opciones del correo
  * @returns {Promise} - Resultado del envío
  */
-const sendMail = async (mailOptions) => {
+export const sendMail = async (mailOptions) => {
   try {
     return await sendMailWithRetry(mailOptions);
   } catch (error) {
@@ -316,6 +317,7 @@ Este es un correo automático, por favor no respondas a este mensaje.
  * @param {string} options.currency - Moneda (EUR por defecto)
  * @param {string} options.bookingId - ID de la reserva
  * @param {string} options.qrCodeUrl - URL del código QR (opcional)
+ * @param {Array} options.tickets - Entradas de la reserva con su qrCodeUrl; si hay varias se muestran todas (opcional)
  * @param {Array} options.attachments - Archivos adjuntos (opcional)
  * @returns {Promise} - Resultado del envío del correo
  */
@@ -343,9 +345,13 @@ export const sendBookingConfirmationEmail = async (options) => {
       currency = 'EUR',
       bookingId = 'N/A',
       qrCodeUrl = null,
+      tickets = [],
       attachments = []
     } = options;
     
+    // Un código QR por entrada cuando la reserva tiene varias
+    const ticketQRCodes = tickets.filter(ticket => ticket.qrCodeUrl);
+    
     // Contenido del correo
     const mailOptions = {
       to: email,
@@ -371,7 +377,18 @@ export const sendBookingConfirmationEmail = async (options) => {
               <p><strong>ID de reserva:</strong> ${bookingId}</p>
             </div>
             
-            ${qrCodeUrl ? `
+            ${ticketQRCodes.length > 1 ? `
+              <div style="text-align: center; margin: 20px 0;">
+                <p><strong>Tus entradas:</strong></p>
+                ${ticketQRCodes.map(ticket => `
+                  <div style="margin: 15px 0;">
+                    <p>${ticket.seat ? `Asiento ${ticket.seat}` : `Entrada ${ticket.ticketId}`}</p>
+                    <img src="${ticket.qrCodeUrl}" alt="Código QR" style="max-width: 200px; height: auto;">
+                  </div>
+                `).join('')}
+                <p style="font-size: 12px; color: #888;">Cada persona debe mostrar su código QR en la entrada del evento.</p>
+              </div>
+            ` : qrCodeUrl ? `
               <div style="text-align: center; margin: 20px 0;">
                 <p><strong>Tu código QR:</strong></p>
                 <img src="${qrCodeUrl}" alt="Código QR" style="max-width: 200px; height: auto;">
@@ -806,11 +823,655 @@ Este es un correo automático, por favor no respondas a este mensaje.
   }
 };
 
+/**
+ * Obtener una plantilla de correo configurada en los ajustes del sistema
+ * @param {string} templateId - ID de la plantilla (e.g., 'booking_cancelled')
+ * @returns {Promise<Object|null>} - Plantilla con subject y body, o null si no existe
+ */
+const getEmailTemplate = async (templateId) => {
+  try {
+    const settings = await SystemSettings.getSettings();
+    return settings.email?.emailTemplates?.find(template => template.id === templateId) || null;
+  } catch (error) {
+    console.error(`Error al obtener la plantilla de correo ${templateId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Sustituir las variables {{nombre}} de una plantilla por sus valores
+ * @param {string} text - Texto de la plantilla
+ * @param {Object} variables - Valores a sustituir
+ * @returns {string} - Texto con las variables sustituidas
+ */
+const renderTemplate = (text, variables) => {
+  return text.replace(/{{\s*(\w+)\s*}}/g, (match, key) => (
+    variables[key] !== undefined && variables[key] !== null ? String(variables[key]) : match
+  ));
+};
+
+/**
+ * Enviar aviso de cancelación de reserva usando la plantilla 'booking_cancelled'
+ * @param {Object} options - Opciones para el correo de cancelación
+ * @param {string} options.email - Email del usuario
+ * @param {string} options.name - Nombre del usuario
+ * @param {string} options.eventName - Nombre del evento
+ * @param {string} options.eventDate - Fecha del evento (formateada)
+ * @param {string} options.seats - Asientos liberados
+ * @param {string} options.bookingId - ID de la reserva
+ * @param {number} options.refundAmount - Importe reembolsado
+ * @param {string} options.currency - Moneda del reembolso
+ * @returns {Promise} - Resultado del envío del correo
+ */
+export const sendBookingCancelledEmail = async (options) => {
+  try {
+    // Validar opciones requeridas
+    if (!options || !options.email || !options.eventName) {
+      console.error('Error: Faltan datos requeridos para el correo de cancelación');
+      return { success: false, error: 'Datos incompletos para el correo' };
+    }
+    
+    // Fecha actual para el pie del correo
+    const currentYear = new Date().getFullYear();
+    
+    // Extraer valores de las opciones con valores por defecto
+    const {
+      email,
+      name = 'Usuario',
+      eventName,
+      eventDate = 'No especificada',
+      seats = 'No especificados',
+      bookingId = 'N/A',
+      refundAmount = 0,
+      currency = 'EUR'
+    } = options;
+    
+    const template = await getEmailTemplate('booking_cancelled');
+    const variables = { name, eventName, eventDate, seats, bookingId, refundAmount, currency };
+    
+    const subject = template?.subject
+      ? renderTemplate(template.subject, variables)
+      : 'Tu reserva ha sido cancelada';
+    
+    const refundText = refundAmount > 0
+      ? `Se ha emitido un reembolso de ${refundAmount} ${currency}. Puede tardar entre 5 y 10 días hábiles en reflejarse en tu cuenta.`
+      : 'Esta cancelación no conlleva reembolso.';
+    
+    // Si el administrador ha personalizado el cuerpo de la plantilla, usarlo
+    const html = template?.body
+      ? renderTemplate(template.body, variables)
+      : `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+          <div style="text-align: center; margin-bottom: 20px;">
+            <h1 style="color: #333;">Reserva Cancelada</h1>
+          </div>
+          
+          <div style="margin-bottom: 20px;">
+            <p>Hola ${name},</p>
+            <p>Tu reserva para el evento <strong>${eventName}</strong> ha sido cancelada.</p>
+            
+            <div style="background-color: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <h3 style="margin-top: 0; color: #333;">Detalles de la cancelación:</h3>
+              <p><strong>ID de reserva:</strong> ${bookingId}</p>
+              <p><strong>Fecha del evento:</strong> ${eventDate}</p>
+              <p><strong>Asientos:</strong> ${seats}</p>
+              <p><strong>Importe reembolsado:</strong> ${refundAmount} ${currency}</p>
+            </div>
+            
+            <p>${refundText}</p>
+            <p>Tu código QR ha dejado de ser válido.</p>
+          </div>
+          
+          <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e0e0e0; font-size: 12px; color: #888; text-align: center;">
+            <p>Este es un correo automático, por favor no respondas a este mensaje.</p>
+            <p>© ${currentYear} EntradasMelilla. Todos los derechos reservados.</p>
+          </div>
+        </div>
+      `;
+    
+    // Contenido del correo
+    const mailOptions = {
+      to: email,
+      subject,
+      html,
+      text: `Reserva Cancelada
+      
+Hola ${name},
+
+Tu reserva para el evento ${eventName} ha sido cancelada.
+
+Detalles de la cancelación:
+- ID de reserva: ${bookingId}
+- Fecha del evento: ${eventDate}
+- Asientos: ${seats}
+- Importe reembolsado: ${refundAmount} ${currency}
+
+${refundText}
+Tu código QR ha dejado de ser válido.
+
+Este es un correo automático, por favor no respondas a este mensaje.
+
+© ${currentYear} EntradasMelilla. Todos los derechos reservados.`
+    };
+    
+    // Enviar el correo
+    const result = await sendMail(mailOptions);
+    
+    // Registrar el resultado para depuración
+    if (result.success) {
+      console.log(`✅ Aviso de cancelación enviado a ${email} para el evento ${eventName}`);
+    } else {
+      console.error(`❌ Error al enviar aviso de cancelación a ${email}: ${result.error}`);
+    }
+    
+    return result;
+  } catch (error) {
+    console.error('Error al enviar aviso de cancelación:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Enviar oferta de asientos a un usuario de la lista de espera
+ * @param {Object} options - Opciones para el correo de la oferta
+ * @param {string} options.email - Email del usuario
+ * @param {string} options.name - Nombre del usuario
+ * @param {string} options.eventName - Nombre del evento
+ * @param {string} options.seats - Asientos reservados para el usuario
+ * @param {string} options.claimUrl - Enlace para reclamar los asientos
+ * @param {Date} options.expiresAt - Fin del plazo para reclamar
+ * @returns {Promise} - Resultado del envío del correo
+ */
+export const sendWaitlistOfferEmail = async (options) => {
+  try {
+    // Validar opciones requeridas
+    if (!options || !options.email || !options.eventName || !options.claimUrl) {
+      console.error('Error: Faltan datos requeridos para la oferta de lista de espera');
+      return { success: false, error: 'Datos incompletos para el correo' };
+    }
+    
+    // Fecha actual para el pie del correo
+    const currentYear = new Date().getFullYear();
+    
+    // Extraer valores de las opciones con valores por defecto
+    const {
+      email,
+      name = 'Usuario',
+      eventName,
+      seats = 'No especificados',
+      claimUrl,
+      expiresAt
+    } = options;
+    
+    const expiresText = expiresAt
+      ? new Date(expiresAt).toLocaleString('es-ES', { timeZone: 'Europe/Madrid' })
+      : 'en breve';
+    
+    // Contenido del correo
+    const mailOptions = {
+      to: email,
+      subject: `¡Hay entradas disponibles para ${eventName}!`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+          <div style="text-align: center; margin-bottom: 20px;">
+            <h1 style="color: #333;">Entradas Disponibles</h1>
+          </div>
+          
+          <div style="margin-bottom: 20px;">
+            <p>Hola ${name},</p>
+            <p>Se han liberado asientos para el evento <strong>${eventName}</strong> y los hemos reservado para ti al estar en la lista de espera.</p>
+            
+            <div style="background-color: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <p><strong>Asientos reservados:</strong> ${seats}</p>
+              <p><strong>Reserva válida hasta:</strong> ${expiresText}</p>
+            </div>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${claimUrl}" style="background-color: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold;">Reclamar mis entradas</a>
+            </div>
+            
+            <p>Si no completas la compra antes de esa hora, los asientos se ofrecerán a la siguiente persona de la lista.</p>
+          </div>
+          
+          <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e0e0e0; font-size: 12px; color: #888; text-align: center;">
+            <p>Este es un correo automático, por favor no respondas a este mensaje.</p>
+            <p>© ${currentYear} EntradasMelilla. Todos los derechos reservados.</p>
+          </div>
+        </div>
+      `,
+      text: `Entradas Disponibles
+      
+Hola ${name},
+
+Se han liberado asientos para el evento ${eventName} y los hemos reservado para ti al estar en la lista de espera.
+
+- Asientos reservados: ${seats}
+- Reserva válida hasta: ${expiresText}
+
+Reclama tus entradas aquí: ${claimUrl}
+
+Si no completas la compra antes de esa hora, los asientos se ofrecerán a la siguiente persona de la lista.
+
+Este es un correo automático, por favor no respondas a este mensaje.
+
+© ${currentYear} EntradasMelilla. Todos los derechos reservados.`
+    };
+    
+    // Enviar el correo
+    const result = await sendMail(mailOptions);
+    
+    // Registrar el resultado para depuración
+    if (result.success) {
+      console.log(`✅ Oferta de lista de espera enviada a ${email} para el evento ${eventName}`);
+    } else {
+      console.error(`❌ Error al enviar oferta de lista de espera a ${email}: ${result.error}`);
+    }
+    
+    return result;
+  } catch (error) {
+    console.error('Error al enviar oferta de lista de espera:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Enviar las instrucciones de pago de una reserva por transferencia bancaria
+ * @param {Object} options - Opciones para el correo de instrucciones
+ * @param {string} options.email - Email del usuario
+ * @param {string} options.name - Nombre del usuario
+ * @param {string} options.eventName - Nombre del evento
+ * @param {string} options.seats - Asientos reservados
+ * @param {number} options.amount - Importe a transferir
+ * @param {string} options.currency - Moneda del importe
+ * @param {string} options.reference - Referencia que debe figurar en el concepto
+ * @param {string} options.instructions - Instrucciones y datos de la cuenta (payment.bankTransferInstructions)
+ * @param {Date} options.expiresAt - Fin del plazo para recibir la transferencia
+ * @returns {Promise} - Resultado del envío del correo
+ */
+export const sendBankTransferInstructionsEmail = async (options) => {
+  try {
+    // Validar opciones requeridas
+    if (!options || !options.email || !options.eventName || !options.reference) {
+      console.error('Error: Faltan datos requeridos para las instrucciones de transferencia');
+      return { success: false, error: 'Datos incompletos para el correo' };
+    }
+    
+    // Fecha actual para el pie del correo
+    const currentYear = new Date().getFullYear();
+    
+    // Extraer valores de las opciones con valores por defecto
+    const {
+      email,
+      name = 'Usuario',
+      eventName,
+      seats = 'No especificados',
+      amount,
+      currency = 'EUR',
+      reference,
+      instructions = '',
+      expiresAt
+    } = options;
+    
+    const expiresText = expiresAt
+      ? new Date(expiresAt).toLocaleString('es-ES', { timeZone: 'Europe/Madrid' })
+      : 'en breve';
+    
+    // Contenido del correo
+    const mailOptions = {
+      to: email,
+      subject: `Instrucciones de pago para ${eventName} (${reference})`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+          <div style="text-align: center; margin-bottom: 20px;">
+            <h1 style="color: #333;">Reserva Pendiente de Pago</h1>
+          </div>
+          
+          <div style="margin-bottom: 20px;">
+            <p>Hola ${name},</p>
+            <p>Hemos reservado tus entradas para el evento <strong>${eventName}</strong>. Para confirmarlas, realiza una transferencia bancaria con los siguientes datos:</p>
+            
+            <div style="background-color: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <p><strong>Importe:</strong> ${amount} ${currency}</p>
+              <p><strong>Concepto / referencia:</strong> ${reference}</p>
+              <p><strong>Asientos reservados:</strong> ${seats}</p>
+              <p><strong>Fecha límite:</strong> ${expiresText}</p>
+            </div>
+            
+            <p>${instructions.replace(/\n/g, '<br>')}</p>
+            
+            <p>Indica la referencia exacta en el concepto de la transferencia. Cuando la recibamos te enviaremos tus entradas con el código QR. Si no la recibimos antes de la fecha límite, la reserva se cancelará y los asientos volverán a estar a la venta.</p>
+          </div>
+          
+          <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e0e0e0; font-size: 12px; color: #888; text-align: center;">
+            <p>Este es un correo automático, por favor no respondas a este mensaje.</p>
+            <p>© ${currentYear} EntradasMelilla. Todos los derechos reservados.</p>
+          </div>
+        </div>
+      `,
+      text: `Reserva Pendiente de Pago
+      
+Hola ${name},
+
+Hemos reservado tus entradas para el evento ${eventName}. Para confirmarlas, realiza una transferencia bancaria con los siguientes datos:
+
+- Importe: ${amount} ${currency}
+- Concepto / referencia: ${reference}
+- Asientos reservados: ${seats}
+- Fecha límite: ${expiresText}
+
+${instructions}
+
+Indica la referencia exacta en el concepto de la transferencia. Cuando la recibamos te enviaremos tus entradas con el código QR. Si no la recibimos antes de la fecha límite, la reserva se cancelará y los asientos volverán a estar a la venta.
+
+Este es un correo automático, por favor no respondas a este mensaje.
+
+© ${currentYear} EntradasMelilla. Todos los derechos reservados.`
+    };
+    
+    // Enviar el correo
+    const result = await sendMail(mailOptions);
+    
+    // Registrar el resultado para depuración
+    if (result.success) {
+      console.log(`✅ Instrucciones de transferencia enviadas a ${email} (${reference})`);
+    } else {
+      console.error(`❌ Error al enviar instrucciones de transferencia a ${email}: ${result.error}`);
+    }
+    
+    return result;
+  } catch (error) {
+    console.error('Error al enviar instrucciones de transferencia:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Avisar de que la cuenta se ha bloqueado por intentos fallidos de inicio de sesión
+ * El enlace usa el mismo token que la recuperación de contraseña: al restablecerla
+ * la cuenta queda desbloqueada.
+ * @param {Object} user - Usuario bloqueado
+ * @param {string} resetToken - Token de restablecimiento de contraseña
+ * @param {Date} lockUntil - Fecha hasta la que dura el bloqueo
+ * @returns {Promise} - Resultado del envío del correo
+ */
+export const sendAccountLockedEmail = async (user, resetToken, lockUntil) => {
+  try {
+    if (!user || !user.email || !resetToken) {
+      console.error('Error: Faltan datos requeridos para el aviso de cuenta bloqueada');
+      return { success: false, error: 'Datos incompletos para el correo' };
+    }
+    
+    const frontendUrl = process.env.FRONTEND_URL || 'https://v2.entradasmelilla.com';
+    const resetUrl = `${frontendUrl}/reset-password/${resetToken}`;
+    const currentYear = new Date().getFullYear();
+    const name = user.username || user.fullname || 'Usuario';
+    const lockUntilText = lockUntil
+      ? new Date(lockUntil).toLocaleString('es-ES', { timeZone: 'Europe/Madrid' })
+      : 'dentro de unos minutos';
+    
+    // Contenido del correo
+    const mailOptions = {
+      to: user.email,
+      subject: 'Tu cuenta se ha bloqueado temporalmente - EntradasMelilla',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+          <div style="text-align: center; margin-bottom: 20px;">
+            <h1 style="color: #333;">Cuenta bloqueada temporalmente</h1>
+          </div>
+          
+          <div style="margin-bottom: 20px;">
+            <p>Hola ${name},</p>
+            <p>Hemos detectado varios intentos fallidos de inicio de sesión en tu cuenta de EntradasMelilla y la hemos bloqueado por seguridad.</p>
+            
+            <div style="background-color: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <p><strong>Bloqueada hasta:</strong> ${lockUntilText}</p>
+            </div>
+            
+            <p>Si has sido tú, puedes esperar a que termine el bloqueo o desbloquear la cuenta ahora estableciendo una nueva contraseña:</p>
+            <p style="text-align: center;">
+              <a href="${resetUrl}" style="display: inline-block; padding: 10px 20px; background-color: #4CAF50; color: white; text-decoration: none; border-radius: 5px;">Desbloquear mi cuenta</a>
+            </p>
+            <p style="font-size: 12px; color: #888;">Si el botón no funciona, copia y pega este enlace en tu navegador: ${resetUrl}</p>
+            <p>Si no has sido tú, te recomendamos cambiar la contraseña igualmente. Este enlace caducará en 1 hora.</p>
+          </div>
+          
+          <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e0e0e0; font-size: 12px; color: #888; text-align: center;">
+            <p>Este es un correo automático, por favor no respondas a este mensaje.</p>
+            <p>© ${currentYear} EntradasMelilla. Todos los derechos reservados.</p>
+          </div>
+        </div>
+      `,
+      text: `Cuenta bloqueada temporalmente - EntradasMelilla
+      
+Hola ${name},
+
+Hemos detectado varios intentos fallidos de inicio de sesión en tu cuenta de EntradasMelilla y la hemos bloqueado por seguridad hasta: ${lockUntilText}.
+
+Si has sido tú, puedes esperar a que termine el bloqueo o desbloquear la cuenta ahora estableciendo una nueva contraseña: ${resetUrl}
+
+Si no has sido tú, te recomendamos cambiar la contraseña igualmente. Este enlace caducará en 1 hora.
+
+Este es un correo automático, por favor no respondas a este mensaje.
+
+© ${currentYear} EntradasMelilla. Todos los derechos reservados.`
+    };
+    
+    const result = await sendMail(mailOptions);
+    
+    if (result.success) {
+      console.log(`✅ Aviso de cuenta bloqueada enviado a ${user.email}`);
+    } else {
+      console.error(`❌ Error al enviar aviso de cuenta bloqueada a ${user.email}: ${result.error}`);
+    }
+    
+    return result;
+  } catch (error) {
+    console.error('Error al enviar aviso de cuenta bloqueada:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Enviar un mensaje de la administración a un organizador
+ * @param {Object} options - Opciones para el correo
+ * @param {string} options.email - Email del destinatario
+ * @param {string} options.name - Nombre del destinatario
+ * @param {string} options.subject - Asunto del mensaje
+ * @param {string} options.message - Contenido del mensaje (texto plano)
+ * @param {string} options.senderName - Nombre de quien envía el mensaje
+ * @returns {Promise} - Resultado del envío del correo
+ */
+export const sendCommunicationEmail = async (options) => {
+  try {
+    // Validar opciones requeridas
+    if (!options || !options.email || !options.subject || !options.message) {
+      console.error('Error: Faltan datos requeridos para el mensaje');
+      return { success: false, error: 'Datos incompletos para el correo' };
+    }
+    
+    // Fecha actual para el pie del correo
+    const currentYear = new Date().getFullYear();
+    const frontendUrl = process.env.FRONTEND_URL || 'https://v2.entradasmelilla.com';
+    
+    // Extraer valores de las opciones con valores por defecto
+    const {
+      email,
+      name = 'Organizador',
+      subject,
+      message,
+      senderName = 'Equipo de EntradasMelilla'
+    } = options;
+    
+    // Escapar el contenido y conservar los saltos de línea
+    const htmlMessage = message
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/\n/g, '<br>');
+    
+    // Contenido del correo
+    const mailOptions = {
+      to: email,
+      subject,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+          <div style="text-align: center; margin-bottom: 20px;">
+            <h1 style="color: #333;">${subject}</h1>
+          </div>
+          
+          <div style="margin-bottom: 20px;">
+            <p>Hola ${name},</p>
+            <p>${htmlMessage}</p>
+            <p>— ${senderName}</p>
+            <p>Puedes responder a este mensaje desde tu <a href="${frontendUrl}/organizer/overview">panel de organizador</a>.</p>
+          </div>
+          
+          <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e0e0e0; font-size: 12px; color: #888; text-align: center;">
+            <p>© ${currentYear} EntradasMelilla. Todos los derechos reservados.</p>
+          </div>
+        </div>
+      `,
+      text: `${subject}
+      
+Hola ${name},
+
+${message}
+
+— ${senderName}
+
+Puedes responder a este mensaje desde tu panel de organizador: ${frontendUrl}/organizer/overview
+
+© ${currentYear} EntradasMelilla. Todos los derechos reservados.`
+    };
+    
+    // Enviar el correo
+    const result = await sendMail(mailOptions);
+    
+    // Registrar el resultado para depuración
+    if (result.success) {
+      console.log(`✅ Mensaje "${subject}" enviado a ${email}`);
+    } else {
+      console.error(`❌ Error al enviar mensaje a ${email}: ${result.error}`);
+    }
+    
+    return result;
+  } catch (error) {
+    console.error('Error al enviar mensaje al organizador:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Enviar la invitación para formar parte del personal de puerta de un evento
+ * @param {Object} options - Opciones para el correo de la invitación
+ * @param {string} options.email - Email de la persona invitada
+ * @param {string} options.eventName - Nombre del evento
+ * @param {string} options.organizerName - Nombre del organizador que invita
+ * @param {string} options.acceptUrl - Enlace para aceptar la invitación
+ * @param {Date} options.expiresAt - Fin del plazo para aceptarla
+ * @returns {Promise} - Resultado del envío del correo
+ */
+export const sendStaffInvitationEmail = async (options) => {
+  try {
+    // Validar opciones requeridas
+    if (!options || !options.email || !options.eventName || !options.acceptUrl) {
+      console.error('Error: Faltan datos requeridos para la invitación de personal');
+      return { success: false, error: 'Datos incompletos para el correo' };
+    }
+    
+    // Fecha actual para el pie del correo
+    const currentYear = new Date().getFullYear();
+    
+    const {
+      email,
+      eventName,
+      organizerName = 'El organizador',
+      acceptUrl,
+      expiresAt
+    } = options;
+    
+    const expiresText = expiresAt
+      ? new Date(expiresAt).toLocaleString('es-ES', { timeZone: 'Europe/Madrid' })
+      : 'en breve';
+    
+    // Contenido del correo
+    const mailOptions = {
+      to: email,
+      subject: `Invitación al control de acceso de ${eventName}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+          <div style="text-align: center; margin-bottom: 20px;">
+            <h1 style="color: #333;">Invitación de Personal</h1>
+          </div>
+          
+          <div style="margin-bottom: 20px;">
+            <p>Hola,</p>
+            <p>${organizerName} te ha invitado a encargarte del control de acceso del evento <strong>${eventName}</strong>.</p>
+            <p>Podrás escanear las entradas y consultar la lista de asistentes del evento desde tu cuenta.</p>
+            
+            <div style="background-color: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <p><strong>Invitación válida hasta:</strong> ${expiresText}</p>
+            </div>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${acceptUrl}" style="background-color: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold;">Aceptar invitación</a>
+            </div>
+            
+            <p>Para aceptarla debes iniciar sesión (o registrarte) con esta misma dirección de correo. Si no esperabas esta invitación, puedes ignorar este mensaje.</p>
+          </div>
+          
+          <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e0e0e0; font-size: 12px; color: #888; text-align: center;">
+            <p>Este es un correo automático, por favor no respondas a este mensaje.</p>
+            <p>© ${currentYear} EntradasMelilla. Todos los derechos reservados.</p>
+          </div>
+        </div>
+      `,
+      text: `Invitación de Personal
+      
+Hola,
+
+${organizerName} te ha invitado a encargarte del control de acceso del evento ${eventName}.
+Podrás escanear las entradas y consultar la lista de asistentes del evento desde tu cuenta.
+
+- Invitación válida hasta: ${expiresText}
+
+Acepta la invitación aquí: ${acceptUrl}
+
+Para aceptarla debes iniciar sesión (o registrarte) con esta misma dirección de correo. Si no esperabas esta invitación, puedes ignorar este mensaje.
+
+Este es un correo automático, por favor no respondas a este mensaje.
+
+© ${currentYear} EntradasMelilla. Todos los derechos reservados.`
+    };
+    
+    // Enviar el correo
+    const result = await sendMail(mailOptions);
+    
+    if (result.success) {
+      console.log(`✅ Invitación de personal enviada a ${email} para el evento ${eventName}`);
+    } else {
+      console.error(`❌ Error al enviar invitación de personal a ${email}: ${result.error}`);
+    }
+    
+    return result;
+  } catch (error) {
+    console.error('Error al enviar invitación de personal:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 export default {
   sendRegistrationEmail,
   sendBookingConfirmationEmail,
   sendPasswordResetEmail,
   sendVerificationEmail,
   sendOrganizerBookingNotification,
-  sendEventReminder
+  sendEventReminder,
+  sendBookingCancelledEmail,
+  sendWaitlistOfferEmail,
+  sendStaffInvitationEmail,
+  sendBankTransferInstructionsEmail,
+  sendCommunicationEmail,
+  sendAccountLockedEmail,
+  sendMail
 };
\ No newline at end of file
@@ -0,0 +1,242 @@
+import crypto from 'crypto';
+import EventStaff, { STAFF_CAPABILITIES } from '../models/EventStaff.js';
+import Event from '../models/Event.js';
+import { ApiError } from './ApiError.js';
+import { getTicketExpiry } from './ticketCredentials.js';
+import { sendStaffInvitationEmail } from './emailService.js';
+
+/**
+ * Personal de puerta de los eventos
+ *
+ * El organizador invita por correo a otras cuentas para un evento concreto con
+ * permisos limitados (de momento, scanner: escanear y consultar asistentes).
+ * La invitación caduca si no se acepta a tiempo y el acceso termina cuando
+ * caducan las entradas del evento. Las lecturas del personal quedan a su
+ * nombre en el registro de ScanEvent.
+ */
+
+// Plazo por defecto para aceptar una invitación (72 horas)
+export const STAFF_INVITATION_DURATION = 72 * 60 * 60 * 1000;
+
+// Plazo máximo que puede elegir el organizador (30 días)
+const MAX_INVITATION_DURATION = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Acceso de un usuario a un evento
+ * @param {Object} user - Usuario autenticado
+ * @param {Object} event - Documento del evento
+ * @returns {Promise<{ role: string|null, capabilities: string[], staff: Object|null }>}
+ *   role: admin, owner, staff o null si no tiene acceso
+ */
+export const getEventAccess = async (user, event) => {
+  if (user.role === 'admin') {
+    return { role: 'admin', capabilities: STAFF_CAPABILITIES, staff: null };
+  }
+  if (event.user_id?.toString() === user._id.toString()) {
+    return { role: 'owner', capabilities: STAFF_CAPABILITIES, staff: null };
+  }
+
+  const staff = await EventStaff.findOne({
+    user_id: user._id,
+    event_id: event._id,
+    status: 'active',
+    $or: [{ accessExpiresAt: null }, { accessExpiresAt: { $gt: new Date() } }]
+  });
+
+  return staff
+    ? { role: 'staff', capabilities: staff.capabilities, staff }
+    : { role: null, capabilities: [], staff: null };
+};
+
+/**
+ * Comprueba si el usuario tiene un permiso en el evento
+ * @param {Object} user - Usuario autenticado
+ * @param {Object} event - Documento del evento
+ * @param {string} capability - Uno de STAFF_CAPABILITIES
+ * @returns {Promise<Object|null>} - El acceso (ver getEventAccess) o null si no lo tiene
+ */
+export const hasEventCapability = async (user, event, capability) => {
+  const access = await getEventAccess(user, event);
+  return access.capabilities.includes(capability) ? access : null;
+};
+
+/**
+ * Invita a una persona como personal de un evento y le envía el enlace por correo.
+ * Si ya tenía una invitación pendiente o activa para el evento, se sustituye.
+ * @param {Object} params
+ * @param {Object} params.event - Documento del evento
+ * @param {string} params.email - Correo de la persona invitada
+ * @param {string[]} [params.capabilities] - Permisos (por defecto scanner)
+ * @param {number} [params.expiresInHours] - Plazo para aceptar la invitación
+ * @param {Object} params.invitedBy - Usuario que invita
+ * @returns {Promise<Object>} - Invitación creada
+ * @throws {ApiError} 400 si los datos no son válidos
+ */
+export const createStaffInvitation = async ({ event, email, capabilities = ['scanner'], expiresInHours, invitedBy }) => {
+  const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+    throw new ApiError(400, 'Correo electrónico no válido');
+  }
+  if (!Array.isArray(capabilities) || capabilities.length === 0 || capabilities.some(item => !STAFF_CAPABILITIES.includes(item))) {
+    throw new ApiError(400, `capabilities debe contener alguno de: ${STAFF_CAPABILITIES.join(', ')}`);
+  }
+
+  const duration = expiresInHours !== undefined ? Number(expiresInHours) * 60 * 60 * 1000 : STAFF_INVITATION_DURATION;
+  if (!Number.isFinite(duration) || duration <= 0 || duration > MAX_INVITATION_DURATION) {
+    throw new ApiError(400, 'expiresInHours debe estar entre 1 y 720 horas');
+  }
+
+  const accessExpiresAt = event.eventDate ? getTicketExpiry(event) : null;
+  if (accessExpiresAt && accessExpiresAt <= new Date()) {
+    throw new ApiError(400, 'El evento ya ha terminado');
+  }
+
+  if (normalizedEmail === invitedBy.email?.toLowerCase()) {
+    throw new ApiError(400, 'No puede invitarse a sí mismo');
+  }
+
+  // Una sola invitación vigente por persona y evento
+  await EventStaff.updateMany(
+    { event_id: event._id, email: normalizedEmail, status: { $in: ['pending', 'active'] } },
+    { $set: { status: 'revoked', revokedAt: new Date(), revokedBy: invitedBy._id }, $unset: { invitationToken: 1 } }
+  );
+
+  const invitation = await EventStaff.create({
+    event_id: event._id,
+    email: normalizedEmail,
+    capabilities: [...new Set(capabilities)],
+    invitationToken: crypto.randomBytes(32).toString('hex'),
+    invitationExpiresAt: new Date(Date.now() + duration),
+    accessExpiresAt,
+    invitedBy: invitedBy._id
+  });
+
+  const frontendUrl = process.env.FRONTEND_URL || 'https://v2.entradasmelilla.com';
+  sendStaffInvitationEmail({
+    email: normalizedEmail,
+    eventName: event.name,
+    organizerName: invitedBy.fullname || invitedBy.username,
+    acceptUrl: `${frontendUrl}/personal/invitacion/${invitation.invitationToken}`,
+    expiresAt: invitation.invitationExpiresAt
+  });
+
+  return invitation;
+};
+
+/**
+ * Acepta una invitación con la cuenta del usuario autenticado, que debe
+ * tener el mismo correo al que se envió
+ * @param {Object} params
+ * @param {string} params.token - Token del enlace de la invitación
+ * @param {Object} params.user - Usuario autenticado
+ * @returns {Promise<Object>} - Invitación aceptada
+ * @throws {ApiError} 404 si la invitación no existe o ha caducado, 403 si es para otro correo
+ */
+export const acceptStaffInvitation = async ({ token, user }) => {
+  const invitation = token
+    ? await EventStaff.findOne({ invitationToken: String(token), status: 'pending' })
+    : null;
+
+  if (!invitation || invitation.invitationExpiresAt <= new Date()) {
+    throw new ApiError(404, 'Invitación no encontrada o caducada');
+  }
+
+  if (invitation.email !== user.email?.toLowerCase()) {
+    throw new ApiError(403, 'La invitación se envió a otro correo electrónico');
+  }
+
+  invitation.status = 'active';
+  invitation.user_id = user._id;
+  invitation.acceptedAt = new Date();
+  invitation.invitationToken = undefined;
+  await invitation.save();
+
+  return invitation;
+};
+
+/**
+ * Retira el acceso de un miembro del personal o anula su invitación
+ * @param {Object} params
+ * @param {Object} params.event - Documento del evento
+ * @param {string} params.staffId - ID del registro de personal
+ * @param {Object} params.revokedBy - Usuario que lo retira
+ * @returns {Promise<Object|null>} - Registro actualizado o null si no existe o ya no estaba vigente
+ */
+export const revokeStaffAccess = ({ event, staffId, revokedBy }) => EventStaff.findOneAndUpdate(
+  { _id: staffId, event_id: event._id, status: { $in: ['pending', 'active'] } },
+  { $set: { status: 'revoked', revokedAt: new Date(), revokedBy: revokedBy._id }, $unset: { invitationToken: 1 } },
+  { new: true }
+);
+
+/**
+ * Eventos en los que el usuario es personal con acceso vigente
+ * @param {Object} user - Usuario autenticado
+ * @returns {Promise<Array<{ event: Object, capabilities: string[], accessExpiresAt: Date }>>}
+ */
+export const getStaffEvents = async (user) => {
+  const assignments = await EventStaff.find({
+    user_id: user._id,
+    status: 'active',
+    $or: [{ accessExpiresAt: null }, { accessExpiresAt: { $gt: new Date() } }]
+  });
+
+  const events = await Event.find({ _id: { $in: assignments.map(item => item.event_id) } })
+    .select('name eventDate eventTime venue photo entryPolicy gates');
+  const eventsMap = new Map(events.map(event => [event._id.toString(), event]));
+
+  return assignments
+    .filter(item => eventsMap.has(item.event_id.toString()))
+    .map(item => ({
+      event: eventsMap.get(item.event_id.toString()),
+      capabilities: item.capabilities,
+      accessExpiresAt: item.accessExpiresAt
+    }));
+};
+
+/**
+ * Marca como expiradas las invitaciones no aceptadas a tiempo
+ * @returns {Promise<{ success: boolean, expiredCount: number }>}
+ */
+export const expireStaffInvitations = async () => {
+  const result = await EventStaff.updateMany(
+    { status: 'pending', invitationExpiresAt: { $lte: new Date() } },
+    { $set: { status: 'expired' }, $unset: { invitationToken: 1 } }
+  );
+
+  return { success: true, expiredCount: result.modifiedCount };
+};
+
+/**
+ * Datos de un registro de personal para el organizador (sin el token)
+ * @param {Object} staff - Documento de EventStaff (user_id poblado opcional)
+ * @returns {Object}
+ */
+export const formatStaffMember = (staff) => {
+  const user = staff.user_id && staff.user_id.email ? staff.user_id : null;
+  const isExpired = staff.status === 'pending' && staff.invitationExpiresAt <= new Date();
+  return {
+    id: staff._id,
+    eventId: staff.event_id,
+    email: staff.email,
+    user: user ? { id: user._id, name: user.fullname || user.username, email: user.email } : null,
+    capabilities: staff.capabilities,
+    status: isExpired ? 'expired' : staff.status,
+    invitationExpiresAt: staff.invitationExpiresAt,
+    accessExpiresAt: staff.accessExpiresAt,
+    acceptedAt: staff.acceptedAt,
+    revokedAt: staff.revokedAt,
+    createdAt: staff.createdAt
+  };
+};
+
+export default {
+  STAFF_INVITATION_DURATION,
+  getEventAccess,
+  hasEventCapability,
+  createStaffInvitation,
+  acceptStaffInvitation,
+  revokeStaffAccess,
+  getStaffEvents,
+  expireStaffInvitations,
+  formatStaffMember
+};
@@ -0,0 +1,344 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import LoginThrottle from '../models/LoginThrottle.js';
+import { getCachedSettings } from './settingsCache.js';
+import { logActivity } from './activityLogger.js';
+import { sendAccountLockedEmail } from './emailService.js';
+
+/**
+ * Protección contra fuerza bruta en el inicio de sesión
+ *
+ * Se cuentan los fallos por cuenta y por IP dentro de una ventana de tiempo.
+ * Al llegar a security.accountLockoutAttempts la cuenta se bloquea; cada
+ * bloqueo consecutivo dura el doble que el anterior (hasta un máximo).
+ * Las IP tienen un umbral más alto porque pueden ser compartidas (NAT, redes móviles).
+ */
+
+// Ventana en la que se acumulan los fallos
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+// Duración del primer bloqueo; se duplica en cada bloqueo consecutivo
+const BASE_LOCKOUT_MS = 15 * 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+// Tras este tiempo sin fallos el backoff vuelve a empezar
+const LOCKOUT_MEMORY_MS = 24 * 60 * 60 * 1000;
+// El umbral por IP es este múltiplo del umbral por cuenta
+const IP_ATTEMPTS_MULTIPLIER = 4;
+// Validez del enlace de desbloqueo (token de restablecimiento de contraseña)
+const UNLOCK_TOKEN_DURATION = 60 * 60 * 1000;
+
+const getClientIp = (req) => req.ip || req.connection?.remoteAddress || 'unknown';
+
+const getLockoutDuration = (lockoutCount) =>
+  Math.min(BASE_LOCKOUT_MS * 2 ** Math.max(lockoutCount - 1, 0), MAX_LOCKOUT_MS);
+
+/**
+ * Segundos que faltan para que termine un bloqueo (para la cabecera Retry-After)
+ * @param {Date} lockUntil
+ * @returns {number}
+ */
+export const getRetryAfterSeconds = (lockUntil) =>
+  Math.max(Math.ceil((new Date(lockUntil).getTime() - Date.now()) / 1000), 1);
+
+/**
+ * Código HTTP y mensaje para una petición rechazada por un bloqueo
+ * @param {Date} lockUntil - Fin del bloqueo
+ * @param {'account'|'ip'} scope - Qué está bloqueado
+ * @returns {{statusCode: number, message: string, lockUntil: Date, retryAfter: number}}
+ */
+export const getLockoutResponse = (lockUntil, scope = 'account') => ({
+  statusCode: scope === 'ip' ? 429 : 423,
+  message: scope === 'ip'
+    ? 'Demasiados intentos fallidos de inicio de sesión desde esta conexión. Inténtalo de nuevo más tarde.'
+    : 'Tu cuenta está bloqueada temporalmente por demasiados intentos fallidos. Inténtalo más tarde o revisa tu correo para desbloquearla.',
+  lockUntil,
+  retryAfter: getRetryAfterSeconds(lockUntil)
+});
+
+/**
+ * Umbral de intentos configurado; 0 o negativo desactiva la protección
+ */
+const getLockoutThreshold = async () => {
+  try {
+    const settings = await getCachedSettings();
+    return settings.security?.accountLockoutAttempts ?? 5;
+  } catch (error) {
+    console.error('[LoginProtection] Error al leer la configuración:', error.message);
+    return 5;
+  }
+};
+
+/**
+ * Suma un fallo a un contador con ventana y backoff
+ *
+ * Los cambios se hacen con operaciones atómicas y el bloqueo se decide sobre el
+ * documento devuelto: con peticiones en paralelo cada una cuenta su fallo y solo
+ * una aplica el bloqueo (las demás lo ven ya aplicado).
+ *
+ * @param {Object} Model - LoginThrottle o User
+ * @param {Object} filter - Documento del contador ({ ip } o { _id })
+ * @param {{attempts: string, lastFailed: string}} fields - Campos del contador en el modelo
+ * @param {number} threshold - Fallos que provocan el bloqueo
+ * @param {number} now - Marca de tiempo del fallo
+ * @param {Object} [options]
+ * @param {boolean} [options.upsert] - Crear el documento si no existe
+ * @param {Object} [options.lockFields] - Campos adicionales que se guardan al bloquear
+ * @returns {Promise<{failedAttempts: number, lockoutCount: number, lockUntil: Date|null, lockedNow: boolean}>}
+ */
+const applyFailure = async (Model, filter, { attempts, lastFailed }, threshold, now, { upsert = false, lockFields = {} } = {}) => {
+  // Tras LOCKOUT_MEMORY_MS sin fallos el backoff vuelve a empezar; tras la ventana, el contador
+  await Model.updateOne(
+    { ...filter, [lastFailed]: { $not: { $gte: new Date(now - LOCKOUT_MEMORY_MS) } } },
+    { $set: { [attempts]: 0, lockoutCount: 0 } }
+  );
+  await Model.updateOne(
+    { ...filter, [lastFailed]: { $not: { $gte: new Date(now - FAILURE_WINDOW_MS) } } },
+    { $set: { [attempts]: 0 } }
+  );
+
+  const record = await Model.findOneAndUpdate(
+    filter,
+    {
+      $inc: { [attempts]: 1 },
+      $set: { [lastFailed]: new Date(now), ...(upsert ? { expiresAt: new Date(now + LOCKOUT_MEMORY_MS) } : {}) }
+    },
+    { new: true, upsert }
+  );
+
+  if (!record) {
+    return { failedAttempts: 0, lockoutCount: 0, lockUntil: null, lockedNow: false };
+  }
+
+  if (record[attempts] < threshold) {
+    return { failedAttempts: record[attempts], lockoutCount: record.lockoutCount || 0, lockUntil: null, lockedNow: false };
+  }
+
+  // Solo bloquea quien encuentra el contador aún por encima del umbral y sin bloqueos nuevos
+  const lockoutCount = (record.lockoutCount || 0) + 1;
+  const lockUntil = new Date(now + getLockoutDuration(lockoutCount));
+  const locked = await Model.findOneAndUpdate(
+    { ...filter, [attempts]: { $gte: threshold }, lockoutCount: record.lockoutCount || { $in: [0, null] } },
+    {
+      $set: {
+        [attempts]: 0,
+        lockoutCount,
+        lockUntil,
+        ...(upsert ? { expiresAt: new Date(lockUntil.getTime() + LOCKOUT_MEMORY_MS) } : {}),
+        ...lockFields
+      }
+    },
+    { new: true }
+  );
+
+  if (locked) {
+    return { failedAttempts: 0, lockoutCount, lockUntil, lockedNow: true };
+  }
+
+  // Otra petición simultánea ha aplicado el bloqueo
+  const current = await Model.findOne(filter).select('lockoutCount lockUntil');
+  return {
+    failedAttempts: 0,
+    lockoutCount: current?.lockoutCount || lockoutCount,
+    lockUntil: current?.lockUntil && current.lockUntil.getTime() > now ? current.lockUntil : null,
+    lockedNow: false
+  };
+};
+
+/**
+ * Bloqueo vigente de la IP de la petición
+ * @param {Object} req - Petición de Express
+ * @returns {Promise<Date|null>} - Fin del bloqueo, o null si no está bloqueada
+ */
+export const getIpLock = async (req) => {
+  try {
+    const record = await LoginThrottle.findOne({ ip: getClientIp(req) }).select('lockUntil');
+    return record?.lockUntil && record.lockUntil > new Date() ? record.lockUntil : null;
+  } catch (error) {
+    console.error('[LoginProtection] Error al comprobar el bloqueo por IP:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Bloqueo vigente de una cuenta
+ * @param {Object} user - Usuario
+ * @returns {Date|null} - Fin del bloqueo, o null si no está bloqueada
+ */
+export const getAccountLock = (user) =>
+  user?.lockUntil && user.lockUntil > new Date() ? user.lockUntil : null;
+
+/**
+ * Registra un intento fallido para la IP y, si se conoce, para la cuenta
+ *
+ * Al bloquear una cuenta se genera un token de restablecimiento de contraseña y
+ * se envía por correo: restablecerla desbloquea la cuenta. Nunca lanza excepciones.
+ *
+ * @param {Object} options
+ * @param {Object} options.req - Petición de Express
+ * @param {Object} [options.user] - Usuario cuyo login ha fallado
+ * @returns {Promise<{accountLockUntil: Date|null, ipLockUntil: Date|null, remainingAttempts: number|null}>}
+ */
+export const registerFailedLogin = async ({ req, user = null }) => {
+  const result = { accountLockUntil: null, ipLockUntil: null, remainingAttempts: null };
+  const threshold = await getLockoutThreshold();
+  if (!threshold || threshold <= 0) {
+    return result;
+  }
+
+  const now = Date.now();
+  const ip = getClientIp(req);
+
+  // Contador por IP
+  try {
+    const next = await applyFailure(
+      LoginThrottle,
+      { ip },
+      { attempts: 'failedAttempts', lastFailed: 'lastFailedAt' },
+      threshold * IP_ATTEMPTS_MULTIPLIER,
+      now,
+      { upsert: true }
+    );
+
+    result.ipLockUntil = next.lockUntil;
+    if (next.lockedNow) {
+      logActivity({
+        type: 'security',
+        action: 'Dirección IP bloqueada',
+        details: `IP ${ip} bloqueada hasta ${next.lockUntil.toISOString()} por intentos fallidos de inicio de sesión`,
+        req,
+        targetType: 'ip',
+        targetId: ip,
+        metadata: { ip, lockUntil: next.lockUntil, lockoutCount: next.lockoutCount }
+      });
+    }
+  } catch (error) {
+    console.error('[LoginProtection] Error al registrar el fallo por IP:', error.message);
+  }
+
+  if (!user) {
+    return result;
+  }
+
+  // Contador por cuenta
+  try {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const next = await applyFailure(
+      User,
+      { _id: user._id },
+      { attempts: 'failedLoginAttempts', lastFailed: 'lastFailedLoginAt' },
+      threshold,
+      now,
+      {
+        lockFields: {
+          resetPasswordToken: resetToken,
+          resetPasswordExpires: new Date(now + UNLOCK_TOKEN_DURATION)
+        }
+      }
+    );
+
+    if (!next.lockUntil) {
+      result.remainingAttempts = Math.max(threshold - next.failedAttempts, 0);
+      return result;
+    }
+
+    result.accountLockUntil = next.lockUntil;
+    result.remainingAttempts = 0;
+
+    if (!next.lockedNow) {
+      return result;
+    }
+
+    logActivity({
+      type: 'security',
+      action: 'Cuenta bloqueada',
+      user,
+      details: `Cuenta ${user.email} bloqueada hasta ${next.lockUntil.toISOString()} tras ${threshold} intentos fallidos (bloqueo nº ${next.lockoutCount})`,
+      req,
+      targetType: 'user',
+      targetId: user._id,
+      metadata: { ip, lockUntil: next.lockUntil, lockoutCount: next.lockoutCount }
+    });
+
+    sendAccountLockedEmail(user, resetToken, next.lockUntil);
+  } catch (error) {
+    console.error('[LoginProtection] Error al registrar el fallo de la cuenta:', error.message);
+  }
+
+  return result;
+};
+
+/**
+ * Borra los fallos acumulados de una cuenta tras un inicio de sesión correcto
+ * Nunca lanza excepciones, por lo que puede invocarse sin await.
+ * @param {Object} user - Usuario
+ */
+export const clearFailedLogins = async (user) => {
+  if (!user?.failedLoginAttempts && !user?.lockoutCount && !user?.lockUntil) {
+    return;
+  }
+  try {
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { failedLoginAttempts: 0, lockoutCount: 0 },
+        $unset: { lockUntil: 1, lastFailedLoginAt: 1 }
+      }
+    );
+  } catch (error) {
+    console.error('[LoginProtection] Error al limpiar los fallos de inicio de sesión:', error.message);
+  }
+};
+
+/**
+ * Desbloquea una cuenta manualmente (administración o restablecimiento de contraseña)
+ * @param {Object} user - Documento User; se modifica pero no se guarda
+ * @returns {boolean} - Si la cuenta estaba bloqueada
+ */
+export const unlockAccount = (user) => {
+  const wasLocked = Boolean(getAccountLock(user));
+  user.failedLoginAttempts = 0;
+  user.lockoutCount = 0;
+  user.lockUntil = undefined;
+  user.lastFailedLoginAt = undefined;
+  return wasLocked;
+};
+
+/**
+ * Elimina el bloqueo y el historial de fallos de una IP
+ * @param {string} ip
+ * @returns {Promise<boolean>} - Si existía un registro para esa IP
+ */
+export const unlockIp = async (ip) => {
+  const { deletedCount } = await LoginThrottle.deleteOne({ ip });
+  return deletedCount > 0;
+};
+
+/**
+ * Bloqueos vigentes de cuentas e IP, para el panel de administración
+ * @returns {Promise<{accounts: Object[], ips: Object[]}>}
+ */
+export const getActiveLockouts = async () => {
+  const now = new Date();
+  const [accounts, ips] = await Promise.all([
+    User.find({ lockUntil: { $gt: now } })
+      .select('username email fullname role lockUntil lockoutCount lastFailedLoginAt')
+      .sort({ lockUntil: -1 })
+      .lean(),
+    LoginThrottle.find({ lockUntil: { $gt: now } })
+      .select('ip lockUntil lockoutCount lastFailedAt')
+      .sort({ lockUntil: -1 })
+      .lean()
+  ]);
+  return { accounts, ips };
+};
+
+export default {
+  getRetryAfterSeconds,
+  getLockoutResponse,
+  getIpLock,
+  getAccountLock,
+  registerFailedLogin,
+  clearFailedLogins,
+  unlockAccount,
+  unlockIp,
+  getActiveLockouts
+};
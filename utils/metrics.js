@@ -0,0 +1,472 @@
+import crypto from 'crypto';
+import os from 'os';
+import { monitorEventLoopDelay } from 'perf_hooks';
+import mongoose from 'mongoose';
+import { getSeatStreamStats } from './seatStream.js';
+
+/**
+ * Recolector de métricas en proceso
+ *
+ * Guarda en memoria una ventana deslizante (por defecto 60 minutos) con las
+ * peticiones HTTP, los comandos de MongoDB y las ejecuciones del programador
+ * de tareas. Los contadores acumulados desde el arranque se exponen además en
+ * formato Prometheus.
+ */
+
+// Duración de la ventana deslizante
+const WINDOW_MS = (parseInt(process.env.METRICS_WINDOW_MINUTES) || 60) * 60 * 1000;
+// Tamaño de cada punto del histórico
+const BUCKET_MS = 60 * 1000;
+// Límite de muestras por ruta para acotar la memoria
+const MAX_SAMPLES_PER_KEY = 10000;
+
+// Comandos internos del driver que no interesa medir
+const IGNORED_DB_COMMANDS = new Set([
+  'hello', 'ismaster', 'isMaster', 'ping', 'saslStart', 'saslContinue',
+  'buildInfo', 'getnonce', 'endSessions', 'killCursors'
+]);
+
+const READ_COMMANDS = new Set(['find', 'aggregate', 'count', 'distinct', 'getMore']);
+const WRITE_COMMANDS = new Set(['insert', 'update', 'findAndModify', 'createIndexes']);
+const DELETE_COMMANDS = new Set(['delete']);
+
+const startedAt = new Date();
+
+// Muestras de la ventana: clave -> [{ t, duration, error }]
+const routeSamples = new Map();
+const dbSamples = new Map();
+
+// Contadores acumulados desde el arranque (para Prometheus)
+const requestTotals = new Map(); // "METHOD route status" -> count
+const dbTotals = new Map(); // "command ok|error" -> count
+const taskStats = new Map(); // taskName -> { runs, failures, lastRun, lastDuration, lastSuccess, lastError }
+
+// Histórico por minutos
+const history = [];
+let currentBucket = null;
+
+// Retardo del bucle de eventos
+const eventLoopDelay = monitorEventLoopDelay({ resolution: 20 });
+eventLoopDelay.enable();
+
+let lastCpuUsage = process.cpuUsage();
+let lastCpuCheck = Date.now();
+
+/**
+ * Añade una muestra a la ventana de la clave indicada
+ */
+const pushSample = (store, key, sample) => {
+  let samples = store.get(key);
+  if (!samples) {
+    samples = [];
+    store.set(key, samples);
+  }
+  samples.push(sample);
+  if (samples.length > MAX_SAMPLES_PER_KEY) {
+    samples.splice(0, samples.length - MAX_SAMPLES_PER_KEY);
+  }
+};
+
+/**
+ * Elimina las muestras que han salido de la ventana
+ */
+const pruneStore = (store, now = Date.now()) => {
+  const cutoff = now - WINDOW_MS;
+  for (const [key, samples] of store) {
+    let firstValid = 0;
+    while (firstValid < samples.length && samples[firstValid].t < cutoff) {
+      firstValid++;
+    }
+    if (firstValid > 0) samples.splice(0, firstValid);
+    if (samples.length === 0) store.delete(key);
+  }
+};
+
+const increment = (map, key, amount = 1) => {
+  map.set(key, (map.get(key) || 0) + amount);
+};
+
+/**
+ * Devuelve el percentil p (0-100) de una lista ordenada
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+};
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Resume una lista de muestras: número, errores y latencias
+ */
+const summarize = (samples) => {
+  const durations = samples.map(sample => sample.duration).sort((a, b) => a - b);
+  const errors = samples.filter(sample => sample.error).length;
+  const total = durations.reduce((sum, duration) => sum + duration, 0);
+  return {
+    count: samples.length,
+    errors,
+    errorRate: samples.length ? round(errors / samples.length, 4) : 0,
+    avg: samples.length ? round(total / samples.length) : 0,
+    p50: round(percentile(durations, 50)),
+    p90: round(percentile(durations, 90)),
+    p95: round(percentile(durations, 95)),
+    p99: round(percentile(durations, 99)),
+    max: round(durations[durations.length - 1] || 0)
+  };
+};
+
+/**
+ * Calcula el uso de CPU del proceso (%) desde la última comprobación
+ */
+const sampleCpuUsage = () => {
+  const now = Date.now();
+  const usage = process.cpuUsage(lastCpuUsage);
+  const elapsedMs = Math.max(1, now - lastCpuCheck);
+  lastCpuUsage = process.cpuUsage();
+  lastCpuCheck = now;
+  return round(((usage.user + usage.system) / 1000 / elapsedMs) * 100 / os.cpus().length);
+};
+
+/**
+ * Obtiene (o abre) el punto del histórico correspondiente al minuto actual
+ */
+const getBucket = (now = Date.now()) => {
+  const bucketStart = now - (now % BUCKET_MS);
+  if (!currentBucket || currentBucket.start !== bucketStart) {
+    if (currentBucket) closeBucket(currentBucket);
+    currentBucket = { start: bucketStart, requests: 0, errors: 0, totalDuration: 0 };
+  }
+  return currentBucket;
+};
+
+/**
+ * Cierra un punto del histórico añadiendo el estado del proceso en ese minuto
+ */
+const closeBucket = (bucket) => {
+  const memory = process.memoryUsage();
+  history.push({
+    timestamp: new Date(bucket.start).toISOString(),
+    requests: bucket.requests,
+    errors: bucket.errors,
+    responseTime: bucket.requests ? round(bucket.totalDuration / bucket.requests) : 0,
+    cpu: sampleCpuUsage(),
+    memory: round(memory.rss / 1024 / 1024),
+    eventLoopLag: round(eventLoopDelay.mean / 1e6)
+  });
+  eventLoopDelay.reset();
+
+  const maxPoints = Math.ceil(WINDOW_MS / BUCKET_MS);
+  if (history.length > maxPoints) {
+    history.splice(0, history.length - maxPoints);
+  }
+};
+
+// Cerrar los minutos sin tráfico y podar la ventana periódicamente
+const maintenanceTimer = setInterval(() => {
+  getBucket();
+  pruneStore(routeSamples);
+  pruneStore(dbSamples);
+}, BUCKET_MS);
+maintenanceTimer.unref();
+
+/**
+ * Registra una petición HTTP completada
+ * @param {Object} data - Datos de la petición
+ * @param {string} data.method - Método HTTP
+ * @param {string} data.route - Ruta normalizada (e.g., /api/v1/events/:id)
+ * @param {number} data.status - Código de estado de la respuesta
+ * @param {number} data.duration - Duración en milisegundos
+ */
+export const recordRequest = ({ method, route, status, duration }) => {
+  const now = Date.now();
+  const error = status >= 500;
+  pushSample(routeSamples, `${method} ${route}`, { t: now, duration, error, status });
+  increment(requestTotals, `${method} ${route} ${status}`);
+
+  const bucket = getBucket(now);
+  bucket.requests++;
+  bucket.totalDuration += duration;
+  if (error) bucket.errors++;
+};
+
+/**
+ * Registra un comando de MongoDB completado
+ * @param {string} commandName - Nombre del comando (find, insert, ...)
+ * @param {number} duration - Duración en milisegundos
+ * @param {boolean} success - Si el comando terminó sin error
+ */
+export const recordDbCommand = (commandName, duration, success = true) => {
+  pushSample(dbSamples, commandName, { t: Date.now(), duration, error: !success });
+  increment(dbTotals, `${commandName} ${success ? 'ok' : 'error'}`);
+};
+
+/**
+ * Registra el resultado de una ejecución del programador de tareas
+ * @param {string} taskName - Nombre de la tarea
+ * @param {boolean} success - Si la ejecución terminó correctamente
+ * @param {number} duration - Duración en milisegundos
+ * @param {string} [errorMessage] - Mensaje de error en caso de fallo
+ */
+export const recordTaskRun = (taskName, success, duration, errorMessage) => {
+  const stats = taskStats.get(taskName) || { runs: 0, failures: 0 };
+  stats.runs++;
+  if (!success) stats.failures++;
+  stats.lastRun = new Date();
+  stats.lastDuration = duration;
+  stats.lastSuccess = success;
+  stats.lastError = success ? null : errorMessage || null;
+  taskStats.set(taskName, stats);
+};
+
+/**
+ * Middleware de Express que mide cada petición
+ *
+ * La ruta se normaliza con el patrón de Express (req.route) cuando existe,
+ * para agrupar /events/123 y /events/456 como /events/:id.
+ */
+export const metricsMiddleware = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    // Los flujos SSE duran lo que el cliente tenga la página abierta: no cuentan como latencia
+    if (String(res.getHeader('Content-Type') || '').startsWith('text/event-stream')) {
+      return;
+    }
+    const duration = Number(process.hrtime.bigint() - start) / 1e6;
+    // Sin req.route se usa solo el prefijo del router para no disparar la cardinalidad
+    const route = req.route?.path
+      ? `${req.baseUrl || ''}${req.route.path}`
+      : (req.baseUrl || 'unmatched');
+
+    recordRequest({
+      method: req.method,
+      route,
+      status: res.statusCode,
+      duration
+    });
+  });
+
+  next();
+};
+
+/**
+ * Registra los tiempos de los comandos de una conexión de Mongoose
+ *
+ * Requiere que la conexión se haya abierto con `monitorCommands: true`.
+ * @param {Object} connection - Conexión de Mongoose (mongoose.connection)
+ */
+export const instrumentMongoConnection = (connection = mongoose.connection) => {
+  const client = connection.getClient?.();
+  if (!client || client.__metricsInstrumented) return;
+  client.__metricsInstrumented = true;
+
+  client.on('commandSucceeded', (event) => {
+    if (IGNORED_DB_COMMANDS.has(event.commandName)) return;
+    recordDbCommand(event.commandName, event.duration, true);
+  });
+
+  client.on('commandFailed', (event) => {
+    if (IGNORED_DB_COMMANDS.has(event.commandName)) return;
+    recordDbCommand(event.commandName, event.duration, false);
+  });
+};
+
+const MONGO_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+/**
+ * Devuelve una instantánea de todas las métricas de la ventana actual
+ * @returns {Object}
+ */
+export const getMetricsSnapshot = () => {
+  const now = Date.now();
+  pruneStore(routeSamples, now);
+  pruneStore(dbSamples, now);
+
+  const memory = process.memoryUsage();
+  const allRequests = [];
+  const routes = [];
+  for (const [key, samples] of routeSamples) {
+    const [method, ...routeParts] = key.split(' ');
+    routes.push({ method, route: routeParts.join(' '), ...summarize(samples) });
+    allRequests.push(...samples);
+  }
+  routes.sort((a, b) => b.count - a.count);
+
+  const allDbCommands = [];
+  const commands = [];
+  const operations = { reads: 0, writes: 0, deletes: 0, other: 0 };
+  for (const [commandName, samples] of dbSamples) {
+    commands.push({ command: commandName, ...summarize(samples) });
+    allDbCommands.push(...samples);
+    if (READ_COMMANDS.has(commandName)) operations.reads += samples.length;
+    else if (WRITE_COMMANDS.has(commandName)) operations.writes += samples.length;
+    else if (DELETE_COMMANDS.has(commandName)) operations.deletes += samples.length;
+    else operations.other += samples.length;
+  }
+  commands.sort((a, b) => b.count - a.count);
+
+  const readyState = mongoose.connection.readyState;
+
+  return {
+    windowMinutes: WINDOW_MS / 60000,
+    collectedSince: startedAt.toISOString(),
+    process: {
+      pid: process.pid,
+      uptimeSeconds: Math.floor(process.uptime()),
+      startedAt: startedAt.toISOString(),
+      nodeVersion: process.version,
+      memory: {
+        rss: memory.rss,
+        heapTotal: memory.heapTotal,
+        heapUsed: memory.heapUsed,
+        external: memory.external
+      },
+      eventLoopLag: {
+        mean: round(eventLoopDelay.mean / 1e6),
+        p50: round(eventLoopDelay.percentile(50) / 1e6),
+        p99: round(eventLoopDelay.percentile(99) / 1e6),
+        max: round(eventLoopDelay.max / 1e6)
+      }
+    },
+    http: {
+      ...summarize(allRequests),
+      requestsPerMinute: round(allRequests.length / (WINDOW_MS / 60000)),
+      routes
+    },
+    database: {
+      state: MONGO_STATES[readyState] || 'unknown',
+      readyState,
+      ...summarize(allDbCommands),
+      operations,
+      commands
+    },
+    scheduler: Array.from(taskStats.entries()).map(([name, stats]) => ({ name, ...stats })),
+    seatStreams: getSeatStreamStats(),
+    history: [...history]
+  };
+};
+
+/**
+ * Escapa el valor de una etiqueta Prometheus
+ */
+const label = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * Genera las métricas en formato de texto de Prometheus
+ * @returns {string}
+ */
+export const getPrometheusMetrics = () => {
+  const snapshot = getMetricsSnapshot();
+  const lines = [];
+  const metric = (name, help, type) => {
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} ${type}`);
+  };
+
+  metric('http_requests_total', 'Total de peticiones HTTP desde el arranque', 'counter');
+  for (const [key, count] of requestTotals) {
+    const [method, route, status] = key.split(' ');
+    lines.push(`http_requests_total{method="${label(method)}",route="${label(route)}",status="${status}"} ${count}`);
+  }
+
+  metric('http_request_duration_ms', 'Latencia de las peticiones HTTP en la ventana deslizante', 'summary');
+  snapshot.http.routes.forEach(route => {
+    const labels = `method="${label(route.method)}",route="${label(route.route)}"`;
+    ['50', '90', '95', '99'].forEach(q => {
+      lines.push(`http_request_duration_ms{${labels},quantile="0.${q}"} ${route[`p${q}`]}`);
+    });
+    lines.push(`http_request_duration_ms_count{${labels}} ${route.count}`);
+  });
+
+  metric('http_request_error_rate', 'Proporción de respuestas 5xx en la ventana deslizante', 'gauge');
+  snapshot.http.routes.forEach(route => {
+    lines.push(`http_request_error_rate{method="${label(route.method)}",route="${label(route.route)}"} ${route.errorRate}`);
+  });
+
+  metric('process_resident_memory_bytes', 'Memoria residente del proceso', 'gauge');
+  lines.push(`process_resident_memory_bytes ${snapshot.process.memory.rss}`);
+  metric('process_heap_used_bytes', 'Heap de V8 en uso', 'gauge');
+  lines.push(`process_heap_used_bytes ${snapshot.process.memory.heapUsed}`);
+  metric('process_uptime_seconds', 'Segundos desde el arranque del proceso', 'gauge');
+  lines.push(`process_uptime_seconds ${snapshot.process.uptimeSeconds}`);
+  metric('nodejs_eventloop_lag_ms', 'Retardo del bucle de eventos', 'gauge');
+  ['mean', 'p50', 'p99', 'max'].forEach(stat => {
+    lines.push(`nodejs_eventloop_lag_ms{stat="${stat}"} ${snapshot.process.eventLoopLag[stat]}`);
+  });
+
+  metric('mongodb_connection_state', 'Estado de la conexión a MongoDB (0=desconectado, 1=conectado, 2=conectando, 3=desconectando)', 'gauge');
+  lines.push(`mongodb_connection_state ${snapshot.database.readyState}`);
+
+  metric('mongodb_commands_total', 'Total de comandos de MongoDB desde el arranque', 'counter');
+  for (const [key, count] of dbTotals) {
+    const [command, result] = key.split(' ');
+    lines.push(`mongodb_commands_total{command="${label(command)}",result="${result}"} ${count}`);
+  }
+
+  metric('mongodb_command_duration_ms', 'Latencia de los comandos de MongoDB en la ventana deslizante', 'summary');
+  snapshot.database.commands.forEach(command => {
+    ['50', '95', '99'].forEach(q => {
+      lines.push(`mongodb_command_duration_ms{command="${label(command.command)}",quantile="0.${q}"} ${command[`p${q}`]}`);
+    });
+  });
+
+  metric('scheduler_task_runs_total', 'Ejecuciones de tareas programadas', 'counter');
+  snapshot.scheduler.forEach(task => {
+    lines.push(`scheduler_task_runs_total{task="${label(task.name)}",result="success"} ${task.runs - task.failures}`);
+    lines.push(`scheduler_task_runs_total{task="${label(task.name)}",result="failure"} ${task.failures}`);
+  });
+
+  metric('scheduler_task_last_duration_ms', 'Duración de la última ejecución de cada tarea', 'gauge');
+  snapshot.scheduler.forEach(task => {
+    lines.push(`scheduler_task_last_duration_ms{task="${label(task.name)}"} ${task.lastDuration || 0}`);
+  });
+
+  metric('seat_stream_clients', 'Planos de asientos conectados al flujo en tiempo real', 'gauge');
+  lines.push(`seat_stream_clients ${snapshot.seatStreams.clients}`);
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Compara dos cadenas en tiempo constante
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+const safeEqual = (a, b) => {
+  // Se comparan los hashes para que la longitud del token tampoco influya en el tiempo
+  const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+};
+
+/**
+ * Handler de Express para GET /metrics
+ *
+ * Exige `Authorization: Bearer <METRICS_TOKEN>`. Sin METRICS_TOKEN el endpoint
+ * solo responde con NODE_ENV=development.
+ */
+export const metricsHandler = (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) {
+    if (process.env.NODE_ENV !== 'development') {
+      return res.status(403).send('Metrics disabled: set METRICS_TOKEN');
+    }
+  } else if (!safeEqual(req.header('Authorization') || '', `Bearer ${token}`)) {
+    return res.status(401).send('Unauthorized');
+  }
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(getPrometheusMetrics());
+};
+
+export default {
+  metricsMiddleware,
+  metricsHandler,
+  instrumentMongoConnection,
+  recordRequest,
+  recordDbCommand,
+  recordTaskRun,
+  getMetricsSnapshot,
+  getPrometheusMetrics
+};
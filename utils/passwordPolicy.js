@@ -0,0 +1,157 @@
+import { getCachedSettings } from './settingsCache.js';
+
+/**
+ * Política de contraseñas definida en SystemSettings.security
+ *
+ * Un único validador para todos los puntos donde se establece una contraseña
+ * (registro, restablecimiento, alta de usuarios y cambio de contraseña).
+ * Los mensajes se devuelven en el idioma de la petición (es/en).
+ */
+
+export const SUPPORTED_LANGUAGES = ['es', 'en'];
+
+// Valores por defecto si no se puede leer la configuración (los mismos que el esquema)
+const DEFAULT_POLICY = {
+  minLength: 8,
+  requireUppercase: true,
+  requireNumbers: true,
+  requireSpecialChars: true
+};
+
+const RULE_TESTS = {
+  minLength: (password, policy) => password.length >= policy.minLength,
+  requireUppercase: (password) => /[A-ZÀ-ÖØ-Þ]/.test(password),
+  requireNumbers: (password) => /\d/.test(password),
+  requireSpecialChars: (password) => /[^A-Za-z0-9À-ÖØ-öø-ÿ\s]/.test(password)
+};
+
+const MESSAGES = {
+  es: {
+    minLength: ({ minLength }) => `Debe tener al menos ${minLength} caracteres`,
+    requireUppercase: () => 'Debe contener al menos una letra mayúscula',
+    requireNumbers: () => 'Debe contener al menos un número',
+    requireSpecialChars: () => 'Debe contener al menos un carácter especial (por ejemplo ! @ # $ %)',
+    invalid: 'La contraseña no cumple la política de seguridad',
+    required: 'La contraseña es obligatoria'
+  },
+  en: {
+    minLength: ({ minLength }) => `Must be at least ${minLength} characters long`,
+    requireUppercase: () => 'Must contain at least one uppercase letter',
+    requireNumbers: () => 'Must contain at least one number',
+    requireSpecialChars: () => 'Must contain at least one special character (e.g. ! @ # $ %)',
+    invalid: 'The password does not meet the security policy',
+    required: 'Password is required'
+  }
+};
+
+/**
+ * Política vigente según la configuración de seguridad
+ * @returns {Promise<{minLength: number, requireUppercase: boolean, requireNumbers: boolean, requireSpecialChars: boolean}>}
+ */
+export const getPasswordPolicy = async () => {
+  try {
+    const settings = await getCachedSettings();
+    const security = settings.security || {};
+    return {
+      minLength: security.passwordMinLength > 0 ? security.passwordMinLength : DEFAULT_POLICY.minLength,
+      requireUppercase: security.passwordRequireUppercase ?? DEFAULT_POLICY.requireUppercase,
+      requireNumbers: security.passwordRequireNumbers ?? DEFAULT_POLICY.requireNumbers,
+      requireSpecialChars: security.passwordRequireSpecialChars ?? DEFAULT_POLICY.requireSpecialChars
+    };
+  } catch (error) {
+    console.error('[PasswordPolicy] Error al leer la configuración de seguridad:', error.message);
+    return { ...DEFAULT_POLICY };
+  }
+};
+
+/**
+ * Idioma de los mensajes: ?lang=, cabecera Accept-Language o idioma por defecto del sistema
+ * @param {Object} [req] - Petición de Express
+ * @returns {Promise<string>} - 'es' o 'en'
+ */
+export const resolveLanguage = async (req) => {
+  const requested = String(req?.query?.lang || '').toLowerCase().slice(0, 2);
+  if (SUPPORTED_LANGUAGES.includes(requested)) {
+    return requested;
+  }
+
+  if (req?.headers?.['accept-language']) {
+    const accepted = req.acceptsLanguages(...SUPPORTED_LANGUAGES);
+    if (accepted) {
+      return accepted;
+    }
+  }
+
+  try {
+    const settings = await getCachedSettings();
+    const defaultLanguage = settings.general?.defaultLanguage;
+    if (SUPPORTED_LANGUAGES.includes(defaultLanguage)) {
+      return defaultLanguage;
+    }
+  } catch (error) {
+    // Sin configuración se usa el español
+  }
+  return 'es';
+};
+
+/**
+ * Reglas activas de una política con su descripción, para mostrarlas en el frontend
+ * @param {Object} policy - Resultado de getPasswordPolicy
+ * @param {string} [lang]
+ * @returns {Array<{rule: string, value: (number|boolean), message: string}>}
+ */
+export const describePasswordPolicy = (policy, lang = 'es') => {
+  const messages = MESSAGES[lang] || MESSAGES.es;
+  return Object.keys(RULE_TESTS)
+    .filter(rule => policy[rule])
+    .map(rule => ({ rule, value: policy[rule], message: messages[rule](policy) }));
+};
+
+/**
+ * Comprueba una contraseña contra la política
+ * @param {string} password
+ * @param {Object} policy - Resultado de getPasswordPolicy
+ * @param {string} [lang]
+ * @returns {{valid: boolean, message: string|null, errors: Array<{rule: string, message: string}>}}
+ */
+export const validatePassword = (password, policy, lang = 'es') => {
+  const messages = MESSAGES[lang] || MESSAGES.es;
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return {
+      valid: false,
+      message: messages.required,
+      errors: [{ rule: 'required', message: messages.required }]
+    };
+  }
+
+  const errors = describePasswordPolicy(policy, lang)
+    .filter(({ rule }) => !RULE_TESTS[rule](password, policy))
+    .map(({ rule, message }) => ({ rule, message }));
+
+  return {
+    valid: errors.length === 0,
+    message: errors.length ? messages.invalid : null,
+    errors
+  };
+};
+
+/**
+ * Valida la contraseña de una petición con la política vigente y en su idioma
+ * @param {Object} req - Petición de Express
+ * @param {string} password
+ * @returns {Promise<{valid: boolean, message: string|null, errors: Array<{rule: string, message: string}>}>}
+ */
+export const checkPasswordForRequest = async (req, password) => {
+  const [policy, lang] = await Promise.all([getPasswordPolicy(), resolveLanguage(req)]);
+  return validatePassword(password, policy, lang);
+};
+
+export default {
+  SUPPORTED_LANGUAGES,
+  getPasswordPolicy,
+  resolveLanguage,
+  describePasswordPolicy,
+  validatePassword,
+  checkPasswordForRequest
+};
@@ -0,0 +1,140 @@
+import { ApiError } from './ApiError.js';
+import { getCachedSettings } from './settingsCache.js';
+import { createStripeProvider } from './stripeProvider.js';
+import { createPaypalProvider } from './paypalProvider.js';
+
+/**
+ * Capa de pasarelas de pago
+ *
+ * Cada pasarela es un adaptador con la misma interfaz:
+ * - createCheckout({reference, currency, lineItems, customerEmail, successUrl, cancelUrl, expiresAt, metadata})
+ *   → {provider, id, url, clientSecret, raw}; los importes de lineItems van en la moneda del pedido
+ * - verifyWebhook(rawBody, headers) → evento verificado con id y type
+ * - refund({paymentId, amount, currency, metadata}) → {id, status, amount, raw}
+ * - fetchStatus(checkoutId) → {id, status (open, approved, paid, expired), paymentId, amount, currency, metadata, raw}
+ *
+ * La pasarela se elige en cada checkout entre las habilitadas en la configuración
+ * de pagos. Las credenciales de entorno tienen prioridad sobre las guardadas en SystemSettings.
+ */
+
+export const PAYMENT_PROVIDERS = ['stripe', 'paypal'];
+
+// Adaptadores creados, por pasarela y configuración
+const providerCache = new Map();
+
+/**
+ * Configuración de conexión de una pasarela
+ * @param {string} name - stripe o paypal
+ * @param {Object} [settings] - SystemSettings
+ * @returns {Object}
+ */
+const getProviderConfig = (name, settings) => {
+  const payment = settings?.payment || {};
+
+  if (name === 'paypal') {
+    return {
+      clientId: process.env.PAYPAL_CLIENT_ID || payment.paypalClientId,
+      clientSecret: process.env.PAYPAL_CLIENT_SECRET || payment.paypalClientSecret,
+      webhookId: process.env.PAYPAL_WEBHOOK_ID || payment.paypalWebhookId,
+      mode: process.env.PAYPAL_MODE || payment.paypalMode || 'sandbox',
+      apiBase: process.env.PAYPAL_API_BASE
+    };
+  }
+
+  return {
+    secretKey: process.env.STRIPE_SECRET_KEY || payment.stripeSecretKey,
+    webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+    apiBase: process.env.STRIPE_API_BASE
+  };
+};
+
+/**
+ * Indica si una pasarela está habilitada en la configuración de pagos
+ * @param {string} name - stripe o paypal
+ * @param {Object} [settings] - SystemSettings
+ * @returns {boolean}
+ */
+export const isProviderEnabled = (name, settings) => {
+  const payment = settings?.payment || {};
+
+  if (name === 'stripe') {
+    return payment.stripeEnabled !== false;
+  }
+  if (name === 'paypal') {
+    return Boolean(payment.paypalEnabled && getProviderConfig('paypal', settings).clientId);
+  }
+  return false;
+};
+
+/**
+ * Devuelve el adaptador de una pasarela
+ * No comprueba si está habilitada: los webhooks y reembolsos de pagos ya
+ * cobrados deben procesarse aunque la pasarela se haya desactivado después.
+ * @param {string} [name] - stripe (por defecto) o paypal
+ * @param {Object} [settings] - SystemSettings; sin ellos solo se usan las variables de entorno
+ * @returns {Object} - Adaptador de la pasarela
+ */
+export const getPaymentProvider = (name = 'stripe', settings = null) => {
+  if (!PAYMENT_PROVIDERS.includes(name)) {
+    throw new ApiError(400, `Pasarela de pago no soportada: ${name}`);
+  }
+
+  const config = getProviderConfig(name, settings);
+  const cacheKey = `${name}:${JSON.stringify(config)}`;
+
+  if (!providerCache.has(cacheKey)) {
+    providerCache.set(cacheKey, name === 'paypal' ? createPaypalProvider(config) : createStripeProvider(config));
+  }
+  return providerCache.get(cacheKey);
+};
+
+/**
+ * Devuelve la pasarela elegida para un checkout, comprobando que esté habilitada
+ * @param {string} [name] - stripe (por defecto) o paypal
+ * @returns {Promise<Object>} - Adaptador de la pasarela
+ */
+export const getCheckoutProvider = async (name = 'stripe') => {
+  const settings = await getCachedSettings();
+
+  if (!PAYMENT_PROVIDERS.includes(name) || !isProviderEnabled(name, settings)) {
+    throw new ApiError(400, `El método de pago ${name} no está disponible`);
+  }
+  return getPaymentProvider(name, settings);
+};
+
+/**
+ * Métodos de pago disponibles para el comprador
+ * @param {Object} settings - SystemSettings
+ * @returns {string[]} - p. ej. ['stripe', 'paypal', 'bank_transfer']
+ */
+export const getAvailablePaymentMethods = (settings) => {
+  const methods = PAYMENT_PROVIDERS.filter(name => isProviderEnabled(name, settings));
+  if (settings?.payment?.bankTransferEnabled !== false) {
+    methods.push('bank_transfer');
+  }
+  return methods;
+};
+
+/**
+ * Reembolsa un pago en la pasarela con la que se cobró
+ * @param {Object} params
+ * @param {string} [params.provider] - Pasarela del pago (stripe para las reservas anteriores a PayPal)
+ * @param {string} params.paymentId - ID del pago en la pasarela (PaymentIntent o captura)
+ * @param {number} [params.amount] - Importe a devolver; sin él se devuelve el total
+ * @param {string} [params.currency]
+ * @param {Object} [params.metadata]
+ * @returns {Promise<{id: string, status: string, amount: number, raw: Object}>}
+ */
+export const refundPayment = async ({ provider = 'stripe', paymentId, amount, currency, metadata }) => {
+  const settings = await getCachedSettings();
+  return getPaymentProvider(provider, settings).refund({ paymentId, amount, currency, metadata });
+};
+
+export default {
+  PAYMENT_PROVIDERS,
+  isProviderEnabled,
+  getPaymentProvider,
+  getCheckoutProvider,
+  getAvailablePaymentMethods,
+  refundPayment
+};
@@ -0,0 +1,544 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import LedgerEntry from '../models/LedgerEntry.js';
+import PayoutBatch from '../models/PayoutBatch.js';
+import Booking from '../models/Booking.js';
+import Event from '../models/Event.js';
+import User from '../models/User.js';
+import { getBookingFinancials, roundMoney } from './commissionService.js';
+import { getCachedSettings } from './settingsCache.js';
+import { getPayeeAccount } from './sepa.js';
+import { ApiError } from './ApiError.js';
+
+/**
+ * Libro de liquidaciones con los organizadores
+ *
+ * Cada reserva cobrada se contabiliza en asientos de partida doble
+ * (models/LedgerEntry.js): la venta, la comisión de la plataforma y, si los hay,
+ * reembolsos y contracargos. El saldo del organizador es lo que se le debe.
+ * Las ventas se retienen hasta payment.payoutHoldDays días después del evento;
+ * lo disponible se agrupa periódicamente en lotes de liquidación que un
+ * administrador aprueba y marca como pagados.
+ *
+ * Los asientos se deducen del estado de la reserva (syncBookingLedger), de modo
+ * que volver a sincronizar una reserva solo contabiliza lo que faltara.
+ */
+
+// Estados de pago de una reserva cobrada
+export const SETTLED_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded', 'disputed'];
+
+// Lotes cuyos asientos están comprometidos pero aún no pagados
+export const OPEN_PAYOUT_STATUSES = ['pending_approval', 'approved'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cuenta contraria a organizer_payable en cada tipo de asiento
+const COUNTER_ACCOUNTS = {
+  sale: 'cash',
+  fee: 'platform_fees',
+  refund: 'cash',
+  fee_refund: 'platform_fees',
+  chargeback: 'cash',
+  chargeback_reversal: 'cash',
+  payout: 'cash'
+};
+
+/**
+ * Configuración de las liquidaciones
+ * @param {Object} settings - SystemSettings
+ * @returns {{holdDays: number, currency: string}}
+ */
+export const getPayoutConfig = (settings) => ({
+  holdDays: Math.max(0, Number(settings?.payment?.payoutHoldDays ?? 3) || 0),
+  currency: settings?.payment?.currency || 'EUR'
+});
+
+/**
+ * Fecha desde la que pueden liquidarse las ventas de un evento
+ * @param {Object} event - Documento del evento
+ * @param {number} holdDays - Días de retención después del evento
+ * @returns {Date}
+ */
+export const getSettlementDate = (event, holdDays) => {
+  const eventDate = event?.eventDate ? new Date(event.eventDate) : null;
+  if (!eventDate || Number.isNaN(eventDate.getTime())) {
+    return new Date();
+  }
+  return new Date(eventDate.getTime() + holdDays * DAY_MS);
+};
+
+/**
+ * Líneas de partida doble de un asiento
+ * @param {string} type - Tipo de asiento
+ * @param {number} amount - Efecto en el saldo del organizador (positivo: se le debe más)
+ * @returns {Object[]}
+ */
+const toLedgerLines = (type, amount) => {
+  const value = roundMoney(Math.abs(amount));
+  const counter = COUNTER_ACCOUNTS[type];
+
+  return amount >= 0
+    ? [{ account: counter, debit: value, credit: 0 }, { account: 'organizer_payable', debit: 0, credit: value }]
+    : [{ account: 'organizer_payable', debit: value, credit: 0 }, { account: counter, debit: 0, credit: value }];
+};
+
+/**
+ * Contabiliza un asiento una sola vez
+ * @param {Object} entry - type, sourceKey, organizerId, amount, availableAt y datos opcionales
+ * @returns {Promise<Object|null>} - Asiento creado, o null si ya estaba contabilizado
+ */
+const postEntry = async ({
+  type,
+  sourceKey,
+  organizerId,
+  eventId,
+  bookingId,
+  currency,
+  amount,
+  availableAt,
+  description,
+  payoutBatchId = null
+}) => {
+  try {
+    return await LedgerEntry.create({
+      type,
+      sourceKey,
+      organizer_id: organizerId,
+      event_id: eventId,
+      booking_id: bookingId,
+      currency,
+      amount: roundMoney(amount),
+      lines: toLedgerLines(type, amount),
+      description,
+      availableAt,
+      payoutBatch_id: payoutBatchId
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Contabiliza lo que falte de una reserva: venta, comisión, reembolsos y contracargos
+ * @param {Object} booking - Documento de la reserva
+ * @param {Object} [options]
+ * @param {Object} [options.event] - Evento de la reserva, si ya se ha cargado
+ * @param {Object} [options.settings] - SystemSettings, si ya se han cargado
+ * @returns {Promise<{posted: number}>}
+ */
+export const syncBookingLedger = async (booking, { event = null, settings = null } = {}) => {
+  const financials = getBookingFinancials(booking);
+  if (!SETTLED_PAYMENT_STATUSES.includes(booking.paymentStatus) || !(financials.amountCharged > 0)) {
+    return { posted: 0 };
+  }
+
+  const bookingEvent = event || await Event.findById(booking.event_id).select('user_id name eventDate currency');
+  if (!bookingEvent?.user_id) {
+    return { posted: 0 };
+  }
+
+  const { holdDays, currency: defaultCurrency } = getPayoutConfig(settings || await getCachedSettings());
+  const existing = await LedgerEntry.find({ booking_id: booking._id }).select('type sourceKey amount');
+  const postedKeys = new Set(existing.map(entry => entry.sourceKey));
+
+  const bookingId = booking._id.toString();
+  const amountCharged = roundMoney(financials.amountCharged);
+  const fee = roundMoney(amountCharged - financials.organizerNet);
+  const saleAvailableAt = getSettlementDate(bookingEvent, holdDays);
+  // Los cargos posteriores se liquidan junto con la venta si aún está retenida
+  const adjustmentAvailableAt = new Date(Math.max(saleAvailableAt.getTime(), Date.now()));
+
+  const entries = [{
+    type: 'sale',
+    sourceKey: `sale:${bookingId}`,
+    amount: amountCharged,
+    availableAt: saleAvailableAt,
+    description: `Venta de ${booking.seatNumbers?.length || booking.guestSize || 1} entrada(s) de "${bookingEvent.name}"`
+  }];
+
+  if (fee > 0) {
+    entries.push({
+      type: 'fee',
+      sourceKey: `fee:${bookingId}`,
+      amount: -fee,
+      availableAt: saleAvailableAt,
+      description: 'Comisión de la plataforma'
+    });
+  }
+
+  // Reembolsos: se contabiliza la diferencia entre lo reembolsado y lo ya contabilizado
+  const refundedTotal = roundMoney(Math.min(amountCharged, Math.max(
+    booking.paymentDetails?.refundedAmount || 0,
+    booking.cancellation?.status === 'approved' ? booking.cancellation.refundAmount || 0 : 0
+  )));
+  const refundedPosted = roundMoney(-existing
+    .filter(entry => entry.type === 'refund')
+    .reduce((sum, entry) => sum + entry.amount, 0));
+  const refundDelta = roundMoney(refundedTotal - refundedPosted);
+
+  if (refundDelta > 0) {
+    const refundKey = `${bookingId}:${Math.round(refundedTotal * 100)}`;
+    entries.push({
+      type: 'refund',
+      sourceKey: `refund:${refundKey}`,
+      amount: -refundDelta,
+      availableAt: adjustmentAvailableAt,
+      description: `Reembolso al comprador (total reembolsado ${refundedTotal})`
+    });
+
+    // La comisión se devuelve en proporción a lo reembolsado
+    const feeRefund = fee > 0 ? roundMoney(fee * refundDelta / amountCharged) : 0;
+    if (feeRefund > 0) {
+      entries.push({
+        type: 'fee_refund',
+        sourceKey: `fee-refund:${refundKey}`,
+        amount: feeRefund,
+        availableAt: adjustmentAvailableAt,
+        description: 'Comisión devuelta por el reembolso'
+      });
+    }
+  }
+
+  // Contracargos: los avisos previos (warning_*) no retiran fondos
+  const dispute = booking.dispute;
+  if (dispute?.id && !String(dispute.status || '').startsWith('warning')) {
+    const disputedAmount = roundMoney(Math.min(dispute.amount || amountCharged, amountCharged));
+    entries.push({
+      type: 'chargeback',
+      sourceKey: `chargeback:${dispute.id}`,
+      amount: -disputedAmount,
+      availableAt: adjustmentAvailableAt,
+      description: `Contracargo ${dispute.id}${dispute.reason ? ` (${dispute.reason})` : ''}`
+    });
+
+    if (dispute.status === 'won') {
+      entries.push({
+        type: 'chargeback_reversal',
+        sourceKey: `chargeback-reversal:${dispute.id}`,
+        amount: disputedAmount,
+        availableAt: adjustmentAvailableAt,
+        description: `Contracargo ${dispute.id} ganado`
+      });
+    }
+  }
+
+  let posted = 0;
+  for (const entry of entries.filter(item => !postedKeys.has(item.sourceKey))) {
+    const created = await postEntry({
+      ...entry,
+      organizerId: bookingEvent.user_id,
+      eventId: bookingEvent._id,
+      bookingId: booking._id,
+      currency: bookingEvent.currency || defaultCurrency
+    });
+    if (created) posted += 1;
+  }
+
+  return { posted };
+};
+
+/**
+ * Contabiliza una reserva sin interrumpir el flujo que la ha modificado
+ * Si falla, la sincronización previa a cada lote de liquidación lo recoge.
+ * @param {Object} booking - Documento de la reserva
+ * @param {Object} [options] - Ver syncBookingLedger
+ * @returns {Promise<void>}
+ */
+export const recordBookingLedger = async (booking, options) => {
+  try {
+    await syncBookingLedger(booking, options);
+  } catch (error) {
+    console.error(`Error al contabilizar la reserva ${booking?._id} en el libro de liquidaciones:`, error);
+  }
+};
+
+/**
+ * Sincroniza el libro con todas las reservas cobradas (incluidas las anteriores al libro)
+ * @returns {Promise<{success: boolean, bookings: number, posted: number, failed: number}>}
+ */
+export const syncLedger = async () => {
+  const settings = await getCachedSettings();
+  const events = new Map();
+  let bookings = 0;
+  let posted = 0;
+  let failed = 0;
+
+  const cursor = Booking.find({ paymentStatus: { $in: SETTLED_PAYMENT_STATUSES } }).cursor();
+  for (let booking = await cursor.next(); booking; booking = await cursor.next()) {
+    bookings += 1;
+    try {
+      const eventId = booking.event_id?.toString();
+      if (!events.has(eventId)) {
+        events.set(eventId, await Event.findById(booking.event_id).select('user_id name eventDate currency'));
+      }
+      const result = await syncBookingLedger(booking, { event: events.get(eventId), settings });
+      posted += result.posted;
+    } catch (error) {
+      failed += 1;
+      console.error(`Error al contabilizar la reserva ${booking._id}:`, error);
+    }
+  }
+
+  return { success: failed === 0, bookings, posted, failed };
+};
+
+/**
+ * Referencia de un lote de liquidación (p. ej. PO-20250106-EUR-7K2Q)
+ * @param {string} currency
+ * @param {Date} date
+ * @returns {string}
+ */
+const generatePayoutReference = (currency, date) =>
+  `PO-${date.toISOString().slice(0, 10).replace(/-/g, '')}-${currency}-${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+
+/**
+ * Agrupa lo disponible de cada organizador en lotes de liquidación, uno por moneda
+ * Los organizadores con saldo disponible negativo o nulo no se incluyen: sus
+ * asientos se arrastran al siguiente periodo.
+ * @param {Object} [options]
+ * @param {Object} [options.user] - Administrador que genera los lotes (nada si es la tarea programada)
+ * @param {Date} [options.cutoff] - Se incluyen los asientos disponibles hasta esta fecha
+ * @returns {Promise<Object[]>} - Lotes creados
+ */
+export const generatePayoutBatches = async ({ user = null, cutoff = new Date() } = {}) => {
+  const groups = await LedgerEntry.aggregate([
+    { $match: { payoutBatch_id: null, availableAt: { $lte: cutoff } } },
+    {
+      $group: {
+        _id: { organizer: '$organizer_id', currency: '$currency' },
+        amount: { $sum: '$amount' },
+        entryIds: { $push: '$_id' }
+      }
+    }
+  ]);
+
+  const entryIdsByCurrency = new Map();
+  for (const group of groups) {
+    if (roundMoney(group.amount) <= 0) continue;
+    const currency = group._id.currency;
+    entryIdsByCurrency.set(currency, [...(entryIdsByCurrency.get(currency) || []), ...group.entryIds]);
+  }
+
+  const batches = [];
+  for (const [currency, entryIds] of entryIdsByCurrency) {
+    const batchId = new mongoose.Types.ObjectId();
+
+    // Reservar los asientos para el lote; otra generación simultánea no puede incluirlos
+    await LedgerEntry.updateMany(
+      { _id: { $in: entryIds }, payoutBatch_id: null },
+      { $set: { payoutBatch_id: batchId } }
+    );
+
+    try {
+      const claimed = await LedgerEntry.aggregate([
+        { $match: { payoutBatch_id: batchId } },
+        { $group: { _id: '$organizer_id', amount: { $sum: '$amount' }, entryCount: { $sum: 1 } } }
+      ]);
+
+      const items = claimed
+        .filter(item => roundMoney(item.amount) > 0)
+        .map(item => ({ organizer_id: item._id, amount: roundMoney(item.amount), entryCount: item.entryCount }));
+      const dropped = claimed.filter(item => roundMoney(item.amount) <= 0).map(item => item._id);
+
+      if (dropped.length > 0) {
+        await LedgerEntry.updateMany(
+          { payoutBatch_id: batchId, organizer_id: { $in: dropped } },
+          { $set: { payoutBatch_id: null } }
+        );
+      }
+      if (items.length === 0) continue;
+
+      batches.push(await PayoutBatch.create({
+        _id: batchId,
+        reference: generatePayoutReference(currency, cutoff),
+        currency,
+        periodEnd: cutoff,
+        items,
+        totalAmount: roundMoney(items.reduce((sum, item) => sum + item.amount, 0)),
+        createdBy: user?._id
+      }));
+    } catch (error) {
+      await LedgerEntry.updateMany({ payoutBatch_id: batchId }, { $set: { payoutBatch_id: null } });
+      throw error;
+    }
+  }
+
+  return batches;
+};
+
+/**
+ * Aprueba un lote pendiente de revisión y fija en cada operación la cuenta de
+ * destino del organizador: los cambios posteriores en su perfil no afectan al lote
+ * @param {string} batchId
+ * @param {Object} user - Administrador
+ * @returns {Promise<Object|null>} - Lote aprobado, o null si no existe o no estaba pendiente
+ * @throws {ApiError} 409 si algún organizador de un lote en EUR no tiene datos bancarios válidos
+ */
+export const approvePayoutBatch = async (batchId, user) => {
+  const batch = await PayoutBatch.findOne({ _id: batchId, status: 'pending_approval' });
+  if (!batch) return null;
+
+  const organizers = await User.find({ _id: { $in: batch.items.map(item => item.organizer_id) } })
+    .select('username fullname email companyName bankAccount');
+  const organizersMap = new Map(organizers.map(organizer => [organizer._id.toString(), organizer]));
+
+  const accounts = {};
+  const errors = [];
+  batch.items.forEach((item, index) => {
+    const organizer = organizersMap.get(item.organizer_id.toString());
+    const { account, error } = organizer
+      ? getPayeeAccount(organizer)
+      : { account: null, error: `${item.organizer_id}: organizer not found` };
+    if (account) {
+      accounts[`items.${index}.bankAccount`] = account;
+    } else {
+      errors.push(error);
+    }
+  });
+
+  // Las liquidaciones en EUR se pagan por remesa SEPA y necesitan todas las cuentas
+  if (batch.currency === 'EUR' && errors.length > 0) {
+    throw new ApiError(409, 'Some organizers in the batch have no valid bank account', errors);
+  }
+
+  return PayoutBatch.findOneAndUpdate(
+    { _id: batchId, status: 'pending_approval' },
+    { $set: { status: 'approved', approvedBy: user._id, approvedAt: new Date(), ...accounts } },
+    { new: true }
+  );
+};
+
+/**
+ * Marca un lote aprobado como pagado y contabiliza el pago a cada organizador
+ * @param {string} batchId
+ * @param {Object} user - Administrador
+ * @param {Object} [details]
+ * @param {string} [details.paymentReference] - Referencia de la remesa bancaria
+ * @param {string} [details.notes]
+ * @returns {Promise<Object|null>} - Lote pagado, o null si no existe o no estaba aprobado
+ */
+export const markPayoutBatchPaid = async (batchId, user, { paymentReference, notes } = {}) => {
+  const batch = await PayoutBatch.findOneAndUpdate(
+    { _id: batchId, status: 'approved' },
+    {
+      $set: {
+        status: 'paid',
+        paidBy: user._id,
+        paidAt: new Date(),
+        ...(paymentReference ? { paymentReference } : {}),
+        ...(notes ? { notes } : {})
+      }
+    },
+    { new: true }
+  );
+  if (!batch) return null;
+
+  for (const item of batch.items) {
+    await postEntry({
+      type: 'payout',
+      sourceKey: `payout:${batch._id}:${item.organizer_id}`,
+      organizerId: item.organizer_id,
+      currency: batch.currency,
+      amount: -item.amount,
+      availableAt: batch.paidAt,
+      description: `Liquidación ${batch.reference}${paymentReference ? ` (${paymentReference})` : ''}`,
+      payoutBatchId: batch._id
+    });
+  }
+
+  return batch;
+};
+
+/**
+ * Descarta un lote no pagado; sus asientos vuelven a quedar pendientes de liquidar
+ * @param {string} batchId
+ * @param {Object} user - Administrador
+ * @param {Object} [details]
+ * @param {string} [details.notes]
+ * @returns {Promise<Object|null>} - Lote cancelado, o null si no existe o ya estaba pagado o cancelado
+ */
+export const cancelPayoutBatch = async (batchId, user, { notes } = {}) => {
+  const batch = await PayoutBatch.findOneAndUpdate(
+    { _id: batchId, status: { $in: OPEN_PAYOUT_STATUSES } },
+    { $set: { status: 'cancelled', cancelledBy: user._id, cancelledAt: new Date(), ...(notes ? { notes } : {}) } },
+    { new: true }
+  );
+  if (!batch) return null;
+
+  await LedgerEntry.updateMany({ payoutBatch_id: batch._id }, { $set: { payoutBatch_id: null } });
+  return batch;
+};
+
+/**
+ * Saldo de un organizador por moneda
+ * balance = available + onHold + inPayout (lo pagado ya está descontado del saldo)
+ * @param {string} organizerId
+ * @returns {Promise<Object[]>} - [{currency, balance, available, onHold, inPayout, paidOut, nextReleaseAt, totals}]
+ */
+export const getOrganizerBalances = async (organizerId) => {
+  const organizerObjectId = new mongoose.Types.ObjectId(organizerId);
+  const openBatchIds = (await PayoutBatch.find({
+    'items.organizer_id': organizerObjectId,
+    status: { $in: OPEN_PAYOUT_STATUSES }
+  }).select('_id')).map(batch => batch._id);
+  const now = new Date();
+  const unbatched = { $eq: [{ $ifNull: ['$payoutBatch_id', null] }, null] };
+
+  const [balances, totals] = await Promise.all([
+    LedgerEntry.aggregate([
+      { $match: { organizer_id: organizerObjectId } },
+      {
+        $group: {
+          _id: '$currency',
+          balance: { $sum: '$amount' },
+          available: { $sum: { $cond: [{ $and: [unbatched, { $lte: ['$availableAt', now] }] }, '$amount', 0] } },
+          onHold: { $sum: { $cond: [{ $and: [unbatched, { $gt: ['$availableAt', now] }] }, '$amount', 0] } },
+          inPayout: { $sum: { $cond: [{ $in: ['$payoutBatch_id', openBatchIds] }, '$amount', 0] } },
+          nextReleaseAt: { $min: { $cond: [{ $and: [unbatched, { $gt: ['$availableAt', now] }] }, '$availableAt', null] } }
+        }
+      }
+    ]),
+    LedgerEntry.aggregate([
+      { $match: { organizer_id: organizerObjectId } },
+      { $group: { _id: { currency: '$currency', type: '$type' }, amount: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  return balances.map(row => {
+    const byType = Object.fromEntries(totals
+      .filter(total => total._id.currency === row._id)
+      .map(total => [total._id.type, total.amount]));
+
+    return {
+      currency: row._id,
+      balance: roundMoney(row.balance),
+      available: roundMoney(row.available),
+      onHold: roundMoney(row.onHold),
+      inPayout: roundMoney(row.inPayout),
+      paidOut: roundMoney(-(byType.payout || 0)),
+      nextReleaseAt: row.nextReleaseAt,
+      totals: {
+        sales: roundMoney(byType.sale || 0),
+        fees: roundMoney(-((byType.fee || 0) + (byType.fee_refund || 0))),
+        refunds: roundMoney(-(byType.refund || 0)),
+        chargebacks: roundMoney(-((byType.chargeback || 0) + (byType.chargeback_reversal || 0)))
+      }
+    };
+  });
+};
+
+export default {
+  SETTLED_PAYMENT_STATUSES,
+  OPEN_PAYOUT_STATUSES,
+  getPayoutConfig,
+  getSettlementDate,
+  syncBookingLedger,
+  recordBookingLedger,
+  syncLedger,
+  generatePayoutBatches,
+  approvePayoutBatch,
+  markPayoutBatchPaid,
+  cancelPayoutBatch,
+  getOrganizerBalances
+};
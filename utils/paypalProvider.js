@@ -0,0 +1,288 @@
+import crypto from 'crypto';
+import { ApiError } from './ApiError.js';
+
+/**
+ * Adaptador de PayPal (API REST v2 de pedidos) para la capa de pasarelas de pago
+ *
+ * El comprador aprueba el pedido en PayPal y el cobro se captura al recibir el
+ * webhook CHECKOUT.ORDER.APPROVED (capture). PayPal no guarda metadatos como
+ * Stripe: los datos del pedido se guardan en PaymentCheckout.
+ * Con apiBase (PAYPAL_API_BASE) las llamadas se dirigen a otro servidor, p. ej. el
+ * servidor falso local de fakePaymentProviders.js (npm run fake:payments).
+ */
+
+export const PAYPAL_API_BASES = {
+  sandbox: 'https://api-m.sandbox.paypal.com',
+  live: 'https://api-m.paypal.com'
+};
+
+// Tiempo máximo de espera de cada llamada a la API
+const REQUEST_TIMEOUT = 15 * 1000;
+
+// Cabeceras con las que PayPal firma cada webhook
+const SIGNATURE_HEADERS = {
+  transmission_id: 'paypal-transmission-id',
+  transmission_time: 'paypal-transmission-time',
+  cert_url: 'paypal-cert-url',
+  auth_algo: 'paypal-auth-algo',
+  transmission_sig: 'paypal-transmission-sig'
+};
+
+/**
+ * Importe con dos decimales, como lo espera PayPal
+ * @param {number} amount
+ * @returns {string}
+ */
+const toValue = (amount) => (Math.round(Number(amount) * 100) / 100).toFixed(2);
+
+/**
+ * Estado normalizado de un pedido de PayPal
+ * @param {string} status - CREATED, SAVED, APPROVED, VOIDED, COMPLETED, PAYER_ACTION_REQUIRED
+ * @returns {string} - open, approved, paid o expired
+ */
+const toCheckoutStatus = (status) => {
+  if (status === 'COMPLETED') return 'paid';
+  if (status === 'APPROVED') return 'approved';
+  if (status === 'VOIDED') return 'expired';
+  return 'open';
+};
+
+/**
+ * Primera captura de un pedido
+ * @param {Object} order - Pedido de PayPal
+ * @returns {Object|null}
+ */
+const getOrderCapture = (order) => order?.purchase_units?.[0]?.payments?.captures?.[0] || null;
+
+/**
+ * Crea el adaptador de PayPal
+ * @param {Object} config
+ * @param {string} config.clientId
+ * @param {string} config.clientSecret
+ * @param {string} [config.webhookId] - ID del webhook registrado en PayPal (verificación de firma)
+ * @param {string} [config.mode] - sandbox o live
+ * @param {string} [config.apiBase] - URL alternativa de la API (servidor falso)
+ * @returns {Object} - Pasarela con createCheckout, verifyWebhook, refund, fetchStatus y capture
+ */
+export const createPaypalProvider = ({ clientId, clientSecret, webhookId, mode = 'sandbox', apiBase } = {}) => {
+  const baseUrl = (apiBase || PAYPAL_API_BASES[mode] || PAYPAL_API_BASES.sandbox).replace(/\/$/, '');
+  let accessToken = null;
+  let accessTokenExpiresAt = 0;
+
+  /**
+   * Llamada a la API; lanza un error con statusCode si PayPal responde con error
+   */
+  const callApi = async (method, path, { body, headers = {}, token } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        Authorization: token ? `Bearer ${token}` : undefined,
+        'Content-Type': 'application/json',
+        ...headers
+      },
+      body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+
+    const text = await response.text();
+    let data = {};
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch {
+      data = { message: text };
+    }
+
+    if (!response.ok) {
+      const error = new Error(`PayPal ${method} ${path}: ${response.status} ${data.name || ''} ${data.message || data.error_description || ''}`.trim());
+      error.statusCode = response.status;
+      error.name = 'PayPalError';
+      error.issue = data.details?.[0]?.issue || data.name || data.error;
+      throw error;
+    }
+    return data;
+  };
+
+  const getAccessToken = async () => {
+    if (accessToken && Date.now() < accessTokenExpiresAt) {
+      return accessToken;
+    }
+
+    const data = await callApi('POST', '/v1/oauth2/token', {
+      body: 'grant_type=client_credentials',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+
+    accessToken = data.access_token;
+    // Renovar un minuto antes de que caduque
+    accessTokenExpiresAt = Date.now() + Math.max((Number(data.expires_in) || 0) - 60, 0) * 1000;
+    return accessToken;
+  };
+
+  const request = async (method, path, options = {}) =>
+    callApi(method, path, { ...options, token: await getAccessToken() });
+
+  const fetchStatus = async (checkoutId) => {
+    const order = await request('GET', `/v2/checkout/orders/${encodeURIComponent(checkoutId)}`);
+    const capture = getOrderCapture(order);
+    const amount = order.purchase_units?.[0]?.amount;
+
+    return {
+      id: order.id,
+      status: toCheckoutStatus(order.status),
+      paymentId: capture?.id || null,
+      amount: amount?.value !== undefined ? Number(amount.value) : null,
+      currency: amount?.currency_code || null,
+      metadata: { reference: order.purchase_units?.[0]?.custom_id || null },
+      raw: order
+    };
+  };
+
+  return {
+    name: 'paypal',
+    simulated: false,
+    supportsMetadata: false,
+
+    createCheckout: async ({
+      reference,
+      currency,
+      lineItems,
+      customerEmail,
+      successUrl,
+      cancelUrl,
+      description
+    }) => {
+      const currencyCode = String(currency).toUpperCase();
+      // El total se calcula en céntimos para que coincida con la suma de las líneas
+      const itemTotal = lineItems.reduce((sum, item) => sum + Math.round(Number(item.unitAmount) * 100) * item.quantity, 0) / 100;
+
+      const order = await request('POST', '/v2/checkout/orders', {
+        headers: reference ? { 'PayPal-Request-Id': reference } : {},
+        body: {
+          intent: 'CAPTURE',
+          purchase_units: [{
+            reference_id: reference,
+            custom_id: reference,
+            ...(description ? { description: description.slice(0, 127) } : {}),
+            amount: {
+              currency_code: currencyCode,
+              value: toValue(itemTotal),
+              breakdown: { item_total: { currency_code: currencyCode, value: toValue(itemTotal) } }
+            },
+            items: lineItems.map(item => ({
+              name: String(item.name).slice(0, 127),
+              ...(item.description ? { description: String(item.description).slice(0, 127) } : {}),
+              quantity: String(item.quantity),
+              unit_amount: { currency_code: currencyCode, value: toValue(item.unitAmount) },
+              category: 'DIGITAL_GOODS'
+            }))
+          }],
+          payment_source: {
+            paypal: {
+              ...(customerEmail ? { email_address: customerEmail } : {}),
+              experience_context: {
+                return_url: successUrl,
+                cancel_url: cancelUrl,
+                user_action: 'PAY_NOW',
+                shipping_preference: 'NO_SHIPPING'
+              }
+            }
+          }
+        }
+      });
+
+      const approveLink = order.links?.find(link => link.rel === 'payer-action' || link.rel === 'approve');
+
+      return {
+        provider: 'paypal',
+        id: order.id,
+        url: approveLink?.href || null,
+        clientSecret: null,
+        raw: order
+      };
+    },
+
+    verifyWebhook: async (rawBody, headers = {}) => {
+      if (Object.values(SIGNATURE_HEADERS).some(header => !headers[header])) {
+        throw new ApiError(400, 'Firma de PayPal faltante');
+      }
+      if (!webhookId) {
+        throw new ApiError(503, 'Webhook de PayPal no configurado');
+      }
+
+      let event;
+      try {
+        event = Buffer.isBuffer(rawBody) || typeof rawBody === 'string'
+          ? JSON.parse(rawBody.toString('utf8'))
+          : rawBody;
+      } catch (error) {
+        throw new ApiError(400, `Error de webhook: ${error.message}`);
+      }
+
+      const verification = await request('POST', '/v1/notifications/verify-webhook-signature', {
+        body: {
+          ...Object.fromEntries(Object.entries(SIGNATURE_HEADERS).map(([field, header]) => [field, headers[header]])),
+          webhook_id: webhookId,
+          webhook_event: event
+        }
+      });
+
+      if (verification.verification_status !== 'SUCCESS') {
+        throw new ApiError(400, 'Firma del webhook de PayPal no válida');
+      }
+
+      // type, como en los eventos de Stripe, para el registro de webhooks
+      return { ...event, type: event.event_type };
+    },
+
+    refund: async ({ paymentId, amount, currency, metadata = {} }) => {
+      const refund = await request('POST', `/v2/payments/captures/${encodeURIComponent(paymentId)}/refund`, {
+        headers: { 'PayPal-Request-Id': crypto.randomUUID() },
+        body: {
+          ...(amount !== undefined ? { amount: { value: toValue(amount), currency_code: String(currency).toUpperCase() } } : {}),
+          ...(metadata.bookingId ? { invoice_id: String(metadata.bookingId).slice(0, 127) } : {})
+        }
+      });
+
+      return {
+        id: refund.id,
+        status: String(refund.status || '').toLowerCase(),
+        amount: refund.amount?.value !== undefined ? Number(refund.amount.value) : amount,
+        raw: refund
+      };
+    },
+
+    fetchStatus,
+
+    /**
+     * Captura el cobro de un pedido aprobado por el comprador
+     * Repetir la captura no cobra dos veces: devuelve el estado del pedido ya capturado.
+     * @param {string} checkoutId - ID del pedido
+     * @returns {Promise<{id: string, status: string, paymentId: string|null, raw: Object}>}
+     */
+    capture: async (checkoutId) => {
+      try {
+        const order = await request('POST', `/v2/checkout/orders/${encodeURIComponent(checkoutId)}/capture`, {
+          headers: { 'PayPal-Request-Id': `capture-${checkoutId}` },
+          body: {}
+        });
+        const capture = getOrderCapture(order);
+        return {
+          id: order.id,
+          status: capture?.status === 'COMPLETED' ? 'paid' : toCheckoutStatus(order.status),
+          paymentId: capture?.id || null,
+          raw: order
+        };
+      } catch (error) {
+        if (error.issue === 'ORDER_ALREADY_CAPTURED') {
+          return fetchStatus(checkoutId);
+        }
+        throw error;
+      }
+    }
+  };
+};
+
+export default { createPaypalProvider };
@@ -0,0 +1,267 @@
+import { ApiError } from './ApiError.js';
+import { getCachedSettings } from './settingsCache.js';
+import { getEventSeats } from './seatTypes.js';
+import { getCommissionQuote, roundMoney } from './commissionService.js';
+import { getHeldTickets, getPriceSegments, resolveTicketSelection } from './ticketTypes.js';
+import { findValidPromoCode, calculatePromoDiscount, toBookingPromoCode } from './promoCodes.js';
+
+/**
+ * Cálculo del precio de un pedido en el servidor
+ *
+ * El precio de cada entrada sale de su tipo de entrada y del tramo vigente
+ * (utils/ticketTypes.js). Al importe de las entradas se resta el descuento del
+ * código promocional, si lo hay, y se suman la comisión que paga el comprador y,
+ * si los precios no los incluyen, los impuestos.
+ * El checkout nunca cobra el importe enviado por el cliente: lo compara con
+ * este cálculo y rechaza el pedido si no coincide.
+ */
+
+// Diferencia máxima admitida entre el importe enviado y el calculado (redondeos)
+export const PRICE_TOLERANCE = 0.01;
+
+/**
+ * Configuración de impuestos vigente
+ * @param {Object} settings - SystemSettings
+ * @returns {{name: string, rate: number, included: boolean}}
+ */
+export const getTaxConfig = (settings) => ({
+  name: settings?.payment?.taxName || 'IVA',
+  rate: Number(settings?.payment?.taxRate) || 0,
+  included: settings?.payment?.taxIncluded !== false
+});
+
+/**
+ * Calcula el precio desglosado de un pedido
+ *
+ * Cada línea del presupuesto corresponde a un tipo de entrada y a un tramo de
+ * precio: si el pedido agota un tramo (early bird), las entradas restantes se
+ * cobran al tramo siguiente.
+ *
+ * @param {Object} event - Documento del evento
+ * @param {Object} order
+ * @param {Array<{ticketTypeId: string, quantity?: number, seatNumbers?: string[]}>} [order.tickets] - Entradas por tipo
+ * @param {string[]} [order.seatNumbers] - Asientos seleccionados
+ * @param {number} [order.quantity] - Número de entradas si el evento no tiene asientos numerados
+ * @param {string} [order.accessCode] - Código de acceso de las preventas
+ * @param {string} [order.holdSessionId] - Sesión cuyo bloqueo ya reserva parte del cupo
+ * @param {string} [order.promoCode] - Código promocional
+ * @param {string} [order.userId] - Comprador, para el límite de usos por persona del código
+ * @returns {Promise<Object>} - Presupuesto: items, itemsTotal, discount, subtotal, fees, tax, total, organizerNet
+ * @throws {ApiError} 400 si los asientos no existen o las entradas no están a la venta
+ */
+export const quoteOrder = async (event, {
+  seatNumbers = [],
+  quantity,
+  tickets,
+  accessCode,
+  holdSessionId,
+  promoCode,
+  userId
+} = {}) => {
+  const seats = [...new Set((seatNumbers || []).map(seat => String(seat).trim()).filter(Boolean))];
+  const layout = getEventSeats(event);
+  const requestedSeats = [
+    ...seats,
+    ...(Array.isArray(tickets) ? tickets.flatMap(item => item?.seatNumbers || []).map(seat => String(seat).trim()) : [])
+  ];
+
+  if (requestedSeats.length > 0 && layout.length > 0) {
+    const layoutSeats = new Set(layout);
+    const invalidSeats = [...new Set(requestedSeats.filter(seat => !layoutSeats.has(seat)))];
+    if (invalidSeats.length > 0) {
+      throw new ApiError(400, `Asientos inválidos: ${invalidSeats.join(', ')}`, { invalidSeats });
+    }
+  }
+
+  const ownHeld = await getHeldTickets(event._id, holdSessionId);
+  const selection = await resolveTicketSelection(event, { tickets, seatNumbers: seats, quantity, accessCode, ownHeld });
+  const isFreeEvent = event.ticket === 'Free';
+
+  const items = [];
+  selection.forEach(({ type, key, quantity: lineQuantity, seats: lineSeats }) => {
+    // Las entradas que la propia sesión ya bloquea no adelantan el tramo
+    const position = (type.sold || 0) + (type.held || 0) - (ownHeld.get(key) || 0);
+    let seatCursor = 0;
+
+    getPriceSegments(type, lineQuantity, { position }).forEach(segment => {
+      const unitPrice = isFreeEvent ? 0 : segment.unitPrice;
+      items.push({
+        ticketType_id: type._id || null,
+        ticketTypeName: type.name,
+        tier: segment.tier,
+        seatType: type.seatType || null,
+        unitPrice,
+        quantity: segment.quantity,
+        seats: lineSeats.slice(seatCursor, seatCursor + segment.quantity),
+        amount: roundMoney(unitPrice * segment.quantity)
+      });
+      seatCursor += segment.quantity;
+    });
+  });
+
+  const ticketCount = items.reduce((sum, item) => sum + item.quantity, 0);
+  const allSeats = items.flatMap(item => item.seats);
+
+  const itemsTotal = roundMoney(items.reduce((sum, item) => sum + item.amount, 0));
+
+  let discount = null;
+  if (promoCode) {
+    const promo = await findValidPromoCode(event, promoCode, { userId });
+    const { eligibleQuantity, eligibleAmount, amount } = calculatePromoDiscount(promo, items);
+    if (eligibleQuantity === 0) {
+      throw new ApiError(400, 'El código promocional no se aplica a las entradas seleccionadas');
+    }
+    discount = {
+      promoCode_id: promo._id,
+      code: promo.code,
+      type: promo.discountType,
+      value: promo.discountValue,
+      eligibleAmount,
+      amount
+    };
+  }
+
+  // El descuento reduce el precio de las entradas: comisión e impuestos se calculan sobre el resto
+  const subtotal = roundMoney(itemsTotal - (discount?.amount || 0));
+
+  const settings = await getCachedSettings();
+  const taxConfig = getTaxConfig(settings);
+  const taxAmount = taxConfig.included
+    ? roundMoney(subtotal - subtotal / (1 + taxConfig.rate / 100))
+    : roundMoney(subtotal * taxConfig.rate / 100);
+  const taxAdded = taxConfig.included ? 0 : taxAmount;
+
+  const commission = await getCommissionQuote(event, subtotal, ticketCount);
+  const buyerFee = commission.payer === 'buyer' ? commission.commission : 0;
+
+  return {
+    eventId: event._id,
+    currency: event.currency || settings?.payment?.currency || 'EUR',
+    isFree: subtotal === 0,
+    items,
+    seatNumbers: allSeats,
+    quantity: ticketCount,
+    itemsTotal,
+    discount,
+    subtotal,
+    fees: {
+      amount: buyerFee,
+      commission: commission.commission,
+      payer: commission.payer,
+      type: commission.type,
+      rate: commission.rate,
+      fixed: commission.fixed,
+      source: commission.source
+    },
+    tax: {
+      name: taxConfig.name,
+      rate: taxConfig.rate,
+      included: taxConfig.included,
+      amount: taxAmount
+    },
+    total: roundMoney(subtotal + buyerFee + taxAdded),
+    // Los impuestos cobrados aparte se liquidan con el organizador
+    organizerNet: roundMoney(commission.organizerNet + taxAdded)
+  };
+};
+
+/**
+ * Comprueba que los importes enviados por el cliente coinciden con el presupuesto
+ * @param {Object} quote - Resultado de quoteOrder
+ * @param {Object} submitted
+ * @param {number} [submitted.totalPrice] - Precio de las entradas enviado
+ * @param {number} [submitted.amountCharged] - Importe total a cobrar enviado
+ * @throws {ApiError} 409 con el presupuesto vigente si alguno no coincide
+ */
+export const assertQuotedTotals = (quote, { totalPrice, amountCharged } = {}) => {
+  const mismatches = [];
+  const compare = (field, submitted, expected) => {
+    if (submitted === undefined || submitted === null || submitted === '') return;
+    const value = Number(submitted);
+    if (!Number.isFinite(value) || Math.abs(value - expected) > PRICE_TOLERANCE) {
+      mismatches.push({ field, submitted, expected });
+    }
+  };
+
+  compare('totalPrice', totalPrice, quote.subtotal);
+  compare('amountCharged', amountCharged, quote.total);
+
+  if (mismatches.length > 0) {
+    throw new ApiError(409, 'El importe del pedido no coincide con el precio actual', { mismatches, quote });
+  }
+};
+
+/**
+ * Campos de la reserva que guardan el precio calculado
+ * @param {Object} quote - Resultado de quoteOrder
+ * @returns {{totalPrice: number, commission: Object, amountCharged: number, organizerNet: number, pricing: Object, promoCode?: Object}}
+ */
+export const toBookingPricing = (quote) => ({
+  totalPrice: quote.subtotal,
+  commission: {
+    amount: quote.fees.commission,
+    type: quote.fees.type,
+    rate: quote.fees.rate,
+    fixed: quote.fees.fixed,
+    payer: quote.fees.payer,
+    source: quote.fees.source
+  },
+  amountCharged: quote.total,
+  organizerNet: quote.organizerNet,
+  pricing: {
+    items: quote.items.map(({ seats, ...item }) => item),
+    subtotal: quote.subtotal,
+    discount: quote.discount?.amount || 0,
+    fees: quote.fees.amount,
+    tax: quote.tax,
+    total: quote.total
+  },
+  ...toBookingPromoCode(quote.discount)
+});
+
+// Stripe limita cada valor de metadata a 500 caracteres: el desglose se guarda
+// como un resumen y una clave por línea
+const PRICING_ITEM_METADATA_PREFIX = 'pricing_item_';
+
+/**
+ * Metadatos de Stripe con el desglose de la reserva
+ * @param {Object} pricing - Campo pricing de toBookingPricing
+ * @returns {Object<string, string>}
+ */
+export const toPricingMetadata = ({ items = [], ...summary }) => {
+  const metadata = { pricing: JSON.stringify(summary) };
+  items.forEach((item, index) => {
+    metadata[`${PRICING_ITEM_METADATA_PREFIX}${index}`] = JSON.stringify(item);
+  });
+  return metadata;
+};
+
+/**
+ * Recupera el desglose guardado con toPricingMetadata
+ * Las sesiones antiguas guardaban las líneas dentro de la clave pricing.
+ * @param {Object} metadata - Metadatos de la sesión de Stripe
+ * @returns {Object|null}
+ */
+export const fromPricingMetadata = (metadata = {}) => {
+  if (!metadata.pricing) {
+    return null;
+  }
+
+  const pricing = JSON.parse(metadata.pricing);
+  if (!pricing.items) {
+    pricing.items = Object.keys(metadata)
+      .filter(key => key.startsWith(PRICING_ITEM_METADATA_PREFIX))
+      .sort((a, b) => parseInt(a.slice(PRICING_ITEM_METADATA_PREFIX.length), 10) - parseInt(b.slice(PRICING_ITEM_METADATA_PREFIX.length), 10))
+      .map(key => JSON.parse(metadata[key]));
+  }
+  return pricing;
+};
+
+export default {
+  getTaxConfig,
+  quoteOrder,
+  assertQuotedTotals,
+  toBookingPricing,
+  toPricingMetadata,
+  fromPricingMetadata
+};
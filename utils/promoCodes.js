@@ -0,0 +1,349 @@
+import PromoCode, { PROMO_DISCOUNT_TYPES } from '../models/PromoCode.js';
+import PromoRedemption from '../models/PromoRedemption.js';
+import { ApiError } from './ApiError.js';
+import { roundMoney } from './commissionService.js';
+
+/**
+ * Códigos promocionales
+ *
+ * El presupuesto (quoteOrder) valida el código y calcula el descuento; el
+ * checkout registra el uso con reservePromoCode antes de cobrar. Los límites de
+ * uso se controlan con PromoCode.usedCount, que solo se incrementa con una
+ * actualización condicional, de modo que dos compradores no pueden superar el
+ * límite a la vez. Los usos de pagos que no llegan a completarse se liberan.
+ */
+
+/**
+ * Normaliza un código tal como lo escribe el comprador
+ * @param {string} code
+ * @returns {string}
+ */
+export const normalizePromoCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Usos de un código por un comprador (pagos en curso y reservas creadas)
+ * @param {string} promoCodeId
+ * @param {string} userId
+ * @returns {Promise<number>}
+ */
+const countUserRedemptions = (promoCodeId, userId) => PromoRedemption.countDocuments({
+  promoCode_id: promoCodeId,
+  user_id: userId,
+  status: { $in: ['pending', 'redeemed'] }
+});
+
+/**
+ * Busca y valida el código promocional de un pedido
+ * @param {Object} event - Documento del evento
+ * @param {string} code - Código enviado por el comprador
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Comprador autenticado, para el límite de usos por persona
+ * @returns {Promise<Object>} - Documento PromoCode
+ * @throws {ApiError} 400 si el código no existe o no está vigente, 401 si tiene límite
+ *   por persona y no hay comprador, 409 si está agotado
+ */
+export const findValidPromoCode = async (event, code, { userId = null } = {}) => {
+  const promo = await PromoCode.findOne({ event_id: event._id, code: normalizePromoCode(code) });
+  const now = new Date();
+
+  if (!promo || !promo.active) {
+    throw new ApiError(400, 'Código promocional no válido');
+  }
+  if (promo.validFrom && now < promo.validFrom) {
+    throw new ApiError(400, 'El código promocional aún no está activo');
+  }
+  if (promo.validUntil && now > promo.validUntil) {
+    throw new ApiError(400, 'El código promocional ha caducado');
+  }
+  if (promo.maxUses && promo.usedCount >= promo.maxUses) {
+    throw new ApiError(409, 'El código promocional ha alcanzado su límite de usos');
+  }
+  if (promo.maxUsesPerUser && !userId) {
+    throw new ApiError(401, 'Inicia sesión para usar este código promocional');
+  }
+  if (promo.maxUsesPerUser && await countUserRedemptions(promo._id, userId) >= promo.maxUsesPerUser) {
+    throw new ApiError(409, 'Ya has usado este código promocional el máximo de veces permitido');
+  }
+
+  return promo;
+};
+
+/**
+ * Calcula el descuento de un código sobre las líneas de un presupuesto
+ * Si el código está limitado a tipos de entrada, solo descuenta esas líneas.
+ * @param {Object} promo - Documento PromoCode
+ * @param {Object[]} items - Líneas del presupuesto (ticketType_id, quantity, amount)
+ * @returns {{eligibleQuantity: number, eligibleAmount: number, amount: number}}
+ */
+export const calculatePromoDiscount = (promo, items) => {
+  const scope = new Set((promo.ticketTypes || []).map(id => id.toString()));
+  const eligibleItems = items
+    .filter(item => scope.size === 0 || (item.ticketType_id && scope.has(item.ticketType_id.toString())));
+  const eligibleQuantity = eligibleItems.reduce((sum, item) => sum + item.quantity, 0);
+  const eligibleAmount = roundMoney(eligibleItems.reduce((sum, item) => sum + item.amount, 0));
+
+  const amount = promo.discountType === 'percentage'
+    ? roundMoney(eligibleAmount * Math.min(promo.discountValue, 100) / 100)
+    : roundMoney(Math.min(promo.discountValue, eligibleAmount));
+
+  return { eligibleQuantity, eligibleAmount, amount };
+};
+
+/**
+ * Registra el uso de un código en un pedido
+ *
+ * Con bookingId el uso queda confirmado (reservas creadas al momento); sin él
+ * queda pendiente hasta expiresAt, mientras se completa el pago.
+ *
+ * @param {Object} discount - quote.discount del presupuesto
+ * @param {Object} options
+ * @param {string} options.eventId
+ * @param {string} [options.userId] - Comprador autenticado (req.user)
+ * @param {string} [options.bookingId] - Reserva ya creada
+ * @param {Date} [options.expiresAt] - Fin del pago en curso
+ * @returns {Promise<Object>} - Documento PromoRedemption
+ * @throws {ApiError} 409 si el código se ha agotado mientras tanto
+ */
+export const reservePromoCode = async (discount, { eventId, userId = null, bookingId = null, expiresAt = null }) => {
+  // El límite por persona solo se puede contar contra el usuario autenticado
+  if (!userId && await PromoCode.exists({ _id: discount.promoCode_id, maxUsesPerUser: { $gt: 0 } })) {
+    throw new ApiError(401, 'Inicia sesión para usar este código promocional');
+  }
+
+  const promo = await PromoCode.findOneAndUpdate(
+    {
+      _id: discount.promoCode_id,
+      active: true,
+      $or: [
+        { maxUses: null },
+        { $expr: { $lt: ['$usedCount', '$maxUses'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+
+  if (!promo) {
+    throw new ApiError(409, 'El código promocional ha alcanzado su límite de usos');
+  }
+
+  // El límite por comprador se comprueba tras registrar el uso para contar también los simultáneos
+  const redemption = await PromoRedemption.create({
+    promoCode_id: promo._id,
+    event_id: eventId,
+    user_id: userId,
+    booking_id: bookingId,
+    code: promo.code,
+    discountAmount: discount.amount,
+    status: bookingId ? 'redeemed' : 'pending',
+    expiresAt: bookingId ? null : expiresAt
+  });
+
+  if (promo.maxUsesPerUser && await countUserRedemptions(promo._id, userId) > promo.maxUsesPerUser) {
+    await releasePromoRedemption(redemption._id);
+    throw new ApiError(409, 'Ya has usado este código promocional el máximo de veces permitido');
+  }
+
+  return redemption;
+};
+
+/**
+ * Confirma el uso pendiente de un código al crearse la reserva
+ * Si el uso ya se había liberado (el pago llegó tarde) se vuelve a contar: el pago está cobrado.
+ * @param {string} redemptionId
+ * @param {string} bookingId
+ * @returns {Promise<Object|null>} - Documento PromoRedemption
+ */
+export const confirmPromoRedemption = async (redemptionId, bookingId) => {
+  if (!redemptionId) return null;
+
+  const redemption = await PromoRedemption.findOneAndUpdate(
+    { _id: redemptionId, $or: [{ status: 'pending' }, { status: 'released', booking_id: null }] },
+    { $set: { status: 'redeemed', booking_id: bookingId, expiresAt: null } },
+    { new: false }
+  );
+
+  if (redemption?.status === 'released') {
+    await PromoCode.updateOne({ _id: redemption.promoCode_id }, { $inc: { usedCount: 1 } });
+  }
+
+  return redemption || PromoRedemption.findById(redemptionId);
+};
+
+/**
+ * Libera un uso de un código (pago no completado o reserva cancelada)
+ * @param {string} redemptionId
+ * @param {Object} [options]
+ * @param {string[]} [options.statuses] - Estados desde los que se puede liberar
+ * @returns {Promise<boolean>} - true si el uso estaba activo
+ */
+export const releasePromoRedemption = async (redemptionId, { statuses = ['pending', 'redeemed'] } = {}) => {
+  if (!redemptionId) return false;
+
+  const redemption = await PromoRedemption.findOneAndUpdate(
+    { _id: redemptionId, status: { $in: statuses } },
+    { $set: { status: 'released' } }
+  );
+  if (!redemption) return false;
+
+  await PromoCode.updateOne(
+    { _id: redemption.promoCode_id, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+  return true;
+};
+
+/**
+ * Libera el uso del código de una reserva cancelada o reembolsada
+ * @param {Object} booking - Documento de la reserva
+ */
+export const releaseBookingPromoCode = async (booking) => {
+  if (!booking?.promoCode?.promoCode_id) return;
+
+  const redemption = await PromoRedemption.findOne({ booking_id: booking._id, status: 'redeemed' }).select('_id');
+  await releasePromoRedemption(redemption?._id);
+};
+
+/**
+ * Libera los usos pendientes cuyo pago ha expirado
+ * @returns {Promise<number>} - Usos liberados
+ */
+export const releaseExpiredPromoRedemptions = async () => {
+  const expired = await PromoRedemption.find({ status: 'pending', expiresAt: { $lte: new Date() } }).select('_id');
+
+  let released = 0;
+  for (const redemption of expired) {
+    if (await releasePromoRedemption(redemption._id, { statuses: ['pending'] })) released += 1;
+  }
+  return released;
+};
+
+/**
+ * Campos de la reserva que guardan el código aplicado
+ * @param {Object} discount - quote.discount del presupuesto
+ * @returns {Object}
+ */
+export const toBookingPromoCode = (discount) => (discount ? {
+  promoCode: {
+    promoCode_id: discount.promoCode_id,
+    code: discount.code,
+    discountType: discount.type,
+    discountValue: discount.value,
+    amount: discount.amount
+  }
+} : {});
+
+/**
+ * Datos de un código para el panel del organizador
+ * @param {Object} promo - Documento PromoCode
+ * @returns {Object}
+ */
+export const formatPromoCode = (promo) => ({
+  _id: promo._id,
+  eventId: promo.event_id,
+  code: promo.code,
+  description: promo.description || '',
+  discountType: promo.discountType,
+  discountValue: promo.discountValue,
+  ticketTypes: promo.ticketTypes || [],
+  maxUses: promo.maxUses ?? null,
+  maxUsesPerUser: promo.maxUsesPerUser ?? null,
+  usedCount: promo.usedCount || 0,
+  remainingUses: promo.maxUses ? Math.max(0, promo.maxUses - (promo.usedCount || 0)) : null,
+  validFrom: promo.validFrom || null,
+  validUntil: promo.validUntil || null,
+  active: promo.active,
+  createdAt: promo.createdAt
+});
+
+/**
+ * Valida y normaliza los datos de un código enviados por el organizador
+ * @param {Object} body - Datos recibidos
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Actualización: solo se validan los campos enviados
+ * @returns {Object}
+ * @throws {ApiError} 400 con la lista de errores
+ */
+export const normalizePromoCodeInput = (body = {}, { partial = false } = {}) => {
+  const errors = [];
+  const data = {};
+  const has = (field) => body[field] !== undefined;
+  const toLimit = (field) => {
+    if (body[field] === null || body[field] === '') return null;
+    const value = Number(body[field]);
+    if (!Number.isInteger(value) || value < 1) {
+      errors.push(`${field} debe ser un número entero positivo`);
+    }
+    return value;
+  };
+  const toDate = (field) => {
+    if (body[field] === null || body[field] === '') return null;
+    const date = new Date(body[field]);
+    if (Number.isNaN(date.getTime())) {
+      errors.push(`${field} no es una fecha válida`);
+    }
+    return date;
+  };
+
+  if (!partial || has('code')) {
+    const code = normalizePromoCode(body.code);
+    if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+      errors.push('El código debe tener entre 3 y 32 letras, números, guiones o guiones bajos');
+    }
+    data.code = code;
+  }
+  if (!partial || has('discountType')) {
+    if (!PROMO_DISCOUNT_TYPES.includes(body.discountType)) {
+      errors.push(`discountType debe ser uno de: ${PROMO_DISCOUNT_TYPES.join(', ')}`);
+    }
+    data.discountType = body.discountType;
+  }
+  if (!partial || has('discountValue')) {
+    const value = Number(body.discountValue);
+    if (!Number.isFinite(value) || value <= 0) {
+      errors.push('discountValue debe ser un número mayor que 0');
+    }
+    data.discountValue = roundMoney(value);
+  }
+  if (data.discountType === 'percentage' && data.discountValue > 100) {
+    errors.push('Un descuento porcentual no puede superar el 100%');
+  }
+
+  if (has('description')) data.description = body.description === null ? '' : String(body.description);
+  if (has('active')) data.active = Boolean(body.active);
+  if (has('maxUses')) data.maxUses = toLimit('maxUses');
+  if (has('maxUsesPerUser')) data.maxUsesPerUser = toLimit('maxUsesPerUser');
+  if (has('validFrom')) data.validFrom = toDate('validFrom');
+  if (has('validUntil')) data.validUntil = toDate('validUntil');
+  if (data.validFrom && data.validUntil && data.validFrom >= data.validUntil) {
+    errors.push('validUntil debe ser posterior a validFrom');
+  }
+
+  if (has('ticketTypes')) {
+    if (!Array.isArray(body.ticketTypes)) {
+      errors.push('ticketTypes debe ser una lista de tipos de entrada');
+    } else {
+      data.ticketTypes = [...new Set(body.ticketTypes.map(String))];
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ApiError(400, 'Datos del código promocional no válidos', errors);
+  }
+
+  return data;
+};
+
+export default {
+  normalizePromoCode,
+  findValidPromoCode,
+  calculatePromoDiscount,
+  reservePromoCode,
+  confirmPromoRedemption,
+  releasePromoRedemption,
+  releaseBookingPromoCode,
+  releaseExpiredPromoRedemptions,
+  toBookingPromoCode,
+  formatPromoCode,
+  normalizePromoCodeInput
+};
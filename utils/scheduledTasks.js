@@ -1,5 +1,10 @@
 import cron from 'node-cron';
 import { executeCleanupWithStats } from '../Controllers/tempBookingController.js';
+import { expireBankTransferBookings } from './bankTransfers.js';
+import { syncLedger, generatePayoutBatches } from './payoutLedger.js';
+import { expireStaffInvitations } from './eventStaff.js';
+import { logActivity } from './activityLogger.js';
+import { recordTaskRun } from './metrics.js';
 
 /**
  * Configuración de tareas programadas del sistema
@@ -22,9 +27,68 @@ export const initScheduledTasks = () => {
     async () => {
       console.log(`[${new Date().toISOString()}] Ejecutando limpieza programada de reservas temporales...`);
       try {
-        await executeCleanupWithStats();
+        return await executeCleanupWithStats();
       } catch (error) {
         console.error(`[${new Date().toISOString()}] Error en tarea programada de limpieza:`, error);
+        return { success: false, error: error.message };
+      }
+    }
+  );
+  
+  // Expiración de reservas por transferencia bancaria no pagadas en plazo
+  // Se ejecuta cada 15 minutos
+  scheduleTask(
+    'bankTransferExpiry',
+    '*/15 * * * *',
+    async () => {
+      try {
+        const result = await expireBankTransferBookings();
+        if (result.expiredCount > 0) {
+          console.log(`[${new Date().toISOString()}] ${result.expiredCount} reservas por transferencia expiradas`);
+        }
+        return result;
+      } catch (error) {
+        console.error(`[${new Date().toISOString()}] Error al expirar reservas por transferencia:`, error);
+        return { success: false, error: error.message };
+      }
+    }
+  );
+  
+  // Expiración de invitaciones de personal de puerta no aceptadas en plazo
+  // Se ejecuta cada hora
+  scheduleTask(
+    'staffInvitationExpiry',
+    '0 * * * *',
+    async () => {
+      try {
+        return await expireStaffInvitations();
+      } catch (error) {
+        console.error(`[${new Date().toISOString()}] Error al expirar invitaciones de personal:`, error);
+        return { success: false, error: error.message };
+      }
+    }
+  );
+  
+  // Liquidaciones a organizadores: actualiza el libro y genera los lotes de la semana
+  // Se ejecuta los lunes a las 4:00 AM; los lotes quedan pendientes de aprobación
+  scheduleTask(
+    'payoutBatches',
+    '0 4 * * 1',
+    async () => {
+      try {
+        const ledgerSync = await syncLedger();
+        const batches = await generatePayoutBatches();
+        if (batches.length > 0) {
+          console.log(`[${new Date().toISOString()}] ${batches.length} lotes de liquidación generados`);
+        }
+        return {
+          success: ledgerSync.success,
+          ledgerSync,
+          batches: batches.map(batch => ({ reference: batch.reference, currency: batch.currency, totalAmount: batch.totalAmount }))
+        };
+      } catch (error) {
+        console.error(`[${new Date().toISOString()}] Error al generar las liquidaciones:`, error);
+        return { success: false, error: error.message };
       }
     }
   );
@@ -39,6 +103,44 @@ export const initScheduledTasks = () => {
   console.log('[Scheduler] Tareas inicializadas:', JSON.stringify(taskList, null, 2));
 };
 
+/**
+ * Envuelve la función de una tarea para registrar cada ejecución en el log de actividad
+ * @param {string} taskName - Nombre identificativo de la tarea
+ * @param {Function} taskFunction - Función a ejecutar
+ * @returns {Function} Función que ejecuta la tarea y registra su resultado
+ */
+const withActivityLog = (taskName, taskFunction) => async () => {
+  const startTime = Date.now();
+  let result;
+  let error;
+  
+  try {
+    result = await taskFunction();
+  } catch (err) {
+    error = err;
+  }
+  
+  // Las tareas pueden indicar un fallo lanzando un error o devolviendo { success: false }
+  const success = !error && result?.success !== false;
+  const duration = Date.now() - startTime;
+  
+  recordTaskRun(taskName, success, duration, error?.message || result?.error);
+  
+  logActivity({
+    type: 'system',
+    action: success ? 'Tarea programada ejecutada' : 'Error en tarea programada',
+    details: success
+      ? `Tarea ${taskName} completada en ${duration}ms`
+      : `Tarea ${taskName} falló: ${error?.message || result?.error || 'error desconocido'}`,
+    targetType: 'task',
+    targetId: taskName,
+    metadata: { taskName, success, duration, result: result ?? null }
+  });
+  
+  if (error) throw error;
+  return result;
+};
+
 /**
  * Programa una nueva tarea
  * @param {string} taskName - Nombre identificativo de la tarea
@@ -64,7 +166,8 @@ export const scheduleTask = (taskName, cronExpression, taskFunction) => {
     }
     
     // Programar la nueva tarea
-    const job = cron.schedule(cronExpression, taskFunction, {
+    const run = withActivityLog(taskName, taskFunction);
+    const job = cron.schedule(cronExpression, run, {
       scheduled: true,
       timezone: 'Europe/Madrid' // Ajustar a la zona horaria de Melilla
     });
@@ -72,6 +175,7 @@ export const scheduleTask = (taskName, cronExpression, taskFunction) => {
     // Almacenar referencia a la tarea programada
     scheduledTasks.set(taskName, {
       job,
+      run,
       cronExpression,
       active: true,
       createdAt: new Date()
@@ -140,8 +244,8 @@ export const runTaskNow = async (taskName) => {
     console.log(`[Scheduler] Ejecutando manualmente tarea: ${taskName}`);
     
     // Ejecutar la función de la tarea
-    if (task.job && typeof task.job.func === 'function') {
-      await task.job.func();
+    if (typeof task.run === 'function') {
+      await task.run();
       return true;
     }
     
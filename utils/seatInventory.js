@@ -0,0 +1,611 @@
+import crypto from 'crypto';
+import SeatInventory from '../models/SeatInventory.js';
+import TempBooking from '../models/TempBooking.js';
+import Event from '../models/Event.js';
+import TicketType from '../models/TicketType.js';
+import { getEventSeats } from './seatTypes.js';
+import { publishSeatChange } from './seatStream.js';
+import {
+  adjustHeldTickets,
+  commitTicketSale,
+  releaseHeldTickets,
+  releaseSoldTickets,
+  toCapacityLines
+} from './ticketTypes.js';
+
+/**
+ * Inventario de asientos
+ *
+ * Todas las vías de reserva (reservas temporales, checkout de Stripe, reservas
+ * directas, eventos gratuitos, lista de espera) bloquean y venden asientos a
+ * través de este módulo. Cada cambio de estado es una actualización condicional
+ * sobre el documento del asiento, de modo que si dos compradores compiten por el
+ * mismo asiento solo uno la consigue. Las operaciones sobre varios asientos son
+ * de todo o nada: si uno falla, se deshacen los ya tomados en la misma llamada.
+ *
+ * Event.reservedSeats se mantiene como reflejo de los asientos vendidos para los
+ * clientes que lo siguen leyendo. Cada cambio se publica además en
+ * utils/seatStream.js para los planos de asientos abiertos.
+ *
+ * El cupo de los tipos de entrada (utils/ticketTypes.js) se bloquea y vende junto
+ * con los asientos: primero las entradas y después los asientos, deshaciendo las
+ * entradas si los asientos fallan. La reserva temporal guarda qué entradas
+ * bloquea cada sesión para poder liberarlas.
+ *
+ * Los identificadores de sesión de bloqueo se generan siempre en el servidor
+ * (createHoldSessionId) y un bloqueo solo lo puede retomar el usuario que lo creó.
+ */
+
+const FREE_STATE = {
+  status: 'available',
+  holdSessionId: null,
+  holdExpiresAt: null,
+  user_id: null,
+  booking_id: null,
+  blockedReason: null,
+  blockedBy: null
+};
+
+// Prefijo de los bloqueos de reservas por transferencia, que no se retoman desde el checkout
+export const TRANSFER_HOLD_PREFIX = 'transfer';
+
+/**
+ * Genera un identificador de sesión de bloqueo no adivinable
+ * @param {string} prefix - Origen del bloqueo (hold, checkout, waitlist, transfer)
+ * @returns {string}
+ */
+export const createHoldSessionId = (prefix) => `${prefix}-${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Bloqueo vigente más reciente de un usuario en un evento (selección de asientos,
+ * checkout u oferta de lista de espera). Los bloqueos de transferencias no cuentan.
+ * @param {string} eventId - ID del evento
+ * @param {string} userId - Usuario autenticado
+ * @returns {Promise<Object|null>} - Reserva temporal del bloqueo
+ */
+export const findUserHold = async (eventId, userId) => {
+  if (!eventId || !userId) {
+    return null;
+  }
+  return TempBooking.findOne({
+    event_id: eventId,
+    user_id: userId,
+    sessionId: { $not: new RegExp(`^${TRANSFER_HOLD_PREFIX}-`) },
+    expiryTime: { $gt: new Date() }
+  }).sort({ updatedAt: -1 });
+};
+
+/**
+ * Normaliza la lista de asientos: sin duplicados y ordenada, para que dos
+ * peticiones concurrentes intenten tomar los asientos en el mismo orden
+ * @param {string[]} seatNumbers
+ * @returns {string[]}
+ */
+const normalizeSeats = (seatNumbers) => [
+  ...new Set((seatNumbers || []).map(seat => String(seat).trim()).filter(Boolean))
+].sort();
+
+/**
+ * Condiciones bajo las que un asiento puede bloquearse o venderse
+ * @param {Date} now
+ * @param {Object} owner
+ * @param {string} [owner.holdSessionId] - Sesión cuyo bloqueo se respeta (solo si es del mismo usuario)
+ * @param {string} [owner.userId] - Usuario cuyos bloqueos se respetan
+ * @param {string} [owner.bookingId] - Reserva que ya ocupa el asiento (operación repetida)
+ * @returns {Object[]}
+ */
+const acquirableConditions = (now, { holdSessionId, userId, bookingId } = {}) => {
+  const conditions = [
+    { status: 'available' },
+    { status: 'held', holdExpiresAt: { $lte: now } }
+  ];
+  if (holdSessionId) conditions.push({ status: 'held', holdSessionId, user_id: userId || null });
+  if (userId) conditions.push({ status: 'held', user_id: userId });
+  if (bookingId) conditions.push({ status: 'sold', booking_id: bookingId });
+  return conditions;
+};
+
+/**
+ * Estado previo de un asiento, para poder restaurarlo
+ * @param {Object} doc - Documento de inventario
+ * @returns {Object}
+ */
+const snapshot = (doc) => ({
+  status: doc.status,
+  holdSessionId: doc.holdSessionId ?? null,
+  holdExpiresAt: doc.holdExpiresAt ?? null,
+  user_id: doc.user_id ?? null,
+  booking_id: doc.booking_id ?? null,
+  blockedReason: doc.blockedReason ?? null,
+  blockedBy: doc.blockedBy ?? null,
+  statusChangedAt: doc.statusChangedAt
+});
+
+/**
+ * Crea los documentos de inventario que falten para los asientos indicados
+ *
+ * Los asientos que ya figuraban en Event.reservedSeats (ventas anteriores al
+ * inventario) se crean como vendidos.
+ *
+ * @param {Object} event - Documento del evento
+ * @param {string[]} seats - Asientos normalizados
+ * @returns {Promise<string[]>} - Asientos que no existen en el plano del evento
+ */
+const ensureSeatDocuments = async (event, seats) => {
+  const layout = getEventSeats(event);
+  if (layout.length > 0) {
+    const layoutSeats = new Set(layout);
+    const invalidSeats = seats.filter(seat => !layoutSeats.has(seat));
+    if (invalidSeats.length > 0) {
+      return invalidSeats;
+    }
+  }
+
+  const legacySold = new Set(event.reservedSeats || []);
+  const now = new Date();
+
+  try {
+    await SeatInventory.bulkWrite(seats.map(seat => ({
+      updateOne: {
+        filter: { event_id: event._id, seatNumber: seat },
+        update: {
+          $setOnInsert: {
+            ...FREE_STATE,
+            status: legacySold.has(seat) ? 'sold' : 'available',
+            statusChangedAt: now
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+  } catch (error) {
+    // Otra petición ha creado el mismo asiento a la vez: el documento ya existe
+    if (error.code !== 11000) throw error;
+  }
+
+  return [];
+};
+
+/**
+ * Describe por qué no se han podido tomar los asientos
+ * @param {string} eventId
+ * @param {string[]} seats - Asientos solicitados
+ * @param {string} failedSeat - Asiento en el que falló la operación
+ * @param {Object} owner - Mismo propietario usado en la operación
+ * @returns {Promise<Array<{seat: string, status: string}>>}
+ */
+const describeUnavailable = async (eventId, seats, failedSeat, { holdSessionId, userId, bookingId } = {}) => {
+  const now = new Date();
+  const docs = await SeatInventory.find({ event_id: eventId, seatNumber: { $in: seats } })
+    .select('seatNumber status holdSessionId holdExpiresAt user_id booking_id');
+
+  const isAcquirable = (doc) => {
+    if (doc.status === 'available') return true;
+    if (doc.status === 'held') {
+      return doc.holdExpiresAt <= now ||
+        (holdSessionId && doc.holdSessionId === holdSessionId && String(doc.user_id || '') === String(userId || '')) ||
+        (userId && doc.user_id?.toString() === userId.toString());
+    }
+    return doc.status === 'sold' && bookingId && doc.booking_id?.toString() === bookingId.toString();
+  };
+
+  const unavailable = docs
+    .filter(doc => !isAcquirable(doc))
+    .map(doc => ({ seat: doc.seatNumber, status: doc.status }));
+
+  // El asiento que falló pudo liberarse después; se informa igualmente
+  if (!unavailable.some(item => item.seat === failedSeat)) {
+    unavailable.push({ seat: failedSeat, status: docs.find(doc => doc.seatNumber === failedSeat)?.status || 'held' });
+  }
+
+  return unavailable;
+};
+
+/**
+ * Toma un conjunto de asientos de forma atómica asiento a asiento, con todo o nada
+ * @param {Object} event - Documento del evento
+ * @param {string[]} seats - Asientos normalizados
+ * @param {Object} options
+ * @param {Object[]} options.conditions - Estados desde los que se puede tomar el asiento
+ * @param {Object} options.state - Nuevo estado del asiento
+ * @param {Object} options.ownership - Filtro que identifica los asientos tomados en esta llamada
+ * @returns {Promise<{success: boolean, failedSeat?: string}>}
+ */
+const acquireSeats = async (event, seats, { conditions, state, ownership }) => {
+  const acquired = [];
+
+  for (const seat of seats) {
+    const previous = await SeatInventory.findOneAndUpdate(
+      { event_id: event._id, seatNumber: seat, $or: conditions },
+      { $set: { ...state, statusChangedAt: new Date() } },
+      { new: false }
+    );
+
+    if (!previous) {
+      // Deshacer: devolver a su estado anterior los asientos tomados en esta llamada
+      await Promise.all(acquired.map(doc => SeatInventory.updateOne(
+        { _id: doc._id, ...ownership },
+        { $set: snapshot(doc) }
+      )));
+      return { success: false, failedSeat: seat };
+    }
+
+    acquired.push(previous);
+  }
+
+  return { success: true };
+};
+
+/**
+ * Bloquea temporalmente asientos para una sesión
+ *
+ * Sustituye el bloqueo anterior de la misma sesión en el evento: los asientos
+ * y entradas que ya no están en la selección se liberan. La reserva temporal
+ * (TempBooking) de la sesión se crea o actualiza para reflejar el bloqueo.
+ * Las entradas sin numerar se bloquean solo con tickets, sin asientos.
+ *
+ * @param {Object} event - Documento del evento
+ * @param {string[]} seatNumbers - Asientos a bloquear
+ * @param {Object} options
+ * @param {string} options.holdSessionId - Sesión que mantiene el bloqueo
+ * @param {Date} options.expiresAt - Fin del bloqueo
+ * @param {string} [options.userId] - Usuario que bloquea
+ * @param {Array<{ticketType_id: string, quantity: number}>} [options.tickets] - Entradas por tipo a bloquear
+ * @returns {Promise<{success: boolean, seats: string[], expiresAt: Date, unavailable: Object[], invalidSeats: string[], soldOutTicketType: string|null}>}
+ */
+export const holdSeats = async (event, seatNumbers, { holdSessionId, expiresAt, userId = null, tickets = [] }) => {
+  const seats = normalizeSeats(seatNumbers);
+  const ticketLines = toCapacityLines(tickets);
+  const result = { success: false, seats, expiresAt, unavailable: [], invalidSeats: [], soldOutTicketType: null };
+
+  if (!holdSessionId) {
+    throw new Error('holdSessionId es obligatorio para bloquear asientos');
+  }
+  if (seats.length === 0 && ticketLines.length === 0) {
+    return result;
+  }
+
+  if (seats.length > 0) {
+    result.invalidSeats = await ensureSeatDocuments(event, seats);
+    if (result.invalidSeats.length > 0) {
+      return result;
+    }
+  }
+
+  // Cupo de los tipos de entrada: se pasa del bloqueo anterior de la sesión al nuevo
+  const previous = await TempBooking.findOne({ event_id: event._id, sessionId: holdSessionId }).select('tickets user_id');
+  if (previous && String(previous.user_id || '') !== String(userId || '')) {
+    throw new Error('La sesión de bloqueo pertenece a otro usuario');
+  }
+  const ticketHold = await adjustHeldTickets(previous?.tickets || [], ticketLines);
+  if (!ticketHold.success) {
+    result.soldOutTicketType = ticketHold.ticketTypeId;
+    return result;
+  }
+
+  if (seats.length > 0) {
+    const owner = { holdSessionId, userId };
+    const { success, failedSeat } = await acquireSeats(event, seats, {
+      conditions: acquirableConditions(new Date(), owner),
+      state: { ...FREE_STATE, status: 'held', holdSessionId, holdExpiresAt: expiresAt, user_id: userId },
+      ownership: { status: 'held', holdSessionId }
+    });
+
+    if (!success) {
+      await ticketHold.revert();
+      result.unavailable = await describeUnavailable(event._id, seats, failedSeat, owner);
+      return result;
+    }
+  }
+
+  // Liberar los asientos que la sesión tenía bloqueados y ya no forman parte de la selección
+  const droppedFilter = { event_id: event._id, status: 'held', holdSessionId, seatNumber: { $nin: seats } };
+  const droppedSeats = await SeatInventory.distinct('seatNumber', droppedFilter);
+  await SeatInventory.updateMany(droppedFilter, { $set: { ...FREE_STATE, statusChangedAt: new Date() } });
+
+  await TempBooking.findOneAndUpdate(
+    { event_id: event._id, sessionId: holdSessionId },
+    { $set: { seatNumbers: seats, tickets: ticketLines, expiryTime: expiresAt, user_id: userId } },
+    { upsert: true }
+  );
+
+  publishSeatChange(event._id, 'held', seats, { expiresAt });
+  publishSeatChange(event._id, 'released', droppedSeats);
+
+  result.success = true;
+  return result;
+};
+
+/**
+ * Vende asientos a una reserva
+ *
+ * Se pueden vender asientos libres, asientos cuyo bloqueo ha expirado o
+ * asientos bloqueados por la misma sesión o usuario. Repetir la venta para la
+ * misma reserva no falla. Si se indica la sesión del bloqueo, el resto de
+ * asientos que mantenía se liberan y su reserva temporal se elimina.
+ *
+ * Las entradas indicadas en tickets se descuentan del cupo de su tipo; las que
+ * la sesión tenía bloqueadas pasan a vendidas. Si los asientos ya estaban
+ * vendidos a la misma reserva (venta repetida) el cupo no se vuelve a descontar.
+ *
+ * @param {Object} event - Documento del evento
+ * @param {string[]} seatNumbers - Asientos a vender
+ * @param {Object} options
+ * @param {string} options.bookingId - Reserva que ocupa los asientos
+ * @param {string} [options.holdSessionId] - Sesión del bloqueo previo
+ * @param {string} [options.userId] - Comprador
+ * @param {Array<{ticketType_id: string, quantity: number}>} [options.tickets] - Entradas vendidas por tipo
+ * @returns {Promise<{success: boolean, seats: string[], unavailable: Object[], invalidSeats: string[], soldOutTicketType: string|null}>}
+ */
+export const sellSeats = async (event, seatNumbers, { bookingId, holdSessionId = null, userId = null, tickets = [] }) => {
+  const seats = normalizeSeats(seatNumbers);
+  const result = { success: false, seats, unavailable: [], invalidSeats: [], soldOutTicketType: null };
+
+  if (!bookingId) {
+    throw new Error('bookingId es obligatorio para vender asientos');
+  }
+
+  if (seats.length > 0) {
+    result.invalidSeats = await ensureSeatDocuments(event, seats);
+    if (result.invalidSeats.length > 0) {
+      return result;
+    }
+  }
+
+  // Venta repetida: el cupo de las entradas ya se descontó la primera vez
+  const alreadySold = seats.length > 0 &&
+    await SeatInventory.exists({ event_id: event._id, status: 'sold', booking_id: bookingId });
+  const ticketLines = alreadySold ? [] : toCapacityLines(tickets);
+
+  // Tomar las entradas bloqueadas por la sesión para que nadie más las libere mientras tanto
+  const heldTempBooking = holdSessionId && ticketLines.length > 0
+    ? await TempBooking.findOneAndUpdate(
+      { event_id: event._id, sessionId: holdSessionId },
+      { $set: { tickets: [] } },
+      { new: false }
+    )
+    : null;
+  const heldTickets = heldTempBooking?.tickets || [];
+  const restoreHeldTickets = () => heldTickets.length > 0 && TempBooking.updateOne(
+    { event_id: event._id, sessionId: holdSessionId },
+    { $set: { tickets: heldTickets } }
+  );
+
+  const ticketSale = await commitTicketSale(ticketLines, heldTickets);
+  if (!ticketSale.success) {
+    await restoreHeldTickets();
+    result.soldOutTicketType = ticketSale.ticketTypeId;
+    return result;
+  }
+
+  if (seats.length > 0) {
+    const owner = { holdSessionId, userId, bookingId };
+    const { success, failedSeat } = await acquireSeats(event, seats, {
+      conditions: acquirableConditions(new Date(), owner),
+      state: { ...FREE_STATE, status: 'sold', booking_id: bookingId, user_id: userId },
+      ownership: { status: 'sold', booking_id: bookingId }
+    });
+
+    if (!success) {
+      await ticketSale.revert();
+      await restoreHeldTickets();
+      result.unavailable = await describeUnavailable(event._id, seats, failedSeat, owner);
+      return result;
+    }
+
+    await Event.updateOne({ _id: event._id }, { $addToSet: { reservedSeats: { $each: seats } } });
+    publishSeatChange(event._id, 'sold', seats);
+  }
+
+  if (holdSessionId) {
+    await releaseHold(event._id, holdSessionId);
+  }
+
+  result.success = true;
+  return result;
+};
+
+/**
+ * Libera los asientos y entradas bloqueados por una sesión y elimina su reserva temporal
+ * Los asientos ya vendidos no se ven afectados.
+ * @param {string} eventId - ID del evento
+ * @param {string} holdSessionId - Sesión del bloqueo
+ * @returns {Promise<number>} - Número de asientos liberados
+ */
+export const releaseHold = async (eventId, holdSessionId) => {
+  if (!eventId || !holdSessionId) {
+    return 0;
+  }
+
+  const heldFilter = { event_id: eventId, status: 'held', holdSessionId };
+  const heldSeats = await SeatInventory.distinct('seatNumber', heldFilter);
+  const result = await SeatInventory.updateMany(heldFilter, { $set: { ...FREE_STATE, statusChangedAt: new Date() } });
+  const tempBooking = await TempBooking.findOneAndDelete({ event_id: eventId, sessionId: holdSessionId });
+  await releaseHeldTickets(tempBooking?.tickets);
+
+  publishSeatChange(eventId, 'released', heldSeats);
+
+  return result.modifiedCount;
+};
+
+/**
+ * Devuelve al inventario los asientos de una reserva (cancelación, reembolso)
+ * y sus entradas al cupo de cada tipo
+ * @param {Object} booking - Documento de la reserva
+ * @returns {Promise<number>} - Número de asientos liberados
+ */
+export const releaseBookingSeats = async (booking) => {
+  const eventId = booking.event_id?._id || booking.event_id;
+  const seats = normalizeSeats(booking.seatNumbers);
+  const now = new Date();
+
+  // Ventas anteriores al inventario: el asiento figura vendido sin reserva asociada
+  const soldFilter = {
+    event_id: eventId,
+    status: 'sold',
+    $or: [
+      { booking_id: booking._id },
+      ...(seats.length > 0 ? [{ booking_id: null, seatNumber: { $in: seats } }] : [])
+    ]
+  };
+  const soldSeats = await SeatInventory.distinct('seatNumber', soldFilter);
+  const released = await SeatInventory.updateMany(soldFilter, { $set: { ...FREE_STATE, statusChangedAt: now } });
+
+  if (seats.length > 0) {
+    await Event.updateOne({ _id: eventId }, { $pull: { reservedSeats: { $in: seats } } });
+  }
+  await releaseSoldTickets(booking);
+
+  publishSeatChange(eventId, 'released', soldSeats);
+
+  return released.modifiedCount;
+};
+
+/**
+ * Bloquea asientos para que no se puedan vender (reservas del organizador, visibilidad...)
+ * Solo se pueden bloquear asientos libres o con un bloqueo temporal expirado.
+ * @param {Object} event - Documento del evento
+ * @param {string[]} seatNumbers - Asientos a bloquear
+ * @param {Object} options
+ * @param {string} options.userId - Usuario que bloquea
+ * @param {string} [options.reason] - Motivo del bloqueo
+ * @returns {Promise<{success: boolean, seats: string[], unavailable: Object[], invalidSeats: string[]}>}
+ */
+export const blockSeats = async (event, seatNumbers, { userId, reason = null }) => {
+  const seats = normalizeSeats(seatNumbers);
+  const result = { success: false, seats, unavailable: [], invalidSeats: [] };
+
+  if (seats.length === 0) {
+    return result;
+  }
+
+  result.invalidSeats = await ensureSeatDocuments(event, seats);
+  if (result.invalidSeats.length > 0) {
+    return result;
+  }
+
+  const blockedAt = new Date();
+  const { success, failedSeat } = await acquireSeats(event, seats, {
+    conditions: acquirableConditions(blockedAt),
+    state: { ...FREE_STATE, status: 'blocked', blockedReason: reason, blockedBy: userId },
+    ownership: { status: 'blocked', blockedBy: userId, statusChangedAt: { $gte: blockedAt } }
+  });
+
+  if (!success) {
+    result.unavailable = await describeUnavailable(event._id, seats, failedSeat);
+    return result;
+  }
+
+  publishSeatChange(event._id, 'blocked', seats);
+
+  result.success = true;
+  return result;
+};
+
+/**
+ * Desbloquea asientos bloqueados manualmente
+ * @param {string} eventId - ID del evento
+ * @param {string[]} seatNumbers - Asientos a desbloquear
+ * @returns {Promise<number>} - Número de asientos desbloqueados
+ */
+export const unblockSeats = async (eventId, seatNumbers) => {
+  const blockedFilter = { event_id: eventId, status: 'blocked', seatNumber: { $in: normalizeSeats(seatNumbers) } };
+  const blockedSeats = await SeatInventory.distinct('seatNumber', blockedFilter);
+  const result = await SeatInventory.updateMany(blockedFilter, { $set: { ...FREE_STATE, statusChangedAt: new Date() } });
+
+  publishSeatChange(eventId, 'unblocked', blockedSeats);
+  return result.modifiedCount;
+};
+
+/**
+ * Libera todos los bloqueos temporales expirados y elimina sus reservas temporales
+ * @returns {Promise<{releasedCount: number, deletedTempBookings: number, eventIds: string[]}>}
+ */
+export const releaseExpiredHolds = async () => {
+  const now = new Date();
+  const expiredFilter = { status: 'held', holdExpiresAt: { $lte: now } };
+
+  const expiredSeats = await SeatInventory.find(expiredFilter).select('event_id seatNumber').lean();
+  const tempEventIds = await TempBooking.distinct('event_id', { expiryTime: { $lte: now } });
+
+  const released = await SeatInventory.updateMany(expiredFilter, {
+    $set: { ...FREE_STATE, statusChangedAt: now }
+  });
+
+  const expiredByEvent = new Map();
+  expiredSeats.forEach(({ event_id, seatNumber }) => {
+    const key = event_id.toString();
+    expiredByEvent.set(key, [...(expiredByEvent.get(key) || []), seatNumber]);
+  });
+  expiredByEvent.forEach((seats, eventId) => publishSeatChange(eventId, 'expired', seats));
+
+  // Una a una, para devolver al cupo las entradas de cada reserva temporal
+  let deletedTempBookings = 0;
+  let expired;
+  while ((expired = await TempBooking.findOneAndDelete({ expiryTime: { $lte: now } }))) {
+    await releaseHeldTickets(expired.tickets);
+    deletedTempBookings += 1;
+  }
+
+  const eventIds = new Set([...expiredByEvent.keys(), ...tempEventIds.map(id => id.toString())]);
+
+  return {
+    releasedCount: released.modifiedCount,
+    deletedTempBookings,
+    eventIds: [...eventIds]
+  };
+};
+
+/**
+ * Estado de todos los asientos de un evento
+ * Los bloqueos temporales expirados se cuentan como libres.
+ * @param {Object} event - Documento del evento
+ * @returns {Promise<{available: string[], held: string[], sold: string[], blocked: string[]}>}
+ */
+export const getSeatAvailability = async (event) => {
+  const now = new Date();
+  const docs = await SeatInventory.find({ event_id: event._id }).select('seatNumber status holdExpiresAt');
+
+  const states = new Map();
+  docs.forEach(doc => {
+    const expired = doc.status === 'held' && doc.holdExpiresAt && doc.holdExpiresAt <= now;
+    states.set(doc.seatNumber, expired ? 'available' : doc.status);
+  });
+
+  // Asientos del plano que aún no tienen documento de inventario
+  const legacySold = new Set(event.reservedSeats || []);
+  getEventSeats(event).forEach(seat => {
+    if (!states.has(seat)) {
+      states.set(seat, legacySold.has(seat) ? 'sold' : 'available');
+    }
+  });
+
+  const availability = { available: [], held: [], sold: [], blocked: [] };
+  states.forEach((status, seat) => availability[status].push(seat));
+
+  return availability;
+};
+
+/**
+ * Elimina el inventario, los tipos de entrada y las reservas temporales de un evento borrado
+ * @param {string} eventId - ID del evento
+ */
+export const deleteEventInventory = async (eventId) => {
+  await SeatInventory.deleteMany({ event_id: eventId });
+  await TicketType.deleteMany({ event_id: eventId });
+  await TempBooking.deleteMany({ event_id: eventId });
+};
+
+export default {
+  createHoldSessionId,
+  findUserHold,
+  holdSeats,
+  sellSeats,
+  releaseHold,
+  releaseBookingSeats,
+  blockSeats,
+  unblockSeats,
+  releaseExpiredHolds,
+  getSeatAvailability,
+  deleteEventInventory
+};
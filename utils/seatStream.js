@@ -0,0 +1,192 @@
+/**
+ * Difusión en tiempo real del estado de los asientos
+ *
+ * utils/seatInventory.js publica aquí cada cambio de estado (asientos bloqueados,
+ * liberados, expirados, vendidos, bloqueados o desbloqueados por el organizador)
+ * y los planos de asientos abiertos lo reciben por server-sent events en
+ * GET /api/v1/events/:eventId/seats/stream, sin tener que consultar
+ * /temp-bookings/get periódicamente.
+ *
+ * Los suscriptores viven en memoria de este proceso: con varias instancias del
+ * servidor, cada una solo difunde los cambios que hace ella misma.
+ */
+
+// Tipos de cambio y estado en el que queda el asiento
+export const SEAT_CHANGE_STATUS = {
+  held: 'held',
+  released: 'available',
+  expired: 'available',
+  sold: 'sold',
+  blocked: 'blocked',
+  unblocked: 'available'
+};
+
+// Mensajes que se guardan por evento para reenviarlos al reconectar (Last-Event-ID)
+const REPLAY_BUFFER_SIZE = 200;
+
+// Comentario periódico para que proxies y navegadores no cierren la conexión
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// Conexiones abiertas como máximo en este proceso
+const MAX_CLIENTS = 5000;
+
+// Prefijo de los identificadores de mensaje: tras reiniciar el proceso, los
+// Last-Event-ID anteriores no coinciden y el cliente recibe el estado completo
+const STREAM_EPOCH = Date.now().toString(36);
+
+// eventId -> { clients: Map<res, { queue: Array|null }>, lastId: number, buffer: Array<{ id, data }> }
+// queue guarda los cambios que llegan mientras se envía el estado inicial al cliente
+const channels = new Map();
+let clientCount = 0;
+
+/**
+ * Canal de un evento, creándolo si no existe
+ * @param {string} eventId
+ * @returns {Object}
+ */
+const getChannel = (eventId) => {
+  const key = eventId.toString();
+  if (!channels.has(key)) {
+    channels.set(key, { clients: new Map(), lastId: 0, buffer: [] });
+  }
+  return channels.get(key);
+};
+
+/**
+ * Escribe un mensaje SSE en la respuesta
+ * @param {Object} res - Respuesta de Express
+ * @param {string} type - Nombre del evento SSE
+ * @param {Object} data - Contenido (JSON)
+ * @param {number} id - Número del mensaje en el canal
+ */
+const writeMessage = (res, type, data, id) => {
+  res.write(`id: ${STREAM_EPOCH}-${id}\n`);
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Publica cambios de estado de asientos de un evento
+ * @param {string} eventId - ID del evento
+ * @param {string} type - Tipo de cambio (ver SEAT_CHANGE_STATUS)
+ * @param {string[]} seats - Asientos afectados
+ * @param {Object} [extra] - Datos adicionales (p. ej. expiresAt de un bloqueo)
+ */
+export const publishSeatChange = (eventId, type, seats, extra = {}) => {
+  if (!eventId || !seats || seats.length === 0 || !SEAT_CHANGE_STATUS[type]) {
+    return;
+  }
+
+  try {
+    const channel = getChannel(eventId);
+    channel.lastId += 1;
+    const data = {
+      type,
+      status: SEAT_CHANGE_STATUS[type],
+      seats,
+      ...extra,
+      at: new Date().toISOString()
+    };
+
+    // Solo se guardan los mensajes de eventos con el plano abierto
+    if (channel.clients.size > 0) {
+      channel.buffer.push({ id: channel.lastId, data });
+      if (channel.buffer.length > REPLAY_BUFFER_SIZE) {
+        channel.buffer.shift();
+      }
+    }
+
+    channel.clients.forEach((client, res) => {
+      if (client.queue) {
+        client.queue.push({ id: channel.lastId, data });
+      } else {
+        writeMessage(res, 'seats', data, channel.lastId);
+      }
+    });
+  } catch (error) {
+    // La difusión nunca debe romper la operación sobre el inventario
+    console.error(`[SeatStream] Error al publicar cambios del evento ${eventId}:`, error);
+  }
+};
+
+/**
+ * Abre el flujo SSE de un evento: envía el estado completo y después cada cambio.
+ * Si el cliente reconecta con Last-Event-ID y los mensajes perdidos siguen en
+ * memoria, se le reenvían; si no, recibe de nuevo el estado completo.
+ * @param {Object} req - Petición de Express
+ * @param {Object} res - Respuesta de Express
+ * @param {Object} params
+ * @param {string} params.eventId - ID del evento
+ * @param {Function} params.getSnapshot - Devuelve el estado completo ({ available, held, sold, blocked })
+ * @returns {Promise<boolean>} - false si se alcanzó el máximo de conexiones
+ */
+export const openSeatStream = async (req, res, { eventId, getSnapshot }) => {
+  if (clientCount >= MAX_CLIENTS) {
+    return false;
+  }
+
+  const channel = getChannel(eventId);
+  const client = { queue: [] };
+  clientCount += 1;
+  channel.clients.set(res, client);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Sin buffer en nginx
+  });
+  res.write('retry: 3000\n\n');
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    channel.clients.delete(res);
+    clientCount -= 1;
+    // El canal se conserva para que los identificadores de mensaje no se repitan
+    if (channel.clients.size === 0) {
+      channel.buffer = [];
+    }
+  });
+
+  const [epoch, lastId] = String(req.header('Last-Event-ID') || '').split('-');
+  const lastEventId = epoch === STREAM_EPOCH ? parseInt(lastId) : NaN;
+  const missed = channel.buffer.filter(message => message.id > lastEventId);
+  const canReplay = Number.isInteger(lastEventId) && lastEventId <= channel.lastId &&
+    (lastEventId === channel.lastId || missed[0]?.id === lastEventId + 1);
+
+  if (canReplay) {
+    missed.forEach(message => writeMessage(res, 'seats', message.data, message.id));
+  } else {
+    const snapshotId = channel.lastId;
+    try {
+      const seats = await getSnapshot();
+      writeMessage(res, 'snapshot', { eventId: eventId.toString(), seats, at: new Date().toISOString() }, snapshotId);
+    } catch (error) {
+      console.error(`[SeatStream] Error al obtener el estado de los asientos del evento ${eventId}:`, error);
+      res.end();
+      return true;
+    }
+  }
+
+  // Los cambios llegados mientras tanto se envían después; aplicarlos de nuevo sobre el estado no altera el resultado
+  client.queue.forEach(message => writeMessage(res, 'seats', message.data, message.id));
+  client.queue = null;
+  return true;
+};
+
+/**
+ * Conexiones abiertas, para métricas
+ * @returns {{ clients: number, events: number }}
+ */
+export const getSeatStreamStats = () => ({
+  clients: clientCount,
+  events: [...channels.values()].filter(channel => channel.clients.size > 0).length
+});
+
+export default {
+  SEAT_CHANGE_STATUS,
+  publishSeatChange,
+  openSeatStream,
+  getSeatStreamStats
+};
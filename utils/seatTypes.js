@@ -0,0 +1,38 @@
+import Template from '../models/Template.js';
+
+/**
+ * Obtiene la lista de asientos configurados para un evento
+ * @param {Object} event - Documento del evento
+ * @returns {string[]} - Identificadores de asiento
+ */
+export const getEventSeats = (event) => {
+  if (!event?.finalSeats?.length || typeof event.finalSeats[0] !== 'string') {
+    return [];
+  }
+  return event.finalSeats[0].split(',').map(seat => seat.trim()).filter(Boolean);
+};
+
+/**
+ * Construye un mapa asiento -> tipo ('vip' | 'economy') a partir de la plantilla del evento
+ * Los asientos que no figuran en la plantilla se consideran económicos.
+ * @param {Object} event - Documento del evento
+ * @returns {Promise<Map<string, string>>}
+ */
+export const getSeatTypeMap = async (event) => {
+  const seatTypes = new Map();
+  const template = event?.template ? await Template.findOne({ id: event.template }).select('seats') : null;
+
+  const templateTypes = new Map();
+  (template?.seats || []).forEach(seat => {
+    templateTypes.set(seat.id, seat.type);
+    templateTypes.set(seat.label, seat.type);
+  });
+
+  getEventSeats(event).forEach(seat => {
+    seatTypes.set(seat, templateTypes.get(seat) === 'VIP' ? 'vip' : 'economy');
+  });
+
+  return seatTypes;
+};
+
+export default { getEventSeats, getSeatTypeMap };
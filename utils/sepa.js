@@ -0,0 +1,361 @@
+import { ApiError } from './ApiError.js';
+
+/**
+ * Transferencias SEPA para las liquidaciones a organizadores
+ *
+ * Valida los datos bancarios (IBAN y BIC) que el organizador guarda en su perfil
+ * y genera, a partir de un lote de liquidación aprobado, el fichero ISO 20022
+ * pain.001.001.03 que el banco de la plataforma acepta como remesa de
+ * transferencias, junto con un resumen CSV con las mismas operaciones.
+ */
+
+export const SEPA_PAIN_VERSION = 'pain.001.001.03';
+
+// Longitud del IBAN en los países del esquema SEPA
+const IBAN_LENGTHS = {
+  AD: 24, AT: 20, BE: 16, BG: 22, CH: 21, CY: 28, CZ: 24, DE: 22, DK: 18, EE: 20,
+  ES: 24, FI: 18, FR: 27, GB: 22, GI: 23, GR: 27, HR: 21, HU: 28, IE: 22, IS: 26,
+  IT: 27, LI: 21, LT: 20, LU: 20, LV: 21, MC: 27, MT: 31, NL: 18, NO: 15, PL: 28,
+  PT: 25, RO: 24, SE: 24, SI: 19, SK: 24, SM: 27, VA: 22
+};
+
+const BIC_PATTERN = /^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/;
+
+/**
+ * Normaliza un IBAN tal como lo escribe el usuario (sin espacios, en mayúsculas)
+ * @param {string} iban
+ * @returns {string}
+ */
+export const normalizeIban = (iban) => String(iban || '').replace(/[\s-]/g, '').toUpperCase();
+
+/**
+ * Normaliza un BIC (sin espacios, en mayúsculas)
+ * @param {string} bic
+ * @returns {string}
+ */
+export const normalizeBic = (bic) => String(bic || '').replace(/\s/g, '').toUpperCase();
+
+/**
+ * Comprueba un IBAN de un país SEPA: longitud del país y dígitos de control (ISO 13616, módulo 97)
+ * @param {string} iban
+ * @returns {boolean}
+ */
+export const isValidIban = (iban) => {
+  const value = normalizeIban(iban);
+  if (!/^[A-Z]{2}[0-9]{2}[A-Z0-9]+$/.test(value)) return false;
+  if (IBAN_LENGTHS[value.slice(0, 2)] !== value.length) return false;
+
+  // Se mueven los cuatro primeros caracteres al final y las letras pasan a números (A = 10 ... Z = 35)
+  const digits = (value.slice(4) + value.slice(0, 4))
+    .split('')
+    .map(char => (/[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char))
+    .join('');
+
+  // Resto por tramos para no superar la precisión de Number
+  let remainder = 0;
+  for (let i = 0; i < digits.length; i += 7) {
+    remainder = Number(String(remainder) + digits.slice(i, i + 7)) % 97;
+  }
+  return remainder === 1;
+};
+
+/**
+ * Comprueba el formato de un BIC (8 u 11 caracteres)
+ * @param {string} bic
+ * @returns {boolean}
+ */
+export const isValidBic = (bic) => BIC_PATTERN.test(normalizeBic(bic));
+
+/**
+ * IBAN enmascarado para mostrarlo en pantalla (ES12 **** **** 3456)
+ * @param {string} iban
+ * @returns {string}
+ */
+export const maskIban = (iban) => {
+  const value = normalizeIban(iban);
+  if (value.length < 8) return value ? '****' : '';
+  return `${value.slice(0, 4)} **** **** ${value.slice(-4)}`;
+};
+
+/**
+ * Valida los datos bancarios enviados por el organizador o por un administrador
+ * @param {Object|null} input - Campos holderName, iban y bic (opcional); null elimina los datos
+ * @returns {Object|null} - Datos normalizados
+ * @throws {ApiError} 400 si algún valor no es válido
+ */
+export const normalizeBankAccount = (input) => {
+  if (input === null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new ApiError(400, 'Invalid bank account');
+  }
+
+  const errors = [];
+  const holderName = String(input.holderName || '').trim();
+  const iban = normalizeIban(input.iban);
+  const bic = normalizeBic(input.bic);
+
+  if (!holderName) errors.push('holderName is required');
+  if (holderName.length > 70) errors.push('holderName must be at most 70 characters');
+  if (!iban) {
+    errors.push('iban is required');
+  } else if (!isValidIban(iban)) {
+    errors.push('iban is not a valid IBAN from a SEPA country');
+  }
+  if (bic && !isValidBic(bic)) errors.push('bic must be a valid 8 or 11 character BIC');
+
+  if (errors.length > 0) {
+    throw new ApiError(400, 'Invalid bank account', errors);
+  }
+
+  return { holderName, iban, bic: bic || undefined, updatedAt: new Date() };
+};
+
+/**
+ * Datos bancarios para devolver en la API (IBAN enmascarado)
+ * @param {Object} bankAccount - Subdocumento bankAccount del usuario
+ * @returns {Object|null}
+ */
+export const formatBankAccount = (bankAccount) => {
+  if (!bankAccount?.iban) return null;
+  return {
+    holderName: bankAccount.holderName,
+    iban: maskIban(bankAccount.iban),
+    bic: bankAccount.bic || null,
+    updatedAt: bankAccount.updatedAt
+  };
+};
+
+/**
+ * Adapta un texto al juego de caracteres latino admitido en SEPA
+ * (letras sin acentos, dígitos, espacio y / - ? : ( ) . , ' +)
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+export const toSepaText = (text, maxLength) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^A-Za-z0-9/\-?:().,'+ ]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .slice(0, maxLength)
+  .trim();
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const formatAmount = (cents) => (cents / 100).toFixed(2);
+
+/**
+ * Fecha en formato ISO (YYYY-MM-DD)
+ * @param {Date} date
+ * @returns {string}
+ */
+const toIsoDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Cuenta de destino de un organizador tal como se guarda en el lote al aprobarlo
+ * @param {Object} organizer - Usuario con bankAccount
+ * @returns {{ account: Object|null, error: string|null }} - error si no tiene datos bancarios válidos
+ */
+export const getPayeeAccount = (organizer) => {
+  const account = organizer.bankAccount;
+  const label = `${organizer.fullname || organizer.username} (${organizer.email})`;
+
+  if (!account?.iban || !isValidIban(account.iban)) {
+    return { account: null, error: `${label}: missing or invalid IBAN` };
+  }
+  if (account.bic && !isValidBic(account.bic)) {
+    return { account: null, error: `${label}: invalid BIC` };
+  }
+
+  return {
+    account: {
+      holderName: account.holderName || organizer.companyName || organizer.fullname || organizer.username,
+      iban: normalizeIban(account.iban),
+      bic: account.bic ? normalizeBic(account.bic) : undefined
+    },
+    error: null
+  };
+};
+
+/**
+ * Operaciones de un lote de liquidación: una transferencia por organizador, a la
+ * cuenta guardada en el lote al aprobarlo (no a la que tenga ahora en su perfil)
+ * @param {Object} batch - PayoutBatch aprobado
+ * @param {Map<string, Object>} [organizers] - Organizadores del lote por ID, para los mensajes de error
+ * @returns {{ payments: Array<Object>, errors: Array<string> }} - errors lista las operaciones sin cuenta de destino válida
+ */
+export const getBatchPayments = (batch, organizers = new Map()) => {
+  const payments = [];
+  const errors = [];
+
+  batch.items.forEach((item, index) => {
+    const organizerId = (item.organizer_id?._id || item.organizer_id).toString();
+    const organizer = organizers.get(organizerId);
+    const account = item.bankAccount;
+    const label = organizer ? `${organizer.fullname || organizer.username} (${organizer.email})` : organizerId;
+
+    if (!account?.iban || !isValidIban(account.iban)) {
+      errors.push(`${label}: no valid bank account was recorded when the batch was approved`);
+      return;
+    }
+
+    payments.push({
+      organizerId,
+      endToEndId: `${batch.reference}-${index + 1}`.slice(0, 35),
+      name: toSepaText(account.holderName, 70),
+      iban: normalizeIban(account.iban),
+      bic: account.bic ? normalizeBic(account.bic) : null,
+      cents: toCents(item.amount),
+      remittance: toSepaText(`Liquidacion ${batch.reference}`, 140)
+    });
+  });
+
+  return { payments, errors };
+};
+
+/**
+ * Genera el fichero pain.001.001.03 (transferencias SEPA) de un lote de liquidación.
+ * El identificador del mensaje es la referencia del lote, de modo que el banco
+ * rechaza el fichero si se sube dos veces.
+ * @param {Object} params
+ * @param {Object} params.batch - PayoutBatch en EUR
+ * @param {Array<Object>} params.payments - Resultado de getBatchPayments
+ * @param {Object} params.debtor - Cuenta de la plataforma: name, iban y bic (opcional)
+ * @param {Date} params.executionDate - Fecha de ejecución solicitada
+ * @param {Date} [params.createdAt] - Fecha de creación del mensaje
+ * @returns {string} - XML
+ */
+export const buildSepaCreditTransferXml = ({ batch, payments, debtor, executionDate, createdAt = new Date() }) => {
+  const totalCents = payments.reduce((sum, payment) => sum + payment.cents, 0);
+  const messageId = toSepaText(batch.reference, 35);
+  const debtorName = toSepaText(debtor.name, 70);
+  const debtorBic = debtor.bic ? normalizeBic(debtor.bic) : null;
+
+  const transactions = payments.map(payment => `
+      <CdtTrfTxInf>
+        <PmtId>
+          <EndToEndId>${escapeXml(payment.endToEndId)}</EndToEndId>
+        </PmtId>
+        <Amt>
+          <InstdAmt Ccy="EUR">${formatAmount(payment.cents)}</InstdAmt>
+        </Amt>${payment.bic ? `
+        <CdtrAgt>
+          <FinInstnId>
+            <BIC>${escapeXml(payment.bic)}</BIC>
+          </FinInstnId>
+        </CdtrAgt>` : ''}
+        <Cdtr>
+          <Nm>${escapeXml(payment.name)}</Nm>
+        </Cdtr>
+        <CdtrAcct>
+          <Id>
+            <IBAN>${escapeXml(payment.iban)}</IBAN>
+          </Id>
+        </CdtrAcct>
+        <RmtInf>
+          <Ustrd>${escapeXml(payment.remittance)}</Ustrd>
+        </RmtInf>
+      </CdtTrfTxInf>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:${SEPA_PAIN_VERSION}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <CstmrCdtTrfInitn>
+    <GrpHdr>
+      <MsgId>${escapeXml(messageId)}</MsgId>
+      <CreDtTm>${createdAt.toISOString().slice(0, 19)}</CreDtTm>
+      <NbOfTxs>${payments.length}</NbOfTxs>
+      <CtrlSum>${formatAmount(totalCents)}</CtrlSum>
+      <InitgPty>
+        <Nm>${escapeXml(debtorName)}</Nm>
+      </InitgPty>
+    </GrpHdr>
+    <PmtInf>
+      <PmtInfId>${escapeXml(messageId)}</PmtInfId>
+      <PmtMtd>TRF</PmtMtd>
+      <BtchBookg>true</BtchBookg>
+      <NbOfTxs>${payments.length}</NbOfTxs>
+      <CtrlSum>${formatAmount(totalCents)}</CtrlSum>
+      <PmtTpInf>
+        <SvcLvl>
+          <Cd>SEPA</Cd>
+        </SvcLvl>
+      </PmtTpInf>
+      <ReqdExctnDt>${toIsoDate(executionDate)}</ReqdExctnDt>
+      <Dbtr>
+        <Nm>${escapeXml(debtorName)}</Nm>
+      </Dbtr>
+      <DbtrAcct>
+        <Id>
+          <IBAN>${escapeXml(normalizeIban(debtor.iban))}</IBAN>
+        </Id>
+      </DbtrAcct>
+      <DbtrAgt>
+        <FinInstnId>${debtorBic ? `
+          <BIC>${escapeXml(debtorBic)}</BIC>` : `
+          <Othr>
+            <Id>NOTPROVIDED</Id>
+          </Othr>`}
+        </FinInstnId>
+      </DbtrAgt>
+      <ChrgBr>SLEV</ChrgBr>${transactions}
+    </PmtInf>
+  </CstmrCdtTrfInitn>
+</Document>
+`;
+};
+
+const toCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Resumen CSV de la remesa, con las mismas operaciones e importes que el XML
+ * @param {Object} params
+ * @param {Object} params.batch - PayoutBatch
+ * @param {Array<Object>} params.payments - Resultado de getBatchPayments
+ * @param {Date} params.executionDate - Fecha de ejecución solicitada
+ * @returns {string} - CSV
+ */
+export const buildPayoutCsv = ({ batch, payments, executionDate }) => {
+  const columns = ['batchReference', 'endToEndId', 'organizerId', 'beneficiary', 'iban', 'bic', 'amount', 'currency', 'executionDate', 'remittance'];
+  const rows = payments.map(payment => [
+    batch.reference,
+    payment.endToEndId,
+    payment.organizerId,
+    payment.name,
+    payment.iban,
+    payment.bic || '',
+    formatAmount(payment.cents),
+    'EUR',
+    toIsoDate(executionDate),
+    payment.remittance
+  ]);
+  const totalCents = payments.reduce((sum, payment) => sum + payment.cents, 0);
+  rows.push([batch.reference, 'TOTAL', '', `${payments.length} transfers`, '', '', formatAmount(totalCents), 'EUR', toIsoDate(executionDate), '']);
+
+  return [columns, ...rows].map(row => row.map(toCsvValue).join(',')).join('\n') + '\n';
+};
+
+export default {
+  SEPA_PAIN_VERSION,
+  normalizeIban,
+  normalizeBic,
+  isValidIban,
+  isValidBic,
+  maskIban,
+  normalizeBankAccount,
+  formatBankAccount,
+  getPayeeAccount,
+  toSepaText,
+  getBatchPayments,
+  buildSepaCreditTransferXml,
+  buildPayoutCsv
+};
@@ -0,0 +1,284 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { getCachedSettings } from './settingsCache.js';
+import { ApiError } from './ApiError.js';
+
+/**
+ * Sesiones con access token de corta duración y refresh token rotatorio
+ *
+ * - El access token (JWT) dura security.sessionTimeout minutos y lleva el id de
+ *   sesión (sid), de modo que verifyJWT puede rechazarlo si la sesión se revoca.
+ * - El refresh token tiene el formato "<sessionId>.<secreto>" y caduca tras
+ *   security.jwtExpirationTime horas sin usarse; cada uso lo rota.
+ * - Presentar un refresh token ya rotado se trata como robo y revoca la sesión.
+ */
+
+// Margen en el que un token recién rotado se rechaza sin revocar la sesión
+// (peticiones simultáneas desde varias pestañas)
+const ROTATION_GRACE_MS = 30 * 1000;
+
+export const REFRESH_COOKIE_PATH = '/api/v1/auth';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getClientIp = (req) => req.ip || req.connection?.remoteAddress || '';
+
+/**
+ * Duración de los tokens según la configuración de seguridad
+ * @returns {Promise<{accessTtlSeconds: number, refreshTtlMs: number}>}
+ */
+export const getSessionLifetimes = async () => {
+  let security = {};
+  try {
+    const settings = await getCachedSettings();
+    security = settings.security || {};
+  } catch (error) {
+    console.error('[Sessions] Error al leer la configuración de seguridad:', error.message);
+  }
+
+  const sessionTimeout = security.sessionTimeout > 0 ? security.sessionTimeout : 60; // minutos
+  const jwtExpirationTime = security.jwtExpirationTime > 0 ? security.jwtExpirationTime : 24; // horas
+
+  return {
+    accessTtlSeconds: sessionTimeout * 60,
+    refreshTtlMs: jwtExpirationTime * 60 * 60 * 1000
+  };
+};
+
+/**
+ * Firma un access token ligado a una sesión
+ * @param {Object} user - Usuario
+ * @param {Object} session - Documento Session
+ * @param {number} ttlSeconds - Duración en segundos
+ * @param {Object} [extraPayload] - Campos adicionales del payload
+ * @returns {string}
+ */
+export const signAccessToken = (user, session, ttlSeconds, extraPayload = {}) => jwt.sign(
+  { id: user._id, role: user.role, sid: session._id, ...extraPayload },
+  process.env.JWT_SECRET_KEY,
+  { expiresIn: ttlSeconds }
+);
+
+const buildTokens = async (user, session, refreshSecret, extraPayload) => {
+  const { accessTtlSeconds } = await getSessionLifetimes();
+  return {
+    session,
+    accessToken: signAccessToken(user, session, accessTtlSeconds, extraPayload),
+    refreshToken: `${session._id}.${refreshSecret}`,
+    accessExpiresIn: accessTtlSeconds,
+    refreshExpiresAt: session.expiresAt
+  };
+};
+
+/**
+ * Abre una sesión nueva para el dispositivo de la petición
+ * @param {Object} req - Petición de Express
+ * @param {Object} user - Usuario autenticado
+ * @param {Object} [extraPayload] - Campos adicionales para el access token
+ * @returns {Promise<Object>} - { session, accessToken, refreshToken, accessExpiresIn, refreshExpiresAt }
+ */
+export const createSession = async (req, user, extraPayload = {}) => {
+  const { refreshTtlMs } = await getSessionLifetimes();
+  const refreshSecret = crypto.randomBytes(32).toString('hex');
+
+  const session = await Session.create({
+    user_id: user._id,
+    refreshTokenHash: hashToken(refreshSecret),
+    userAgent: req.get?.('User-Agent') || '',
+    ipAddress: getClientIp(req),
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + refreshTtlMs)
+  });
+
+  return buildTokens(user, session, refreshSecret, extraPayload);
+};
+
+/**
+ * Separa el id de sesión y el secreto de un refresh token
+ * @param {string} refreshToken
+ * @returns {{sessionId: string, secret: string}|null}
+ */
+export const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+/**
+ * Revoca una sesión
+ * @param {Object} session - Documento Session
+ * @param {string} reason - Motivo (ver enum de Session.revokedReason)
+ */
+export const revokeSession = async (session, reason) => {
+  if (session.revokedAt) return;
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  await session.save();
+};
+
+/**
+ * Revoca todas las sesiones activas de un usuario
+ * @param {string} userId - ID del usuario
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Motivo de la revocación
+ * @param {string} [options.exceptSessionId] - Sesión que se conserva (la actual)
+ * @returns {Promise<number>} - Número de sesiones revocadas
+ */
+export const revokeUserSessions = async (userId, { reason = 'user-revoked', exceptSessionId = null } = {}) => {
+  const filter = { user_id: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  const { modifiedCount } = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return modifiedCount;
+};
+
+/**
+ * Canjea un refresh token por un access token nuevo, rotando el refresh token
+ * @param {Object} req - Petición de Express
+ * @param {string} refreshToken - Token presentado por el cliente
+ * @returns {Promise<Object>} - { user, session, accessToken, refreshToken, accessExpiresIn, refreshExpiresAt }
+ * @throws {ApiError} 401 si el token no es válido, ha caducado o la sesión está revocada
+ */
+export const rotateRefreshToken = async (req, refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw new ApiError(401, 'Refresh token inválido');
+  }
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    throw new ApiError(401, 'La sesión ha expirado. Inicia sesión de nuevo.');
+  }
+
+  const presentedHash = hashToken(parsed.secret);
+
+  if (presentedHash !== session.refreshTokenHash) {
+    const isPrevious = session.previousTokenHash && presentedHash === session.previousTokenHash;
+    const withinGrace = isPrevious && session.rotatedAt && Date.now() - session.rotatedAt.getTime() < ROTATION_GRACE_MS;
+
+    if (isPrevious && !withinGrace) {
+      // Alguien ha reutilizado un token ya rotado: se revoca la sesión entera
+      await revokeSession(session, 'token-reuse');
+      console.warn(`[Sessions] Reutilización de refresh token detectada en la sesión ${session._id}; sesión revocada`);
+    }
+    throw new ApiError(401, 'Refresh token inválido');
+  }
+
+  const user = await User.findById(session.user_id).select('role email');
+  if (!user) {
+    await revokeSession(session, 'admin');
+    throw new ApiError(401, 'Usuario no encontrado');
+  }
+
+  const { refreshTtlMs } = await getSessionLifetimes();
+  const newSecret = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+
+  session.previousTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashToken(newSecret);
+  session.rotatedAt = now;
+  session.lastUsedAt = now;
+  session.ipAddress = getClientIp(req) || session.ipAddress;
+  session.expiresAt = new Date(now.getTime() + refreshTtlMs);
+  await session.save();
+
+  return { user, ...(await buildTokens(user, session, newSecret)) };
+};
+
+/**
+ * Comprueba que un access token decodificado sigue siendo válido:
+ * que su sesión no esté revocada y que no sea anterior a un cambio de contraseña
+ * @param {Object} decoded - Payload del JWT
+ * @param {Object} user - Usuario del token
+ * @returns {Promise<string|null>} - Motivo del rechazo, o null si es válido
+ */
+export const getTokenRejectionReason = async (decoded, user) => {
+  if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+    return 'La contraseña ha cambiado. Inicia sesión de nuevo.';
+  }
+
+  // Los tokens emitidos antes de existir las sesiones no llevan sid y solo caducan por tiempo
+  if (!decoded.sid) {
+    return null;
+  }
+
+  const session = await Session.findById(decoded.sid).select('user_id revokedAt expiresAt');
+  if (!session || session.revokedAt || session.user_id.toString() !== user._id.toString()) {
+    return 'La sesión ha sido cerrada. Inicia sesión de nuevo.';
+  }
+
+  return null;
+};
+
+/**
+ * Guarda los tokens en cookies httpOnly
+ * @param {Object} res - Respuesta de Express
+ * @param {Object} tokens - Resultado de createSession / rotateRefreshToken
+ */
+export const setAuthCookies = (res, { accessToken, refreshToken, accessExpiresIn, refreshExpiresAt }) => {
+  res.cookie('accessToken', accessToken, {
+    httpOnly: true,
+    maxAge: accessExpiresIn * 1000
+  });
+  res.cookie('refreshToken', refreshToken, {
+    httpOnly: true,
+    path: REFRESH_COOKIE_PATH,
+    expires: refreshExpiresAt
+  });
+  return res;
+};
+
+/**
+ * Borra las cookies de sesión
+ * @param {Object} res - Respuesta de Express
+ */
+export const clearAuthCookies = (res) => {
+  res.clearCookie('accessToken');
+  res.clearCookie('refreshToken', { path: REFRESH_COOKIE_PATH });
+  return res;
+};
+
+/**
+ * Descripción legible del dispositivo a partir del User-Agent
+ * @param {string} userAgent
+ * @returns {string} - e.g. "Chrome en Windows"
+ */
+export const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad|iPod/], ['Windows', /Windows/],
+    ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ];
+  const browser = browsers.find(([, regex]) => regex.test(userAgent))?.[0];
+  const system = systems.find(([, regex]) => regex.test(userAgent))?.[0];
+
+  if (!browser && !system) {
+    return userAgent ? 'Dispositivo desconocido' : 'Aplicación';
+  }
+  return [browser, system].filter(Boolean).join(' en ');
+};
+
+export default {
+  getSessionLifetimes,
+  signAccessToken,
+  createSession,
+  parseRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  rotateRefreshToken,
+  getTokenRejectionReason,
+  setAuthCookies,
+  clearAuthCookies,
+  describeDevice
+};
@@ -0,0 +1,63 @@
+import SystemSettings from '../models/SystemSettings.js';
+
+// Tiempo máximo que se reutiliza la configuración antes de volver a leerla.
+// En una sola instancia el cache se invalida al guardar; el TTL cubre el caso
+// de varias instancias detrás del balanceador.
+const SETTINGS_CACHE_TTL = 30 * 1000;
+
+let cachedSettings = null;
+let cachedAt = 0;
+let pendingLoad = null;
+// Se incrementa al invalidar: las lecturas iniciadas antes no pueden guardar su resultado
+let generation = 0;
+
+/**
+ * Devuelve la configuración del sistema usando un cache en memoria
+ *
+ * Pensado para lecturas frecuentes (middlewares); el documento devuelto
+ * es compartido, así que no debe modificarse ni guardarse.
+ * @returns {Promise<Object>} - Documento SystemSettings
+ */
+export const getCachedSettings = async () => {
+  if (cachedSettings && Date.now() - cachedAt < SETTINGS_CACHE_TTL) {
+    return cachedSettings;
+  }
+
+  // Evitar varias lecturas simultáneas cuando el cache está vacío
+  if (!pendingLoad) {
+    const loadGeneration = generation;
+    const load = SystemSettings.getSettings()
+      .then((settings) => {
+        if (loadGeneration === generation) {
+          cachedSettings = settings;
+          cachedAt = Date.now();
+        }
+        return settings;
+      })
+      .finally(() => {
+        if (pendingLoad === load) {
+          pendingLoad = null;
+        }
+      });
+    pendingLoad = load;
+  }
+
+  return pendingLoad;
+};
+
+/**
+ * Descarta la configuración cacheada para que la siguiente lectura vaya a la base de datos
+ * @param {Object} [settings] - Configuración recién guardada, para precargar el cache
+ */
+export const invalidateSettingsCache = (settings = null) => {
+  // Una lectura en curso pudo empezar antes del guardado: no se reutiliza ni se cachea
+  generation += 1;
+  pendingLoad = null;
+  cachedSettings = settings;
+  cachedAt = settings ? Date.now() : 0;
+};
+
+export default {
+  getCachedSettings,
+  invalidateSettingsCache
+};
@@ -0,0 +1,200 @@
+import Stripe from 'stripe';
+import { ApiError } from './ApiError.js';
+
+/**
+ * Adaptador de Stripe para la capa de pasarelas de pago (utils/paymentProviders.js)
+ *
+ * Sin clave secreta funciona en modo simulado para desarrollo. Con apiBase
+ * (STRIPE_API_BASE) las llamadas se dirigen a otro servidor, p. ej. stripe-mock
+ * o el servidor falso local de fakePaymentProviders.js (npm run fake:payments).
+ */
+
+const STRIPE_API_VERSION = '2023-10-16';
+
+/**
+ * Importe en céntimos, como lo espera Stripe
+ * @param {number} amount - Importe en la moneda del pedido
+ * @returns {number}
+ */
+const toMinorUnits = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * Opciones de conexión del SDK a partir de una URL base
+ * @param {string} [apiBase] - p. ej. http://localhost:12111
+ * @returns {Object}
+ */
+const toHostConfig = (apiBase) => {
+  if (!apiBase) return {};
+  const url = new URL(apiBase);
+  return {
+    host: url.hostname,
+    port: url.port || (url.protocol === 'http:' ? 80 : 443),
+    protocol: url.protocol.replace(':', '')
+  };
+};
+
+/**
+ * Cliente simulado para desarrollo sin clave de Stripe
+ * @returns {Object}
+ */
+const createSimulatedClient = () => ({
+  checkout: {
+    sessions: {
+      create: async (params) => ({
+        id: `cs_test_${Date.now()}`,
+        url: 'https://checkout.stripe.com/pay/test',
+        client_secret: params.ui_mode === 'embedded' ? `cs_test_secret_${Date.now()}` : null,
+        payment_status: 'unpaid',
+        status: 'open',
+        metadata: params.metadata || {}
+      }),
+      retrieve: async (id) => ({
+        id,
+        payment_status: 'paid',
+        status: 'complete',
+        payment_intent: `pi_test_${Date.now()}`,
+        amount_total: null,
+        currency: 'eur',
+        customer_details: {
+          email: 'cliente@ejemplo.com',
+          name: 'Cliente Simulado'
+        },
+        metadata: {}
+      })
+    }
+  },
+  refunds: {
+    create: async ({ amount }) => ({
+      id: `re_test_${Date.now()}`,
+      status: 'succeeded',
+      amount
+    })
+  }
+});
+
+/**
+ * Crea el adaptador de Stripe
+ * @param {Object} config
+ * @param {string} [config.secretKey] - Clave secreta; sin ella se usa el modo simulado
+ * @param {string} [config.webhookSecret] - Secreto de firma de los webhooks
+ * @param {string} [config.apiBase] - URL alternativa de la API (servidor falso o stripe-mock)
+ * @returns {Object} - Pasarela con createCheckout, verifyWebhook, refund y fetchStatus
+ */
+export const createStripeProvider = ({ secretKey, webhookSecret, apiBase } = {}) => {
+  let client;
+  try {
+    client = secretKey
+      ? new Stripe(secretKey, { apiVersion: STRIPE_API_VERSION, ...toHostConfig(apiBase) })
+      : createSimulatedClient();
+  } catch (error) {
+    // Si hay error, usar cliente simulado de todos modos para no bloquear la aplicación
+    console.error('Error al inicializar Stripe:', error.message);
+    client = createSimulatedClient();
+  }
+
+  if (!secretKey) {
+    console.warn('ADVERTENCIA: No se encontró STRIPE_SECRET_KEY. Funcionando en modo simulado.');
+  }
+
+  return {
+    name: 'stripe',
+    simulated: !secretKey,
+    supportsMetadata: true,
+
+    createCheckout: async ({
+      reference,
+      currency,
+      lineItems,
+      customerEmail,
+      successUrl,
+      cancelUrl,
+      expiresAt,
+      metadata = {},
+      uiMode = 'hosted'
+    }) => {
+      const session = await client.checkout.sessions.create({
+        payment_method_types: ['card'],
+        line_items: lineItems.map(item => ({
+          price_data: {
+            currency: String(currency).toLowerCase(),
+            product_data: {
+              name: item.name,
+              ...(item.description ? { description: item.description } : {}),
+              ...(item.images?.length ? { images: item.images } : {})
+            },
+            unit_amount: toMinorUnits(item.unitAmount), // Monto en centavos
+          },
+          quantity: item.quantity,
+        })),
+        mode: 'payment',
+        ...(reference ? { client_reference_id: reference } : {}),
+        ...(expiresAt ? { expires_at: Math.floor(new Date(expiresAt).getTime() / 1000) } : {}),
+        ...(uiMode === 'embedded'
+          ? { ui_mode: 'embedded', return_url: successUrl }
+          : { success_url: successUrl, cancel_url: cancelUrl }),
+        ...(customerEmail ? { customer_email: customerEmail } : {}),
+        metadata
+      });
+
+      return {
+        provider: 'stripe',
+        id: session.id,
+        url: session.url || null,
+        clientSecret: session.client_secret || null,
+        raw: session
+      };
+    },
+
+    verifyWebhook: async (rawBody, headers = {}) => {
+      const signature = headers['stripe-signature'];
+      if (!signature) {
+        throw new ApiError(400, 'Firma de Stripe faltante');
+      }
+      // Sin secreto no se puede verificar la firma: se rechaza para que Stripe
+      // lo reintente cuando el webhook esté configurado
+      if (!webhookSecret) {
+        throw new ApiError(503, 'Webhook de Stripe no configurado');
+      }
+
+      try {
+        return Stripe.webhooks.constructEvent(rawBody, signature, webhookSecret);
+      } catch (error) {
+        throw new ApiError(400, `Error de webhook: ${error.message}`);
+      }
+    },
+
+    refund: async ({ paymentId, amount, metadata = {} }) => {
+      const refund = await client.refunds.create({
+        payment_intent: paymentId,
+        ...(amount !== undefined ? { amount: toMinorUnits(amount) } : {}), // Stripe trabaja en céntimos
+        metadata
+      });
+
+      return {
+        id: refund.id,
+        status: refund.status,
+        amount: typeof refund.amount === 'number' ? refund.amount / 100 : amount,
+        raw: refund
+      };
+    },
+
+    fetchStatus: async (checkoutId) => {
+      const session = await client.checkout.sessions.retrieve(checkoutId);
+      let status = 'open';
+      if (session.payment_status === 'paid') status = 'paid';
+      else if (session.status === 'expired') status = 'expired';
+
+      return {
+        id: session.id,
+        status,
+        paymentId: session.payment_intent || null,
+        amount: typeof session.amount_total === 'number' ? session.amount_total / 100 : null,
+        currency: session.currency ? session.currency.toUpperCase() : null,
+        metadata: session.metadata || {},
+        raw: session
+      };
+    }
+  };
+};
+
+export default { createStripeProvider };
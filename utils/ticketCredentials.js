@@ -0,0 +1,399 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import Booking from '../models/Booking.js';
+import Event from '../models/Event.js';
+import { uploadOnCloudinary } from './cloudinary.js';
+import { ApiError } from './ApiError.js';
+
+/**
+ * Credenciales de las entradas
+ *
+ * Cada asiento de una reserva (o cada plaza, en eventos sin asientos) tiene su
+ * propia entrada con un token firmado: un JWT HS256 de tipo 'ticket' con la
+ * clave de firma en la cabecera (kid) y un identificador (jti) que cambia cada
+ * vez que se reemite, de modo que el token anterior deja de ser válido.
+ * Todas las vías de reserva emiten las entradas con issueBookingTickets y
+ * POST /booking/scan-qr las comprueba con verifyTicketCredential.
+ *
+ * Rotación de claves: TICKET_SIGNING_KEYS="kid:secreto,kid2:secreto2". La
+ * primera clave firma las entradas nuevas; las demás solo se aceptan al
+ * verificar, hasta que se retiran de la lista después de reemitir las entradas
+ * firmadas con ellas (npm run migrate:tickets). Sin la variable se usa una
+ * clave derivada de JWT_SECRET_KEY.
+ */
+
+export const TICKET_TOKEN_TYPE = 'ticket';
+
+// Justificante de descarga del manifiesto que el lector devuelve al subir sus lecturas
+export const MANIFEST_RECEIPT_TYPE = 'scan-manifest';
+
+// Estados de pago con entradas válidas (las reservas gratuitas se guardan como pagadas)
+export const PAID_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'disputed'];
+
+// Las entradas valen hasta 24 horas después del evento
+const TICKET_VALIDITY_AFTER_EVENT = 24 * 60 * 60 * 1000;
+
+let cachedKeyring = null;
+let cachedKeyringSource = null;
+
+/**
+ * Claves de firma configuradas
+ * @returns {{ active: {kid: string, secret: string}, keys: Map<string, string> }}
+ * @throws {Error} Si no hay ninguna clave configurada
+ */
+export const getTicketSigningKeys = () => {
+  const source = process.env.TICKET_SIGNING_KEYS || '';
+  if (cachedKeyring && cachedKeyringSource === source) return cachedKeyring;
+
+  const keys = new Map();
+  source.split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+    const separator = item.indexOf(':');
+    const kid = separator > 0 ? item.slice(0, separator).trim() : '';
+    const secret = separator > 0 ? item.slice(separator + 1).trim() : '';
+    if (kid && secret && !keys.has(kid)) keys.set(kid, secret);
+  });
+
+  if (keys.size === 0) {
+    if (!process.env.JWT_SECRET_KEY) {
+      throw new Error('No hay claves para firmar las entradas: configura TICKET_SIGNING_KEYS');
+    }
+    // Clave propia para las entradas, distinta de la que firma las sesiones
+    keys.set('default', crypto.createHmac('sha256', process.env.JWT_SECRET_KEY).update('ticket-credentials').digest('hex'));
+  }
+
+  const [kid, secret] = keys.entries().next().value;
+  cachedKeyring = { active: { kid, secret }, keys };
+  cachedKeyringSource = source;
+  return cachedKeyring;
+};
+
+// Cabecera PKCS#8 de una clave privada Ed25519; le sigue la semilla de 32 bytes
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+/**
+ * Firma Ed25519 con una clave derivada de la clave activa de las entradas.
+ * Los lectores comprueban con la clave pública que un manifiesto descargado
+ * no se ha modificado, sin conocer ningún secreto.
+ * @param {string} data - Datos a firmar
+ * @returns {{ kid: string, algorithm: string, signature: string, publicKey: string }}
+ */
+export const signWithManifestKey = (data) => {
+  const { active } = getTicketSigningKeys();
+  const seed = crypto.createHmac('sha256', active.secret).update('scan-manifest').digest();
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+
+  return {
+    kid: active.kid,
+    algorithm: 'Ed25519',
+    signature: crypto.sign(null, Buffer.from(data), privateKey).toString('base64'),
+    publicKey: crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' })
+  };
+};
+
+/**
+ * Firma el justificante de descarga de un manifiesto: fija para el servidor el
+ * intervalo en el que el lector pudo leer entradas sin conexión con él
+ * @param {Object} params
+ * @param {string} params.eventId
+ * @param {Date} params.generatedAt - Generación del manifiesto
+ * @param {Date} params.validUntil - Fin de la validez de las entradas
+ * @returns {string}
+ */
+export const signManifestReceipt = ({ eventId, generatedAt, validUntil }) => {
+  const { active } = getTicketSigningKeys();
+  return jwt.sign(
+    { typ: MANIFEST_RECEIPT_TYPE, eid: eventId, gen: generatedAt.getTime(), until: validUntil.getTime() },
+    active.secret,
+    { algorithm: 'HS256', keyid: active.kid }
+  );
+};
+
+/**
+ * Verifica el justificante de descarga de un manifiesto
+ * @param {string} receipt - syncToken devuelto con el manifiesto
+ * @param {string} eventId - Evento al que se suben las lecturas
+ * @returns {{ generatedAt: Date, validUntil: Date }}
+ * @throws {ApiError} 400 si falta, no es válido o es de otro evento
+ */
+export const verifyManifestReceipt = (receipt, eventId) => {
+  const decoded = receipt ? jwt.decode(String(receipt), { complete: true }) : null;
+  const secret = decoded && getTicketSigningKeys().keys.get(decoded.header.kid);
+
+  let payload = null;
+  try {
+    payload = secret ? jwt.verify(String(receipt), secret, { algorithms: ['HS256'] }) : null;
+  } catch (error) {
+    payload = null;
+  }
+
+  if (!payload || payload.typ !== MANIFEST_RECEIPT_TYPE || payload.eid !== eventId) {
+    throw new ApiError(400, 'syncToken no válido: descarga de nuevo el manifiesto del evento');
+  }
+  return { generatedAt: new Date(payload.gen), validUntil: new Date(payload.until) };
+};
+
+/**
+ * Fin de la validez de las entradas de un evento
+ * @param {Object} event - Documento del evento
+ * @returns {Date}
+ */
+export const getTicketExpiry = (event) => {
+  const eventTime = new Date(event?.eventDate).getTime();
+  return new Date((Number.isNaN(eventTime) ? Date.now() : eventTime) + TICKET_VALIDITY_AFTER_EVENT);
+};
+
+/**
+ * Plazas de una reserva: una por asiento o, sin asientos, una por invitado.
+ * El tipo de entrada sale del desglose de precios, en el mismo orden.
+ * @param {Object} booking - Documento de la reserva
+ * @returns {Array<{seat: string|null, ticketTypeName: string|null}>}
+ */
+const getBookingSlots = (booking) => {
+  const seats = booking.seatNumbers || [];
+  const count = seats.length || Math.max(parseInt(booking.guestSize) || 0, 1);
+  const typeNames = (booking.pricing?.items || [])
+    .flatMap(item => Array(Math.max(item.quantity || 0, 0)).fill(item.ticketTypeName || null));
+
+  return Array.from({ length: count }, (_, index) => ({
+    seat: seats[index] || null,
+    ticketTypeName: typeNames[index] || booking.ticketType || null
+  }));
+};
+
+/**
+ * Firma la credencial de una entrada
+ * @param {Object} params
+ * @param {Object} params.ticket - Entrada (ticketId, seat, jti)
+ * @param {Object} params.booking - Documento de la reserva
+ * @param {Object} params.event - Documento del evento
+ * @param {Date} params.expiresAt - Fin de la validez
+ * @returns {{ token: string, kid: string }}
+ */
+const signTicket = ({ ticket, booking, event, expiresAt }) => {
+  const { active } = getTicketSigningKeys();
+  const payload = {
+    typ: TICKET_TOKEN_TYPE,
+    tid: ticket.ticketId,
+    bid: booking._id.toString(),
+    eid: event._id.toString(),
+    ...(ticket.seat ? { seat: ticket.seat } : {}),
+    // Las entradas de eventos ya pasados (reemisiones) valen al menos un minuto
+    exp: Math.floor(Math.max(expiresAt.getTime(), Date.now() + 60 * 1000) / 1000)
+  };
+
+  const token = jwt.sign(payload, active.secret, {
+    algorithm: 'HS256',
+    keyid: active.kid,
+    jwtid: ticket.jti
+  });
+  return { token, kid: active.kid };
+};
+
+/**
+ * Emite (o reemite) las entradas de una reserva, una por asiento o plaza.
+ * Al reemitir se conserva el identificador y el estado de escaneo de cada
+ * entrada; solo cambia la credencial. No guarda la reserva.
+ * Solo se emiten entradas para reservas pagadas o gratuitas.
+ * @param {Object} booking - Documento de la reserva
+ * @param {Object} event - Documento del evento
+ * @returns {Array<Object>} - booking.tickets
+ * @throws {ApiError} 409 si la reserva no está pagada
+ */
+export const issueBookingTickets = (booking, event) => {
+  if (!PAID_PAYMENT_STATUSES.includes(booking.paymentStatus)) {
+    throw new ApiError(409, 'Solo se emiten entradas para reservas pagadas o gratuitas');
+  }
+  const expiresAt = getTicketExpiry(event);
+  const previous = booking.tickets || [];
+
+  const tickets = getBookingSlots(booking).map((slot, index) => {
+    const existing = previous.find(ticket => slot.seat && ticket.seat === slot.seat) ||
+      (!slot.seat ? previous.filter(ticket => !ticket.seat)[index] : null);
+    const ticket = {
+      ticketId: existing?.ticketId || crypto.randomBytes(8).toString('hex').toUpperCase(),
+      seat: slot.seat,
+      ticketTypeName: slot.ticketTypeName,
+      jti: crypto.randomBytes(12).toString('base64url'),
+      issuedAt: new Date(),
+      expiresAt,
+      scanStatus: existing?.scanStatus || false,
+      scannedAt: existing?.scannedAt,
+      scannedBy: existing?.scannedBy,
+      scanDevice: existing?.scanDevice,
+      inside: existing?.inside || false,
+      entries: existing?.entries || 0,
+      lastScanAt: existing?.lastScanAt
+    };
+    const { token, kid } = signTicket({ ticket, booking, event, expiresAt });
+    return { ...ticket, token, kid };
+  });
+
+  booking.set('tickets', tickets);
+  // Token de la primera entrada, para los clientes que solo conocen un código por reserva
+  booking.qrCodeToken = tickets[0]?.token;
+  return booking.tickets;
+};
+
+/**
+ * Genera las imágenes QR de las entradas y las sube a Cloudinary.
+ * booking.qrCodeUrl queda con la de la primera entrada. No guarda la reserva.
+ * @param {Object} booking - Reserva con las entradas emitidas
+ * @returns {Promise<Array<string>>} - Imágenes en base64 (para adjuntarlas a un PDF)
+ */
+export const uploadTicketQRCodes = async (booking) => {
+  const images = [];
+  for (const ticket of booking.tickets) {
+    const qrCodeBase64 = await QRCode.toDataURL(ticket.token);
+    const upload = await uploadOnCloudinary(qrCodeBase64, 'event_bookings');
+    if (!upload) {
+      console.error(`Error al subir el código QR de la entrada ${ticket.ticketId} a Cloudinary`);
+    }
+    ticket.qrCodeUrl = upload ? upload.secure_url : null;
+    images.push(qrCodeBase64);
+  }
+  booking.qrCodeUrl = booking.tickets[0]?.qrCodeUrl || null;
+  return images;
+};
+
+/**
+ * Reemite las entradas de las reservas vigentes (migración y rotación de claves).
+ * Por defecto solo las que aún no tienen entradas firmadas o las tienen firmadas
+ * con una clave distinta de la activa, y solo de eventos que no han terminado.
+ * @param {Object} [options]
+ * @param {boolean} [options.all=false] - Reemitir también las firmadas con la clave activa
+ * @param {string} [options.eventId] - Limitar a un evento
+ * @param {boolean} [options.includePast=false] - Incluir eventos ya terminados
+ * @param {boolean} [options.upload=true] - Subir las nuevas imágenes QR a Cloudinary
+ * @returns {Promise<{success: boolean, processed: number, reissued: number, skipped: number, failed: number}>}
+ */
+export const reissueTicketCredentials = async ({ all = false, eventId, includePast = false, upload = true } = {}) => {
+  const { active } = getTicketSigningKeys();
+  const filter = {
+    status: { $in: ['confirmed', 'cancellation_requested'] },
+    paymentStatus: { $in: PAID_PAYMENT_STATUSES },
+    ...(eventId ? { event_id: eventId } : {}),
+    ...(all ? {} : { $or: [{ 'tickets.0': { $exists: false } }, { 'tickets.kid': { $ne: active.kid } }] })
+  };
+
+  const events = new Map();
+  const result = { processed: 0, reissued: 0, skipped: 0, failed: 0 };
+
+  for await (const booking of Booking.find(filter).cursor()) {
+    result.processed += 1;
+    try {
+      const key = booking.event_id?.toString();
+      if (!events.has(key)) events.set(key, key ? await Event.findById(key) : null);
+      const event = events.get(key);
+
+      if (!event || (!includePast && getTicketExpiry(event) < new Date())) {
+        result.skipped += 1;
+        continue;
+      }
+
+      issueBookingTickets(booking, event);
+      if (upload) await uploadTicketQRCodes(booking);
+      await booking.save();
+      result.reissued += 1;
+    } catch (error) {
+      result.failed += 1;
+      console.error(`Error al reemitir las entradas de la reserva ${booking._id}:`, error.message);
+    }
+  }
+
+  return { success: result.failed === 0, ...result };
+};
+
+/**
+ * Extrae el token de lo que envía el lector: el token tal cual o el JSON de
+ * los códigos QR antiguos que lo incluían en el campo token
+ * @param {string} scanned - Contenido leído del código QR
+ * @returns {string}
+ */
+export const extractTicketToken = (scanned) => {
+  const value = String(scanned || '').trim();
+  if (!value.startsWith('{')) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return typeof parsed.token === 'string' ? parsed.token : '';
+  } catch {
+    return '';
+  }
+};
+
+/**
+ * Verifica la credencial de una entrada
+ * @param {string} token - Token leído del código QR
+ * @param {Object} [options]
+ * @param {Date} [options.at] - Momento de la lectura (lecturas sin conexión); por defecto ahora
+ * @returns {{ ticketId: string, bookingId: string, eventId: string, seat: string|null, jti: string, kid: string }}
+ * @throws {ApiError} 401 si el token no es válido, está caducado o su clave se ha retirado
+ */
+export const verifyTicketCredential = (token, { at } = {}) => {
+  const decoded = token ? jwt.decode(token, { complete: true }) : null;
+  if (!decoded || decoded.payload?.typ !== TICKET_TOKEN_TYPE) {
+    // Los códigos de formato anterior a las entradas firmadas no se aceptan
+    throw new ApiError(401, 'Código QR inválido o de un formato antiguo. El asistente debe mostrar su entrada actualizada');
+  }
+
+  const secret = getTicketSigningKeys().keys.get(decoded.header.kid);
+  if (!secret) {
+    throw new ApiError(401, 'Código QR firmado con una clave retirada. El asistente debe mostrar su entrada actualizada');
+  }
+
+  try {
+    const payload = jwt.verify(token, secret, {
+      algorithms: ['HS256'],
+      ...(at ? { clockTimestamp: Math.floor(at.getTime() / 1000) } : {})
+    });
+    return {
+      ticketId: payload.tid,
+      bookingId: payload.bid,
+      eventId: payload.eid,
+      seat: payload.seat || null,
+      jti: payload.jti,
+      kid: decoded.header.kid
+    };
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new ApiError(401, 'El código QR ha expirado');
+    }
+    throw new ApiError(401, 'Código QR inválido');
+  }
+};
+
+/**
+ * Entradas de una reserva para devolver en la API
+ * @param {Object} booking - Documento de la reserva
+ * @param {Object} [options]
+ * @param {boolean} [options.includeToken=false] - Incluir el token (solo para el titular)
+ * @returns {Array<Object>}
+ */
+export const formatBookingTickets = (booking, { includeToken = false } = {}) =>
+  (booking.tickets || []).map(ticket => ({
+    ticketId: ticket.ticketId,
+    seat: ticket.seat || null,
+    ticketTypeName: ticket.ticketTypeName || null,
+    qrCodeUrl: ticket.qrCodeUrl || null,
+    expiresAt: ticket.expiresAt,
+    scanned: Boolean(ticket.scanStatus),
+    scannedAt: ticket.scannedAt || null,
+    ...(includeToken ? { token: ticket.token } : {})
+  }));
+
+export default {
+  TICKET_TOKEN_TYPE,
+  getTicketSigningKeys,
+  getTicketExpiry,
+  signWithManifestKey,
+  issueBookingTickets,
+  uploadTicketQRCodes,
+  reissueTicketCredentials,
+  extractTicketToken,
+  verifyTicketCredential,
+  formatBookingTickets
+};
@@ -0,0 +1,803 @@
+import crypto from 'crypto';
+import TicketType, { TICKET_SEAT_TYPES, TICKET_TYPE_VISIBILITIES } from '../models/TicketType.js';
+import TempBooking from '../models/TempBooking.js';
+import { ApiError } from './ApiError.js';
+import { getCachedSettings } from './settingsCache.js';
+import { getSeatTypeMap } from './seatTypes.js';
+import { roundMoney } from './commissionService.js';
+
+/**
+ * Tipos de entrada de los eventos
+ *
+ * Cada evento vende uno o varios tipos de entrada (TicketType) con su precio,
+ * cupo, límites por pedido, ventana de venta y tramos de precio. Los eventos
+ * creados antes de los tipos de entrada no tienen documentos: para ellos se
+ * construyen tipos "virtuales" a partir de vipprice / economyprice, sin cupo
+ * propio, de modo que el checkout funciona igual para todos los eventos.
+ *
+ * El cupo de cada tipo se controla con los contadores sold / held del
+ * documento, que solo se incrementan con actualizaciones condicionales.
+ */
+
+const LEGACY_PRICE_FIELDS = { vip: 'vipprice', economy: 'economyprice' };
+
+/**
+ * Hash del código de acceso de una preventa (sin distinguir mayúsculas)
+ * @param {string} code
+ * @returns {string}
+ */
+export const hashAccessCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).trim().toUpperCase())
+  .digest('hex');
+
+/**
+ * Comprueba el código de acceso de un tipo oculto
+ * @param {Object} type - Tipo de entrada con accessCodeHash seleccionado
+ * @param {string} accessCode - Código enviado por el comprador
+ * @returns {boolean}
+ */
+const accessCodeMatches = (type, accessCode) => {
+  if (!type.accessCodeHash || !accessCode) return false;
+  const expected = Buffer.from(type.accessCodeHash, 'hex');
+  const given = Buffer.from(hashAccessCode(accessCode), 'hex');
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+/**
+ * Clave con la que se identifica un tipo en pedidos y respuestas
+ * @param {Object} type
+ * @returns {string}
+ */
+const getTypeKey = (type) => (type._id ? type._id.toString() : type.code);
+
+/**
+ * Tipos de entrada derivados de los precios fijos del evento
+ * @param {Object} event - Documento del evento
+ * @returns {Object[]}
+ */
+export const getLegacyTicketTypes = (event) => {
+  const isFree = event.ticket === 'Free';
+  const prices = {
+    economy: isFree ? 0 : event.economyprice ?? event.vipprice,
+    vip: isFree ? 0 : event.vipprice ?? event.economyprice
+  };
+
+  return [
+    { code: 'standard', name: 'General', seatType: 'economy', color: '#2196F3' },
+    { code: 'vip', name: 'VIP', seatType: 'vip', color: '#F44336' }
+  ]
+    .filter(type => prices[type.seatType] !== undefined && prices[type.seatType] !== null)
+    .map((type, index) => ({
+      ...type,
+      _id: null,
+      virtual: true,
+      price: Number(prices[type.seatType]),
+      tiers: [],
+      quantity: null,
+      sold: 0,
+      held: 0,
+      minPerOrder: 1,
+      maxPerOrder: null,
+      visibility: 'public',
+      salesStart: null,
+      salesEnd: null,
+      sortOrder: index,
+      legacyPriceField: LEGACY_PRICE_FIELDS[type.seatType]
+    }));
+};
+
+/**
+ * Tipos de entrada de un evento, o los derivados de sus precios fijos si no tiene
+ * @param {Object} event - Documento del evento
+ * @param {Object} [options]
+ * @param {boolean} [options.includeAccessCode=false] - Incluir el hash del código de acceso
+ * @returns {Promise<Object[]>}
+ */
+export const getEventTicketTypes = async (event, { includeAccessCode = false } = {}) => {
+  const query = TicketType.find({ event_id: event._id }).sort({ sortOrder: 1, createdAt: 1 });
+  if (includeAccessCode) {
+    query.select('+accessCodeHash');
+  }
+
+  const types = await query;
+  return types.length > 0 ? types : getLegacyTicketTypes(event);
+};
+
+/**
+ * Entradas que quedan a la venta de un tipo
+ * @param {Object} type
+ * @returns {number} - Infinity si el tipo no tiene cupo propio
+ */
+export const getRemainingQuantity = (type) => {
+  if (type.quantity === null || type.quantity === undefined) {
+    return Infinity;
+  }
+  return Math.max(0, type.quantity - (type.sold || 0) - (type.held || 0));
+};
+
+/**
+ * Estado de venta de un tipo de entrada
+ * @param {Object} type
+ * @param {Date} [now]
+ * @returns {'on_sale'|'not_started'|'ended'|'sold_out'|'disabled'}
+ */
+export const getSaleStatus = (type, now = new Date()) => {
+  if (type.visibility === 'disabled') return 'disabled';
+  if (type.salesStart && now < type.salesStart) return 'not_started';
+  if (type.salesEnd && now > type.salesEnd) return 'ended';
+  if (getRemainingQuantity(type) <= 0) return 'sold_out';
+  return 'on_sale';
+};
+
+/**
+ * Reparte las entradas de un pedido entre los tramos de precio vigentes
+ *
+ * Los cupos de los tramos son acumulados: un tramo de 100 entradas se aplica
+ * mientras el tipo lleve menos de 100 vendidas o bloqueadas. Un tramo también
+ * deja de aplicarse al pasar su fecha; agotados los tramos se cobra el precio base.
+ *
+ * @param {Object} type - Tipo de entrada
+ * @param {number} quantity - Entradas del pedido
+ * @param {Object} [options]
+ * @param {number} [options.position=0] - Entradas del tipo ya vendidas o bloqueadas por otros
+ * @param {Date} [options.now]
+ * @returns {Array<{tier: string|null, unitPrice: number, quantity: number}>}
+ */
+export const getPriceSegments = (type, quantity, { position = 0, now = new Date() } = {}) => {
+  const segments = [];
+  let cursor = Math.max(0, position);
+  let remaining = quantity;
+  let threshold = 0;
+
+  for (const tier of type.tiers || []) {
+    threshold = tier.quantity === null || tier.quantity === undefined ? Infinity : threshold + tier.quantity;
+    if (remaining === 0) break;
+    if (tier.endsAt && now >= tier.endsAt) continue;
+    if (cursor >= threshold) continue;
+
+    const count = Math.min(remaining, threshold - cursor);
+    segments.push({ tier: tier.name, unitPrice: roundMoney(tier.price), quantity: count });
+    cursor += count;
+    remaining -= count;
+  }
+
+  if (remaining > 0) {
+    segments.push({ tier: null, unitPrice: roundMoney(type.price), quantity: remaining });
+  }
+
+  return segments;
+};
+
+/**
+ * Entradas de cada tipo que mantiene bloqueadas una sesión
+ * @param {string} eventId
+ * @param {string} holdSessionId
+ * @returns {Promise<Map<string, number>>} - ticketType_id -> cantidad
+ */
+export const getHeldTickets = async (eventId, holdSessionId) => {
+  const held = new Map();
+  if (!holdSessionId) return held;
+
+  const tempBooking = await TempBooking.findOne({ event_id: eventId, sessionId: holdSessionId }).select('tickets');
+  (tempBooking?.tickets || []).forEach(line => {
+    const key = line.ticketType_id.toString();
+    held.set(key, (held.get(key) || 0) + line.quantity);
+  });
+  return held;
+};
+
+/**
+ * Resuelve qué tipos de entrada lleva un pedido y valida que se pueden vender
+ *
+ * El pedido puede indicar los tipos (tickets) o solo los asientos: en ese caso
+ * cada asiento se asigna al tipo público a la venta de su categoría (vip / economy).
+ * Sin tipos ni asientos se usa el tipo por defecto para entradas sin numerar.
+ *
+ * @param {Object} event - Documento del evento
+ * @param {Object} order
+ * @param {Array<{ticketTypeId: string, quantity?: number, seatNumbers?: string[]}>} [order.tickets]
+ * @param {string[]} [order.seatNumbers] - Asientos seleccionados
+ * @param {number} [order.quantity] - Entradas sin numerar
+ * @param {string} [order.accessCode] - Código de acceso de las preventas
+ * @param {Map<string, number>} [order.ownHeld] - Entradas que ya bloquea la sesión del comprador
+ * @returns {Promise<Array<{type: Object, key: string, quantity: number, seats: string[]}>>}
+ * @throws {ApiError} 400/403/409 si el pedido no se puede vender
+ */
+export const resolveTicketSelection = async (event, {
+  tickets,
+  seatNumbers = [],
+  quantity,
+  accessCode,
+  ownHeld = new Map()
+} = {}) => {
+  const now = new Date();
+  const types = await getEventTicketTypes(event, { includeAccessCode: true });
+  if (types.length === 0) {
+    throw new ApiError(400, 'El evento no tiene entradas a la venta');
+  }
+
+  const normalize = (seats) => [...new Set((seats || []).map(seat => String(seat).trim()).filter(Boolean))];
+  const seatList = normalize(seatNumbers);
+  const hasTicketLines = Array.isArray(tickets) && tickets.length > 0;
+  const needsSeatTypes = seatList.length > 0 || (hasTicketLines && tickets.some(item => item?.seatNumbers?.length));
+  const seatTypes = needsSeatTypes ? await getSeatTypeMap(event) : new Map();
+  const seatTypeOf = (seat) => seatTypes.get(seat) || 'economy';
+
+  const byKey = new Map(types.map(type => [getTypeKey(type), type]));
+  const isDefaultCandidate = (type) => type.visibility === 'public' && getSaleStatus(type, now) === 'on_sale';
+
+  // Tipo que se vende por defecto para una categoría de asiento (null = sin numerar)
+  const defaultTypeFor = (seatType) => {
+    const candidates = types.filter(isDefaultCandidate);
+    const preferred = seatType
+      ? [seatType, null]
+      : [null, 'economy', ...TICKET_SEAT_TYPES];
+    for (const wanted of preferred) {
+      const match = candidates.find(type => (type.seatType || null) === wanted);
+      if (match) return match;
+    }
+    if (!seatType && candidates.length > 0) return candidates[0];
+    throw new ApiError(400, seatType
+      ? `No hay entradas a la venta para los asientos ${seatType.toUpperCase()}`
+      : 'No hay entradas a la venta para este evento');
+  };
+
+  const lines = new Map();
+  const addLine = (type, count, seats = []) => {
+    const key = getTypeKey(type);
+    const line = lines.get(key) || { type, key, quantity: 0, seats: [] };
+    line.quantity += count;
+    line.seats.push(...seats);
+    lines.set(key, line);
+  };
+
+  if (hasTicketLines) {
+    const pending = [];
+    for (const item of tickets) {
+      const key = String(item?.ticketTypeId || item?.ticketType_id || '');
+      const type = byKey.get(key);
+      if (!type) {
+        throw new ApiError(400, `Tipo de entrada no válido: ${key || '(vacío)'}`);
+      }
+
+      const seats = normalize(item.seatNumbers);
+      const count = seats.length || parseInt(item.quantity, 10) || 0;
+      if (count < 1) {
+        throw new ApiError(400, `Cantidad no válida para la entrada ${type.name}`);
+      }
+      if (seats.length > 0) {
+        addLine(type, count, seats);
+      } else {
+        pending.push({ type, count });
+      }
+    }
+
+    // Repartir los asientos enviados aparte entre las líneas sin asientos
+    const assigned = new Set([...lines.values()].flatMap(line => line.seats));
+    const pool = seatList.filter(seat => !assigned.has(seat));
+    for (const { type, count } of pending) {
+      if (pool.length === 0) {
+        addLine(type, count);
+        continue;
+      }
+      const seats = pool.filter(seat => !type.seatType || seatTypeOf(seat) === type.seatType).slice(0, count);
+      if (seats.length < count) {
+        throw new ApiError(400, 'Los asientos seleccionados no coinciden con los tipos de entrada');
+      }
+      seats.forEach(seat => pool.splice(pool.indexOf(seat), 1));
+      addLine(type, count, seats);
+    }
+    if (pool.length > 0) {
+      throw new ApiError(400, 'Los asientos seleccionados no coinciden con los tipos de entrada');
+    }
+  } else if (seatList.length > 0) {
+    seatList.forEach(seat => addLine(defaultTypeFor(seatTypeOf(seat)), 1, [seat]));
+  } else {
+    const count = parseInt(quantity, 10) || 0;
+    if (count < 1) {
+      throw new ApiError(400, 'El pedido debe incluir al menos una entrada');
+    }
+    addLine(defaultTypeFor(null), count);
+  }
+
+  const selection = [...lines.values()];
+  const seatsInOrder = selection.flatMap(line => line.seats);
+  if (new Set(seatsInOrder).size !== seatsInOrder.length) {
+    throw new ApiError(400, 'Un asiento no puede tener más de una entrada');
+  }
+
+  for (const { type, key, quantity: count, seats } of selection) {
+    if (type.visibility === 'disabled') {
+      throw new ApiError(400, `La entrada ${type.name} no está a la venta`);
+    }
+    if (type.visibility === 'hidden' && !accessCodeMatches(type, accessCode)) {
+      throw new ApiError(403, `Código de acceso no válido para la entrada ${type.name}`);
+    }
+    if (type.salesStart && now < type.salesStart) {
+      throw new ApiError(400, `La venta de la entrada ${type.name} aún no ha empezado`, { salesStart: type.salesStart });
+    }
+    if (type.salesEnd && now > type.salesEnd) {
+      throw new ApiError(400, `La venta de la entrada ${type.name} ha finalizado`, { salesEnd: type.salesEnd });
+    }
+    if (count < (type.minPerOrder || 1)) {
+      throw new ApiError(400, `Debe comprar al menos ${type.minPerOrder} entradas ${type.name}`);
+    }
+    if (type.maxPerOrder && count > type.maxPerOrder) {
+      throw new ApiError(400, `No puede comprar más de ${type.maxPerOrder} entradas ${type.name} por pedido`);
+    }
+    if (type.seatType && seats.some(seat => seatTypeOf(seat) !== type.seatType)) {
+      throw new ApiError(400, `La entrada ${type.name} solo es válida para asientos ${type.seatType.toUpperCase()}`);
+    }
+
+    const available = getRemainingQuantity(type) + (ownHeld.get(key) || 0);
+    if (count > available) {
+      throw new ApiError(409, `No quedan suficientes entradas ${type.name}`, { ticketTypeId: key, available });
+    }
+  }
+
+  const settings = await getCachedSettings();
+  const total = selection.reduce((sum, line) => sum + line.quantity, 0);
+  const maxTickets = settings?.events?.maxTicketsPerPurchase;
+  const minTickets = settings?.events?.minTicketsPerPurchase;
+  if (maxTickets && total > maxTickets) {
+    throw new ApiError(400, `No se pueden comprar más de ${maxTickets} entradas por pedido`);
+  }
+  if (minTickets && total < minTickets) {
+    throw new ApiError(400, `Debe comprar al menos ${minTickets} entradas por pedido`);
+  }
+
+  return selection;
+};
+
+/**
+ * Agrupa por tipo las entradas de un pedido que consumen cupo
+ * Las líneas sin ticketType_id (tipos derivados de los precios fijos) no cuentan.
+ * @param {Array<{ticketType_id?: string, quantity: number}>} items - Líneas del presupuesto o de la reserva
+ * @returns {Array<{ticketType_id: string, quantity: number}>}
+ */
+export const toCapacityLines = (items = []) => {
+  const totals = new Map();
+  items.forEach(item => {
+    if (!item?.ticketType_id || !(item.quantity > 0)) return;
+    const key = item.ticketType_id.toString();
+    totals.set(key, (totals.get(key) || 0) + item.quantity);
+  });
+  return [...totals.entries()].map(([ticketType_id, quantity]) => ({ ticketType_id, quantity }));
+};
+
+/**
+ * Suma entradas a un contador si el tipo tiene cupo para ellas
+ * @param {string} ticketTypeId
+ * @param {'sold'|'held'} field
+ * @param {number} quantity
+ * @returns {Promise<Object|null>} - El tipo actualizado, o null si no hay cupo
+ */
+const incrementIfAvailable = (ticketTypeId, field, quantity) => TicketType.findOneAndUpdate(
+  {
+    _id: ticketTypeId,
+    $or: [
+      { quantity: null },
+      { $expr: { $lte: [{ $add: ['$sold', '$held', quantity] }, '$quantity'] } }
+    ]
+  },
+  { $inc: { [field]: quantity } },
+  { new: true }
+);
+
+/**
+ * Resta entradas de un contador sin dejarlo en negativo
+ * @param {string} ticketTypeId
+ * @param {'sold'|'held'} field
+ * @param {number} quantity
+ */
+const decrementCounter = async (ticketTypeId, field, quantity) => {
+  const result = await TicketType.updateOne(
+    { _id: ticketTypeId, [field]: { $gte: quantity } },
+    { $inc: { [field]: -quantity } }
+  );
+  if (result.matchedCount === 0) {
+    await TicketType.updateOne({ _id: ticketTypeId }, { $set: { [field]: 0 } });
+  }
+};
+
+/**
+ * Ajusta las entradas bloqueadas de una sesión al pasar de una selección a otra
+ *
+ * Con todo o nada: si algún tipo no tiene cupo, se deshacen los cambios hechos.
+ *
+ * @param {Array<{ticketType_id: string, quantity: number}>} previous - Entradas que bloqueaba la sesión
+ * @param {Array<{ticketType_id: string, quantity: number}>} next - Nueva selección
+ * @returns {Promise<{success: boolean, ticketTypeId?: string, revert: Function}>}
+ */
+export const adjustHeldTickets = async (previous = [], next = []) => {
+  const delta = new Map();
+  toCapacityLines(previous).forEach(line => delta.set(line.ticketType_id, -line.quantity));
+  toCapacityLines(next).forEach(line => delta.set(line.ticketType_id, (delta.get(line.ticketType_id) || 0) + line.quantity));
+
+  const applied = [];
+  const revert = async () => {
+    for (const { ticketTypeId, change } of applied.reverse()) {
+      if (change > 0) {
+        await decrementCounter(ticketTypeId, 'held', change);
+      } else {
+        await TicketType.updateOne({ _id: ticketTypeId }, { $inc: { held: -change } });
+      }
+    }
+  };
+
+  // Primero las liberaciones, para que la propia sesión pueda reutilizar su cupo
+  const changes = [...delta.entries()].filter(([, change]) => change !== 0).sort((a, b) => a[1] - b[1]);
+  for (const [ticketTypeId, change] of changes) {
+    if (change < 0) {
+      await decrementCounter(ticketTypeId, 'held', -change);
+    } else if (!await incrementIfAvailable(ticketTypeId, 'held', change)) {
+      await revert();
+      return { success: false, ticketTypeId, revert: async () => {} };
+    }
+    applied.push({ ticketTypeId, change });
+  }
+
+  return { success: true, revert };
+};
+
+/**
+ * Libera las entradas bloqueadas de una sesión
+ * @param {Array<{ticketType_id: string, quantity: number}>} lines
+ */
+export const releaseHeldTickets = async (lines = []) => {
+  for (const line of toCapacityLines(lines)) {
+    await decrementCounter(line.ticketType_id, 'held', line.quantity);
+  }
+};
+
+/**
+ * Registra la venta de entradas
+ *
+ * Las entradas que la sesión tenía bloqueadas pasan a vendidas; el resto se
+ * venden si queda cupo. Lo que la sesión tenía bloqueado y no se compra se libera.
+ *
+ * @param {Array<{ticketType_id: string, quantity: number}>} soldLines - Entradas vendidas
+ * @param {Array<{ticketType_id: string, quantity: number}>} [heldLines] - Entradas que bloqueaba la sesión
+ * @returns {Promise<{success: boolean, ticketTypeId?: string, revert: Function}>}
+ */
+export const commitTicketSale = async (soldLines = [], heldLines = []) => {
+  const held = new Map(toCapacityLines(heldLines).map(line => [line.ticketType_id, line.quantity]));
+  const applied = [];
+
+  const revert = async () => {
+    for (const step of applied.reverse()) {
+      if (step.fromHold) {
+        await TicketType.updateOne({ _id: step.ticketTypeId }, { $inc: { held: step.fromHold, sold: -step.fromHold } });
+      }
+      if (step.sold) {
+        await decrementCounter(step.ticketTypeId, 'sold', step.sold);
+      }
+      if (step.released) {
+        await TicketType.updateOne({ _id: step.ticketTypeId }, { $inc: { held: step.released } });
+      }
+    }
+  };
+
+  for (const { ticketType_id: ticketTypeId, quantity } of toCapacityLines(soldLines)) {
+    const fromHold = Math.min(held.get(ticketTypeId) || 0, quantity);
+    if (fromHold > 0) {
+      await TicketType.updateOne({ _id: ticketTypeId }, { $inc: { held: -fromHold, sold: fromHold } });
+      held.set(ticketTypeId, held.get(ticketTypeId) - fromHold);
+      applied.push({ ticketTypeId, fromHold });
+    }
+
+    const rest = quantity - fromHold;
+    if (rest > 0) {
+      if (!await incrementIfAvailable(ticketTypeId, 'sold', rest)) {
+        await revert();
+        return { success: false, ticketTypeId, revert: async () => {} };
+      }
+      applied.push({ ticketTypeId, sold: rest });
+    }
+  }
+
+  for (const [ticketTypeId, quantity] of held) {
+    if (quantity > 0) {
+      await decrementCounter(ticketTypeId, 'held', quantity);
+      applied.push({ ticketTypeId, released: quantity });
+    }
+  }
+
+  return { success: true, revert };
+};
+
+/**
+ * Devuelve al cupo las entradas de una reserva cancelada o reembolsada
+ * @param {Object} booking - Documento de la reserva
+ */
+export const releaseSoldTickets = async (booking) => {
+  for (const line of toCapacityLines(booking?.pricing?.items)) {
+    await decrementCounter(line.ticketType_id, 'sold', line.quantity);
+  }
+};
+
+/**
+ * Líneas por tipo de entrada de una reserva, para informes y paneles
+ * Las reservas anteriores a los tipos de entrada se agrupan como una sola línea.
+ * @param {Object} booking - Documento de la reserva
+ * @returns {Array<{ticketType_id: string|null, name: string, quantity: number, amount: number}>}
+ */
+export const getBookingTicketLines = (booking) => {
+  const items = booking?.pricing?.items || [];
+  if (items.length > 0) {
+    return items.map(item => ({
+      ticketType_id: item.ticketType_id || null,
+      name: item.ticketTypeName || item.seatType || 'standard',
+      quantity: item.quantity || 0,
+      amount: item.amount || 0
+    }));
+  }
+
+  return [{
+    ticketType_id: null,
+    name: booking?.ticketType || 'standard',
+    quantity: booking?.seatNumbers?.length || booking?.guestSize || 1,
+    amount: booking?.totalPrice || 0
+  }];
+};
+
+/**
+ * Datos públicos de un tipo de entrada con su precio y disponibilidad actuales
+ * @param {Object} type - Tipo de entrada
+ * @param {Object} [options]
+ * @param {boolean} [options.includeStats=false] - Incluir contadores y configuración (organizador)
+ * @returns {Object}
+ */
+export const formatTicketType = (type, { includeStats = false } = {}) => {
+  const [current] = getPriceSegments(type, 1, { position: (type.sold || 0) + (type.held || 0) });
+  const remaining = getRemainingQuantity(type);
+
+  const data = {
+    _id: type._id || null,
+    code: type.code || null,
+    name: type.name,
+    description: type.description || '',
+    color: type.color,
+    seatType: type.seatType || null,
+    price: current.unitPrice,
+    basePrice: roundMoney(type.price),
+    currentTier: current.tier,
+    available: remaining === Infinity ? null : remaining,
+    minPerOrder: type.minPerOrder || 1,
+    maxPerOrder: type.maxPerOrder || null,
+    salesStart: type.salesStart || null,
+    salesEnd: type.salesEnd || null,
+    saleStatus: getSaleStatus(type),
+    requiresAccessCode: type.visibility === 'hidden'
+  };
+
+  if (includeStats) {
+    Object.assign(data, {
+      quantity: type.quantity ?? null,
+      sold: type.sold || 0,
+      held: type.held || 0,
+      visibility: type.visibility,
+      tiers: (type.tiers || []).map(tier => ({
+        _id: tier._id,
+        name: tier.name,
+        price: tier.price,
+        quantity: tier.quantity ?? null,
+        endsAt: tier.endsAt || null
+      })),
+      sortOrder: type.sortOrder || 0,
+      virtual: Boolean(type.virtual)
+    });
+  }
+
+  return data;
+};
+
+/**
+ * Tipos que puede ver un comprador: los públicos y los ocultos cuyo código coincide
+ * @param {Object} event - Documento del evento
+ * @param {string} [accessCode]
+ * @returns {Promise<Object[]>}
+ */
+export const getVisibleTicketTypes = async (event, accessCode) => {
+  const types = await getEventTicketTypes(event, { includeAccessCode: true });
+  return types
+    .filter(type => type.visibility === 'public' || (type.visibility === 'hidden' && accessCodeMatches(type, accessCode)))
+    .map(type => formatTicketType(type));
+};
+
+/**
+ * Valida y normaliza los datos de un tipo de entrada enviados por el organizador
+ * @param {Object} body - Datos recibidos
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Actualización: solo se validan los campos enviados
+ * @returns {Object} - Campos listos para guardar (accessCode se convierte en accessCodeHash)
+ * @throws {ApiError} 400 con la lista de errores
+ */
+export const normalizeTicketTypeInput = (body = {}, { partial = false } = {}) => {
+  const errors = [];
+  const data = {};
+  const has = (field) => body[field] !== undefined;
+  const toDate = (field) => {
+    if (body[field] === null || body[field] === '') return null;
+    const date = new Date(body[field]);
+    if (Number.isNaN(date.getTime())) {
+      errors.push(`${field} no es una fecha válida`);
+    }
+    return date;
+  };
+  const toCount = (field, min) => {
+    if (body[field] === null || body[field] === '') return null;
+    const value = Number(body[field]);
+    if (!Number.isInteger(value) || value < min) {
+      errors.push(`${field} debe ser un número entero mayor o igual que ${min}`);
+    }
+    return value;
+  };
+
+  if (!partial || has('name')) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) errors.push('El nombre es obligatorio');
+    data.name = name;
+  }
+  if (!partial || has('price')) {
+    const price = Number(body.price);
+    if (body.price === undefined || body.price === null || !Number.isFinite(price) || price < 0) {
+      errors.push('El precio debe ser un número mayor o igual que 0');
+    }
+    data.price = roundMoney(price);
+  }
+
+  ['description', 'color'].forEach(field => {
+    if (has(field)) data[field] = body[field] === null ? '' : String(body[field]);
+  });
+
+  if (has('seatType')) {
+    if (body.seatType !== null && body.seatType !== '' && !TICKET_SEAT_TYPES.includes(body.seatType)) {
+      errors.push(`seatType debe ser uno de: ${TICKET_SEAT_TYPES.join(', ')}`);
+    }
+    data.seatType = body.seatType || null;
+  }
+  if (has('visibility')) {
+    if (!TICKET_TYPE_VISIBILITIES.includes(body.visibility)) {
+      errors.push(`visibility debe ser una de: ${TICKET_TYPE_VISIBILITIES.join(', ')}`);
+    }
+    data.visibility = body.visibility;
+  }
+  if (has('quantity')) data.quantity = toCount('quantity', 0);
+  if (has('minPerOrder')) data.minPerOrder = toCount('minPerOrder', 1) ?? 1;
+  if (has('maxPerOrder')) data.maxPerOrder = toCount('maxPerOrder', 1) ?? 10;
+  if (has('sortOrder')) data.sortOrder = Number(body.sortOrder) || 0;
+  if (has('salesStart')) data.salesStart = toDate('salesStart');
+  if (has('salesEnd')) data.salesEnd = toDate('salesEnd');
+
+  if (data.minPerOrder && data.maxPerOrder && data.minPerOrder > data.maxPerOrder) {
+    errors.push('minPerOrder no puede ser mayor que maxPerOrder');
+  }
+  if (data.salesStart && data.salesEnd && data.salesStart >= data.salesEnd) {
+    errors.push('salesEnd debe ser posterior a salesStart');
+  }
+
+  if (has('tiers')) {
+    if (!Array.isArray(body.tiers)) {
+      errors.push('tiers debe ser una lista de tramos');
+    } else {
+      data.tiers = body.tiers.map((tier, index) => {
+        const price = Number(tier?.price);
+        const quantity = tier?.quantity === undefined || tier?.quantity === null || tier?.quantity === ''
+          ? null
+          : Number(tier.quantity);
+        const endsAt = tier?.endsAt ? new Date(tier.endsAt) : null;
+
+        if (!tier?.name || typeof tier.name !== 'string') errors.push(`El tramo ${index + 1} necesita un nombre`);
+        if (!Number.isFinite(price) || price < 0) errors.push(`El precio del tramo ${index + 1} no es válido`);
+        if (quantity !== null && (!Number.isInteger(quantity) || quantity < 1)) {
+          errors.push(`La cantidad del tramo ${index + 1} debe ser un entero positivo`);
+        }
+        if (endsAt && Number.isNaN(endsAt.getTime())) errors.push(`La fecha del tramo ${index + 1} no es válida`);
+        if (quantity === null && !endsAt) {
+          errors.push(`El tramo ${index + 1} necesita una cantidad o una fecha de fin`);
+        }
+
+        return { name: tier?.name, price: roundMoney(price), quantity, endsAt };
+      });
+    }
+  }
+
+  if (has('accessCode')) {
+    const code = body.accessCode === null ? '' : String(body.accessCode).trim();
+    data.accessCodeHash = code ? hashAccessCode(code) : null;
+  }
+
+  if (errors.length > 0) {
+    throw new ApiError(400, 'Datos del tipo de entrada no válidos', errors);
+  }
+
+  return data;
+};
+
+/**
+ * Crea los tipos de entrada de un evento nuevo a partir de SystemSettings.events.defaultTicketTypes
+ *
+ * El precio de cada tipo es el configurado o, si no tiene, el precio fijo del
+ * evento de su categoría (vipprice / economyprice). Si el evento no tiene
+ * ningún precio fijo, los tipos sin precio propio se omiten.
+ *
+ * @param {Object} event - Documento del evento
+ * @returns {Promise<Object[]>} - Tipos creados
+ */
+export const createDefaultTicketTypes = async (event) => {
+  const settings = await getCachedSettings();
+  const defaults = settings?.events?.defaultTicketTypes || [];
+  const isFree = event.ticket === 'Free';
+
+  const docs = defaults.map((template, index) => {
+    const seatType = template.seatType || (template.id === 'vip' ? 'vip' : 'economy');
+    const hasOwnPrice = template.price !== undefined && template.price !== null;
+
+    // Como con los precios fijos, los asientos VIP sin vipprice se cobran al precio general
+    const fields = seatType === 'vip' ? ['vipprice', 'economyprice'] : ['economyprice', 'vipprice'];
+    const legacyPriceField = isFree || hasOwnPrice
+      ? null
+      : fields.find(field => event[field] !== undefined && event[field] !== null) || null;
+    const price = isFree ? 0 : hasOwnPrice ? template.price : legacyPriceField && event[legacyPriceField];
+
+    if (price === undefined || price === null) {
+      return null;
+    }
+
+    return {
+      event_id: event._id,
+      code: template.id,
+      name: template.name,
+      color: template.color,
+      seatType,
+      price,
+      quantity: template.quantity ?? null,
+      minPerOrder: template.minPerOrder || 1,
+      maxPerOrder: template.maxPerOrder || 10,
+      sortOrder: index,
+      legacyPriceField
+    };
+  }).filter(Boolean);
+
+  return docs.length > 0 ? TicketType.insertMany(docs) : [];
+};
+
+/**
+ * Traslada los cambios de vipprice / economyprice a los tipos creados a partir de ellos
+ * @param {Object} event - Documento del evento actualizado
+ */
+export const syncLegacyTicketPrices = async (event) => {
+  for (const field of Object.values(LEGACY_PRICE_FIELDS)) {
+    const price = event[field];
+    if (price !== undefined && price !== null) {
+      await TicketType.updateMany(
+        { event_id: event._id, legacyPriceField: field },
+        { $set: { price: roundMoney(price) } }
+      );
+    }
+  }
+};
+
+export default {
+  hashAccessCode,
+  getLegacyTicketTypes,
+  getEventTicketTypes,
+  getRemainingQuantity,
+  getSaleStatus,
+  getPriceSegments,
+  getHeldTickets,
+  resolveTicketSelection,
+  toCapacityLines,
+  adjustHeldTickets,
+  releaseHeldTickets,
+  commitTicketSale,
+  releaseSoldTickets,
+  getBookingTicketLines,
+  formatTicketType,
+  getVisibleTicketTypes,
+  normalizeTicketTypeInput,
+  createDefaultTicketTypes,
+  syncLegacyTicketPrices
+};
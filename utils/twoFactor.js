@@ -0,0 +1,298 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+
+/**
+ * Autenticación en dos pasos (TOTP, RFC 6238)
+ *
+ * Códigos de 6 dígitos con HMAC-SHA1 y periodos de 30 segundos, compatibles
+ * con Google Authenticator, Authy, 1Password, etc.
+ */
+
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // segundos
+// Periodos de margen aceptados a cada lado para tolerar desfases de reloj
+const TOTP_WINDOW = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Nombre que muestran las apps de autenticación
+export const TWO_FACTOR_ISSUER = 'EntradasMelilla';
+
+// Validez de los tokens intermedios del login en dos pasos
+export const TWO_FACTOR_CHALLENGE_TTL = '5m';
+// El alta obligatoria deja más margen para instalar la app y escanear el QR
+export const TWO_FACTOR_SETUP_TTL = '15m';
+// Intentos de código permitidos por cada token intermedio
+export const TWO_FACTOR_MAX_ATTEMPTS = 5;
+export const RECOVERY_CODES_COUNT = 10;
+
+// Campos del usuario con select: false que necesita el flujo de 2FA
+export const TWO_FACTOR_SECRET_FIELDS = [
+  '+twoFactor.secret',
+  '+twoFactor.pendingSecret',
+  '+twoFactor.recoveryCodes',
+  '+twoFactor.lastUsedStep',
+  '+twoFactor.challengeNonce',
+  '+twoFactor.challengeAttempts'
+].join(' ');
+
+/**
+ * Codifica un buffer en base32 (RFC 4648, sin relleno)
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decodifica una cadena base32 (ignora espacios, guiones y relleno)
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const output = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Secreto base32 inválido');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(output);
+};
+
+/**
+ * Genera un secreto TOTP aleatorio de 160 bits en base32
+ * @returns {string}
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Calcula el código TOTP de un periodo concreto
+ * @param {string} secret - Secreto en base32
+ * @param {number} step - Número de periodo (segundos unix / TOTP_PERIOD)
+ * @returns {string}
+ */
+export const generateTotp = (secret, step = Math.floor(Date.now() / 1000 / TOTP_PERIOD)) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Comprueba un código TOTP dentro de la ventana de tolerancia
+ * @param {string} secret - Secreto en base32
+ * @param {string} code - Código introducido por el usuario
+ * @param {number} [lastUsedStep] - Último periodo aceptado, para impedir reutilizar un código
+ * @returns {number|null} - Periodo que coincide, o null si el código no es válido
+ */
+export const verifyTotp = (secret, code, lastUsedStep = -1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!secret || !new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    if (step <= lastUsedStep) continue;
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Construye la URI otpauth:// y su código QR para dar de alta el secreto en una app
+ * @param {Object} options
+ * @param {string} options.secret - Secreto en base32
+ * @param {string} options.account - Identificador de la cuenta (email)
+ * @returns {Promise<{otpauthUrl: string, qrCode: string}>} - qrCode es un data URL PNG
+ */
+export const buildOtpauth = async ({ secret, account }) => {
+  const label = encodeURIComponent(`${TWO_FACTOR_ISSUER}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TWO_FACTOR_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+  const otpauthUrl = `otpauth://totp/${label}?${params.toString()}`;
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { otpauthUrl, qrCode };
+};
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[\s-]/g, '')).digest('hex');
+
+/**
+ * Genera códigos de recuperación de un solo uso
+ * @returns {{codes: string[], hashes: string[]}} - Los códigos se muestran una vez; solo se guardan los hashes
+ */
+export const generateRecoveryCodes = (count = RECOVERY_CODES_COUNT) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Consume un código de recuperación del usuario si es válido
+ * @param {Object} user - Usuario con twoFactor.recoveryCodes cargado
+ * @param {string} code - Código introducido
+ * @returns {boolean}
+ */
+export const consumeRecoveryCode = (user, code) => {
+  const hash = hashRecoveryCode(code);
+  const codes = user.twoFactor?.recoveryCodes || [];
+  const index = codes.indexOf(hash);
+  if (index === -1) return false;
+  codes.splice(index, 1);
+  user.markModified('twoFactor.recoveryCodes');
+  return true;
+};
+
+/**
+ * Elimina toda la configuración de 2FA de un usuario (sin guardar)
+ * @param {Object} user - Usuario cargado con TWO_FACTOR_SECRET_FIELDS
+ */
+export const clearTwoFactor = (user) => {
+  user.twoFactor.enabled = false;
+  user.twoFactor.enabledAt = undefined;
+  user.twoFactor.secret = undefined;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = [];
+  user.twoFactor.lastUsedStep = undefined;
+  user.twoFactor.challengeNonce = undefined;
+  user.twoFactor.challengeAttempts = 0;
+};
+
+/**
+ * Indica si el 2FA está activo globalmente y si es obligatorio para el rol del usuario
+ * @param {Object} user - Usuario
+ * @param {Object} settings - SystemSettings
+ * @returns {{available: boolean, required: boolean}}
+ */
+export const getTwoFactorPolicy = (user, settings) => {
+  const security = settings?.security || {};
+  const available = Boolean(security.twoFactorAuthEnabled);
+  const requiredRoles = security.twoFactorRequiredRoles || [];
+  return {
+    available,
+    required: available && requiredRoles.includes(user.role)
+  };
+};
+
+// Los tokens intermedios se firman con otra clave para que verifyJWT nunca los acepte como sesión
+const getChallengeSecret = () => process.env.TWO_FACTOR_SECRET_KEY || `${process.env.JWT_SECRET_KEY}:2fa`;
+
+/**
+ * Firma un token intermedio del login en dos pasos
+ * @param {Object} user - Usuario
+ * @param {'2fa-challenge'|'2fa-setup'} purpose - Verificar un código o dar de alta el 2FA obligatorio
+ * @param {string} nonce - Valor guardado en el usuario que invalida el token al agotar intentos
+ * @returns {string}
+ */
+export const signChallengeToken = (user, purpose, nonce) =>
+  jwt.sign({ id: user._id, purpose, nonce }, getChallengeSecret(), {
+    expiresIn: purpose === '2fa-setup' ? TWO_FACTOR_SETUP_TTL : TWO_FACTOR_CHALLENGE_TTL
+  });
+
+/**
+ * Verifica un token intermedio
+ * @param {string} token
+ * @param {'2fa-challenge'|'2fa-setup'} purpose
+ * @returns {Object|null} - Payload decodificado, o null si no es válido
+ */
+export const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, getChallengeSecret());
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Decide si el login debe detenerse en el segundo paso
+ *
+ * Si el usuario tiene el 2FA activado devuelve un token para /auth/2fa/verify;
+ * si su rol lo exige y aún no lo ha configurado, un token para darlo de alta.
+ * @param {Object} user - Usuario que acaba de validar su contraseña
+ * @param {Object} settings - SystemSettings
+ * @returns {Promise<Object|null>} - Datos del reto, o null si se puede emitir la sesión
+ */
+export const createLoginChallenge = async (user, settings) => {
+  const policy = getTwoFactorPolicy(user, settings);
+  if (!policy.available) return null;
+
+  const enabled = Boolean(user.twoFactor?.enabled);
+  if (!enabled && !policy.required) return null;
+
+  const nonce = crypto.randomBytes(16).toString('hex');
+  user.twoFactor = user.twoFactor || {};
+  user.twoFactor.challengeNonce = nonce;
+  user.twoFactor.challengeAttempts = 0;
+  await user.save();
+
+  if (enabled) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: signChallengeToken(user, '2fa-challenge', nonce),
+      expiresIn: TWO_FACTOR_CHALLENGE_TTL
+    };
+  }
+
+  return {
+    twoFactorSetupRequired: true,
+    setupToken: signChallengeToken(user, '2fa-setup', nonce),
+    expiresIn: TWO_FACTOR_SETUP_TTL
+  };
+};
+
+export default {
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauth,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  clearTwoFactor,
+  getTwoFactorPolicy,
+  signChallengeToken,
+  verifyChallengeToken,
+  createLoginChallenge
+};
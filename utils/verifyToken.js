@@ -3,6 +3,8 @@ import User from '../models/User.js'
 //custom middlewares
 
 import { ApiResponse } from '../utils/ApiResponse.js';
+import { verifyChallengeToken } from './twoFactor.js';
+import { getTokenRejectionReason } from './sessionService.js';
 //1) TO VERIFY TOKEN
 export const verifyToken = (req, res, next)=>{
     const token = req.cookies.accessToken
@@ -12,12 +14,28 @@ export const verifyToken = (req, res, next)=>{
     }
 
     //if token exits then verifying it
-    jwt.verify(token, process.env.JWT_SECRET_KEY, (err, user)=>{
+    jwt.verify(token, process.env.JWT_SECRET_KEY, async (err, user)=>{
         if(err){
             return res.status(401).json({status: "failed", success:"false", 
                                          message: "Invalid Token"})
         }
 
+        // Rechazar sesiones revocadas y tokens anteriores a un cambio de contraseña
+        try {
+            const account = await User.findById(user.id).select("passwordChangedAt")
+            const rejectionReason = account
+                ? await getTokenRejectionReason(user, account)
+                : "Unauthorized request - User not found"
+            if(rejectionReason){
+                return res.status(401).json({status: "failed", success:"false", 
+                                             message: rejectionReason})
+            }
+        } catch (error) {
+            console.error("Error checking token session:", error)
+            return res.status(401).json({status: "failed", success:"false", 
+                                         message: "Invalid Token"})
+        }
+
         req.user = user
         next()
     })
@@ -61,8 +79,19 @@ export const verifyJWT = async (req, res, next) => {
                 });
             }
 
+            // Reject tokens of revoked sessions or issued before a password reset
+            const rejectionReason = await getTokenRejectionReason(decodedToken, user);
+            if (rejectionReason) {
+                return res.status(401).json({
+                    status: "failed",
+                    success: "false",
+                    message: rejectionReason
+                });
+            }
+
             // Attach the user to the request object for further use
             req.user = user;
+            req.sessionId = decodedToken.sid || null;
             
             console.log("Authentication successful");
             next(); // Proceed to the next middleware or route handler
@@ -71,7 +100,9 @@ export const verifyJWT = async (req, res, next) => {
             return res.status(401).json({
                 status: "failed",
                 success: "false",
-                message: "Invalid or expired token"
+                message: "Invalid or expired token",
+                // El cliente puede renovar el access token con POST /auth/refresh
+                tokenExpired: jwtError.name === "TokenExpiredError"
             });
         }
     } catch (error) {
@@ -85,6 +116,42 @@ export const verifyJWT = async (req, res, next) => {
 }
 
 
+// Alta del 2FA: acepta una sesión normal o el setupToken que devuelve el login
+// cuando el rol del usuario exige 2FA y todavía no lo ha configurado
+export const verifyJWTOrTwoFactorSetup = async (req, res, next) => {
+    const setupToken = req.header("X-2FA-Setup-Token") || req.body?.setupToken;
+    if (!setupToken) {
+        return verifyJWT(req, res, next);
+    }
+
+    const decoded = verifyChallengeToken(setupToken, '2fa-setup');
+    const user = decoded
+        ? await User.findById(decoded.id).select("-password +twoFactor.challengeNonce")
+        : null;
+
+    if (!user || user.twoFactor?.challengeNonce !== decoded.nonce) {
+        return res.status(401).json({
+            status: "failed",
+            success: "false",
+            message: "El token de configuración no es válido o ha expirado. Inicia sesión de nuevo."
+        });
+    }
+
+    req.user = user;
+    req.twoFactorSetup = true;
+    next();
+}
+
+// Rutas públicas que se adaptan al usuario si hay sesión: sin token continúa
+// como anónimo; con token, este debe ser válido
+export const optionalJWT = (req, res, next) => {
+    const token = req.cookies?.accessToken || req.header("Authorization")?.replace("Bearer ", "");
+    if (!token) {
+        return next();
+    }
+    return verifyJWT(req, res, next);
+};
+
 //2) TO VERIFY USER
 export const verifyUser = (req, res, next)=>{
 
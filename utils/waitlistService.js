@@ -0,0 +1,282 @@
+import crypto from 'crypto';
+import Waitlist from '../models/Waitlist.js';
+import Event from '../models/Event.js';
+import User from '../models/User.js';
+import Booking from '../models/Booking.js';
+import SystemSettings from '../models/SystemSettings.js';
+import { getSeatTypeMap, getEventSeats } from './seatTypes.js';
+import { holdSeats, releaseHold, getSeatAvailability, createHoldSessionId } from './seatInventory.js';
+import { getEventTicketTypes, getRemainingQuantity, getSaleStatus } from './ticketTypes.js';
+import { sendWaitlistOfferEmail } from './emailService.js';
+
+// Plazo para reclamar los asientos ofrecidos a la lista de espera (30 minutos)
+export const WAITLIST_CLAIM_DURATION = 30 * 60 * 1000;
+
+// Eventos cuya cola se está procesando, para no ofrecer el mismo asiento dos veces
+const processingEvents = new Set();
+
+/**
+ * Calcula los asientos libres de un evento: ni vendidos ni bloqueados (según el inventario)
+ * @param {Object} event - Documento del evento
+ * @returns {Promise<string[]>}
+ */
+export const getAvailableSeats = async (event) => {
+  const { available } = await getSeatAvailability(event);
+  return available;
+};
+
+/**
+ * Tipos de entrada que se pueden comprar ahora para una categoría de asiento
+ * @param {Object} event - Documento del evento
+ * @param {string|null} [seatType] - Categoría de asiento (null = cualquiera)
+ * @returns {Promise<Object[]>}
+ */
+const getTicketTypesOnSale = async (event, seatType = null) => {
+  const types = await getEventTicketTypes(event);
+  return types.filter(type =>
+    type.visibility === 'public' &&
+    getSaleStatus(type) === 'on_sale' &&
+    (!seatType || !type.seatType || type.seatType === seatType)
+  );
+};
+
+/**
+ * Entradas que quedan a la venta en un evento
+ *
+ * En los eventos con plano es el menor entre los asientos libres y el cupo de
+ * los tipos de entrada; en los eventos sin plano, solo el cupo de los tipos.
+ *
+ * @param {Object} event - Documento del evento
+ * @param {string|null} [seatType] - Categoría de asiento (null = cualquiera)
+ * @returns {Promise<number>} - Infinity si no hay límite
+ */
+export const getAvailableTicketCount = async (event, seatType = null) => {
+  const types = await getTicketTypesOnSale(event, seatType);
+  const ticketCapacity = types.reduce((sum, type) => sum + getRemainingQuantity(type), 0);
+
+  if (getEventSeats(event).length === 0) {
+    return ticketCapacity;
+  }
+
+  const freeSeats = await getAvailableSeats(event);
+  const seatTypes = seatType ? await getSeatTypeMap(event) : null;
+  const matchingSeats = seatType
+    ? freeSeats.filter(seat => seatTypes.get(seat) === seatType)
+    : freeSeats;
+
+  return Math.min(matchingSeats.length, ticketCapacity);
+};
+
+/**
+ * Indica si un usuario puede apuntarse a la lista de espera del evento
+ * (la lista está habilitada y no quedan entradas a la venta)
+ * @param {Object} event - Documento del evento
+ * @returns {Promise<boolean>}
+ */
+export const canJoinWaitlist = async (event) => {
+  try {
+    const settings = await SystemSettings.getSettings();
+    if (!settings.events?.enableWaitlist) {
+      return false;
+    }
+    return await getAvailableTicketCount(event) === 0;
+  } catch (error) {
+    console.error('[Waitlist] Error al comprobar disponibilidad de la lista de espera:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Ofrece los asientos libres de un evento a las siguientes personas de la lista de espera
+ *
+ * Cada oferta bloquea los asientos con una reserva temporal durante
+ * WAITLIST_CLAIM_DURATION y envía al usuario un enlace para reclamarlos.
+ * Nunca lanza excepciones, por lo que puede invocarse sin await.
+ *
+ * @param {string} eventId - ID del evento con asientos liberados
+ * @returns {Promise<Object[]>} - Entradas a las que se ha hecho una oferta
+ */
+export const offerFreedSeats = async (eventId) => {
+  const key = eventId.toString();
+  if (processingEvents.has(key)) {
+    return [];
+  }
+  processingEvents.add(key);
+
+  const offers = [];
+
+  try {
+    const settings = await SystemSettings.getSettings();
+    if (!settings.events?.enableWaitlist) {
+      return offers;
+    }
+
+    const waiting = await Waitlist.find({ event_id: eventId, status: 'waiting' }).sort({ createdAt: 1 });
+    if (waiting.length === 0) {
+      return offers;
+    }
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return offers;
+    }
+
+    // Sin plano de asientos la oferta bloquea cupo de un tipo de entrada
+    const seated = getEventSeats(event).length > 0;
+    let freeSeats = seated ? await getAvailableSeats(event) : [];
+    if ((seated && freeSeats.length === 0) || await getAvailableTicketCount(event) === 0) {
+      return offers;
+    }
+
+    const seatTypes = seated ? await getSeatTypeMap(event) : new Map();
+
+    // Recorrer la cola por orden de llegada
+    for (const entry of waiting) {
+      let seats = [];
+      let tickets = [];
+      let offerLabel;
+
+      if (seated) {
+        const candidates = freeSeats.filter(seat => !entry.seatType || seatTypes.get(seat) === entry.seatType);
+        if (candidates.length < entry.quantity) {
+          continue;
+        }
+        seats = candidates.slice(0, entry.quantity);
+        offerLabel = seats.join(', ');
+      } else {
+        const types = await getTicketTypesOnSale(event, entry.seatType);
+        const type = types.find(item => item._id && getRemainingQuantity(item) >= entry.quantity);
+        if (!type) {
+          continue;
+        }
+        tickets = [{ ticketType_id: type._id, quantity: entry.quantity }];
+        offerLabel = `${entry.quantity} x ${type.name}`;
+      }
+
+      const now = new Date();
+      const offerExpiresAt = new Date(now.getTime() + WAITLIST_CLAIM_DURATION);
+      const holdSessionId = createHoldSessionId('waitlist');
+
+      // Bloquear los asientos o las entradas para este usuario
+      const hold = await holdSeats(event, seats, {
+        holdSessionId,
+        userId: entry.user_id,
+        expiresAt: offerExpiresAt,
+        tickets
+      });
+      if (!hold.success) {
+        // Otro comprador se ha adelantado: esos asientos ya no están libres
+        const taken = hold.unavailable.map(item => item.seat);
+        freeSeats = freeSeats.filter(seat => !taken.includes(seat));
+        continue;
+      }
+
+      entry.status = 'offered';
+      entry.offeredSeats = seats;
+      entry.offeredTickets = tickets;
+      entry.holdSessionId = holdSessionId;
+      entry.claimToken = crypto.randomBytes(32).toString('hex');
+      entry.offeredAt = now;
+      entry.offerExpiresAt = offerExpiresAt;
+      await entry.save();
+
+      freeSeats = freeSeats.filter(seat => !seats.includes(seat));
+      offers.push(entry);
+
+      // Avisar al usuario con el enlace para reclamar
+      const user = await User.findById(entry.user_id).select('email username fullname');
+      if (user?.email) {
+        const frontendUrl = process.env.FRONTEND_URL || 'https://v2.entradasmelilla.com';
+        sendWaitlistOfferEmail({
+          email: user.email,
+          name: user.fullname || user.username,
+          eventName: event.name,
+          seats: offerLabel,
+          claimUrl: `${frontendUrl}/lista-espera/reclamar/${entry.claimToken}`,
+          expiresAt: offerExpiresAt
+        });
+      }
+
+      console.log(`[Waitlist] ${offerLabel} ofrecidos a la entrada ${entry._id} del evento ${key}`);
+
+      if (seated && freeSeats.length === 0) {
+        break;
+      }
+    }
+  } catch (error) {
+    console.error(`[Waitlist] Error al procesar la lista de espera del evento ${key}:`, error);
+  } finally {
+    processingEvents.delete(key);
+  }
+
+  return offers;
+};
+
+/**
+ * Marca como expiradas las ofertas no completadas a tiempo y libera sus bloqueos
+ *
+ * Incluye las ofertas reclamadas cuyo plazo ha vencido sin compra; las que
+ * terminaron en una reserva se cierran sin expirar (se retira el token).
+ *
+ * @returns {Promise<string[]>} - IDs de los eventos con ofertas expiradas
+ */
+export const expireWaitlistOffers = async () => {
+  const expiredOffers = await Waitlist.find({
+    status: { $in: ['offered', 'claimed'] },
+    claimToken: { $exists: true },
+    offerExpiresAt: { $lte: new Date() }
+  });
+
+  const eventIds = new Set();
+  let expiredCount = 0;
+
+  for (const entry of expiredOffers) {
+    const purchased = entry.status === 'claimed' && await Booking.exists({
+      event_id: entry.event_id,
+      user_id: entry.user_id,
+      createdAt: { $gte: entry.offeredAt },
+      status: { $nin: ['cancelled', 'expired'] }
+    });
+
+    await releaseHold(entry.event_id, entry.holdSessionId);
+    if (!purchased) {
+      entry.status = 'expired';
+      expiredCount += 1;
+    }
+    entry.claimToken = undefined;
+    await entry.save();
+    eventIds.add(entry.event_id.toString());
+  }
+
+  if (expiredCount > 0) {
+    console.log(`[Waitlist] ${expiredCount} ofertas de lista de espera expiradas`);
+  }
+
+  return [...eventIds];
+};
+
+/**
+ * Posición de una entrada en la cola de su evento (1 = siguiente en recibir oferta)
+ * @param {Object} entry - Entrada de la lista de espera
+ * @returns {Promise<number|null>}
+ */
+export const getWaitlistPosition = async (entry) => {
+  if (entry.status !== 'waiting') {
+    return null;
+  }
+  const ahead = await Waitlist.countDocuments({
+    event_id: entry.event_id,
+    status: 'waiting',
+    createdAt: { $lt: entry.createdAt }
+  });
+  return ahead + 1;
+};
+
+export default {
+  getAvailableSeats,
+  getAvailableTicketCount,
+  canJoinWaitlist,
+  offerFreedSeats,
+  expireWaitlistOffers,
+  getWaitlistPosition
+};
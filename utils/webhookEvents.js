@@ -0,0 +1,121 @@
+import WebhookEvent, { WEBHOOK_EVENT_RETENTION_DAYS } from '../models/WebhookEvent.js';
+
+/**
+ * Registro de eventos de webhook procesados
+ *
+ * Cada evento se "reclama" antes de procesarlo: solo una entrega puede
+ * procesarlo a la vez y, una vez procesado, los reintentos de la pasarela se
+ * responden sin repetir efectos (reservas duplicadas, asientos reservados dos veces).
+ * Un evento fallido puede volver a reclamarse, ya sea por un reintento de la
+ * pasarela o porque un administrador lo relanza.
+ */
+
+// Un evento que lleva más de este tiempo "processing" se da por abandonado (proceso caído)
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+const RETENTION_MS = WEBHOOK_EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+const reclaimableFilter = (now) => ({
+  $or: [
+    { status: 'failed' },
+    { status: 'processing', lastAttemptAt: { $lt: new Date(now.getTime() - STALE_PROCESSING_MS) } }
+  ]
+});
+
+/**
+ * Reclama un evento recibido para procesarlo
+ * @param {string} provider - Pasarela (stripe, paypal)
+ * @param {Object} event - Evento ya verificado (id, type)
+ * @returns {Promise<{claimed: boolean, record: Object|null}>} - Si no se reclama, record es el registro existente
+ */
+export const claimWebhookEvent = async (provider, event) => {
+  const now = new Date();
+
+  try {
+    const record = await WebhookEvent.create({
+      provider,
+      eventId: event.id,
+      type: event.type,
+      status: 'processing',
+      attempts: 1,
+      lastAttemptAt: now,
+      payload: event
+    });
+    return { claimed: true, record };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Ya existía: solo se vuelve a procesar si falló o quedó a medias
+  const record = await WebhookEvent.findOneAndUpdate(
+    { provider, eventId: event.id, ...reclaimableFilter(now) },
+    { $set: { status: 'processing', lastAttemptAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (record) {
+    return { claimed: true, record };
+  }
+
+  const existing = await WebhookEvent.findOne({ provider, eventId: event.id }).select('status processedAt');
+  return { claimed: false, record: existing };
+};
+
+/**
+ * Reclama un evento fallido para relanzarlo desde el panel de administración
+ * @param {string} id - _id del registro
+ * @param {Object} user - Administrador que lo relanza
+ * @returns {Promise<Object|null>} - Registro reclamado, o null si no existe o no se puede relanzar
+ */
+export const claimWebhookEventForReplay = async (id, user) => {
+  const now = new Date();
+  return WebhookEvent.findOneAndUpdate(
+    { _id: id, ...reclaimableFilter(now) },
+    {
+      $set: { status: 'processing', lastAttemptAt: now, replayedBy: user?._id, replayedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Marca un evento como resuelto
+ * @param {Object} record - Registro reclamado
+ * @param {Object} outcome
+ * @param {'processed'|'ignored'} outcome.status
+ * @param {Object} [outcome.result] - Resumen del resultado
+ */
+export const markWebhookEventResolved = async (record, { status, result = {} }) => {
+  const now = new Date();
+  await WebhookEvent.updateOne(
+    { _id: record._id },
+    {
+      $set: { status, result, processedAt: now, expiresAt: new Date(now.getTime() + RETENTION_MS) },
+      $unset: { lastError: 1 }
+    }
+  );
+};
+
+/**
+ * Marca un evento como fallido; queda pendiente de reintento o de relanzarse
+ * Nunca lanza excepciones.
+ * @param {Object} record - Registro reclamado
+ * @param {Error} error - Error producido
+ */
+export const markWebhookEventFailed = async (record, error) => {
+  try {
+    await WebhookEvent.updateOne(
+      { _id: record._id },
+      { $set: { status: 'failed', lastError: error?.message || String(error) }, $unset: { expiresAt: 1 } }
+    );
+  } catch (updateError) {
+    console.error('[Webhooks] Error al registrar el fallo del evento:', updateError.message);
+  }
+};
+
+export default {
+  claimWebhookEvent,
+  claimWebhookEventForReplay,
+  markWebhookEventResolved,
+  markWebhookEventFailed
+};